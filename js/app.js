@@ -16,6 +16,172 @@ const App = {
      */
     THEME_KEY: 'liveStreamTheme',
 
+    /**
+     * localStorage key for the "hide offline channels" preference
+     * @type {string}
+     * @constant
+     */
+    HIDE_OFFLINE_KEY: 'liveStreamHideOffline',
+
+    /**
+     * Whether channels found offline by the health checker are hidden
+     * @type {boolean}
+     */
+    hideOffline: false,
+
+    /**
+     * localStorage key for the TV mode preference
+     * @type {string}
+     * @constant
+     */
+    TV_MODE_KEY: 'liveStreamTvMode',
+
+    /**
+     * User agents of smart TVs and TV boxes, which start in TV mode unless the user chose otherwise
+     * @type {RegExp}
+     * @constant
+     */
+    TV_USER_AGENTS: /SMART-TV|SmartTV|Tizen|Web0S|[Ww]ebOS|Android TV|AFT[A-Z]|BRAVIA|CrKey|GoogleTV/,
+
+    /**
+     * Whether the 10-foot TV layout is shown
+     * @type {boolean}
+     */
+    tvMode: false,
+
+    /**
+     * TV mode chosen by a `?tv=` link for this visit, or null when the saved preference applies
+     * @type {boolean|null}
+     */
+    linkedTvMode: null,
+
+    /**
+     * Whether the view is being restored from the URL (its changes then add no history entries)
+     * @type {boolean}
+     */
+    restoringView: false,
+
+    /**
+     * URL update waiting for the current change to settle, so one change adds one history entry
+     * @type {Promise<void>|null}
+     */
+    urlUpdate: null,
+
+    /**
+     * Whether the waiting URL update adds a history entry (false replaces the current one)
+     * @type {boolean}
+     */
+    urlUpdatePush: false,
+
+    /**
+     * Channel from a link offered with a play button (`?autoplay=0`), until something plays
+     * @type {Channel|null}
+     */
+    cuedChannel: null,
+
+    /**
+     * Milliseconds to wait for another digit of a typed channel number
+     * @type {number}
+     * @constant
+     */
+    CHANNEL_NUMBER_TIMEOUT: 1500,
+
+    /**
+     * Digits of the channel number being typed
+     * @type {string}
+     */
+    channelNumber: '',
+
+    /**
+     * Timer that tunes to or hides the typed channel number
+     * @type {number|null}
+     */
+    channelNumberTimer: null,
+
+    /**
+     * Milliseconds the channel banner stays on screen after a switch
+     * @type {number}
+     * @constant
+     */
+    BANNER_DURATION: 3000,
+
+    /**
+     * Timer that hides the channel banner
+     * @type {number|null}
+     */
+    bannerTimer: null,
+
+    /**
+     * ID of the channel played before the current one, for the last channel key
+     * @type {string|null}
+     */
+    lastChannelId: null,
+
+    /**
+     * Horizontal distance in pixels a swipe on the player must cover to change channel
+     * @type {number}
+     * @constant
+     */
+    SWIPE_DISTANCE: 60,
+
+    /**
+     * Height in pixels of the strip at the bottom of the player left to the video controls
+     * (dragging the seek bar is not a swipe)
+     * @type {number}
+     * @constant
+     */
+    SWIPE_CONTROLS_HEIGHT: 64,
+
+    /**
+     * Favorites folder shown in the sidebar ('all' or folder ID)
+     * @type {string}
+     */
+    favoriteFolder: 'all',
+
+    /**
+     * Channel ID of the favorite being dragged (null when not dragging)
+     * @type {string|null}
+     */
+    draggedFavoriteId: null,
+
+    /**
+     * Milliseconds between watch time updates for the history
+     * @type {number}
+     * @constant
+     */
+    HISTORY_TICK: 15000,
+
+    /**
+     * Timestamp of the last watch time update
+     * @type {number}
+     */
+    lastWatchTick: 0,
+
+    /**
+     * Current text of the channel search box (empty = no search)
+     * @type {string}
+     */
+    searchQuery: '',
+
+    /**
+     * Maximum number of results listed in the command palette
+     * @type {number}
+     * @constant
+     */
+    PALETTE_LIMIT: 20,
+
+    /**
+     * Channels currently listed in the command palette
+     * @type {Channel[]}
+     */
+    paletteResults: [],
+
+    /**
+     * Index of the highlighted command palette result
+     * @type {number}
+     */
+    paletteIndex: 0,
+
     /**
      * Currently selected category filter ('all' or category name)
      * @type {string}
@@ -41,346 +207,2557 @@ const App = {
     elements: {
         themeToggle: null,
         themeIcon: null,
+        tvModeBtn: null,
+        channelNumberEntry: null,
+        playerContainer: null,
+        channelBanner: null,
+        channelBannerNumber: null,
+        channelBannerName: null,
+        channelBannerNow: null,
         categoryTabs: null,
         channelGrid: null,
         favoritesSection: null,
-        favoritesGrid: null
+        favoritesGrid: null,
+        favoritesEmpty: null,
+        favoriteFolders: null,
+        manageFavoritesBtn: null,
+        favoritesDialog: null,
+        favoriteItemList: null,
+        favoriteFolderList: null,
+        favoriteFolderForm: null,
+        favoriteFolderInput: null,
+        favoritesImportInput: null,
+        exportFavoritesJsonBtn: null,
+        exportFavoritesM3uBtn: null,
+        favoritesMessage: null,
+        recentSection: null,
+        recentGrid: null,
+        historyToggleBtn: null,
+        clearHistoryBtn: null,
+        historyPaused: null,
+        playlistsBtn: null,
+        playlistDialog: null,
+        playlistList: null,
+        playlistUrlForm: null,
+        playlistUrlInput: null,
+        playlistFileInput: null,
+        playlistMessage: null,
+        epgUrlForm: null,
+        epgUrlInput: null,
+        epgNowNext: null,
+        epgNowTitle: null,
+        epgNowTime: null,
+        epgNextTitle: null,
+        epgNextTime: null,
+        epgProgressBar: null,
+        guideBtn: null,
+        guideDialog: null,
+        guideGrid: null,
+        hideOfflineToggle: null,
+        checkStreamsBtn: null,
+        checkStreamsLabel: null,
+        channelSearch: null,
+        paletteDialog: null,
+        paletteInput: null,
+        paletteResults: null,
+        syncBtn: null,
+        syncDialog: null,
+        syncForm: null,
+        syncBackendSelect: null,
+        syncFields: null,
+        syncSaveBtn: null,
+        syncFileActions: null,
+        syncExportBtn: null,
+        syncImportInput: null,
+        syncMessage: null,
+        shareDialog: null,
+        shareQrCode: null,
+        shareLinkForm: null,
+        shareLinkInput: null,
+        shareOptions: null,
+        shareAutoplayToggle: null,
+        shareMutedToggle: null,
+        shareTvToggle: null,
+        shareNativeActions: null,
+        shareNativeBtn: null,
+        offlineBanner: null
     },
 
+    /**
+     * Width of one minute in the programme guide timeline, in pixels
+     * @type {number}
+     * @constant
+     */
+    GUIDE_PX_PER_MINUTE: 4,
+
+    /**
+     * Time span shown in the programme guide, in hours
+     * @type {number}
+     * @constant
+     */
+    GUIDE_HOURS: 6,
+
     /**
      * Initializes the application.
      * Loads channels, initializes components, and sets up event listeners.
      * @async
      */
     async init() {
+        Toast.init();
+
         // Cache DOM elements
         this.elements.themeToggle = document.getElementById('themeToggle');
         this.elements.themeIcon = document.getElementById('themeIcon');
+        this.elements.tvModeBtn = document.getElementById('tvModeBtn');
+        this.elements.channelNumberEntry = document.getElementById('channelNumberEntry');
+        this.elements.playerContainer = document.querySelector('.player-container');
+        this.elements.channelBanner = document.getElementById('channelBanner');
+        this.elements.channelBannerNumber = document.getElementById('channelBannerNumber');
+        this.elements.channelBannerName = document.getElementById('channelBannerName');
+        this.elements.channelBannerNow = document.getElementById('channelBannerNow');
         this.elements.categoryTabs = document.getElementById('categoryTabs');
         this.elements.channelGrid = document.getElementById('channelGrid');
         this.elements.favoritesSection = document.getElementById('favoritesSection');
         this.elements.favoritesGrid = document.getElementById('favoritesGrid');
-
-        // Load channels from playlist.m3u8
+        this.elements.favoritesEmpty = document.getElementById('favoritesEmpty');
+        this.elements.favoriteFolders = document.getElementById('favoriteFolders');
+        this.elements.manageFavoritesBtn = document.getElementById('manageFavoritesBtn');
+        this.elements.favoritesDialog = document.getElementById('favoritesDialog');
+        this.elements.favoriteItemList = document.getElementById('favoriteItemList');
+        this.elements.favoriteFolderList = document.getElementById('favoriteFolderList');
+        this.elements.favoriteFolderForm = document.getElementById('favoriteFolderForm');
+        this.elements.favoriteFolderInput = document.getElementById('favoriteFolderInput');
+        this.elements.favoritesImportInput = document.getElementById('favoritesImportInput');
+        this.elements.exportFavoritesJsonBtn = document.getElementById('exportFavoritesJsonBtn');
+        this.elements.exportFavoritesM3uBtn = document.getElementById('exportFavoritesM3uBtn');
+        this.elements.favoritesMessage = document.getElementById('favoritesMessage');
+        this.elements.recentSection = document.getElementById('recentSection');
+        this.elements.recentGrid = document.getElementById('recentGrid');
+        this.elements.historyToggleBtn = document.getElementById('historyToggleBtn');
+        this.elements.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.elements.historyPaused = document.getElementById('historyPaused');
+        this.elements.playlistsBtn = document.getElementById('playlistsBtn');
+        this.elements.playlistDialog = document.getElementById('playlistDialog');
+        this.elements.playlistList = document.getElementById('playlistList');
+        this.elements.playlistUrlForm = document.getElementById('playlistUrlForm');
+        this.elements.playlistUrlInput = document.getElementById('playlistUrlInput');
+        this.elements.playlistFileInput = document.getElementById('playlistFileInput');
+        this.elements.playlistMessage = document.getElementById('playlistMessage');
+        this.elements.epgUrlForm = document.getElementById('epgUrlForm');
+        this.elements.epgUrlInput = document.getElementById('epgUrlInput');
+        this.elements.epgNowNext = document.getElementById('epgNowNext');
+        this.elements.epgNowTitle = document.getElementById('epgNowTitle');
+        this.elements.epgNowTime = document.getElementById('epgNowTime');
+        this.elements.epgNextTitle = document.getElementById('epgNextTitle');
+        this.elements.epgNextTime = document.getElementById('epgNextTime');
+        this.elements.epgProgressBar = document.getElementById('epgProgressBar');
+        this.elements.guideBtn = document.getElementById('guideBtn');
+        this.elements.guideDialog = document.getElementById('guideDialog');
+        this.elements.guideGrid = document.getElementById('guideGrid');
+        this.elements.hideOfflineToggle = document.getElementById('hideOfflineToggle');
+        this.elements.checkStreamsBtn = document.getElementById('checkStreamsBtn');
+        this.elements.checkStreamsLabel = document.getElementById('checkStreamsLabel');
+        this.elements.channelSearch = document.getElementById('channelSearch');
+        this.elements.paletteDialog = document.getElementById('paletteDialog');
+        this.elements.paletteInput = document.getElementById('paletteInput');
+        this.elements.paletteResults = document.getElementById('paletteResults');
+        this.elements.syncBtn = document.getElementById('syncBtn');
+        this.elements.syncDialog = document.getElementById('syncDialog');
+        this.elements.syncForm = document.getElementById('syncForm');
+        this.elements.syncBackendSelect = document.getElementById('syncBackendSelect');
+        this.elements.syncFields = document.getElementById('syncFields');
+        this.elements.syncSaveBtn = document.getElementById('syncSaveBtn');
+        this.elements.syncFileActions = document.getElementById('syncFileActions');
+        this.elements.syncExportBtn = document.getElementById('syncExportBtn');
+        this.elements.syncImportInput = document.getElementById('syncImportInput');
+        this.elements.syncMessage = document.getElementById('syncMessage');
+        this.elements.shareDialog = document.getElementById('shareDialog');
+        this.elements.shareQrCode = document.getElementById('shareQrCode');
+        this.elements.shareLinkForm = document.getElementById('shareLinkForm');
+        this.elements.shareLinkInput = document.getElementById('shareLinkInput');
+        this.elements.shareOptions = document.getElementById('shareOptions');
+        this.elements.shareAutoplayToggle = document.getElementById('shareAutoplayToggle');
+        this.elements.shareMutedToggle = document.getElementById('shareMutedToggle');
+        this.elements.shareTvToggle = document.getElementById('shareTvToggle');
+        this.elements.shareNativeActions = document.getElementById('shareNativeActions');
+        this.elements.shareNativeBtn = document.getElementById('shareNativeBtn');
+        this.elements.offlineBanner = document.getElementById('offlineBanner');
+
+        // Load channels from the enabled playlists
         await ChannelManager.loadChannels();
 
+        // Later favorites changes reach the store as FavoritesManager saves them
+        AppStore.setFavorites(FavoritesManager.getFavorites());
+
+        // Serve the app and cached channels when there is no network
+        this.registerServiceWorker();
+        this.updateOnlineStatus();
+
         // Initialize components
         VideoPlayer.init();
+        MultiView.init();
+        Diagnostics.init();
+        HealthChecker.loadResults();
         this.loadTheme();
+        this.loadTvMode();
+        this.loadHideOffline();
         this.renderCategoryTabs();
         this.renderChannels();
         this.renderFavorites();
+        this.renderRecent();
         this.setupEventListeners();
+        this.subscribeToStore();
 
-        // Auto-play first available channel
+        // Open the view in the URL, or resume the last watched channel (or the default one)
         this.autoPlayFirstChannel();
 
+        // A remote control needs something focused to start from
+        if (this.tvMode) this.focusCurrentCard();
+
+        // Count watch time while a channel is playing
+        setInterval(() => this.trackWatchTime(), this.HISTORY_TICK);
+
+        // Load programme guide in the background and keep now/next progress current
+        this.loadGuide();
+        setInterval(() => this.renderNowNext(), 30000);
+
+        // Recheck streams whose health results are stale
+        this.runHealthCheck(false);
+        this.cacheLogos();
+
+        // Pick up changes made on other devices, then keep syncing in the background
+        this.runSync();
+        setInterval(() => this.runSync(), SyncManager.AUTO_SYNC_INTERVAL);
+
         console.log(`StreamPK loaded. ${ChannelManager.getActiveChannelCount()}/${ChannelManager.getChannelCount()} channels available.`);
     },
 
     /**
-     * Sets up global event listeners for theme toggle, keyboard navigation, and share.
+     * Subscribes the UI to the store, so it re-renders whenever the shared state changes.
+     * @private
+     */
+    subscribeToStore() {
+        AppStore.on('channels:loaded', () => this.handleChannelsLoaded());
+        AppStore.on('channel:changed', ({ channel }) => this.handleChannelChanged(channel));
+        AppStore.on('favorites:changed', ({ favorites }) => this.handleFavoritesChanged(favorites));
+        AppStore.on('player:error', ({ channelId }) => {
+            const card = this.channelCards.find(c => c.dataset.channelId === channelId);
+            if (card) this.updatePlayerErrorMark(card);
+        });
+        AppStore.on('layout:changed', () => this.updateUrl());
+    },
+
+    /**
+     * Sets up global event listeners for theme toggle, keyboard navigation, and share.
+     * @private
+     */
+    setupEventListeners() {
+        // Theme toggle
+        this.elements.themeToggle.addEventListener('click', () => this.toggleTheme());
+
+        // TV mode toggle
+        this.elements.tvModeBtn.addEventListener('click', () => this.setTvMode(!this.tvMode));
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+
+        // Hardware media keys and lock-screen controls change channel
+        VideoPlayer.setMediaSessionHandler('nexttrack', () => this.zapChannel(1));
+        VideoPlayer.setMediaSessionHandler('previoustrack', () => this.zapChannel(-1));
+
+        // Swipe left or right on the player to change channel
+        let touchStart = null;
+        this.elements.playerContainer.addEventListener('touchstart', (e) => {
+            const touch = e.touches[0];
+            const rect = this.elements.playerContainer.getBoundingClientRect();
+            touchStart = e.touches.length === 1 && rect.bottom - touch.clientY > this.SWIPE_CONTROLS_HEIGHT
+                ? { x: touch.clientX, y: touch.clientY }
+                : null;
+        }, { passive: true });
+
+        this.elements.playerContainer.addEventListener('touchend', (e) => {
+            if (!touchStart || MultiView.isActive()) return;
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - touchStart.x;
+            const dy = touch.clientY - touchStart.y;
+            touchStart = null;
+
+            if (Math.abs(dx) >= this.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 2) {
+                this.zapChannel(dx < 0 ? 1 : -1);
+            }
+        });
+
+        // Share button
+        const shareBtn = document.getElementById('shareBtn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.shareChannel());
+        }
+
+        this.elements.shareLinkForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.copyToClipboard(this.elements.shareLinkInput.value);
+        });
+        this.elements.shareOptions.addEventListener('change', () => this.renderShareLink());
+        this.elements.shareNativeBtn.addEventListener('click', () => this.shareToApp());
+
+        // Back and forward restore the view in the URL
+        window.addEventListener('popstate', () => this.applyViewState(DeepLinks.parse(window.location.search)));
+
+        // Playlists dialog
+        this.elements.playlistsBtn.addEventListener('click', () => this.openPlaylistDialog());
+
+        document.querySelectorAll('[data-close-dialog]').forEach(btn => {
+            btn.addEventListener('click', () => btn.closest('dialog').close());
+        });
+
+        this.elements.playlistUrlForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPlaylistUrl(this.elements.playlistUrlInput.value.trim());
+        });
+
+        this.elements.playlistFileInput.addEventListener('change', () => {
+            const file = this.elements.playlistFileInput.files[0];
+            if (file) this.addPlaylistFile(file);
+            this.elements.playlistFileInput.value = '';
+        });
+
+        this.elements.epgUrlForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGuideUrl(this.elements.epgUrlInput.value.trim());
+        });
+
+        // Programme guide
+        this.elements.guideBtn.addEventListener('click', () => this.openGuide());
+
+        // Stream health
+        this.elements.hideOfflineToggle.addEventListener('change', () => {
+            this.setHideOffline(this.elements.hideOfflineToggle.checked);
+        });
+        this.elements.checkStreamsBtn.addEventListener('click', () => this.runHealthCheck(true));
+
+        // Channel search
+        this.elements.channelSearch.addEventListener('input', () => {
+            this.searchQuery = this.elements.channelSearch.value.trim();
+            this.selectedIndex = -1;
+            this.renderChannels();
+            this.updateUrl(false);
+        });
+
+        this.elements.channelSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.channelCards.length > 0) {
+                e.preventDefault();
+                this.playChannel(this.channelCards[0].dataset.channelId);
+            } else if (e.key === 'Escape') {
+                this.clearSearch();
+                this.elements.channelSearch.blur();
+            }
+        });
+
+        // Favorites management
+        this.elements.manageFavoritesBtn.addEventListener('click', () => this.openFavoritesDialog());
+
+        this.elements.favoriteFolderForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createFavoriteFolder(this.elements.favoriteFolderInput.value);
+        });
+
+        this.elements.exportFavoritesJsonBtn.addEventListener('click', () => {
+            this.downloadFile('streampk-favorites.json', FavoritesManager.exportJSON(), 'application/json');
+        });
+        this.elements.exportFavoritesM3uBtn.addEventListener('click', () => {
+            this.downloadFile('streampk-favorites.m3u', FavoritesManager.exportM3U(), 'audio/x-mpegurl');
+        });
+
+        this.elements.favoritesImportInput.addEventListener('change', () => {
+            const file = this.elements.favoritesImportInput.files[0];
+            if (file) this.importFavorites(file);
+            this.elements.favoritesImportInput.value = '';
+        });
+
+        // Network status
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+        window.addEventListener('online', () => this.handleOnline());
+
+        // Sync
+        this.elements.syncBtn.addEventListener('click', () => this.openSyncDialog());
+
+        SyncManager.backends.forEach(backend => {
+            const option = document.createElement('option');
+            option.value = backend.name;
+            option.textContent = backend.label;
+            this.elements.syncBackendSelect.appendChild(option);
+        });
+        this.elements.syncBackendSelect.addEventListener('change', () => this.renderSyncFields());
+
+        this.elements.syncForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSyncSettings();
+        });
+
+        this.elements.syncExportBtn.addEventListener('click', () => this.syncWithFile(null));
+        this.elements.syncImportInput.addEventListener('change', () => {
+            const file = this.elements.syncImportInput.files[0];
+            if (file) this.syncWithFile(file);
+            this.elements.syncImportInput.value = '';
+        });
+
+        // Watch history
+        this.elements.historyToggleBtn.addEventListener('click', () => {
+            this.trackWatchTime();
+            HistoryManager.setEnabled(!HistoryManager.isEnabled());
+            this.renderRecent();
+        });
+        this.elements.clearHistoryBtn.addEventListener('click', () => {
+            HistoryManager.clearHistory();
+            this.renderRecent();
+        });
+
+        // Save watch time before the page is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.trackWatchTime();
+            } else {
+                this.lastWatchTick = Date.now();
+            }
+            this.runSync();
+        });
+        window.addEventListener('pagehide', () => this.trackWatchTime());
+
+        // Command palette
+        this.elements.paletteInput.addEventListener('input', () => {
+            this.paletteIndex = 0;
+            this.renderPaletteResults();
+        });
+
+        this.elements.paletteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.movePaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.playFromPalette(this.paletteIndex);
+            }
+        });
+
+        // Drop .m3u files anywhere on the page to add them as playlists
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                document.body.classList.add('drag-active');
+            }
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) {
+                document.body.classList.remove('drag-active');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            document.body.classList.remove('drag-active');
+            const files = Array.from((e.dataTransfer && e.dataTransfer.files) || [])
+                .filter(file => /\.m3u8?$/i.test(file.name));
+            if (files.length === 0) return;
+
+            e.preventDefault();
+            if (!this.elements.playlistDialog.open) this.openPlaylistDialog();
+            files.forEach(file => this.addPlaylistFile(file));
+        });
+    },
+
+    /**
+     * Opens the playlist management dialog.
+     */
+    openPlaylistDialog() {
+        this.setPlaylistMessage('');
+        this.elements.epgUrlInput.value = EPGManager.getConfiguredUrl();
+        this.renderPlaylistSources();
+        if (!this.elements.playlistDialog.open) {
+            this.elements.playlistDialog.showModal();
+        }
+    },
+
+    /**
+     * Renders the list of playlist sources with their load status.
+     * Each source can be toggled; user-added sources can also be removed.
+     */
+    renderPlaylistSources() {
+        const list = this.elements.playlistList;
+        list.innerHTML = '';
+
+        PlaylistManager.getSources().forEach(source => {
+            const status = PlaylistManager.getStatus(source.id);
+            const item = document.createElement('li');
+            item.className = 'playlist-item';
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = source.enabled;
+            toggle.title = source.enabled ? 'Disable playlist' : 'Enable playlist';
+            toggle.setAttribute('aria-label', `Enable ${source.name}`);
+            toggle.addEventListener('change', () => this.togglePlaylistSource(source.id, toggle.checked));
+
+            const info = document.createElement('div');
+            info.className = 'playlist-info';
+
+            const name = document.createElement('span');
+            name.className = 'playlist-name';
+            name.textContent = source.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'playlist-detail';
+            if (status && status.error) {
+                detail.classList.add('has-error');
+                detail.textContent = status.error;
+            } else if (status && source.enabled) {
+                detail.textContent = `${status.channelCount} channels` +
+                    (status.warningCount ? ` · ${status.warningCount} warnings` : '');
+            } else {
+                detail.textContent = source.type === 'file' ? 'Local file' : source.url;
+            }
+
+            info.append(name, detail);
+            item.append(toggle, info);
+
+            if (source.type !== 'bundled') {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'playlist-remove';
+                removeBtn.title = 'Remove playlist';
+                removeBtn.setAttribute('aria-label', `Remove ${source.name}`);
+                removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+                removeBtn.addEventListener('click', () => this.removePlaylistSource(source.id));
+                item.append(removeBtn);
+            }
+
+            list.append(item);
+        });
+    },
+
+    /**
+     * Shows a status or error message in the playlist dialog.
+     * @param {string} message - Message text (empty to clear)
+     * @param {boolean} [isError=false] - Whether to style the message as an error
+     * @private
+     */
+    setPlaylistMessage(message, isError = false) {
+        this.elements.playlistMessage.textContent = message;
+        this.elements.playlistMessage.classList.toggle('has-error', isError);
+    },
+
+    /**
+     * Registers a remote playlist URL and reloads channels.
+     * @async
+     * @param {string} url - Playlist URL
+     */
+    async addPlaylistUrl(url) {
+        try {
+            const source = PlaylistManager.addUrl(url);
+            this.elements.playlistUrlInput.value = '';
+            await this.refreshChannels();
+            this.reportPlaylistAdded(source);
+        } catch (error) {
+            this.setPlaylistMessage(error.message, true);
+        }
+    },
+
+    /**
+     * Registers a local playlist file and reloads channels.
+     * @async
+     * @param {File} file - Picked or dropped .m3u/.m3u8 file
+     */
+    async addPlaylistFile(file) {
+        try {
+            const source = PlaylistManager.addFile(file.name, await file.text());
+            await this.refreshChannels();
+            this.reportPlaylistAdded(source);
+        } catch (error) {
+            this.setPlaylistMessage(error.message, true);
+        }
+    },
+
+    /**
+     * Reports the load result of a newly added playlist in the dialog.
+     * @param {PlaylistSource} source - The added source
+     * @private
+     */
+    reportPlaylistAdded(source) {
+        const status = PlaylistManager.getStatus(source.id);
+        if (status && status.error) {
+            this.setPlaylistMessage(`Added ${source.name}, but it failed to load: ${status.error}`, true);
+        } else {
+            this.setPlaylistMessage(`Added ${source.name} (${status ? status.channelCount : 0} channels)`);
+        }
+    },
+
+    /**
+     * Enables or disables a playlist source and reloads channels.
+     * @async
+     * @param {string} id - Source ID
+     * @param {boolean} enabled - New enabled state
+     */
+    async togglePlaylistSource(id, enabled) {
+        PlaylistManager.setEnabled(id, enabled);
+        await this.refreshChannels();
+    },
+
+    /**
+     * Removes a playlist source and reloads channels.
+     * @async
+     * @param {string} id - Source ID
+     */
+    async removePlaylistSource(id) {
+        PlaylistManager.removeSource(id);
+        await this.refreshChannels();
+    },
+
+    /**
+     * Reloads channels from the enabled playlists.
+     * The channel UI re-renders on the store's 'channels:loaded' event.
+     * @async
+     */
+    async refreshChannels() {
+        await ChannelManager.reloadChannels();
+    },
+
+    /**
+     * Re-renders the channel UI after the channel list was reloaded.
+     * Keeps the current category when it still exists.
+     * @private
+     */
+    handleChannelsLoaded() {
+        if (this.currentCategory !== 'all' && !ChannelManager.getCategories().includes(this.currentCategory)) {
+            this.currentCategory = 'all';
+        }
+
+        this.renderCategoryTabs();
+        this.selectCategory(this.currentCategory);
+        this.renderFavorites();
+
+        if (this.elements.playlistDialog.open) {
+            this.renderPlaylistSources();
+        }
+
+        // Playlist headers may list different guides now
+        this.loadGuide();
+        this.cacheLogos();
+    },
+
+    /**
+     * Registers the service worker that caches the app for offline use.
+     * Skipped where service workers are unavailable, e.g. when opened from a file.
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    },
+
+    /**
+     * Asks the service worker to cache the logos of all loaded channels.
+     * @private
+     */
+    cacheLogos() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        const urls = [...new Set(ChannelManager.getChannels().map(channel => channel.logo).filter(logo => logo))];
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.active) registration.active.postMessage({ type: 'cache-logos', urls });
+        });
+    },
+
+    /**
+     * Shows or hides the offline banner to match the network status.
+     * @private
+     */
+    updateOnlineStatus() {
+        this.elements.offlineBanner.hidden = navigator.onLine;
+    },
+
+    /**
+     * Catches up once the network is back: loads channels if none could be loaded
+     * offline, then resumes health checks and sync.
+     * @async
+     * @private
+     */
+    async handleOnline() {
+        this.updateOnlineStatus();
+
+        if (ChannelManager.getChannelCount() === 0) {
+            await this.refreshChannels();
+        }
+        this.runHealthCheck(false);
+        this.runSync();
+    },
+
+    /**
+     * Saves the user-configured XMLTV guide URL and reloads the guide.
+     * @async
+     * @param {string} url - XMLTV URL (empty to remove)
+     */
+    async saveGuideUrl(url) {
+        EPGManager.setConfiguredUrl(url);
+        this.setPlaylistMessage(url ? 'Loading programme guide…' : 'Programme guide URL removed');
+
+        const count = await this.loadGuide();
+        if (url) {
+            this.setPlaylistMessage(count > 0
+                ? `Loaded ${count} programmes`
+                : 'No programmes found; check the guide URL', count === 0);
+        }
+    },
+
+    /**
+     * Loads programme guide data and refreshes the views that show it.
+     * @async
+     * @returns {Promise<number>} Number of programmes loaded
+     */
+    async loadGuide() {
+        const count = await EPGManager.load();
+        this.renderNowNext();
+        if (this.elements.guideDialog.open) {
+            this.renderGuide();
+        }
+        return count;
+    },
+
+    /**
+     * Formats a timestamp as a short local time (e.g. '18:30').
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {string} Formatted time
+     * @private
+     */
+    formatTime(time) {
+        return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    },
+
+    /**
+     * Renders the current and next programme of the playing channel under the player.
+     * Hidden when the channel has no guide data.
+     */
+    renderNowNext() {
+        const channel = VideoPlayer.getCurrentChannel();
+        const { now, next } = channel ? EPGManager.getNowNext(channel) : { now: null, next: null };
+
+        if (!now && !next) {
+            this.elements.epgNowNext.hidden = true;
+            return;
+        }
+
+        this.elements.epgNowNext.hidden = false;
+        this.elements.epgNowTitle.textContent = now ? now.title : 'No programme information';
+        this.elements.epgNowTime.textContent = now ? `${this.formatTime(now.start)} – ${this.formatTime(now.stop)}` : '';
+        this.elements.epgNextTitle.textContent = next ? next.title : '—';
+        this.elements.epgNextTime.textContent = next ? this.formatTime(next.start) : '';
+
+        const progress = now ? (Date.now() - now.start) / (now.stop - now.start) : 0;
+        this.elements.epgProgressBar.style.width = `${Math.min(Math.max(progress, 0), 1) * 100}%`;
+    },
+
+    /**
+     * Opens the programme guide and scrolls the timeline to the current time.
+     */
+    openGuide() {
+        this.renderGuide();
+        if (!this.elements.guideDialog.open) {
+            this.elements.guideDialog.showModal();
+        }
+
+        const nowLine = this.elements.guideGrid.querySelector('.guide-now-line');
+        if (nowLine) {
+            this.elements.guideGrid.scrollLeft = Math.max(nowLine.offsetLeft - 240, 0);
+        }
+    },
+
+    /**
+     * Renders the programme guide timeline: one row per channel, starting half an hour ago.
+     * Clicking a channel or programme plays that channel.
+     */
+    renderGuide() {
+        const grid = this.elements.guideGrid;
+        grid.innerHTML = '';
+
+        if (EPGManager.programmes.size === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar-alt"></i>
+                    <p>No programme guide loaded. Add an XMLTV guide under Playlists.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const halfHour = 30 * 60 * 1000;
+        const now = Date.now();
+        const from = Math.floor(now / halfHour) * halfHour - halfHour;
+        const to = from + this.GUIDE_HOURS * 60 * 60 * 1000;
+        const toPx = time => ((time - from) / 60000) * this.GUIDE_PX_PER_MINUTE;
+
+        const timeline = document.createElement('div');
+        timeline.className = 'guide-timeline';
+        timeline.style.setProperty('--guide-width', `${toPx(to)}px`);
+
+        // Time ruler
+        const ruler = document.createElement('div');
+        ruler.className = 'guide-row guide-ruler';
+        const corner = document.createElement('div');
+        corner.className = 'guide-channel';
+        const ticks = document.createElement('div');
+        ticks.className = 'guide-programmes';
+        for (let time = from; time < to; time += halfHour) {
+            const tick = document.createElement('span');
+            tick.className = 'guide-tick';
+            tick.style.left = `${toPx(time)}px`;
+            tick.textContent = this.formatTime(time);
+            ticks.append(tick);
+        }
+        ruler.append(corner, ticks);
+        timeline.append(ruler);
+
+        // One row per channel
+        ChannelManager.getChannels().forEach(channel => {
+            const row = document.createElement('div');
+            row.className = 'guide-row';
+
+            const name = document.createElement('button');
+            name.className = 'guide-channel';
+            name.textContent = channel.name;
+            name.title = channel.name;
+            name.addEventListener('click', () => this.playFromGuide(channel.id));
+
+            const programmes = document.createElement('div');
+            programmes.className = 'guide-programmes';
+
+            const list = EPGManager.getProgrammes(channel, from, to);
+            if (list.length === 0) {
+                const empty = document.createElement('span');
+                empty.className = 'guide-empty';
+                empty.textContent = 'No programme information';
+                programmes.append(empty);
+            }
+
+            list.forEach(programme => {
+                const start = Math.max(programme.start, from);
+                const stop = Math.min(programme.stop, to);
+                const block = document.createElement('button');
+                block.className = 'guide-programme';
+                block.classList.toggle('is-live', programme.start <= now && programme.stop > now);
+                block.style.left = `${toPx(start)}px`;
+                block.style.width = `${toPx(stop) - toPx(start)}px`;
+                block.title = [programme.title, programme.subtitle, programme.description].filter(Boolean).join('\n');
+
+                const title = document.createElement('span');
+                title.className = 'guide-programme-title';
+                title.textContent = programme.title;
+                const time = document.createElement('span');
+                time.className = 'guide-programme-time';
+                time.textContent = `${this.formatTime(programme.start)} – ${this.formatTime(programme.stop)}`;
+
+                block.append(title, time);
+                block.addEventListener('click', () => this.playFromGuide(channel.id));
+                programmes.append(block);
+            });
+
+            row.append(name, programmes);
+            timeline.append(row);
+        });
+
+        const nowLine = document.createElement('div');
+        nowLine.className = 'guide-now-line';
+        nowLine.style.left = `calc(var(--guide-channel-width) + ${toPx(now)}px)`;
+        timeline.append(nowLine);
+
+        grid.append(timeline);
+    },
+
+    /**
+     * Plays a channel picked in the programme guide and closes the guide.
+     * @param {string} channelId - Channel to play
+     * @private
+     */
+    playFromGuide(channelId) {
+        this.elements.guideDialog.close();
+        this.playChannel(channelId);
+    },
+
+    /**
+     * Opens the share dialog with a link to the current view and its QR code.
+     */
+    shareChannel() {
+        const state = this.getViewState();
+        if (!state.channel && !state.channels.some(Boolean)) {
+            Toast.show('No channel is currently playing', { type: 'error' });
+            return;
+        }
+
+        this.elements.shareAutoplayToggle.checked = true;
+        this.elements.shareMutedToggle.checked = false;
+        this.elements.shareTvToggle.checked = this.tvMode;
+        this.elements.shareNativeActions.hidden = !navigator.share;
+        this.renderShareLink();
+        this.elements.shareDialog.showModal();
+    },
+
+    /**
+     * Builds the share link from the current view and the share dialog's start options.
+     * Without "Open in TV mode" the link leaves TV mode to the receiving device.
+     * @returns {string} Share link
+     * @private
+     */
+    getShareUrl() {
+        return DeepLinks.build({
+            ...this.getViewState(),
+            tv: this.elements.shareTvToggle.checked ? true : null,
+            muted: this.elements.shareMutedToggle.checked,
+            autoplay: this.elements.shareAutoplayToggle.checked
+        }, window.location.href);
+    },
+
+    /**
+     * Shows the share link and draws it as a QR code for opening on a phone.
+     * @async
+     * @private
+     */
+    async renderShareLink() {
+        const url = this.getShareUrl();
+        const qrCode = this.elements.shareQrCode;
+        this.elements.shareLinkInput.value = url;
+        qrCode.textContent = 'Drawing QR code...';
+
+        try {
+            const image = await DeepLinks.createQrCode(url);
+            // The options may have changed while the generator loaded
+            if (this.elements.shareLinkInput.value === url) qrCode.replaceChildren(image);
+        } catch (error) {
+            console.error('Failed to draw QR code:', error);
+            if (this.elements.shareLinkInput.value === url) {
+                qrCode.textContent = 'The QR code could not be drawn. Copy the link instead.';
+            }
+        }
+    },
+
+    /**
+     * Hands the share link to another app through the Web Share API.
+     * @private
+     */
+    shareToApp() {
+        const channel = VideoPlayer.getCurrentChannel() || this.cuedChannel;
+        navigator.share({
+            title: channel ? channel.name : document.title,
+            url: this.elements.shareLinkInput.value
+        }).catch(() => {});
+    },
+
+    /**
+     * Copies text to clipboard using legacy execCommand for HTTP compatibility.
+     * Shows the link in a toast to copy by hand if copy fails.
+     * @param {string} text - Text to copy
+     * @private
+     */
+    copyToClipboard(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (err) {
+            console.error('Failed to copy link:', err);
+        }
+
+        document.body.removeChild(textarea);
+
+        if (copied) {
+            Toast.show('Link copied to clipboard', { type: 'success' });
+        } else {
+            Toast.show(`Copy this link: ${text}`, { duration: 0 });
+        }
+    },
+
+    /**
+     * Loads the "hide offline channels" preference from localStorage.
+     * @private
+     */
+    loadHideOffline() {
+        this.hideOffline = localStorage.getItem(this.HIDE_OFFLINE_KEY) === 'true';
+        this.elements.hideOfflineToggle.checked = this.hideOffline;
+    },
+
+    /**
+     * Shows or hides channels found offline and persists the preference.
+     * @param {boolean} hide - True to hide offline channels
+     */
+    setHideOffline(hide) {
+        this.hideOffline = hide;
+        localStorage.setItem(this.HIDE_OFFLINE_KEY, String(hide));
+        this.renderChannels();
+    },
+
+    /**
+     * Checks stream health in the background and updates channel status badges as results arrive.
+     * @async
+     * @param {boolean} force - Check every channel, not only those with stale results
+     */
+    async runHealthCheck(force) {
+        // Every stream would look offline without a network
+        if (HealthChecker.running || !navigator.onLine) return;
+
+        const channels = ChannelManager.getChannels()
+            .filter(channel => force || HealthChecker.isStale(channel.id));
+        if (channels.length === 0) return;
+
+        this.elements.checkStreamsBtn.disabled = true;
+        let done = 0;
+        this.elements.checkStreamsLabel.textContent = `Checking 0/${channels.length}`;
+
+        await HealthChecker.checkAll(channels, {
+            onResult: (channel) => {
+                done++;
+                this.elements.checkStreamsLabel.textContent = `Checking ${done}/${channels.length}`;
+                this.updateHealthBadge(channel.id);
+            }
+        });
+
+        HealthChecker.saveResults();
+        this.elements.checkStreamsBtn.disabled = false;
+        this.elements.checkStreamsLabel.textContent = 'Check streams';
+
+        // Hidden offline channels may have changed
+        if (this.hideOffline) {
+            this.renderChannels();
+        }
+    },
+
+    /**
+     * Creates the status badge for a channel card.
+     * @param {string} channelId - Channel ID
+     * @returns {HTMLElement|null} Badge, or null if the channel has not been checked
+     * @private
+     */
+    createHealthBadge(channelId) {
+        const health = HealthChecker.getHealth(channelId);
+        if (!health) return null;
+
+        const badge = document.createElement('span');
+        badge.className = `status-badge status-${health.status}`;
+        badge.title = this.describeHealth(health);
+        return badge;
+    },
+
+    /**
+     * Describes a health result for a badge tooltip.
+     * @param {ChannelHealth} health - Health result
+     * @returns {string} Human-readable description
+     * @private
+     */
+    describeHealth(health) {
+        const parts = [health.status.charAt(0).toUpperCase() + health.status.slice(1)];
+        if (health.latency !== null) parts.push(`${health.latency} ms`);
+        if (health.status === 'degraded' && health.source) parts.push(`via ${health.source} source`);
+        if (health.status === 'offline' && health.error) parts.push(health.error);
+        if (health.lastSuccess) parts.push(`last OK ${new Date(health.lastSuccess).toLocaleString()}`);
+        return parts.join(' · ');
+    },
+
+    /**
+     * Updates the status badge of one channel card in place.
+     * @param {string} channelId - Channel ID
+     * @private
+     */
+    updateHealthBadge(channelId) {
+        const card = this.channelCards.find(c => c.dataset.channelId === channelId);
+        if (!card) return;
+
+        const existing = card.querySelector('.status-badge');
+        if (existing) existing.remove();
+
+        const badge = this.createHealthBadge(channelId);
+        if (badge) card.prepend(badge);
+    },
+
+    /**
+     * Loads theme preference from localStorage and applies it.
+     * Defaults to dark theme if no preference saved.
+     * @private
+     */
+    loadTheme() {
+        const savedTheme = localStorage.getItem(this.THEME_KEY) || 'dark';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+        this.updateThemeIcon(savedTheme);
+    },
+
+    /**
+     * Toggles between dark and light themes.
+     * Persists preference to localStorage.
+     */
+    toggleTheme() {
+        const html = document.documentElement;
+        const currentTheme = html.getAttribute('data-theme');
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+
+        html.setAttribute('data-theme', newTheme);
+        localStorage.setItem(this.THEME_KEY, newTheme);
+        this.updateThemeIcon(newTheme);
+    },
+
+    /**
+     * Updates the theme toggle button icon.
+     * @param {string} theme - Current theme ('dark' or 'light')
+     * @private
+     */
+    updateThemeIcon(theme) {
+        this.elements.themeIcon.className = theme === 'dark' ? 'fas fa-moon' : 'fas fa-sun';
+    },
+
+    /**
+     * Loads the TV mode preference.
+     * A `?tv=1` or `?tv=0` URL parameter wins for this visit; without a saved
+     * preference, TV mode starts on smart TV browsers.
+     * @private
+     */
+    loadTvMode() {
+        const saved = localStorage.getItem(this.TV_MODE_KEY);
+        this.linkedTvMode = DeepLinks.parse(window.location.search).tv;
+
+        let enabled;
+        if (this.linkedTvMode !== null) {
+            enabled = this.linkedTvMode;
+        } else if (saved !== null) {
+            enabled = saved === 'true';
+        } else {
+            enabled = this.TV_USER_AGENTS.test(navigator.userAgent);
+        }
+
+        this.setTvMode(enabled, false);
+    },
+
+    /**
+     * Turns the 10-foot TV layout (large focusable tiles) on or off.
+     * A saved choice replaces the one from a `?tv=` link.
+     * @param {boolean} enabled - Whether to show the TV layout
+     * @param {boolean} [persist=true] - Whether to save the choice
+     */
+    setTvMode(enabled, persist = true) {
+        this.tvMode = enabled;
+        document.documentElement.classList.toggle('tv-mode', enabled);
+        this.elements.tvModeBtn.setAttribute('aria-pressed', String(enabled));
+        this.elements.tvModeBtn.title = enabled ? 'Leave TV mode' : 'TV mode';
+
+        if (persist) {
+            localStorage.setItem(this.TV_MODE_KEY, String(enabled));
+            this.linkedTvMode = null;
+            this.updateUrl(false);
+        }
+    },
+
+    /**
+     * Clears the channel search box and shows the full channel list again.
+     */
+    clearSearch() {
+        this.elements.channelSearch.value = '';
+        this.searchQuery = '';
+        this.selectedIndex = -1;
+        this.renderChannels();
+        this.updateUrl(false);
+    },
+
+    /**
+     * Opens the command palette for finding a channel by name, ID, category or language.
+     */
+    openPalette() {
+        const dialog = this.elements.paletteDialog;
+        if (!dialog.open) {
+            this.elements.paletteInput.value = '';
+            this.paletteIndex = 0;
+            this.renderPaletteResults();
+            dialog.showModal();
+        }
+        this.elements.paletteInput.focus();
+    },
+
+    /**
+     * Renders the ranked command palette results for the current input.
+     * Searches all channels regardless of the selected category.
+     * @private
+     */
+    renderPaletteResults() {
+        const query = this.elements.paletteInput.value;
+        this.paletteResults = ChannelSearch.search(ChannelManager.getChannels(), query, this.PALETTE_LIMIT)
+            .map(result => result.channel);
+
+        if (this.paletteResults.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'palette-empty';
+            empty.textContent = 'No matching channels';
+            this.elements.paletteResults.replaceChildren(empty);
+            this.elements.paletteInput.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.elements.paletteResults.replaceChildren(...this.paletteResults.map((channel, index) => {
+            const item = document.createElement('li');
+            item.className = 'palette-result';
+            item.id = `palette-option-${index}`;
+            item.setAttribute('role', 'option');
+            item.addEventListener('click', () => this.playFromPalette(index));
+
+            const name = document.createElement('span');
+            name.className = 'palette-result-name';
+            name.textContent = channel.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'palette-result-meta';
+            meta.textContent = [channel.category, channel.language].filter(part => part).join(' · ');
+
+            item.append(name, meta);
+            return item;
+        }));
+
+        this.movePaletteSelection(0);
+    },
+
+    /**
+     * Moves the command palette highlight, wrapping around at either end.
+     * @param {number} direction - 1 for next, -1 for previous, 0 to refresh the current one
+     * @private
+     */
+    movePaletteSelection(direction) {
+        const count = this.paletteResults.length;
+        if (count === 0) return;
+
+        this.paletteIndex = (this.paletteIndex + direction + count) % count;
+
+        this.elements.paletteResults.querySelectorAll('.palette-result').forEach((item, index) => {
+            const active = index === this.paletteIndex;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', String(active));
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+        this.elements.paletteInput.setAttribute('aria-activedescendant', `palette-option-${this.paletteIndex}`);
+    },
+
+    /**
+     * Plays a command palette result and closes the palette.
+     * @param {number} index - Index into {@link App.paletteResults}
+     */
+    playFromPalette(index) {
+        const channel = this.paletteResults[index];
+        if (!channel) return;
+
+        this.elements.paletteDialog.close();
+        this.playChannel(channel.id);
+    },
+
+    /**
+     * Renders category filter tabs from available channels.
+     * Includes an 'All' tab plus one tab per unique category.
+     */
+    renderCategoryTabs() {
+        const categories = ['all'].concat(ChannelManager.getCategories());
+
+        this.elements.categoryTabs.replaceChildren(...categories.map(category => {
+            const tab = document.createElement('button');
+            tab.className = 'category-tab';
+            tab.classList.toggle('active', category === 'all');
+            tab.dataset.category = category;
+            tab.textContent = category === 'all' ? 'All' : category;
+            tab.addEventListener('click', () => this.selectCategory(category));
+            return tab;
+        }));
+    },
+
+    /**
+     * Selects a category and updates the UI.
+     * @param {string} category - Category to select ('all' or category name)
+     */
+    selectCategory(category) {
+        this.currentCategory = category;
+
+        // Update active tab
+        this.elements.categoryTabs.querySelectorAll('.category-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.category === category);
+        });
+
+        // Re-render channels
+        this.renderChannels();
+        this.selectedIndex = -1;
+        this.updateUrl();
+    },
+
+    // Render channel grid
+    renderChannels() {
+        const inCategory = ChannelManager.getChannelsByCategory(this.currentCategory)
+            .filter(channel => !this.hideOffline || !HealthChecker.isOffline(channel.id));
+
+        // A search ranks the category's channels by relevance
+        const channels = this.searchQuery
+            ? ChannelSearch.search(inCategory, this.searchQuery).map(result => result.channel)
+            : inCategory;
+
+        if (channels.length === 0) {
+            const offline = !navigator.onLine && ChannelManager.getChannelCount() === 0;
+            let message = this.searchQuery ? 'No channels match your search' : 'No channels in this category';
+            if (offline) {
+                message = "You're offline and no channels are saved on this device yet. They will load when you reconnect.";
+            }
+
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            const icon = document.createElement('i');
+            icon.className = `fas ${offline ? 'fa-wifi' : 'fa-tv'}`;
+            const text = document.createElement('p');
+            text.textContent = message;
+            empty.append(icon, text);
+
+            this.elements.channelGrid.replaceChildren(empty);
+            this.channelCards = [];
+            return;
+        }
+
+        const { currentChannelId } = AppStore.getState();
+
+        this.channelCards = channels.map((channel, index) => this.createChannelCard(channel, index,
+            channel.id === currentChannelId));
+        this.elements.channelGrid.replaceChildren(...this.channelCards);
+    },
+
+    /**
+     * Creates a channel grid card with its favorite button and click and focus handlers.
+     * Playlist values are only ever set as text or attributes, never parsed as HTML.
+     * @param {Channel} channel - Channel to show
+     * @param {number} index - Position in the grid
+     * @param {boolean} isActive - Whether the channel is playing
+     * @returns {HTMLElement} Card element
+     * @private
+     */
+    createChannelCard(channel, index, isActive) {
+        const hasStream = ChannelManager.isPlayable(channel);
+
+        const card = document.createElement('div');
+        card.className = 'channel-card';
+        card.classList.toggle('active', isActive);
+        card.classList.toggle('no-stream', !hasStream);
+        card.tabIndex = 0;
+        card.setAttribute('role', 'button');
+        card.dataset.channelId = channel.id;
+        card.dataset.index = String(index);
+        this.updatePlayerErrorMark(card);
+
+        const badge = this.createHealthBadge(channel.id);
+        if (badge) card.append(badge);
+
+        const favoriteBtn = document.createElement('button');
+        favoriteBtn.className = 'favorite-btn';
+        favoriteBtn.dataset.channelId = channel.id;
+        this.updateFavoriteButton(favoriteBtn, AppStore.getState().favorites.includes(channel.id));
+        const star = document.createElement('i');
+        star.className = 'fas fa-star';
+        favoriteBtn.append(star);
+        favoriteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleFavorite(channel.id);
+        });
+
+        const number = document.createElement('span');
+        number.className = 'channel-number';
+        number.title = `Channel ${channel.number}`;
+        number.textContent = channel.number;
+
+        const logo = document.createElement('div');
+        logo.className = 'channel-logo';
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-tv';
+        if (channel.logo) {
+            const img = document.createElement('img');
+            img.src = channel.logo;
+            img.alt = channel.name;
+            img.addEventListener('error', () => img.replaceWith(icon));
+            logo.appendChild(img);
+        } else {
+            logo.appendChild(icon);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'channel-name';
+        name.title = channel.name;
+        name.textContent = channel.name;
+
+        const category = document.createElement('span');
+        category.className = 'channel-category';
+        category.textContent = channel.category;
+
+        card.append(favoriteBtn, number, logo, name, category);
+
+        card.addEventListener('click', () => this.playChannel(channel.id));
+
+        // Keep the keyboard selection on the focused card
+        card.addEventListener('focus', () => {
+            this.selectedIndex = index;
+            this.updateSelectedState();
+        });
+
+        return card;
+    },
+
+    /**
+     * Plays a channel in the active player and records it in the watch history.
+     * @param {string} channelId - Channel ID
+     * @param {Object} [options]
+     * @param {boolean} [options.muted=false] - Start muted without remembering it (`?muted=1` links)
+     */
+    playChannel(channelId, options = {}) {
+        const channel = ChannelManager.getChannelById(channelId);
+        if (!channel) return;
+
+        if (!ChannelManager.isPlayable(channel)) {
+            Toast.show(`${channel.name} does not have a stream URL configured yet.`, { type: 'error' });
+            return;
+        }
+
+        // Remember the previous channel for the last channel key
+        const previous = VideoPlayer.getCurrentChannel();
+        if (previous && previous.id !== channelId) {
+            this.lastChannelId = previous.id;
+        }
+
+        // Credit time watched so far to the previous channel before switching
+        this.trackWatchTime();
+        VideoPlayer.loadChannel(channel, { muted: options.muted });
+        HistoryManager.recordPlay(channelId);
+        this.renderRecent();
+        this.showChannelBanner(channel);
+    },
+
+    /**
+     * Shows the number, name and current programme of a channel over the player for a few seconds.
+     * @param {Channel} channel - Channel switched to
+     * @private
+     */
+    showChannelBanner(channel) {
+        const { now } = EPGManager.getNowNext(channel);
+
+        this.elements.channelBannerNumber.textContent = channel.number;
+        this.elements.channelBannerName.textContent = channel.name;
+        this.elements.channelBannerNow.textContent = now ? `Now: ${now.title}` : channel.category;
+        this.elements.channelBanner.hidden = false;
+
+        clearTimeout(this.bannerTimer);
+        this.bannerTimer = setTimeout(() => {
+            this.elements.channelBanner.hidden = true;
+        }, this.BANNER_DURATION);
+    },
+
+    /**
+     * Switches back to the channel watched before the current one; pressed again, it switches back.
+     * After a restart the previous channel comes from the watch history.
+     */
+    recallLastChannel() {
+        const current = VideoPlayer.getCurrentChannel();
+        let channelId = this.lastChannelId;
+
+        if (!channelId || !ChannelManager.getChannelById(channelId)) {
+            const recent = HistoryManager.getRecentChannels()
+                .find(({ channel }) => !current || channel.id !== current.id);
+            channelId = recent ? recent.channel.id : null;
+        }
+
+        if (channelId) this.playChannel(channelId);
+    },
+
+    /**
+     * Follows the channel in the active player (a channel was played, another multi-view
+     * tile was focused, or multi-view was closed): marks it in the channel list and the
+     * page URL, selects its card and shows its programme.
+     * @param {Channel|null} channel - Channel now shown, or null when the active player is empty
+     * @private
+     */
+    handleChannelChanged(channel) {
+        const channelId = channel ? channel.id : null;
+        if (channel) this.cuedChannel = null;
+        this.updateActiveChannel(channelId);
+        this.updateUrl();
+        this.renderNowNext();
+
+        const cardIndex = this.channelCards.findIndex(card => card.dataset.channelId === channelId);
+        if (cardIndex !== -1) {
+            this.selectedIndex = cardIndex;
+        }
+    },
+
+    /**
+     * Marks the active player's channel in the channel list.
+     * @param {string|null} channelId - Channel ID, or null when the active player is empty
+     * @private
+     */
+    updateActiveChannel(channelId) {
+        this.channelCards.forEach(card => {
+            card.classList.toggle('active', card.dataset.channelId === channelId);
+        });
+    },
+
+    /**
+     * Gets the view to encode in the page URL and share links.
+     * @returns {ViewState} Current view, with the default start options
+     */
+    getViewState() {
+        const channel = VideoPlayer.getCurrentChannel() || this.cuedChannel;
+        const channels = MultiView.getPlayers().map(player => {
+            const tileChannel = player.getCurrentChannel();
+            return tileChannel ? tileChannel.id : '';
+        });
+
+        return {
+            channel: channel ? channel.id : null,
+            channels,
+            category: this.currentCategory,
+            query: this.searchQuery,
+            tv: this.linkedTvMode,
+            muted: false,
+            autoplay: true
+        };
+    },
+
+    /**
+     * Writes the current view to the page URL once the change in progress settles
+     * (entering multi-view, for example, changes the channel and the layout in turn).
+     * Nothing is written while the view is restored from the URL.
+     * @param {boolean} [push=true] - Whether to add a history entry for back and forward;
+     *        false replaces the current one (typing a search, for example)
+     * @private
+     */
+    updateUrl(push = true) {
+        if (this.restoringView) return;
+
+        this.urlUpdatePush = this.urlUpdatePush || push;
+        if (this.urlUpdate) return;
+
+        this.urlUpdate = Promise.resolve().then(() => {
+            this.urlUpdate = null;
+            this.writeUrl(this.urlUpdatePush);
+            this.urlUpdatePush = false;
+        });
+    },
+
+    /**
+     * Writes the current view to the page URL now, if it differs.
+     * @param {boolean} push - Whether to add a history entry instead of replacing the current one
+     * @private
+     */
+    writeUrl(push) {
+        const url = DeepLinks.build(this.getViewState(), window.location.href);
+        if (url === window.location.href) return;
+
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    },
+
+    /**
+     * Shows a view from the URL: its category, search and channel or multi-view channels.
+     * On page load a link without channels resumes the last watched channel, and the muted
+     * and autoplay options apply; on back and forward it leaves playback as it is.
+     * Channels that are already showing keep playing.
+     * @param {ViewState} state - View to show
+     * @param {boolean} [initial=false] - Whether the page is loading
+     */
+    applyViewState(state, initial = false) {
+        const start = initial ? { muted: state.muted, autoplay: state.autoplay } : { muted: false, autoplay: true };
+        const category = ChannelManager.getCategories().includes(state.category) ? state.category : 'all';
+
+        this.restoringView = true;
+        try {
+            this.elements.channelSearch.value = state.query;
+            this.searchQuery = state.query;
+            this.selectCategory(category);
+
+            if (state.channels.length > 0) {
+                this.showLinkedChannels(state.channels, state.channel, start);
+            } else {
+                if (MultiView.isActive()) MultiView.setLayout(1);
+
+                if (state.channel) {
+                    this.openLinkedChannel(state.channel, start);
+                } else if (initial) {
+                    this.resumeLastChannel();
+                }
+            }
+        } finally {
+            this.restoringView = false;
+        }
+
+        this.writeUrl(false);
+    },
+
+    /**
+     * Shows linked channels in multi-view, one per tile ('' leaves a tile empty).
+     * @param {string[]} channelIds - Channel IDs by tile (2 to 4)
+     * @param {string|null} focusedId - Channel whose tile gets the focus (the first tile if not listed)
+     * @param {{muted: boolean, autoplay: boolean}} start - Start options for the focused tile
+     * @private
+     */
+    showLinkedChannels(channelIds, focusedId, start) {
+        const focusIndex = Math.max(0, channelIds.indexOf(focusedId));
+        MultiView.setLayout(channelIds.length);
+        MultiView.focus(focusIndex);
+
+        MultiView.tiles.forEach((tile, index) => {
+            if (index === focusIndex) return;
+
+            const channelId = channelIds[index];
+            const current = tile.player.getCurrentChannel();
+            if (current && current.id === channelId) return;
+
+            const channel = ChannelManager.getChannelById(channelId);
+            const problem = channelId ? this.describeUnplayable(channelId) : null;
+            if (!channelId || (problem && !problem.playable)) {
+                tile.player.stop(MultiView.EMPTY_TILE_MESSAGE);
+                if (problem) tile.player.showError(problem.message);
+            } else if (problem) {
+                tile.player.stop();
+                tile.player.showPlayButton(channel, () => tile.player.loadChannel(channel), problem.message);
+            } else {
+                tile.player.loadChannel(channel);
+            }
+        });
+
+        if (channelIds[focusIndex]) {
+            this.openLinkedChannel(channelIds[focusIndex], start);
+        } else if (VideoPlayer.getCurrentChannel()) {
+            VideoPlayer.activePlayer.stop(MultiView.EMPTY_TILE_MESSAGE);
+        }
+    },
+
+    /**
+     * Plays a linked channel in the active player, or explains why it cannot.
+     * @param {string} channelId - Channel ID from the link
+     * @param {{muted: boolean, autoplay: boolean}} start - Start muted, or offer a play button instead of playing
+     * @private
+     */
+    openLinkedChannel(channelId, start) {
+        const problem = this.describeUnplayable(channelId);
+        if (problem && !problem.playable) {
+            console.log('Linked channel cannot be played:', channelId);
+            VideoPlayer.activePlayer.stop();
+            VideoPlayer.showError(problem.message);
+            return;
+        }
+
+        const current = VideoPlayer.getCurrentChannel();
+        if (current && current.id === channelId) return;
+
+        if (problem) {
+            VideoPlayer.activePlayer.stop();
+            this.cueChannel(ChannelManager.getChannelById(channelId), start.muted, problem.message);
+        } else if (start.autoplay) {
+            this.playChannel(channelId, { muted: start.muted });
+        } else {
+            this.cueChannel(ChannelManager.getChannelById(channelId), start.muted);
+        }
+    },
+
+    /**
+     * Offers a channel with a play button instead of playing it (`?autoplay=0` links and offline channels).
+     * @param {Channel} channel - Channel to offer
+     * @param {boolean} muted - Whether to start muted once played
+     * @param {string} [message] - Text under the button (defaults to the channel name)
+     * @private
+     */
+    cueChannel(channel, muted, message) {
+        this.cuedChannel = channel;
+        this.updateActiveChannel(channel.id);
+        VideoPlayer.showPlayButton(channel, () => this.playChannel(channel.id, { muted }), message);
+    },
+
+    /**
+     * Explains why a linked channel cannot be played, or is unlikely to.
+     * Channels the health check found offline stay playable: the check can fail
+     * where playback works (a stream that refuses the check's request, say).
+     * @param {string} channelId - Channel ID from a link
+     * @returns {{message: string, playable: boolean}|null} Message for the viewer and whether
+     *          to offer playing anyway, or null if the channel can be played
+     * @private
+     */
+    describeUnplayable(channelId) {
+        const channel = ChannelManager.getChannelById(channelId);
+        if (!channel) {
+            return { message: `Channel "${channelId}" was not found. Pick a channel from the list.`, playable: false };
+        }
+        if (!ChannelManager.isPlayable(channel)) {
+            return { message: `${channel.name} is off the air: it does not have a stream URL configured yet.`, playable: false };
+        }
+        if (HealthChecker.isOffline(channel.id)) {
+            return {
+                message: `${channel.name} seems to be offline: its stream did not answer the last check. Press play to try anyway, or pick another channel.`,
+                playable: true
+            };
+        }
+        return null;
+    },
+
+    // Toggle favorite (the grid and favorites row follow the store's 'favorites:changed' event)
+    toggleFavorite(channelId) {
+        FavoritesManager.toggleFavorite(channelId);
+    },
+
+    /**
+     * Shows whether a channel grid card's channel is a favorite.
+     * @param {HTMLElement} btn - The card's favorite button
+     * @param {boolean} isFavorite - Whether the channel is a favorite
+     * @private
+     */
+    updateFavoriteButton(btn, isFavorite) {
+        btn.classList.toggle('is-favorite', isFavorite);
+        btn.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+    },
+
+    /**
+     * Marks a channel grid card whose channel last failed to play, with the reason as its tooltip.
+     * @param {HTMLElement} card - Channel card
+     * @private
+     */
+    updatePlayerErrorMark(card) {
+        const failure = AppStore.getPlayerError(card.dataset.channelId);
+        card.classList.toggle('playback-failed', Boolean(failure));
+        if (failure) {
+            card.title = `Last attempt failed: ${PlaybackErrors.describe(failure.type).title}`;
+        } else {
+            card.removeAttribute('title');
+        }
+    },
+
+    /**
+     * Renders the favorites row, including favorites whose channel is no longer in any playlist.
+     * Cards can be reordered by dragging or with Shift+arrow keys.
+     */
+    renderFavorites() {
+        const folders = FavoritesManager.getFolders();
+        if (this.favoriteFolder !== 'all' && !folders.some(f => f.id === this.favoriteFolder)) {
+            this.favoriteFolder = 'all';
+        }
+
+        const entries = FavoritesManager.getFavoriteEntries(
+            this.favoriteFolder === 'all' ? undefined : this.favoriteFolder);
+
+        this.elements.favoritesSection.classList.toggle('has-favorites', FavoritesManager.getFavorites().length > 0);
+        this.renderFavoriteFolders(folders);
+
+        this.elements.favoritesGrid.replaceChildren(...entries.map(entry => this.createFavoriteCard(entry)));
+    },
+
+    /**
+     * Renders the folder filter above the favorites row (hidden when there are no folders).
+     * @param {FavoriteFolder[]} folders - Favorite folders
+     * @private
+     */
+    renderFavoriteFolders(folders) {
+        const container = this.elements.favoriteFolders;
+        container.hidden = folders.length === 0;
+
+        const options = [{ id: 'all', name: 'All' }].concat(folders);
+        container.replaceChildren(...options.map(folder => {
+            const chip = document.createElement('button');
+            chip.className = 'category-tab';
+            chip.classList.toggle('active', folder.id === this.favoriteFolder);
+            chip.textContent = folder.name;
+            chip.addEventListener('click', () => {
+                this.favoriteFolder = folder.id;
+                this.renderFavorites();
+            });
+            return chip;
+        }));
+    },
+
+    /**
+     * Creates a favorites row card with drag-and-drop and keyboard handlers.
+     * @param {FavoriteEntry} entry - Favorite to show
+     * @returns {HTMLElement} Card element
+     * @private
+     */
+    createFavoriteCard(entry) {
+        const card = document.createElement('div');
+        card.className = 'favorite-card';
+        card.dataset.channelId = entry.id;
+        card.tabIndex = 0;
+        card.draggable = true;
+
+        const logo = document.createElement('div');
+        logo.className = 'channel-logo';
+        const icon = document.createElement('i');
+        icon.className = entry.channel ? 'fas fa-tv' : 'fas fa-unlink';
+        if (entry.channel && entry.channel.logo) {
+            const img = document.createElement('img');
+            img.src = entry.channel.logo;
+            img.alt = entry.name;
+            img.addEventListener('error', () => img.replaceWith(icon));
+            logo.appendChild(img);
+        } else {
+            logo.appendChild(icon);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'channel-name';
+        name.textContent = entry.name;
+        card.append(logo, name);
+
+        if (entry.channel) {
+            card.title = entry.name;
+            card.addEventListener('click', () => this.playChannel(entry.id));
+        } else {
+            card.classList.add('unavailable');
+            card.title = `${entry.name} is no longer in your playlists`;
+        }
+
+        card.addEventListener('keydown', (e) => {
+            if (e.shiftKey && ['ArrowLeft', 'ArrowUp', 'ArrowRight', 'ArrowDown'].includes(e.key)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.moveFavoriteBy(entry.id, e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1);
+            } else if ((e.key === 'Enter' || e.key === ' ') && entry.channel) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.playChannel(entry.id);
+            }
+        });
+
+        card.addEventListener('dragstart', (e) => {
+            this.draggedFavoriteId = entry.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', entry.id);
+            card.classList.add('dragging');
+        });
+
+        card.addEventListener('dragend', () => {
+            this.draggedFavoriteId = null;
+            this.elements.favoritesGrid.querySelectorAll('.favorite-card').forEach(c => {
+                c.classList.remove('dragging', 'drop-before', 'drop-after');
+            });
+        });
+
+        card.addEventListener('dragover', (e) => {
+            if (!this.draggedFavoriteId || this.draggedFavoriteId === entry.id) return;
+            e.preventDefault();
+            const after = this.isDropAfter(card, e);
+            card.classList.toggle('drop-before', !after);
+            card.classList.toggle('drop-after', after);
+        });
+
+        card.addEventListener('dragleave', () => {
+            card.classList.remove('drop-before', 'drop-after');
+        });
+
+        card.addEventListener('drop', (e) => {
+            if (!this.draggedFavoriteId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            FavoritesManager.moveFavorite(this.draggedFavoriteId, entry.id, this.isDropAfter(card, e));
+            this.draggedFavoriteId = null;
+        });
+
+        return card;
+    },
+
+    /**
+     * Checks whether a drop lands on the right half of a card.
+     * @param {HTMLElement} card - Card under the pointer
+     * @param {DragEvent} e - Drag event
+     * @returns {boolean} True to drop after the card, false to drop before it
+     * @private
+     */
+    isDropAfter(card, e) {
+        const rect = card.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2;
+    },
+
+    /**
+     * Moves a favorite one place earlier or later among the favorites shown,
+     * keeping keyboard focus on it.
+     * @param {string} channelId - Favorite to move
+     * @param {number} direction - -1 for earlier, 1 for later
+     */
+    moveFavoriteBy(channelId, direction) {
+        const visible = Array.from(this.elements.favoritesGrid.querySelectorAll('.favorite-card'))
+            .map(card => card.dataset.channelId);
+        const neighbor = visible[visible.indexOf(channelId) + direction];
+        if (!neighbor) return;
+
+        FavoritesManager.moveFavorite(channelId, neighbor, direction > 0);
+
+        const card = Array.from(this.elements.favoritesGrid.querySelectorAll('.favorite-card'))
+            .find(c => c.dataset.channelId === channelId);
+        if (card) card.focus();
+    },
+
+    /**
+     * Opens the favorites dialog for organizing, importing and exporting favorites.
+     */
+    openFavoritesDialog() {
+        this.setFavoritesMessage('');
+        if (!this.elements.favoritesDialog.open) {
+            this.elements.favoritesDialog.showModal();
+        }
+        this.renderFavoritesDialog();
+    },
+
+    /**
+     * Renders the favorites and folders lists in the favorites dialog (skipped while it is closed).
+     * @private
+     */
+    renderFavoritesDialog() {
+        if (!this.elements.favoritesDialog.open) return;
+
+        const folders = FavoritesManager.getFolders();
+        const entries = FavoritesManager.getFavoriteEntries();
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'modal-hint';
+            empty.textContent = 'No favorites yet.';
+            this.elements.favoriteItemList.replaceChildren(empty);
+        } else {
+            this.elements.favoriteItemList.replaceChildren(...entries.map((entry, index) =>
+                this.createFavoriteListItem(entry, index, entries.length, folders)));
+        }
+
+        this.elements.favoriteFolderList.replaceChildren(...folders.map(folder => {
+            const item = document.createElement('li');
+            item.className = 'playlist-item';
+
+            const nameInput = document.createElement('input');
+            nameInput.className = 'favorite-folder-name';
+            nameInput.value = folder.name;
+            nameInput.maxLength = 40;
+            nameInput.setAttribute('aria-label', `Rename folder ${folder.name}`);
+            nameInput.addEventListener('change', () => this.renameFavoriteFolder(folder.id, nameInput.value));
+
+            const count = document.createElement('span');
+            count.className = 'playlist-detail';
+            const size = entries.filter(entry => entry.folder === folder.id).length;
+            count.textContent = `${size} ${size === 1 ? 'channel' : 'channels'}`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'playlist-remove';
+            deleteBtn.title = 'Delete folder (its favorites are kept)';
+            deleteBtn.setAttribute('aria-label', `Delete folder ${folder.name}`);
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteBtn.addEventListener('click', () => {
+                FavoritesManager.deleteFolder(folder.id);
+            });
+
+            item.append(nameInput, count, deleteBtn);
+            return item;
+        }));
+    },
+
+    /**
+     * Creates a favorites dialog row with folder, reorder and remove controls.
+     * @param {FavoriteEntry} entry - Favorite to show
+     * @param {number} index - Position in the favorites list
+     * @param {number} total - Number of favorites
+     * @param {FavoriteFolder[]} folders - Available folders
+     * @returns {HTMLElement} List item
+     * @private
+     */
+    createFavoriteListItem(entry, index, total, folders) {
+        const item = document.createElement('li');
+        item.className = 'playlist-item';
+
+        const info = document.createElement('div');
+        info.className = 'playlist-info';
+
+        const name = document.createElement('span');
+        name.className = 'playlist-name';
+        name.textContent = entry.name;
+
+        const detail = document.createElement('span');
+        detail.className = 'playlist-detail';
+        if (entry.channel) {
+            detail.textContent = entry.channel.category;
+        } else {
+            detail.classList.add('has-error');
+            detail.textContent = 'Unavailable: not in any enabled playlist';
+        }
+        info.append(name, detail);
+
+        const actions = document.createElement('div');
+        actions.className = 'favorite-item-actions';
+
+        const folderSelect = document.createElement('select');
+        folderSelect.setAttribute('aria-label', `Folder for ${entry.name}`);
+        [{ id: '', name: 'No folder' }].concat(folders).forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder.id;
+            option.textContent = folder.name;
+            option.selected = folder.id === (entry.folder || '');
+            folderSelect.append(option);
+        });
+        folderSelect.addEventListener('change', () => {
+            FavoritesManager.setFolder(entry.id, folderSelect.value || null);
+        });
+
+        const moveButton = (direction, iconName, label, disabled) => {
+            const btn = document.createElement('button');
+            btn.className = 'playlist-remove favorite-move';
+            btn.title = label;
+            btn.setAttribute('aria-label', `${label}: ${entry.name}`);
+            btn.innerHTML = `<i class="fas ${iconName}"></i>`;
+            btn.disabled = disabled;
+            btn.addEventListener('click', () => {
+                const ids = FavoritesManager.getFavorites();
+                FavoritesManager.moveFavorite(entry.id, ids[index + direction], direction > 0);
+
+                // Keep focus on the moved favorite so it can be moved again
+                const row = this.elements.favoriteItemList.children[index + direction];
+                const buttons = row ? Array.from(row.querySelectorAll('.favorite-move')) : [];
+                const next = buttons.find(b => b.title === label && !b.disabled) || buttons.find(b => !b.disabled);
+                if (next) next.focus();
+            });
+            return btn;
+        };
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'playlist-remove';
+        removeBtn.title = 'Remove from favorites';
+        removeBtn.setAttribute('aria-label', `Remove ${entry.name} from favorites`);
+        removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        removeBtn.addEventListener('click', () => {
+            this.toggleFavorite(entry.id);
+            this.renderFavoritesDialog();
+        });
+
+        actions.append(
+            folderSelect,
+            moveButton(-1, 'fa-arrow-up', 'Move up', index === 0),
+            moveButton(1, 'fa-arrow-down', 'Move down', index === total - 1),
+            removeBtn
+        );
+        item.append(info, actions);
+        return item;
+    },
+
+    /**
+     * Updates the channel grid's favorite buttons and re-renders the favorites row and dialog.
+     * @param {string[]} favorites - Favorite channel IDs
+     * @private
+     */
+    handleFavoritesChanged(favorites) {
+        this.channelCards.forEach(card => {
+            this.updateFavoriteButton(card.querySelector('.favorite-btn'), favorites.includes(card.dataset.channelId));
+        });
+        this.refreshFavorites();
+    },
+
+    /**
+     * Re-renders the favorites row and dialog.
+     * @private
+     */
+    refreshFavorites() {
+        this.renderFavorites();
+        this.renderFavoritesDialog();
+    },
+
+    /**
+     * Creates a favorites folder from the dialog form.
+     * @param {string} name - Folder name
+     */
+    createFavoriteFolder(name) {
+        try {
+            const folder = FavoritesManager.createFolder(name);
+            this.elements.favoriteFolderInput.value = '';
+            this.setFavoritesMessage(`Created folder "${folder.name}". Choose it next to a favorite to move it there.`);
+        } catch (error) {
+            this.setFavoritesMessage(error.message, true);
+        }
+    },
+
+    /**
+     * Renames a favorites folder from the dialog.
+     * @param {string} folderId - Folder ID
+     * @param {string} name - New name
+     */
+    renameFavoriteFolder(folderId, name) {
+        try {
+            FavoritesManager.renameFolder(folderId, name);
+            this.setFavoritesMessage('');
+        } catch (error) {
+            this.setFavoritesMessage(error.message, true);
+            // Put the saved name back in the field
+            this.refreshFavorites();
+        }
+    },
+
+    /**
+     * Imports favorites from a JSON export or M3U playlist file.
+     * @async
+     * @param {File} file - File chosen by the user
+     */
+    async importFavorites(file) {
+        try {
+            const { added, skipped } = FavoritesManager.importFavorites(await file.text());
+            this.setFavoritesMessage(`Imported ${added} ${added === 1 ? 'favorite' : 'favorites'}` +
+                (skipped ? ` (${skipped} already saved)` : ''));
+        } catch (error) {
+            console.error('Error importing favorites:', error);
+            this.setFavoritesMessage(error.message, true);
+        }
+    },
+
+    /**
+     * Shows a status or error message in the favorites dialog.
+     * @param {string} message - Message text (empty to clear)
+     * @param {boolean} [isError=false] - Whether to style the message as an error
+     * @private
+     */
+    setFavoritesMessage(message, isError = false) {
+        this.elements.favoritesMessage.textContent = message;
+        this.elements.favoritesMessage.classList.toggle('has-error', isError);
+    },
+
+    /**
+     * Saves text as a file download.
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Opens the sync dialog showing the current backend and its settings.
+     */
+    openSyncDialog() {
+        this.elements.syncBackendSelect.value = SyncManager.getConfig().backend || '';
+        this.renderSyncFields();
+        this.renderSyncStatus();
+        this.elements.syncDialog.showModal();
+    },
+
+    /**
+     * Renders the settings inputs of the backend chosen in the sync dialog.
+     * @private
+     */
+    renderSyncFields() {
+        const settings = SyncManager.getConfig();
+        const backend = SyncManager.getBackend(this.elements.syncBackendSelect.value);
+        const values = backend && backend.name === settings.backend ? settings.config : {};
+
+        this.elements.syncFields.replaceChildren();
+        (backend ? backend.fields : []).forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'sync-field';
+
+            const text = document.createElement('span');
+            text.textContent = field.label;
+
+            const input = document.createElement('input');
+            input.type = field.type;
+            input.name = field.name;
+            input.value = values[field.name] || '';
+            input.placeholder = field.placeholder || (field.optional ? 'Optional' : '');
+            input.required = !field.optional;
+            input.autocomplete = 'off';
+
+            label.append(text, input);
+            this.elements.syncFields.appendChild(label);
+        });
+
+        this.elements.syncFileActions.hidden = !backend || backend.automatic;
+    },
+
+    /**
+     * Shows when the last sync happened, or why it failed.
      * @private
      */
-    setupEventListeners() {
-        // Theme toggle
-        this.elements.themeToggle.addEventListener('click', () => this.toggleTheme());
-
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
-
-        // Share button
-        const shareBtn = document.getElementById('shareBtn');
-        if (shareBtn) {
-            shareBtn.addEventListener('click', () => this.shareChannel());
+    renderSyncStatus() {
+        const { backend, lastSync, lastError } = SyncManager.getConfig();
+        if (lastError) {
+            this.setSyncMessage(`Last sync failed: ${lastError}`, true);
+        } else if (backend && lastSync) {
+            this.setSyncMessage(`Last synced ${this.formatTimeAgo(lastSync).toLowerCase()}`);
+        } else {
+            this.setSyncMessage('');
         }
     },
 
     /**
-     * Shares the currently playing channel via Web Share API or clipboard.
-     * Generates a deep link URL with the channel ID parameter.
+     * Saves the backend settings from the sync dialog and syncs right away.
+     * @async
      */
-    shareChannel() {
-        const currentChannel = VideoPlayer.getCurrentChannel();
-        if (!currentChannel) {
-            alert('No channel is currently playing');
-            return;
-        }
+    async saveSyncSettings() {
+        const name = this.elements.syncBackendSelect.value;
+        const backend = SyncManager.getBackend(name);
+        const config = {};
+        this.elements.syncFields.querySelectorAll('input').forEach(input => {
+            if (input.value.trim()) config[input.name] = input.value.trim();
+        });
 
-        const shareUrl = `${window.location.origin}${window.location.pathname}?channel=${currentChannel.id}`;
+        SyncManager.saveConfig({ backend: backend ? name : null, config, lastSync: null, lastError: null });
 
-        // Use Web Share API if available (mobile)
-        if (navigator.share) {
-            navigator.share({
-                title: currentChannel.name,
-                url: shareUrl
-            }).catch(() => {});
+        if (!backend) {
+            this.setSyncMessage('Sync turned off. Data on this device is kept.');
+        } else if (!backend.automatic) {
+            this.setSyncMessage('Export a sync file here and merge it on your other device, then bring the merged file back.');
         } else {
-            // Fallback: copy to clipboard using textarea trick
-            this.copyToClipboard(shareUrl);
+            this.setSyncMessage('Syncing…');
+            await this.runSync(true);
         }
     },
 
     /**
-     * Copies text to clipboard using legacy execCommand for HTTP compatibility.
-     * Falls back to prompt dialog if copy fails.
-     * @param {string} text - Text to copy
-     * @private
+     * Syncs with the configured backend if it runs in the background.
+     * @async
+     * @param {boolean} [interactive=false] - Whether to report the result in the sync dialog
      */
-    copyToClipboard(text) {
-        const textarea = document.createElement('textarea');
-        textarea.value = text;
-        textarea.style.position = 'fixed';
-        textarea.style.opacity = '0';
-        document.body.appendChild(textarea);
-        textarea.select();
+    async runSync(interactive = false) {
+        if (!SyncManager.isAutomatic()) return;
+        if (!navigator.onLine) {
+            if (interactive) this.setSyncMessage("You're offline. Settings are saved and will sync when you reconnect.");
+            return;
+        }
 
         try {
-            document.execCommand('copy');
-            alert('Link copied to clipboard!');
-        } catch (err) {
-            prompt('Copy this link:', text);
+            const changed = await this.syncAndApply();
+            if (interactive) this.setSyncMessage(changed ? 'Synced. Changes from other devices were applied.' : 'Synced. Everything is up to date.');
+        } catch (error) {
+            if (error instanceof SyncManager.SyncInProgressError) {
+                if (interactive) this.setSyncMessage('A sync is already running. Try again in a moment.');
+                return;
+            }
+            console.error('Error syncing:', error);
+            if (interactive) this.setSyncMessage(`Sync failed: ${error.message}`, true);
         }
-
-        document.body.removeChild(textarea);
     },
 
     /**
-     * Loads theme preference from localStorage and applies it.
-     * Defaults to dark theme if no preference saved.
-     * @private
+     * Merges a sync file from another device, or just exports this device's data.
+     * The merged result is downloaded so it can be merged back on the other device.
+     * @async
+     * @param {File|null} file - Sync file to merge, or null to export only
      */
-    loadTheme() {
-        const savedTheme = localStorage.getItem(this.THEME_KEY) || 'dark';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        this.updateThemeIcon(savedTheme);
+    async syncWithFile(file) {
+        try {
+            const backend = SyncManager.getBackend('file').create({
+                text: file ? await file.text() : null,
+                save: text => this.downloadFile('streampk-sync.json', text, 'application/json')
+            });
+            await this.syncAndApply(backend);
+            this.setSyncMessage(file ? 'Merged. The combined sync file was downloaded for your other device.' : 'Sync file downloaded.');
+        } catch (error) {
+            console.error('Error syncing with file:', error);
+            this.setSyncMessage(error instanceof SyntaxError ? 'That file is not a sync file' : error.message, true);
+        }
     },
 
     /**
-     * Toggles between dark and light themes.
-     * Persists preference to localStorage.
+     * Syncs and refreshes every view that shows synced data if the sync changed it.
+     * @async
+     * @param {SyncBackend} [backend] - Backend to use (defaults to the configured one)
+     * @returns {Promise<boolean>} Whether local data changed
+     * @private
      */
-    toggleTheme() {
-        const html = document.documentElement;
-        const currentTheme = html.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+    async syncAndApply(backend) {
+        const guideUrl = EPGManager.getConfiguredUrl();
+        const { changed } = await SyncManager.sync(backend);
+        if (!changed) return false;
 
-        html.setAttribute('data-theme', newTheme);
-        localStorage.setItem(this.THEME_KEY, newTheme);
-        this.updateThemeIcon(newTheme);
+        this.loadTheme();
+        this.loadHideOffline();
+        this.renderChannels();
+        this.renderRecent();
+
+        VideoPlayer.elements.dataSaverSelect.value = QualityManager.getDataSaverMode();
+        VideoPlayer.applyQuality();
+
+        if (EPGManager.getConfiguredUrl() !== guideUrl) {
+            this.elements.epgUrlInput.value = EPGManager.getConfiguredUrl();
+            this.loadGuide();
+        }
+        return true;
     },
 
     /**
-     * Updates the theme toggle button icon.
-     * @param {string} theme - Current theme ('dark' or 'light')
+     * Shows a status or error message in the sync dialog.
+     * @param {string} message - Message text (empty to clear)
+     * @param {boolean} [isError=false] - Whether to style the message as an error
      * @private
      */
-    updateThemeIcon(theme) {
-        this.elements.themeIcon.className = theme === 'dark' ? 'fas fa-moon' : 'fas fa-sun';
+    setSyncMessage(message, isError = false) {
+        this.elements.syncMessage.textContent = message;
+        this.elements.syncMessage.classList.toggle('has-error', isError);
     },
 
     /**
-     * Renders category filter tabs from available channels.
-     * Includes an 'All' tab plus one tab per unique category.
+     * Adds the time since the last update to the current channel's watch history.
+     * Only counts time while the player is playing and the page is visible.
+     * @private
      */
-    renderCategoryTabs() {
-        const categories = ChannelManager.getCategories();
-        const tabsHtml = categories.map(category =>
-            `<button class="category-tab" data-category="${category}">${category}</button>`
-        ).join('');
+    trackWatchTime() {
+        const now = Date.now();
+        const elapsed = now - this.lastWatchTick;
+        this.lastWatchTick = now;
 
-        this.elements.categoryTabs.innerHTML =
-            `<button class="category-tab active" data-category="all">All</button>` + tabsHtml;
+        const channel = VideoPlayer.getCurrentChannel();
+        if (!channel || !VideoPlayer.isPlaying() || document.visibilityState === 'hidden') return;
 
-        // Add click handlers
-        this.elements.categoryTabs.querySelectorAll('.category-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                this.selectCategory(tab.dataset.category);
-            });
-        });
+        // Cap the increment so a suspended timer (sleeping laptop) is not counted as watching
+        HistoryManager.addWatchTime(channel.id, Math.min(elapsed, this.HISTORY_TICK * 2));
     },
 
     /**
-     * Selects a category and updates the UI.
-     * @param {string} category - Category to select ('all' or category name)
+     * Renders the "Recently watched" row.
+     * Shown while there is history, or while history is paused so it can be turned back on.
      */
-    selectCategory(category) {
-        this.currentCategory = category;
+    renderRecent() {
+        const enabled = HistoryManager.isEnabled();
+        const recent = enabled ? HistoryManager.getRecentChannels() : [];
+
+        this.elements.recentSection.classList.toggle('has-history', recent.length > 0 || !enabled);
+        this.elements.historyPaused.hidden = enabled;
+        this.elements.historyToggleBtn.textContent = enabled ? 'Pause' : 'Resume';
+        this.elements.historyToggleBtn.title = enabled ? 'Stop recording watched channels' : 'Record watched channels';
+        this.elements.clearHistoryBtn.hidden = recent.length === 0;
+
+        this.elements.recentGrid.replaceChildren(...recent.map(({ channel, lastWatched, duration }) => {
+            const card = document.createElement('div');
+            card.className = 'favorite-card';
+            card.dataset.channelId = channel.id;
+            card.title = `${channel.name} (watched ${this.formatDuration(duration)})`;
+            card.tabIndex = 0;
+            card.setAttribute('role', 'button');
+            card.addEventListener('click', () => this.playChannel(channel.id));
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.playChannel(channel.id);
+                }
+            });
 
-        // Update active tab
-        this.elements.categoryTabs.querySelectorAll('.category-tab').forEach(tab => {
-            tab.classList.toggle('active', tab.dataset.category === category);
-        });
+            const logo = document.createElement('div');
+            logo.className = 'channel-logo';
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-tv';
+            if (channel.logo) {
+                const img = document.createElement('img');
+                img.src = channel.logo;
+                img.alt = channel.name;
+                img.addEventListener('error', () => img.replaceWith(icon));
+                logo.appendChild(img);
+            } else {
+                logo.appendChild(icon);
+            }
 
-        // Re-render channels
-        this.renderChannels();
-        this.selectedIndex = -1;
+            const name = document.createElement('span');
+            name.className = 'channel-name';
+            name.textContent = channel.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'recent-meta';
+            meta.textContent = this.formatTimeAgo(lastWatched);
+
+            card.append(logo, name, meta);
+            return card;
+        }));
     },
 
-    // Render channel grid
-    renderChannels() {
-        const channels = ChannelManager.getChannelsByCategory(this.currentCategory);
+    /**
+     * Formats a duration as hours and minutes, e.g. '1h 20m' or '5m'.
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return 'under a minute';
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    },
 
-        if (channels.length === 0) {
-            this.elements.channelGrid.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-tv"></i>
-                    <p>No channels in this category</p>
-                </div>
-            `;
-            this.channelCards = [];
+    /**
+     * Formats a past time relative to now, e.g. 'Just now', '5 min ago' or '2 days ago'.
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {string} Relative time
+     */
+    formatTimeAgo(time) {
+        const minutes = Math.floor((Date.now() - time) / 60000);
+        if (minutes < 1) return 'Just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+        const days = Math.floor(hours / 24);
+        return days === 1 ? 'Yesterday' : `${days} days ago`;
+    },
+
+    // Handle keyboard and remote control navigation
+    handleKeyboard(e) {
+        const key = RemoteControl.normalizeKey(e);
+
+        // Ctrl+K / Cmd+K opens the command palette from anywhere, including inputs
+        if ((e.ctrlKey || e.metaKey) && (key === 'k' || key === 'K') &&
+            !document.querySelector('dialog[open]:not(#paletteDialog)')) {
+            e.preventDefault();
+            this.openPalette();
             return;
         }
 
-        const currentChannel = VideoPlayer.getCurrentChannel();
+        const typing = this.isEditable(e.target);
 
-        this.elements.channelGrid.innerHTML = channels.map((channel, index) => {
-            const isActive = currentChannel && currentChannel.id === channel.id;
-            const isFavorite = FavoritesManager.isFavorite(channel.id);
-            const hasStream = (channel.stream && channel.stream.length > 0) || channel.embed;
-
-            return `
-                <div class="channel-card ${isActive ? 'active' : ''} ${!hasStream ? 'no-stream' : ''}"
-                     data-channel-id="${channel.id}"
-                     data-index="${index}">
-                    <button class="favorite-btn ${isFavorite ? 'is-favorite' : ''}"
-                            data-channel-id="${channel.id}"
-                            title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
-                        <i class="fas fa-star"></i>
-                    </button>
-                    <div class="channel-logo">
-                        ${channel.logo
-                            ? `<img src="${channel.logo}" alt="${channel.name}" onerror="this.parentElement.innerHTML='<i class=\\'fas fa-tv\\'></i>'">`
-                            : '<i class="fas fa-tv"></i>'}
-                    </div>
-                    <span class="channel-name" title="${channel.name}">${channel.name}</span>
-                    <span class="channel-category">${channel.category}</span>
-                </div>
-            `;
-        }).join('');
+        // Back steps out of dialogs, menus and full-size views (Backspace too in TV mode)
+        if (RemoteControl.isBackKey(key) ||
+            (!typing && (key === 'Escape' || (key === 'Backspace' && this.tvMode)))) {
+            if (this.goBack()) e.preventDefault();
+            return;
+        }
 
-        // Cache channel cards
-        this.channelCards = Array.from(this.elements.channelGrid.querySelectorAll('.channel-card'));
+        const direction = RemoteControl.DIRECTIONS[key];
+        const dialog = document.querySelector('dialog[open]');
 
-        // Add click handlers
-        this.channelCards.forEach(card => {
-            card.addEventListener('click', (e) => {
-                // Check if favorite button was clicked
-                if (e.target.closest('.favorite-btn')) {
-                    return;
-                }
-                const channelId = card.dataset.channelId;
-                this.playChannel(channelId);
-            });
-        });
+        // Ignore if typing in an input; in TV mode Up and Down leave the field
+        if (typing) {
+            if (this.tvMode && !dialog && e.target.tagName === 'INPUT' && (key === 'ArrowUp' || key === 'ArrowDown')) {
+                e.preventDefault();
+                RemoteControl.moveFocus(direction);
+            }
+            return;
+        }
 
-        // Add favorite button handlers
-        this.elements.channelGrid.querySelectorAll('.favorite-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const channelId = btn.dataset.channelId;
-                this.toggleFavorite(channelId);
-            });
-        });
-    },
+        // Dialogs handle their own keys; in TV mode the arrows move between their controls
+        if (dialog) {
+            if (this.tvMode && direction && RemoteControl.moveFocus(direction, dialog)) {
+                e.preventDefault();
+            }
+            return;
+        }
 
-    // Play a channel
-    playChannel(channelId) {
-        const channel = ChannelManager.getChannelById(channelId);
-        if (!channel) return;
+        switch (key) {
+            case 'ChannelUp':
+            case 'ChannelDown':
+            case 'PageUp':
+            case 'PageDown':
+            case 'MediaTrackNext':
+            case 'MediaTrackPrevious':
+                e.preventDefault();
+                this.zapChannel(key === 'ChannelUp' || key === 'PageUp' || key === 'MediaTrackNext' ? 1 : -1);
+                return;
+            case 'MediaLast':
+            case 'l':
+            case 'L':
+                e.preventDefault();
+                this.recallLastChannel();
+                return;
+            case 'MediaPlayPause':
+                e.preventDefault();
+                VideoPlayer.togglePlay();
+                return;
+            case 'MediaPlay':
+                e.preventDefault();
+                VideoPlayer.play();
+                return;
+            case 'MediaPause':
+                e.preventDefault();
+                VideoPlayer.pause();
+                return;
+            case 'F11':
+                e.preventDefault();
+                this.toggleFullscreen();
+                return;
+        }
 
-        if (!channel.stream && !channel.embed) {
-            alert('This channel does not have a stream URL configured yet.');
+        // Shift, Ctrl or Alt with Up or Down changes the volume
+        if ((key === 'ArrowUp' || key === 'ArrowDown') && (e.shiftKey || e.ctrlKey || e.altKey)) {
+            e.preventDefault();
+            VideoPlayer.changeVolume(key === 'ArrowUp' ? 1 : -1);
             return;
         }
 
-        VideoPlayer.loadChannel(channel);
+        if (key === 'F' && e.shiftKey) {
+            e.preventDefault();
+            this.toggleFullscreen();
+            return;
+        }
 
-        // Update browser URL with channel parameter
-        const url = new URL(window.location);
-        url.searchParams.set('channel', channelId);
-        history.replaceState(null, '', url);
+        if (key === 'm' || key === 'M') {
+            e.preventDefault();
+            VideoPlayer.toggleMute();
+            return;
+        }
 
-        // Update active state in UI
-        this.channelCards.forEach(card => {
-            card.classList.toggle('active', card.dataset.channelId === channelId);
-        });
+        if (key === 'a' || key === 'A') {
+            e.preventDefault();
+            VideoPlayer.cycleAudioTrack();
+            return;
+        }
 
-        // Update selected index
-        const cardIndex = this.channelCards.findIndex(card => card.dataset.channelId === channelId);
-        if (cardIndex !== -1) {
-            this.selectedIndex = cardIndex;
+        if (key === 'd' || key === 'D') {
+            e.preventDefault();
+            Diagnostics.toggle();
+            return;
         }
-    },
 
-    // Toggle favorite
-    toggleFavorite(channelId) {
-        const isFavorite = FavoritesManager.toggleFavorite(channelId);
+        if (key === '/') {
+            e.preventDefault();
+            this.openPalette();
+            return;
+        }
 
-        // Update button in channel grid
-        const btn = this.elements.channelGrid.querySelector(`.favorite-btn[data-channel-id="${channelId}"]`);
-        if (btn) {
-            btn.classList.toggle('is-favorite', isFavorite);
-            btn.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+        if (key === 'g' || key === 'G') {
+            e.preventDefault();
+            this.openGuide();
+            return;
         }
 
-        // Re-render favorites section
-        this.renderFavorites();
-    },
+        if (key === 'v' || key === 'V') {
+            e.preventDefault();
+            MultiView.cycleLayout();
+            return;
+        }
 
-    // Render favorites section
-    renderFavorites() {
-        const favorites = FavoritesManager.getFavoriteChannels();
+        if (key === 'p' || key === 'P') {
+            e.preventDefault();
+            VideoPlayer.togglePictureInPicture();
+            return;
+        }
 
-        if (favorites.length === 0) {
-            this.elements.favoritesSection.classList.remove('has-favorites');
-            this.elements.favoritesGrid.innerHTML = '';
+        // Digits type a channel number
+        if (/^[0-9]$/.test(key)) {
+            if (this.enterChannelDigit(key)) e.preventDefault();
             return;
         }
 
-        this.elements.favoritesSection.classList.add('has-favorites');
+        if (key === 'Enter' && this.channelNumber) {
+            e.preventDefault();
+            this.tuneChannelNumber();
+            return;
+        }
 
-        this.elements.favoritesGrid.innerHTML = favorites.map(channel => `
-            <div class="favorite-card" data-channel-id="${channel.id}">
-                <div class="channel-logo">
-                    ${channel.logo
-                        ? `<img src="${channel.logo}" alt="${channel.name}" onerror="this.parentElement.innerHTML='<i class=\\'fas fa-tv\\'></i>'">`
-                        : '<i class="fas fa-tv"></i>'}
-                </div>
-                <span class="channel-name" title="${channel.name}">${channel.name}</span>
-            </div>
-        `).join('');
-
-        // Add click handlers
-        this.elements.favoritesGrid.querySelectorAll('.favorite-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const channelId = card.dataset.channelId;
-                this.playChannel(channelId);
-            });
-        });
-    },
+        // Arrows move focus to the nearest control on screen, across rows and the grid
+        if (direction) {
+            if (this.navigateFocus(direction)) e.preventDefault();
+            return;
+        }
 
-    // Handle keyboard navigation
-    handleKeyboard(e) {
-        // Ignore if typing in an input
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        // Buttons and links keep their own Enter and Space
+        if ((key === 'Enter' || key === ' ') && e.target.closest && e.target.closest('button, a[href], select')) {
             return;
         }
 
         const totalCards = this.channelCards.length;
         if (totalCards === 0) return;
 
-        switch (e.key) {
-            case 'ArrowUp':
-            case 'ArrowLeft':
-                e.preventDefault();
-                this.navigateChannels(-1);
-                break;
-            case 'ArrowDown':
-            case 'ArrowRight':
-                e.preventDefault();
-                this.navigateChannels(1);
-                break;
+        switch (key) {
             case 'Enter':
                 e.preventDefault();
                 if (this.selectedIndex >= 0 && this.selectedIndex < totalCards) {
@@ -397,34 +2774,162 @@ const App = {
                 e.preventDefault();
                 VideoPlayer.togglePlay();
                 break;
-            default:
-                // Number keys 1-9 for quick select
-                const num = parseInt(e.key);
-                if (num >= 1 && num <= 9 && num <= totalCards) {
-                    e.preventDefault();
-                    const channelId = this.channelCards[num - 1].dataset.channelId;
-                    this.playChannel(channelId);
-                    this.selectedIndex = num - 1;
-                    this.updateSelectedState();
-                }
-                break;
         }
     },
 
-    // Navigate channels with keyboard
-    navigateChannels(direction) {
-        const totalCards = this.channelCards.length;
+    /**
+     * Checks whether an element uses typed text or the arrow keys itself.
+     * @param {Element} element - Event target
+     * @returns {boolean} True for text fields, text areas and selects
+     * @private
+     */
+    isEditable(element) {
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+        return element.tagName === 'INPUT' &&
+            !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type);
+    },
+
+    /**
+     * Moves focus to the nearest control in a direction.
+     * Starts from the playing or selected channel card when nothing is focused yet.
+     * @param {string} direction - 'up', 'down', 'left' or 'right'
+     * @returns {boolean} True if focus moved
+     * @private
+     */
+    navigateFocus(direction) {
+        const active = document.activeElement;
+        if (!active || active === document.body) {
+            return this.focusCurrentCard();
+        }
+        return RemoteControl.moveFocus(direction) !== null;
+    },
+
+    /**
+     * Focuses the playing channel's card, else the selected one, else the first.
+     * @returns {boolean} True if a card was focused
+     * @private
+     */
+    focusCurrentCard() {
+        const card = this.channelCards.find(c => c.classList.contains('active')) ||
+            this.channelCards[this.selectedIndex] ||
+            this.channelCards[0];
+        if (!card) return false;
+
+        card.focus();
+        return true;
+    },
+
+    /**
+     * Steps back one level: closes the open dialog, a player menu or the diagnostics overlay, returns a full-size
+     * multi-view tile to the grid, leaves fullscreen, or moves focus back to the playing channel.
+     * @returns {boolean} True if there was something to step back from
+     * @private
+     */
+    goBack() {
+        const dialog = document.querySelector('dialog[open]');
+        if (dialog) {
+            dialog.close();
+            return true;
+        }
+
+        if (VideoPlayer.closeQualityMenu() || VideoPlayer.closeAudioMenu() || Diagnostics.close()) return true;
+
+        if (MultiView.promotedIndex !== -1) {
+            MultiView.togglePromote(MultiView.promotedIndex);
+            return true;
+        }
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(error => console.error('Failed to leave fullscreen:', error));
+            return true;
+        }
+
+        const card = this.channelCards.find(c => c.classList.contains('active'));
+        if (card && document.activeElement !== card) {
+            card.focus();
+            return true;
+        }
+
+        return false;
+    },
+
+    /**
+     * Shows the player (with the channel banner and on-screen displays) fullscreen, or leaves fullscreen.
+     */
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(error => console.error('Failed to leave fullscreen:', error));
+        } else if (document.fullscreenEnabled) {
+            this.elements.playerContainer.requestFullscreen()
+                .catch(error => console.error('Failed to enter fullscreen:', error));
+        }
+    },
+
+    /**
+     * Plays the next or previous playable channel in the list, wrapping around at the ends.
+     * @param {number} step - 1 for the next channel, -1 for the previous one
+     */
+    zapChannel(step) {
+        const total = this.channelCards.length;
+        const current = VideoPlayer.getCurrentChannel();
+        let index = current ? this.channelCards.findIndex(card => card.dataset.channelId === current.id) : -1;
+
+        for (let i = 0; i < total; i++) {
+            index = index === -1 ? (step > 0 ? 0 : total - 1) : (index + step + total) % total;
+            if (!this.channelCards[index].classList.contains('no-stream')) {
+                this.playChannel(this.channelCards[index].dataset.channelId);
+                this.updateSelectedState();
+                return;
+            }
+        }
+    },
+
+    /**
+     * Adds a digit to the channel number being typed and shows it on screen.
+     * Tunes as soon as no longer number exists, otherwise after a short pause or on Enter.
+     * @param {string} digit - Digit '0' to '9'
+     * @returns {boolean} True if the digit was used
+     * @private
+     */
+    enterChannelDigit(digit) {
+        const maxNumber = ChannelManager.getMaxChannelNumber();
+        if (maxNumber === 0 || (this.channelNumber === '' && digit === '0')) return false;
 
-        if (this.selectedIndex === -1) {
-            this.selectedIndex = direction === 1 ? 0 : totalCards - 1;
+        clearTimeout(this.channelNumberTimer);
+        this.channelNumber += digit;
+        this.elements.channelNumberEntry.textContent = this.channelNumber;
+        this.elements.channelNumberEntry.hidden = false;
+
+        if (parseInt(this.channelNumber, 10) * 10 > maxNumber) {
+            this.tuneChannelNumber();
         } else {
-            this.selectedIndex += direction;
-            if (this.selectedIndex < 0) this.selectedIndex = totalCards - 1;
-            if (this.selectedIndex >= totalCards) this.selectedIndex = 0;
+            this.channelNumberTimer = setTimeout(() => this.tuneChannelNumber(), this.CHANNEL_NUMBER_TIMEOUT);
+        }
+        return true;
+    },
+
+    /**
+     * Plays the channel whose number was typed, then hides the number.
+     * The channel banner takes over on success; an unknown number stays up for a moment.
+     * @private
+     */
+    tuneChannelNumber() {
+        clearTimeout(this.channelNumberTimer);
+        const number = parseInt(this.channelNumber, 10);
+        const channel = ChannelManager.getChannelByNumber(number);
+        this.channelNumber = '';
+
+        if (channel) {
+            this.elements.channelNumberEntry.hidden = true;
+            this.playChannel(channel.id);
+            this.updateSelectedState();
+            return;
         }
 
-        this.updateSelectedState();
-        this.scrollToSelected();
+        this.elements.channelNumberEntry.textContent = `No channel ${number}`;
+        this.channelNumberTimer = setTimeout(() => {
+            this.elements.channelNumberEntry.hidden = true;
+        }, 1000);
     },
 
     // Update selected visual state
@@ -434,16 +2939,6 @@ const App = {
         });
     },
 
-    // Scroll to selected card
-    scrollToSelected() {
-        if (this.selectedIndex >= 0 && this.selectedIndex < this.channelCards.length) {
-            this.channelCards[this.selectedIndex].scrollIntoView({
-                behavior: 'smooth',
-                block: 'nearest'
-            });
-        }
-    },
-
     // Toggle favorite for current/selected channel
     toggleCurrentFavorite() {
         let channelId = null;
@@ -463,26 +2958,27 @@ const App = {
         }
     },
 
-    // Auto-play first available channel on load
+    // Auto-play on load: the view in the URL, else the last watched channel, else the default channel
     autoPlayFirstChannel() {
-        // Check for channel in URL parameter first
-        const urlParams = new URLSearchParams(window.location.search);
-        const channelId = urlParams.get('channel');
+        this.applyViewState(DeepLinks.parse(window.location.search), true);
+    },
 
-        if (channelId) {
-            const channel = ChannelManager.getChannelById(channelId);
-            if (channel && (channel.stream || channel.embed)) {
-                console.log('Playing channel from URL:', channelId);
-                this.playChannel(channelId);
-                return;
-            } else {
-                console.log('Channel not found or has no stream:', channelId);
-            }
+    /**
+     * Resumes the last watched channel, or plays the default channel on a first visit.
+     * @private
+     */
+    resumeLastChannel() {
+        const lastChannelId = HistoryManager.getLastChannelId();
+        const lastChannel = lastChannelId && ChannelManager.getChannelById(lastChannelId);
+        if (ChannelManager.isPlayable(lastChannel)) {
+            console.log('Resuming last watched channel:', lastChannelId);
+            this.playChannel(lastChannelId);
+            return;
         }
 
-        // Otherwise play Dunya News as default channel
+        // First visit: play Dunya News as default channel
         const defaultChannel = ChannelManager.getChannelById('dunya-news');
-        if (defaultChannel && (defaultChannel.stream || defaultChannel.embed)) {
+        if (ChannelManager.isPlayable(defaultChannel)) {
             console.log('Playing default channel: dunya-news');
             this.playChannel('dunya-news');
         } else {
@@ -496,7 +2992,11 @@ const App = {
     }
 };
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    App.init();
-});
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = App;
+} else {
+    // Initialize app when DOM is ready
+    document.addEventListener('DOMContentLoaded', () => {
+        App.init();
+    });
+}
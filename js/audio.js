@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Audio preferences module for the live streaming application.
+ * Remembers volume, mute and the chosen audio track, for all channels or per channel.
+ */
+
+/**
+ * @typedef {Object} AudioTrackPreference
+ * @property {string} [language] - Language code of the chosen track (e.g. 'ur', 'en')
+ * @property {string} [name] - Name of the chosen track
+ */
+
+/**
+ * @typedef {Object} AudioSettings
+ * @property {number} volume - Volume from 0 to 1
+ * @property {boolean} muted - Whether audio is muted
+ * @property {AudioTrackPreference|null} track - Chosen audio track, or null for the stream's default
+ */
+
+/**
+ * Singleton manager for audio preferences.
+ * Audio tracks are stored by language and name rather than index, since
+ * track order can differ between sessions and sources.
+ * @namespace
+ */
+const AudioManager = {
+    /**
+     * localStorage key for the settings used by every channel
+     * @type {string}
+     * @constant
+     */
+    STORAGE_KEY: 'liveStreamAudio',
+
+    /**
+     * localStorage key for per-channel settings
+     * @type {string}
+     * @constant
+     */
+    CHANNEL_KEY: 'liveStreamChannelAudio',
+
+    /**
+     * localStorage key for whether settings are remembered per channel
+     * @type {string}
+     * @constant
+     */
+    PER_CHANNEL_KEY: 'liveStreamAudioPerChannel',
+
+    /**
+     * Volume change for each volume key press
+     * @type {number}
+     * @constant
+     */
+    VOLUME_STEP: 0.1,
+
+    /**
+     * Settings before anything was changed
+     * @type {AudioSettings}
+     * @constant
+     */
+    DEFAULTS: { volume: 1, muted: false, track: null },
+
+    /**
+     * Reads a JSON object from localStorage.
+     * @param {string} key - Storage key
+     * @returns {Object} Stored object, or an empty object
+     * @private
+     */
+    read(key) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.error('Error reading audio settings:', e);
+            return {};
+        }
+    },
+
+    /**
+     * Writes a JSON object to localStorage.
+     * @param {string} key - Storage key
+     * @param {Object} value - Object to store
+     * @private
+     */
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.error('Error saving audio settings:', e);
+        }
+    },
+
+    /**
+     * Checks whether settings are remembered separately for each channel.
+     * @returns {boolean} True if per-channel settings are on
+     */
+    isPerChannel() {
+        return localStorage.getItem(this.PER_CHANNEL_KEY) === 'true';
+    },
+
+    /**
+     * Turns per-channel settings on or off.
+     * Channels without settings of their own keep using the shared settings.
+     * @param {boolean} enabled - Whether to remember settings per channel
+     */
+    setPerChannel(enabled) {
+        localStorage.setItem(this.PER_CHANNEL_KEY, String(enabled));
+    },
+
+    /**
+     * Gets the settings that apply to a channel.
+     * @param {string} [channelId] - Channel ID (omit for the shared settings)
+     * @returns {AudioSettings} Settings
+     */
+    getSettings(channelId) {
+        const settings = { ...this.DEFAULTS, ...this.read(this.STORAGE_KEY) };
+
+        if (channelId && this.isPerChannel()) {
+            Object.assign(settings, this.read(this.CHANNEL_KEY)[channelId]);
+        }
+        return settings;
+    },
+
+    /**
+     * Saves changed settings, for the channel when per-channel settings are on,
+     * otherwise for every channel.
+     * @param {string|null} channelId - Channel the change was made on
+     * @param {Partial<AudioSettings>} changes - Changed settings
+     */
+    updateSettings(channelId, changes) {
+        if (channelId && this.isPerChannel()) {
+            const channels = this.read(this.CHANNEL_KEY);
+            channels[channelId] = { ...channels[channelId], ...changes };
+            this.write(this.CHANNEL_KEY, channels);
+        } else {
+            this.write(this.STORAGE_KEY, { ...this.read(this.STORAGE_KEY), ...changes });
+        }
+    },
+
+    /**
+     * Finds the track matching a remembered choice, by language first, then name.
+     * @param {AudioTrack[]} tracks - Available tracks
+     * @param {AudioTrackPreference} preference - Remembered track
+     * @returns {number} Track index, or -1 if no track matches
+     */
+    findTrack(tracks, preference) {
+        const match = tracks.find(track => preference.language && track.language === preference.language &&
+                (!preference.name || track.name === preference.name)) ||
+            tracks.find(track => preference.language && track.language === preference.language) ||
+            tracks.find(track => preference.name && track.name === preference.name);
+        return match ? match.index : -1;
+    },
+
+    /**
+     * Formats a track for display, e.g. 'Urdu (ur)'.
+     * @param {AudioTrack} track - Track to describe
+     * @returns {string} Label
+     */
+    formatTrack(track) {
+        if (track.name && track.language && track.name !== track.language) {
+            return `${track.name} (${track.language})`;
+        }
+        return track.name || track.language || `Track ${track.index + 1}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioManager;
+}
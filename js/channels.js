@@ -1,21 +1,66 @@
 /**
  * @fileoverview Channel data management module for the live streaming application.
- * Handles loading, parsing, and querying channel data from M3U8 playlists.
+ * Handles loading, parsing, merging, and querying channel data from M3U8 playlists.
  */
 
 /**
  * @typedef {Object} Channel
- * @property {string} id - Unique channel identifier (from tvg-id)
- * @property {string} name - Display name of the channel (from tvg-name)
- * @property {string} category - Channel category/group (from group-title)
+ * @property {string} id - Unique channel identifier (from tvg-id, generated from the name if missing)
+ * @property {string} name - Display name of the channel (from tvg-name, or the EXTINF title)
+ * @property {string} title - EXTINF title (text after the comma)
+ * @property {string} category - Channel category/group (from group-title or #EXTGRP)
  * @property {string} [logo] - URL to channel logo image (from tvg-logo)
- * @property {string} [stream] - HLS stream URL (.m3u8)
- * @property {string} [embed] - Alternative iframe embed URL
+ * @property {string} [chno] - Channel number (from tvg-chno)
+ * @property {number} [number] - Channel number shown and dialled in the app, set when channels are loaded
+ *     (tvg-chno when it is a free positive integer, otherwise the lowest free number in playlist order)
+ * @property {string} [language] - Broadcast language (from tvg-language)
+ * @property {string} [country] - Broadcast country (from tvg-country)
+ * @property {CatchupInfo} [catchup] - Catch-up/timeshift settings (from catchup-* attributes)
+ * @property {number} duration - EXTINF duration (-1 for live streams)
+ * @property {Object<string, string>} attributes - Every EXTINF attribute, keyed by lowercased name
+ * @property {Object<string, string>} vlcOptions - #EXTVLCOPT options (e.g. http-referrer)
+ * @property {Object<string, string>} kodiProps - #KODIPROP properties
+ * @property {string[]} groups - #EXTGRP group names
+ * @property {number} line - Line number of the #EXTINF directive
+ * @property {string} [playlistId] - ID of the playlist source the channel came from
+ * @property {string} [stream] - Primary stream URL (the URL line: an HLS stream or a YouTube link)
+ * @property {string} [embed] - Embed URL (from '# EMBED:'; a YouTube link or any embeddable page)
+ * @property {StreamSource[]} sources - Ordered playback sources (primary, alternatives, embed)
+ */
+
+/**
+ * @typedef {Object} CatchupInfo
+ * @property {string} type - Catch-up mode (from catchup, e.g. 'default', 'append', 'shift')
+ * @property {string} [days] - Days of archive available (from catchup-days)
+ * @property {string} [source] - Catch-up URL template (from catchup-source)
+ */
+
+/**
+ * @typedef {Object} StreamSource
+ * @property {string} type - Source type: 'hls' (HLS stream), 'youtube' (YouTube video or live
+ *     stream, played through the IFrame Player API) or 'iframe' (any other embeddable page)
+ * @property {string} url - Stream or embed URL
+ * @property {string} label - Human-readable label shown in the player (e.g. 'Primary')
+ * @property {string} [videoId] - YouTube video ID (youtube sources of a single video)
+ * @property {string} [channelId] - YouTube channel ID (youtube sources that follow a channel's live stream)
+ */
+
+/**
+ * @typedef {Object} PlaylistWarning
+ * @property {number} line - 1-based line number the warning refers to
+ * @property {string} message - Description of the problem
+ */
+
+/**
+ * @typedef {Object} ParsedPlaylist
+ * @property {Object<string, string>} header - Attributes of the #EXTM3U header (e.g. url-tvg)
+ * @property {Channel[]} channels - Parsed channels in playlist order
+ * @property {PlaylistWarning[]} warnings - Problems found while parsing
  */
 
 /**
  * Singleton manager for channel data operations.
- * Loads channels from M3U8 playlist and provides query methods.
+ * Loads channels from the registered M3U8 playlists and provides query methods.
  * @namespace
  */
 const ChannelManager = {
@@ -31,98 +76,602 @@ const ChannelManager = {
      */
     loaded: false,
 
+    /**
+     * #EXTM3U header attributes of each loaded playlist, keyed by playlist source ID
+     * @type {Object<string, Object<string, string>>}
+     */
+    headers: {},
+
+    /**
+     * URL schemes accepted for logos, streams and embeds. Anything else (javascript:, data:,
+     * file: or relative URLs) is dropped while parsing, so playlists cannot inject script.
+     * @type {string[]}
+     * @constant
+     */
+    ALLOWED_URL_SCHEMES: ['https:', 'http:'],
+
     /**
      * Parses M3U8 playlist content and extracts channel data.
-     * Expects EXTINF format with tvg-id, tvg-name, tvg-logo, and group-title attributes.
+     * Convenience wrapper around {@link ChannelManager.parsePlaylist} that returns only the channels.
      * @param {string} content - Raw M3U8 playlist content
      * @returns {Channel[]} Array of parsed channel objects
      */
     parseM3U8(content) {
+        return this.parsePlaylist(content).channels;
+    },
+
+    /**
+     * Parses extended M3U playlist content.
+     * Handles BOM and CRLF line endings, quoted and unquoted EXTINF attributes,
+     * #EXTVLCOPT/#KODIPROP/#EXTGRP directives, and the '# ALTERNATIVE:'/'# EMBED:' comments.
+     * Channels without tvg-id get an ID generated from their name.
+     * @param {string} content - Raw playlist content
+     * @returns {ParsedPlaylist} Header attributes, channels and line-numbered warnings
+     */
+    parsePlaylist(content) {
+        const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        const header = {};
         const channels = [];
-        const lines = content.split('\n').map(line => line.trim()).filter(line => line);
+        const warnings = [];
+        const usedIds = new Set();
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
+        let entry = null;
+        let pendingDirectives = [];
 
-            if (line.startsWith('#EXTINF:')) {
-                // Parse EXTINF line for metadata
-                const channel = {};
-
-                // Extract tvg-id
-                const idMatch = line.match(/tvg-id="([^"]+)"/);
-                if (idMatch) channel.id = idMatch[1];
-
-                // Extract tvg-name
-                const nameMatch = line.match(/tvg-name="([^"]+)"/);
-                if (nameMatch) channel.name = nameMatch[1];
-
-                // Extract tvg-logo
-                const logoMatch = line.match(/tvg-logo="([^"]+)"/);
-                if (logoMatch) channel.logo = logoMatch[1];
-
-                // Extract group-title (category)
-                const groupMatch = line.match(/group-title="([^"]+)"/);
-                if (groupMatch) channel.category = groupMatch[1];
-
-                // Fallback: extract name from end of line after comma
-                if (!channel.name) {
-                    const commaIndex = line.lastIndexOf(',');
-                    if (commaIndex !== -1) {
-                        channel.name = line.substring(commaIndex + 1).trim();
-                    }
+        const warn = (line, message) => warnings.push({ line, message });
+
+        const finishEntry = () => {
+            if (!entry) return;
+            const channel = this.buildChannel(entry, usedIds, warn);
+            if (channel) channels.push(channel);
+            entry = null;
+        };
+
+        // Directives before the URL belong to the current entry; after it, to the next one
+        const takeDirective = directive => {
+            if (entry && !entry.url) {
+                entry.directives.push(directive);
+            } else {
+                pendingDirectives.push(directive);
+            }
+        };
+
+        let seenHeader = false;
+
+        lines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('#EXTM3U')) {
+                if (seenHeader || channels.length > 0 || entry) {
+                    warn(lineNumber, 'Duplicate #EXTM3U header');
                 }
+                seenHeader = true;
+                const { attributes, errors } = this.tokenizeAttributes(line.slice('#EXTM3U'.length));
+                Object.assign(header, attributes);
+                errors.forEach(message => warn(lineNumber, message));
+                return;
+            }
+
+            if (!seenHeader) {
+                warn(lineNumber, 'Missing #EXTM3U header');
+                seenHeader = true;
+            }
+
+            if (line.startsWith('#EXTINF:')) {
+                finishEntry();
+                entry = this.parseExtInf(line.slice('#EXTINF:'.length), lineNumber, warn);
+                entry.directives = pendingDirectives;
+                pendingDirectives = [];
+                return;
+            }
+
+            if (line.startsWith('#EXTVLCOPT:') || line.startsWith('#KODIPROP:') || line.startsWith('#EXTGRP:')) {
+                const colon = line.indexOf(':');
+                takeDirective({
+                    name: line.slice(1, colon),
+                    value: line.slice(colon + 1).trim(),
+                    line: lineNumber
+                });
+                return;
+            }
 
-                // Next non-comment line should be the stream URL
-                if (i + 1 < lines.length && !lines[i + 1].startsWith('#')) {
-                    channel.stream = lines[i + 1];
-                    i++; // Skip the URL line
+            if (line.startsWith('#')) {
+                // Backup sources are encoded as comments after the stream URL, so the file stays plain M3U;
+                // their source types are derived from the URLs later (see createSource)
+                if (!entry) return;
+                const altMatch = line.match(/^#\s*ALTERNATIVE(?:\s*\([^)]*\))?:\s*(\S+)/);
+                const embedMatch = line.match(/^#\s*EMBED:\s*(\S+)/);
+                if (altMatch) {
+                    entry.alternatives.push(altMatch[1]);
+                } else if (embedMatch && !entry.embed) {
+                    entry.embed = embedMatch[1];
                 }
+                return;
+            }
+
+            // Anything else is a URL line
+            if (!entry) {
+                warn(lineNumber, 'Stream URL without a preceding #EXTINF');
+            } else if (entry.url) {
+                warn(lineNumber, 'Extra stream URL ignored; each #EXTINF takes one URL');
+            } else {
+                entry.url = line;
+            }
+        });
+
+        finishEntry();
+
+        if (!seenHeader) {
+            warn(1, 'Missing #EXTM3U header');
+        }
+
+        return { header, channels, warnings };
+    },
+
+    /**
+     * Parses the body of an #EXTINF directive: duration, attributes and title.
+     * @param {string} body - Text after '#EXTINF:'
+     * @param {number} lineNumber - Line number for warnings
+     * @param {function(number, string): void} warn - Warning collector
+     * @returns {Object} Raw playlist entry
+     * @private
+     */
+    parseExtInf(body, lineNumber, warn) {
+        const durationMatch = body.match(/^\s*(-?\d+(?:\.\d+)?)/);
+        let duration = -1;
+
+        if (durationMatch) {
+            duration = parseFloat(durationMatch[1]);
+        } else {
+            warn(lineNumber, 'Missing or invalid #EXTINF duration');
+        }
 
-                // Check for EMBED comment (for YouTube/iframe embeds)
-                for (let j = i + 1; j < lines.length && j <= i + 3; j++) {
-                    if (lines[j] && lines[j].startsWith('# EMBED:')) {
-                        channel.embed = lines[j].replace('# EMBED:', '').trim();
+        const rest = durationMatch ? body.slice(durationMatch[0].length) : body;
+        const { attributes, end, errors } = this.tokenizeAttributes(rest);
+        errors.forEach(message => warn(lineNumber, message));
+
+        let title = '';
+        if (rest[end] === ',') {
+            title = rest.slice(end + 1).trim();
+        } else {
+            warn(lineNumber, 'Missing comma before #EXTINF title');
+        }
+
+        return {
+            line: lineNumber,
+            duration,
+            attributes,
+            title,
+            url: null,
+            alternatives: [],
+            embed: null,
+            directives: []
+        };
+    },
+
+    /**
+     * Tokenizes space-separated key=value attributes.
+     * Values may be double-quoted, single-quoted or unquoted. Inside quotes a backslash
+     * escapes the next character, and a quote only closes the value when followed by
+     * a comma, the end of the text, or another key=value pair, so values may contain stray quotes.
+     * Stops at the first comma outside of a value.
+     * @param {string} text - Attribute text
+     * @returns {{attributes: Object<string, string>, end: number, errors: string[]}}
+     *          Attributes keyed by lowercased name, index where parsing stopped, and problems found
+     */
+    tokenizeAttributes(text) {
+        const attributes = {};
+        const errors = [];
+        const isSpace = ch => ch === ' ' || ch === '\t';
+        const closesValue = /^(\s*,|\s*$|\s+[^\s=,"']+=)/;
+        let pos = 0;
+
+        while (pos < text.length) {
+            while (pos < text.length && isSpace(text[pos])) pos++;
+            if (pos >= text.length || text[pos] === ',') break;
+
+            // Attribute name
+            const keyStart = pos;
+            while (pos < text.length && text[pos] !== '=' && text[pos] !== ',' && !isSpace(text[pos])) pos++;
+            const key = text.slice(keyStart, pos).toLowerCase();
+
+            if (text[pos] !== '=') {
+                errors.push(`Attribute "${key}" has no value`);
+                attributes[key] = '';
+                continue;
+            }
+            pos++; // Skip '='
+
+            // Attribute value
+            const quote = text[pos];
+            let value = '';
+
+            if (quote === '"' || quote === "'") {
+                pos++;
+                let closed = false;
+                while (pos < text.length) {
+                    const ch = text[pos];
+                    if (ch === '\\' && pos + 1 < text.length) {
+                        value += text[pos + 1];
+                        pos += 2;
+                        continue;
+                    }
+                    if (ch === quote && closesValue.test(text.slice(pos + 1))) {
+                        pos++;
+                        closed = true;
                         break;
                     }
-                    if (lines[j] && lines[j].startsWith('#EXTINF:')) break;
+                    value += ch;
+                    pos++;
                 }
-
-                // Only add if we have required fields (stream is optional - channels without streams show as disabled)
-                if (channel.id && channel.name) {
-                    channels.push(channel);
+                if (!closed) {
+                    errors.push(`Unterminated quoted value for attribute "${key}"`);
                 }
+            } else {
+                const valueStart = pos;
+                while (pos < text.length && text[pos] !== ',' && !isSpace(text[pos])) pos++;
+                value = text.slice(valueStart, pos);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(attributes, key)) {
+                errors.push(`Duplicate attribute "${key}"`);
             }
+            attributes[key] = value;
         }
 
-        return channels;
+        return { attributes, end: pos, errors };
     },
 
     /**
-     * Loads channels from the playlist.m3u8 file.
-     * Fetches the playlist from the server and parses it.
+     * Converts a raw playlist entry into a Channel record.
+     * @param {Object} entry - Entry produced by {@link ChannelManager.parseExtInf}
+     * @param {Set<string>} usedIds - IDs already taken by earlier channels
+     * @param {function(number, string): void} warn - Warning collector
+     * @returns {Channel|null} Channel, or null if the entry has no usable name
+     * @private
+     */
+    buildChannel(entry, usedIds, warn) {
+        const attrs = entry.attributes;
+        const name = attrs['tvg-name'] || entry.title;
+
+        if (!name) {
+            warn(entry.line, 'Channel has neither tvg-name nor a title; skipped');
+            return null;
+        }
+
+        const channel = {
+            id: attrs['tvg-id'],
+            name,
+            title: entry.title,
+            category: attrs['group-title'],
+            duration: entry.duration,
+            attributes: attrs,
+            vlcOptions: {},
+            kodiProps: {},
+            groups: [],
+            line: entry.line
+        };
+
+        if (attrs['tvg-logo']) {
+            if (this.isAllowedUrl(attrs['tvg-logo'])) {
+                channel.logo = attrs['tvg-logo'];
+            } else {
+                warn(entry.line, 'Logo URL is not an absolute http(s) URL; ignored');
+            }
+        }
+        if (attrs['tvg-chno']) channel.chno = attrs['tvg-chno'];
+        if (attrs['tvg-language']) channel.language = attrs['tvg-language'];
+        if (attrs['tvg-country']) channel.country = attrs['tvg-country'];
+        if (attrs['catchup']) {
+            channel.catchup = { type: attrs['catchup'] };
+            if (attrs['catchup-days']) channel.catchup.days = attrs['catchup-days'];
+            if (attrs['catchup-source']) channel.catchup.source = attrs['catchup-source'];
+        }
+
+        entry.directives.forEach(directive => {
+            if (directive.name === 'EXTGRP') {
+                channel.groups.push(directive.value);
+                return;
+            }
+            const eq = directive.value.indexOf('=');
+            if (eq === -1) {
+                warn(directive.line, `Malformed #${directive.name} directive; expected key=value`);
+                return;
+            }
+            const target = directive.name === 'EXTVLCOPT' ? channel.vlcOptions : channel.kodiProps;
+            target[directive.value.slice(0, eq).trim()] = directive.value.slice(eq + 1).trim();
+        });
+
+        if (!channel.category) {
+            channel.category = channel.groups[0] || 'Uncategorized';
+        }
+
+        if (!channel.id) {
+            channel.id = this.generateChannelId(name, usedIds);
+        } else if (usedIds.has(channel.id)) {
+            const duplicate = channel.id;
+            channel.id = this.generateChannelId(duplicate, usedIds);
+            warn(entry.line, `Duplicate tvg-id "${duplicate}"; renamed to "${channel.id}"`);
+        }
+        usedIds.add(channel.id);
+
+        const allowed = (url, kind) => {
+            if (this.isAllowedUrl(url)) return true;
+            warn(entry.line, `${kind} URL is not an absolute http(s) URL; ignored`);
+            return false;
+        };
+
+        if (entry.url && allowed(entry.url, 'Stream')) channel.stream = entry.url;
+        if (entry.embed && allowed(entry.embed, 'Embed')) channel.embed = entry.embed;
+        const alternatives = entry.alternatives.filter(url => allowed(url, 'Alternative'));
+        channel.sources = this.buildSources(channel, alternatives);
+
+        return channel;
+    },
+
+    /**
+     * Checks whether a playlist URL may be loaded or shown by the app.
+     * @param {string} url - URL from a playlist
+     * @returns {boolean} True for absolute URLs with a scheme in {@link ChannelManager.ALLOWED_URL_SCHEMES}
+     */
+    isAllowedUrl(url) {
+        try {
+            return this.ALLOWED_URL_SCHEMES.includes(new URL(url).protocol);
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Generates a stable channel ID by slugifying a name.
+     * Appends a numeric suffix when the slug is already taken.
+     * @param {string} name - Channel name (or clashing ID)
+     * @param {Set<string>} usedIds - IDs already taken
+     * @returns {string} Unique channel ID
+     * @private
+     */
+    generateChannelId(name, usedIds) {
+        const base = name
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'channel';
+
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    },
+
+    /**
+     * Builds the ordered list of playback sources for a channel.
+     * Order is: primary stream, alternatives (in playlist order), then embed.
+     * YouTube links become youtube sources wherever they appear; other stream URLs are HLS,
+     * and other embeds are plain iframes.
+     * @param {Channel} channel - Parsed channel with stream/embed fields
+     * @param {string[]} alternatives - Alternative stream URLs
+     * @returns {StreamSource[]} Ordered source list
+     * @private
+     */
+    buildSources(channel, alternatives) {
+        const sources = [];
+
+        if (channel.stream) {
+            sources.push(this.createSource(channel.stream, 'Primary', 'hls'));
+        }
+
+        alternatives.forEach((url, index) => {
+            const label = alternatives.length > 1 ? `Alternative ${index + 1}` : 'Alternative';
+            sources.push(this.createSource(url, label, 'hls'));
+        });
+
+        if (channel.embed) {
+            sources.push(this.createSource(channel.embed, 'Embed', 'iframe'));
+        }
+
+        return sources;
+    },
+
+    /**
+     * Creates a typed playback source for a URL.
+     * @param {string} url - Stream or embed URL
+     * @param {string} label - Human-readable label
+     * @param {string} fallbackType - Type to use when the URL is not a YouTube link ('hls' or 'iframe')
+     * @returns {StreamSource} Source
+     */
+    createSource(url, label, fallbackType) {
+        const youtube = this.parseYouTubeUrl(url);
+        if (youtube) {
+            return { type: 'youtube', url, label, ...youtube };
+        }
+        return { type: fallbackType, url, label };
+    },
+
+    /**
+     * Extracts the video or channel a YouTube link points to.
+     * Understands watch, embed, live, youtu.be and youtube-nocookie.com links, plus the
+     * channel live links (/channel/ID/live and /embed/live_stream?channel=ID) that always
+     * show whatever the channel is broadcasting.
+     * @param {string} url - URL to inspect
+     * @returns {{videoId: string}|{channelId: string}|null} Video or channel ID, or null if
+     *          the URL is not a recognized YouTube link
+     */
+    parseYouTubeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        const host = parsed.hostname.replace(/^(www|m)\./, '');
+        const path = parsed.pathname.split('/').filter(Boolean);
+        const videoId = id => (/^[\w-]{11}$/.test(id || '') ? { videoId: id } : null);
+        const channelId = id => (/^UC[\w-]{22}$/.test(id || '') ? { channelId: id } : null);
+
+        if (host === 'youtu.be') {
+            return videoId(path[0]);
+        }
+        if (host !== 'youtube.com' && host !== 'youtube-nocookie.com') {
+            return null;
+        }
+        if (path[0] === 'embed' && path[1] === 'live_stream') {
+            return channelId(parsed.searchParams.get('channel'));
+        }
+        if (path[0] === 'channel' && path[2] === 'live') {
+            return channelId(path[1]);
+        }
+        if (path[0] === 'watch') {
+            return videoId(parsed.searchParams.get('v'));
+        }
+        if (['embed', 'live', 'v'].includes(path[0])) {
+            return videoId(path[1]);
+        }
+        return null;
+    },
+
+    /**
+     * Loads channels from every enabled playlist source.
+     * Sources are merged in order; a channel whose tvg-id was already loaded from an earlier
+     * source is not duplicated, but its stream sources are added as extra failover sources
+     * (and become its streams if the earlier copy had nothing to play). Channels without a
+     * tvg-id are never merged; one whose generated ID is taken is renamed instead.
      * Only loads once; subsequent calls return cached data.
+     * Publishes the channels to {@link AppStore}, which emits 'channels:loaded'.
      * @async
      * @returns {Promise<Channel[]>} Array of loaded channel objects
      */
     async loadChannels() {
         if (this.loaded) return this.channels;
 
-        try {
-            const response = await fetch('playlist.m3u8');
-            if (!response.ok) {
-                throw new Error(`Failed to load playlist: ${response.status}`);
+        const sources = PlaylistManager.getEnabledSources();
+        const results = await Promise.all(sources.map(source => this.loadPlaylistSource(source)));
+
+        const merged = new Map();
+        this.headers = {};
+
+        // Only a channel whose ID is its own tvg-id is the same channel in another playlist:
+        // IDs made from a name, or renamed duplicates, say nothing about identity
+        const mergeKey = channel => {
+            const tvgId = channel.attributes['tvg-id'];
+            return tvgId && channel.id === tvgId ? tvgId : null;
+        };
+
+        results.forEach(({ source, header, channels }) => {
+            this.headers[source.id] = header;
+
+            channels.forEach(channel => {
+                channel.playlistId = source.id;
+                const existing = merged.get(channel.id);
+
+                if (!existing || !mergeKey(channel) || mergeKey(existing) !== mergeKey(channel)) {
+                    if (existing) {
+                        const duplicate = channel.id;
+                        channel.id = this.generateChannelId(duplicate, new Set(merged.keys()));
+                        console.warn(`${source.name}: "${channel.name}" uses the ID "${duplicate}" of another channel; renamed to "${channel.id}"`);
+                    }
+                    merged.set(channel.id, channel);
+                    return;
+                }
+
+                if (!this.isPlayable(existing)) {
+                    // The earlier copy is only a placeholder (e.g. a disabled HTTP stream)
+                    existing.stream = channel.stream;
+                    existing.embed = channel.embed;
+                }
+                channel.sources
+                    .filter(extra => !existing.sources.some(s => s.url === extra.url))
+                    .forEach(extra => existing.sources.push({ ...extra, label: `${extra.label} (${source.name})` }));
+            });
+        });
+
+        this.channels = this.assignNumbers([...merged.values()]);
+        this.loaded = true;
+        console.log(`Loaded ${this.channels.length} channels from ${sources.length} playlist(s)`);
+        AppStore.setChannels(this.channels);
+
+        return this.channels;
+    },
+
+    /**
+     * Numbers channels and sorts them by number.
+     * A tvg-chno that is a positive integer is kept unless an earlier channel already took it;
+     * every other channel gets the lowest number not taken yet, in playlist order.
+     * @param {Channel[]} channels - Channels in playlist order
+     * @returns {Channel[]} The same channels with `number` set, sorted by number
+     */
+    assignNumbers(channels) {
+        const taken = new Set();
+
+        const pending = channels.filter(channel => {
+            const chno = /^\d+$/.test(channel.chno || '') ? parseInt(channel.chno, 10) : 0;
+            if (chno > 0 && !taken.has(chno)) {
+                channel.number = chno;
+                taken.add(chno);
+                return false;
             }
-            const content = await response.text();
-            this.channels = this.parseM3U8(content);
-            this.loaded = true;
-            console.log(`Loaded ${this.channels.length} channels from playlist.m3u8`);
+            if (channel.chno) {
+                console.warn(`${channel.name}: tvg-chno "${channel.chno}" is not a free channel number, numbering automatically`);
+            }
+            return true;
+        });
+
+        let next = 1;
+        pending.forEach(channel => {
+            while (taken.has(next)) next++;
+            channel.number = next;
+            taken.add(next);
+        });
+
+        return channels.sort((a, b) => a.number - b.number);
+    },
+
+    /**
+     * Fetches and parses a single playlist source, recording its load status.
+     * Failures are logged and yield an empty channel list so other sources still load.
+     * @async
+     * @param {PlaylistSource} source - Source to load
+     * @returns {Promise<{source: PlaylistSource, header: Object<string, string>, channels: Channel[]}>}
+     * @private
+     */
+    async loadPlaylistSource(source) {
+        try {
+            const content = await PlaylistManager.fetchContent(source);
+            const { header, channels, warnings } = this.parsePlaylist(content);
+
+            warnings.forEach(w => console.warn(`${source.name}:${w.line}: ${w.message}`));
+            PlaylistManager.setStatus(source.id, {
+                channelCount: channels.length,
+                warningCount: warnings.length,
+                error: null
+            });
+
+            return { source, header, channels };
         } catch (error) {
-            console.error('Error loading playlist:', error);
-            this.channels = [];
-            this.loaded = true;
+            console.error(`Error loading playlist ${source.name}:`, error);
+            PlaylistManager.setStatus(source.id, {
+                channelCount: 0,
+                warningCount: 0,
+                error: error.message
+            });
+
+            return { source, header: {}, channels: [] };
         }
+    },
 
-        return this.channels;
+    /**
+     * Discards cached channels and loads them again from the enabled sources.
+     * Call after playlist sources were added, removed, enabled or disabled.
+     * @async
+     * @returns {Promise<Channel[]>} Array of reloaded channel objects
+     */
+    async reloadChannels() {
+        this.loaded = false;
+        return this.loadChannels();
     },
 
     /**
@@ -164,11 +713,38 @@ const ChannelManager = {
     },
 
     /**
-     * Gets channels that have valid stream URLs.
-     * @returns {Channel[]} Array of channels with non-empty stream property
+     * Finds a channel by its number.
+     * @param {number} number - Channel number
+     * @returns {Channel|undefined} The channel object, or undefined if no channel has that number
+     */
+    getChannelByNumber(number) {
+        return this.channels.find(ch => ch.number === number);
+    },
+
+    /**
+     * Gets the highest channel number in use.
+     * @returns {number} Highest channel number, or 0 when no channels are loaded
+     */
+    getMaxChannelNumber() {
+        return this.channels.reduce((max, ch) => Math.max(max, ch.number || 0), 0);
+    },
+
+    /**
+     * Checks whether a channel has anything to play: a stream, an alternative or an embed.
+     * A channel whose primary URL is missing or was rejected still plays from its alternatives.
+     * @param {Channel} channel - Channel to check
+     * @returns {boolean} True if the channel has at least one playback source
+     */
+    isPlayable(channel) {
+        return Boolean(channel && channel.sources && channel.sources.length > 0);
+    },
+
+    /**
+     * Gets channels that have something to play.
+     * @returns {Channel[]} Channels for which {@link ChannelManager.isPlayable} is true
      */
     getActiveChannels() {
-        return this.channels.filter(ch => ch.stream && ch.stream.length > 0);
+        return this.channels.filter(ch => this.isPlayable(ch));
     },
 
     /**
@@ -180,10 +756,14 @@ const ChannelManager = {
     },
 
     /**
-     * Gets the number of channels with valid streams.
+     * Gets the number of channels with something to play.
      * @returns {number} Active channel count
      */
     getActiveChannelCount() {
         return this.getActiveChannels().length;
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelManager;
+}
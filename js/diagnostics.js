@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Stream diagnostics module for the live streaming application.
+ * Shows a "stats for nerds" overlay over the player and builds a debug report
+ * for the people maintaining the playlist.
+ */
+
+/**
+ * @typedef {Object} DiagnosticsSnapshot
+ * @property {Channel|null} channel - Channel of the active player
+ * @property {StreamSource|null} source - Source being played
+ * @property {number} sourceIndex - Index of that source among the playable ones
+ * @property {StreamSource[]} sources - Playable sources, in failover order
+ * @property {StreamSource[]} skippedSources - Sources this page cannot load (mixed content)
+ * @property {string|null} engine - Label of the playback engine
+ * @property {PlaybackStats|null} stats - Playback statistics
+ * @property {number} failoverCount - Source switches since the last successful playback
+ * @property {PlaybackLogEntry[]} errors - Recent errors and warnings, oldest first
+ * @property {PlaybackFailure|null} failure - Why the channel could not be played, if it failed
+ */
+
+/**
+ * Singleton diagnostics overlay.
+ * Reads everything from the active player, so it follows the focused multi-view tile.
+ * @namespace
+ */
+const Diagnostics = {
+    /**
+     * Milliseconds between overlay refreshes while it is open
+     * @type {number}
+     * @constant
+     */
+    REFRESH_INTERVAL: 1000,
+
+    /**
+     * Milliseconds the copy button shows its result before resetting
+     * @type {number}
+     * @constant
+     */
+    COPY_FEEDBACK_DURATION: 2000,
+
+    /**
+     * Refresh timer ID while the overlay is open
+     * @type {number|null}
+     * @private
+     */
+    refreshTimer: null,
+
+    /**
+     * Copy button feedback timer ID
+     * @type {number|null}
+     * @private
+     */
+    copyTimer: null,
+
+    /**
+     * Cached DOM element references
+     * @type {Object}
+     */
+    elements: {
+        overlay: null,
+        stats: null,
+        errors: null,
+        copyBtn: null,
+        closeBtn: null,
+        toggleBtn: null
+    },
+
+    /**
+     * Initializes the overlay by caching DOM element references and wiring its buttons.
+     * Must be called after {@link VideoPlayer.init}.
+     */
+    init() {
+        this.elements.overlay = document.getElementById('diagnosticsOverlay');
+        this.elements.stats = document.getElementById('diagnosticsStats');
+        this.elements.errors = document.getElementById('diagnosticsErrors');
+        this.elements.copyBtn = document.getElementById('diagnosticsCopyBtn');
+        this.elements.closeBtn = document.getElementById('diagnosticsCloseBtn');
+        this.elements.toggleBtn = document.getElementById('diagnosticsBtn');
+
+        this.elements.copyBtn.addEventListener('click', () => this.copyReport());
+        this.elements.closeBtn.addEventListener('click', () => this.toggle(false));
+        this.elements.toggleBtn.addEventListener('click', () => this.toggle());
+    },
+
+    /**
+     * Checks whether the overlay is shown.
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !this.elements.overlay.hidden;
+    },
+
+    /**
+     * Shows or hides the overlay, refreshing it every {@link Diagnostics.REFRESH_INTERVAL} while shown.
+     * @param {boolean} [open] - Whether to show it (toggles when omitted)
+     */
+    toggle(open) {
+        const show = open === undefined ? !this.isOpen() : open;
+        this.elements.overlay.hidden = !show;
+        this.elements.toggleBtn.setAttribute('aria-pressed', String(show));
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (show) {
+            this.render();
+            this.refreshTimer = setInterval(() => this.render(), this.REFRESH_INTERVAL);
+        }
+    },
+
+    /**
+     * Hides the overlay if it is shown.
+     * @returns {boolean} True if it was open
+     */
+    close() {
+        if (!this.isOpen()) return false;
+        this.toggle(false);
+        return true;
+    },
+
+    /**
+     * Collects the current state of a player.
+     * @param {StreamPlayer} [player] - Player to inspect (defaults to the active player)
+     * @returns {DiagnosticsSnapshot} Snapshot
+     */
+    collect(player = VideoPlayer.activePlayer) {
+        return {
+            channel: player.getCurrentChannel(),
+            source: player.getSource(),
+            sourceIndex: player.sourceIndex,
+            sources: player.sources,
+            skippedSources: player.skippedSources,
+            engine: player.getEngineLabel(),
+            stats: player.getStats(),
+            failoverCount: player.failoverCount,
+            errors: player.errorLog,
+            failure: player.failure
+        };
+    },
+
+    /**
+     * Gets the labelled values shown in the overlay and the report.
+     * @param {DiagnosticsSnapshot} snapshot - Player state
+     * @returns {Array<[string, string]>} Label and value pairs
+     * @private
+     */
+    getRows(snapshot) {
+        const stats = snapshot.stats || {};
+        const unknown = '–';
+        const seconds = value => value === null || value === undefined ? unknown : `${value.toFixed(1)} s`;
+        const bits = value => value ? this.formatBitrate(value) : unknown;
+
+        let frames = unknown;
+        if (stats.totalFrames !== null && stats.totalFrames !== undefined) {
+            frames = `${stats.droppedFrames} dropped of ${stats.totalFrames}`;
+        }
+
+        return [
+            ['Channel', snapshot.channel ? `${snapshot.channel.name} (${snapshot.channel.id})` : unknown],
+            ['Source', snapshot.source
+                ? `${snapshot.source.label} [${snapshot.source.type}] (${snapshot.sourceIndex + 1} of ${snapshot.sources.length})`
+                : unknown],
+            ['URL', snapshot.source ? snapshot.source.url : unknown],
+            ['Engine', snapshot.engine || unknown],
+            ['Resolution', stats.width && stats.height ? `${stats.width}×${stats.height}` : unknown],
+            ['Bitrate', bits(stats.bitrate)],
+            ['Bandwidth', bits(stats.bandwidthEstimate)],
+            ['Buffer', seconds(stats.bufferLength)],
+            ['Frames', frames],
+            ['Behind live', seconds(stats.latency)],
+            ['Failovers', String(snapshot.failoverCount)],
+            ['Diagnosis', snapshot.failure ? PlaybackErrors.describe(snapshot.failure.type).title : 'none'],
+            ['Skipped', snapshot.skippedSources.length > 0
+                ? snapshot.skippedSources.map(source => `${source.label}: ${source.url}`).join(', ') +
+                    ' (http:// blocked on this https:// page)'
+                : 'none']
+        ];
+    },
+
+    /**
+     * Formats bits per second, e.g. '2.5 Mbps'.
+     * @param {number} bitsPerSecond - Bitrate
+     * @returns {string} Formatted bitrate
+     * @private
+     */
+    formatBitrate(bitsPerSecond) {
+        if (bitsPerSecond >= 1e6) return `${(bitsPerSecond / 1e6).toFixed(1)} Mbps`;
+        return `${Math.round(bitsPerSecond / 1e3)} kbps`;
+    },
+
+    /**
+     * Describes a logged error or warning on one line, including its HTTP status.
+     * A status of 0 means the browser got no response it was allowed to read.
+     * @param {PlaybackLogEntry} entry - Log entry
+     * @returns {string} Description
+     */
+    describeEntry(entry) {
+        const parts = [
+            new Date(entry.time).toLocaleTimeString(),
+            entry.level.toUpperCase(),
+            `${entry.source} via ${entry.engine || 'no engine'}`,
+            entry.message || entry.reason
+        ];
+
+        if (entry.status === 0) {
+            parts.push('no response (CORS, network or certificate)');
+        } else if (entry.status) {
+            parts.push(`HTTP ${entry.status}`);
+        }
+        if (entry.url && entry.url !== entry.sourceUrl) {
+            parts.push(entry.url);
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Renders the active player's state into the overlay.
+     * @private
+     */
+    render() {
+        const snapshot = this.collect();
+
+        const rows = this.getRows(snapshot).map(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            return [term, description];
+        });
+        this.elements.stats.replaceChildren(...rows.flat());
+
+        if (snapshot.errors.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'diagnostics-empty';
+            empty.textContent = 'No errors';
+            this.elements.errors.replaceChildren(empty);
+            return;
+        }
+
+        this.elements.errors.replaceChildren(...snapshot.errors.slice().reverse().map(entry => {
+            const item = document.createElement('li');
+            item.className = `diagnostics-${entry.level}`;
+            item.textContent = this.describeEntry(entry);
+            return item;
+        }));
+    },
+
+    /**
+     * Builds a plain-text debug report of a player and the browser.
+     * @param {StreamPlayer} [player] - Player to report on (defaults to the active player)
+     * @returns {string} Report
+     */
+    buildReport(player) {
+        const snapshot = this.collect(player);
+        const lines = [
+            'StreamPK debug report',
+            `Time: ${new Date().toISOString()}`,
+            `Page: ${window.location.href}`,
+            `User agent: ${navigator.userAgent}`,
+            `Online: ${navigator.onLine}`,
+            ''
+        ];
+
+        this.getRows(snapshot).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+
+        lines.push('', 'Sources:');
+        snapshot.sources.forEach((source, i) => {
+            lines.push(`  ${i + 1}. ${source.label} [${source.type}] ${source.url}`);
+        });
+
+        lines.push('', 'Recent errors:');
+        if (snapshot.errors.length === 0) {
+            lines.push('  none');
+        }
+        snapshot.errors.forEach(entry => {
+            lines.push(`  ${this.describeEntry(entry)}`);
+            if (entry.detail) lines.push(`    ${JSON.stringify(entry.detail)}`);
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Copies the debug report to the clipboard and shows the result on the copy button.
+     * Uses execCommand where the Clipboard API is unavailable (plain HTTP pages).
+     * @async
+     * @param {StreamPlayer} [player] - Player to report on (defaults to the active player)
+     * @returns {Promise<boolean>} True if the report was copied
+     */
+    async copyReport(player) {
+        const report = this.buildReport(player);
+        let copied = false;
+
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(report);
+                copied = true;
+            } else {
+                copied = this.copyWithTextarea(report);
+            }
+        } catch (error) {
+            console.error('Failed to copy debug report:', error);
+            copied = this.copyWithTextarea(report);
+        }
+
+        const button = this.elements.copyBtn;
+        button.textContent = copied ? 'Copied!' : 'Copy failed';
+        clearTimeout(this.copyTimer);
+        this.copyTimer = setTimeout(() => {
+            button.textContent = 'Copy debug report';
+        }, this.COPY_FEEDBACK_DURATION);
+        return copied;
+    },
+
+    /**
+     * Copies text through a hidden textarea and execCommand.
+     * @param {string} text - Text to copy
+     * @returns {boolean} True if the copy succeeded
+     * @private
+     */
+    copyWithTextarea(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            console.error('Failed to copy debug report:', error);
+        }
+
+        document.body.removeChild(textarea);
+        return copied;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Diagnostics;
+}
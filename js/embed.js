@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Embeddable player for the live streaming application (embed.html).
+ * Plays one channel without the app's chrome, reusing {@link VideoPlayer}, and lets
+ * the embedding page control it through postMessage. Only allowlisted origins may embed it.
+ */
+
+/**
+ * @typedef {Object} EmbedOptions
+ * @property {string|null} channel - Channel ID to play (`?channel=`)
+ * @property {boolean} autoplay - Start playing at once instead of showing a play button (`?autoplay=`, default on)
+ * @property {boolean} muted - Start muted (`?muted=`, default off; browsers often block autoplay with sound)
+ * @property {boolean} controls - Show the control bar (`?controls=`, default on)
+ */
+
+/**
+ * @typedef {Object} EmbedChannel
+ * @property {string} id - Channel ID
+ * @property {string} name - Channel name
+ * @property {number} number - Channel number
+ * @property {string} category - Category
+ */
+
+/**
+ * @typedef {Object} EmbedState
+ * @property {EmbedChannel|null} channel - Channel shown (loaded, or waiting for play)
+ * @property {boolean} playing - Whether the stream is playing
+ * @property {boolean} muted - Whether the player is muted
+ * @property {number} volume - Volume from 0 to 1
+ * @property {string|null} error - Failure type if every source failed (see {@link PlaybackErrors.CLASSES})
+ */
+
+/**
+ * Singleton controller for the embedded player.
+ *
+ * The embedding page sends `{type: 'streampk:command', command, id, ...}` messages and gets
+ * `{type: 'streampk:response', id, result}` (or `error`) back. Commands: 'play', 'pause',
+ * 'setChannel' (with `channel`, a channel ID) and 'getState'; each responds with the {@link EmbedState}.
+ * The player sends `{type: 'streampk:event', event, data}` for 'ready', 'channelchange',
+ * 'play', 'pause' and 'error'.
+ * @namespace
+ */
+const EmbedWidget = {
+    /**
+     * Origins allowed to embed the player and send it commands, read from the
+     * `data-allowed-origins` attribute of embed.html's body on init.
+     * An entry is an exact origin ('https://example.com'), a subdomain wildcard
+     * ('https://*.example.com') or '*' for any site. The app's own origin is always allowed,
+     * so an empty list allows only the app itself.
+     * @type {string[]}
+     */
+    allowedOrigins: [],
+
+    /**
+     * Prefix of every message type the player sends or accepts
+     * @type {string}
+     * @constant
+     */
+    MESSAGE_PREFIX: 'streampk:',
+
+    /**
+     * Options read from the URL
+     * @type {EmbedOptions|null}
+     */
+    options: null,
+
+    /**
+     * Window of the embedding page (null when the player is opened on its own)
+     * @type {Window|null}
+     * @private
+     */
+    parent: null,
+
+    /**
+     * Origin of the embedding page, or null if the browser does not reveal it
+     * @type {string|null}
+     * @private
+     */
+    parentOrigin: null,
+
+    /**
+     * Channel waiting for play when autoplay is off
+     * @type {Channel|null}
+     * @private
+     */
+    pendingChannel: null,
+
+    /**
+     * Whether a channel was loaded yet (the muted option only applies to the first one)
+     * @type {boolean}
+     * @private
+     */
+    started: false,
+
+    /**
+     * Cached DOM element references
+     * @type {Object}
+     */
+    elements: {
+        bar: null,
+        overlay: null,
+        watchLink: null
+    },
+
+    /**
+     * Initializes the embedded player: checks the embedding origin, loads channels and
+     * plays (or offers to play) the channel in the URL.
+     * @async
+     */
+    async init() {
+        this.options = this.parseOptions(window.location.search);
+        this.elements.bar = document.getElementById('embedBar');
+        this.elements.overlay = document.getElementById('playerOverlay');
+        this.elements.watchLink = document.getElementById('embedWatchLink');
+        this.elements.bar.hidden = !this.options.controls;
+        this.allowedOrigins = this.readAllowedOrigins(document.body);
+
+        Toast.init();
+        VideoPlayer.init();
+        Diagnostics.init();
+
+        if (window.parent !== window) {
+            this.parentOrigin = this.getParentOrigin();
+            if (!this.isOriginAllowed(this.parentOrigin)) {
+                console.warn(`Embedding from ${this.parentOrigin || 'an unknown origin'} is not allowed`);
+                VideoPlayer.showError('This player cannot be embedded on this site.');
+                return;
+            }
+            this.parent = window.parent;
+        }
+
+        window.addEventListener('message', (e) => this.handleMessage(e));
+        this.subscribe();
+
+        await ChannelManager.loadChannels();
+
+        const channel = this.options.channel ? ChannelManager.getChannelById(this.options.channel) : null;
+        if (!channel) {
+            VideoPlayer.showError(this.options.channel
+                ? `Channel "${this.options.channel}" was not found.`
+                : 'No channel chosen. Add ?channel=<id> to the address.');
+        } else if (this.options.autoplay) {
+            this.load(channel);
+        } else {
+            this.showPlayButton(channel);
+        }
+
+        this.emitEvent('ready', this.getState());
+    },
+
+    /**
+     * Reads the embed options from a query string.
+     * Flags are read with {@link DeepLinks.readFlag}.
+     * @param {string} search - Query string, e.g. '?channel=geo-news&muted=1'
+     * @returns {EmbedOptions} Options
+     */
+    parseOptions(search) {
+        const params = new URLSearchParams(search);
+        return {
+            channel: params.get('channel') || null,
+            autoplay: DeepLinks.readFlag(params, 'autoplay', true),
+            muted: DeepLinks.readFlag(params, 'muted', false),
+            controls: DeepLinks.readFlag(params, 'controls', true)
+        };
+    },
+
+    /**
+     * Reads the allowed origins from an element's `data-allowed-origins` attribute.
+     * @param {HTMLElement} element - Element carrying the attribute (embed.html's body)
+     * @returns {string[]} Origins, separated by spaces or commas in the attribute
+     */
+    readAllowedOrigins(element) {
+        return (element.dataset.allowedOrigins || '').split(/[\s,]+/).filter(origin => origin);
+    },
+
+    /**
+     * Works out the embedding page's origin from the browser's ancestor origins or the referrer.
+     * @returns {string|null} Origin, or null if neither is available or the origin is opaque
+     * @private
+     */
+    getParentOrigin() {
+        let origin = null;
+        const ancestors = window.location.ancestorOrigins;
+        if (ancestors && ancestors.length > 0) {
+            origin = ancestors[0];
+        } else {
+            try {
+                origin = document.referrer ? new URL(document.referrer).origin : null;
+            } catch (e) {
+                origin = null;
+            }
+        }
+        return origin === 'null' ? null : origin;
+    },
+
+    /**
+     * Checks an origin against {@link EmbedWidget.allowedOrigins}.
+     * An unknown (null) origin is only allowed by '*'.
+     * @param {string|null} origin - Origin to check
+     * @returns {boolean} True if the origin may embed the player
+     */
+    isOriginAllowed(origin) {
+        if (this.allowedOrigins.includes('*')) return true;
+        if (!origin || origin === 'null') return false;
+        if (origin === window.location.origin) return true;
+
+        return this.allowedOrigins.some(allowed => {
+            const wildcard = allowed.match(/^(https?:\/\/)\*\.(.+)$/);
+            if (!wildcard) return allowed === origin;
+            return origin.startsWith(wildcard[1]) && origin.endsWith(`.${wildcard[2]}`);
+        });
+    },
+
+    /**
+     * Forwards player and store events to the embedding page.
+     * @private
+     */
+    subscribe() {
+        AppStore.on('channel:changed', ({ channel }) => {
+            this.updateWatchLink(channel);
+            this.emitEvent('channelchange', { channel: channel ? this.describeChannel(channel) : null });
+        });
+
+        AppStore.on('player:error', ({ channelId, failure }) => {
+            if (!failure) return;
+            this.emitEvent('error', {
+                channel: channelId,
+                type: failure.type,
+                message: PlaybackErrors.describe(failure.type).title
+            });
+        });
+
+        VideoPlayer.main.on('state', () => {
+            this.emitEvent(VideoPlayer.isPlaying() ? 'play' : 'pause', this.getState());
+        });
+    },
+
+    /**
+     * Plays a channel, muted the first time if the muted option is on.
+     * @param {Channel} channel - Channel to play
+     * @private
+     */
+    load(channel) {
+        this.pendingChannel = null;
+        VideoPlayer.loadChannel(channel, { muted: this.options.muted && !this.started });
+        this.started = true;
+    },
+
+    /**
+     * Shows the channel with a play button instead of starting it (autoplay off).
+     * @param {Channel} channel - Channel to offer
+     * @private
+     */
+    showPlayButton(channel) {
+        this.pendingChannel = channel;
+        this.updateWatchLink(channel);
+        VideoPlayer.showPlayButton(channel, () => this.load(channel));
+    },
+
+    /**
+     * Points the "Watch on StreamPK" link at a channel in the full app.
+     * @param {Channel|null} channel - Channel shown
+     * @private
+     */
+    updateWatchLink(channel) {
+        const page = new URL('index.html', window.location.href).href;
+        this.elements.watchLink.href = DeepLinks.build({ channel: channel ? channel.id : null }, page);
+    },
+
+    /**
+     * Handles a command from the embedding page and sends the response back to its origin.
+     * Messages from other windows, other or opaque origins, or without a command type are ignored.
+     * The first accepted command tells the player the page's origin if the browser did not.
+     * @param {MessageEvent} event - Message event
+     */
+    handleMessage(event) {
+        const data = event.data;
+        if (!this.parent || event.source !== this.parent) return;
+        if (!data || data.type !== `${this.MESSAGE_PREFIX}command`) return;
+
+        if (event.origin === 'null' || !this.isOriginAllowed(event.origin)) {
+            console.warn(`Ignored a command from ${event.origin}, which is not allowed to embed the player`);
+            return;
+        }
+        if (!this.parentOrigin) this.parentOrigin = event.origin;
+
+        const response = { type: `${this.MESSAGE_PREFIX}response`, id: data.id };
+        try {
+            response.result = this.runCommand(data.command, data);
+        } catch (error) {
+            response.error = error.message;
+        }
+        this.parent.postMessage(response, event.origin);
+    },
+
+    /**
+     * Runs a command.
+     * @param {string} command - 'play', 'pause', 'setChannel' or 'getState'
+     * @param {Object} data - Command message (setChannel reads `channel`)
+     * @returns {EmbedState} State after the command
+     * @throws {Error} If the command or channel is unknown
+     */
+    runCommand(command, data) {
+        switch (command) {
+            case 'play':
+                if (this.pendingChannel) {
+                    this.load(this.pendingChannel);
+                } else {
+                    VideoPlayer.play();
+                }
+                break;
+            case 'pause':
+                VideoPlayer.pause();
+                break;
+            case 'setChannel':
+                this.setChannel(data.channel);
+                break;
+            case 'getState':
+                break;
+            default:
+                throw new Error(`Unknown command "${command}"`);
+        }
+        return this.getState();
+    },
+
+    /**
+     * Switches to another channel.
+     * @param {string} channelId - Channel ID
+     * @throws {Error} If there is no such channel or it has nothing to play
+     */
+    setChannel(channelId) {
+        const channel = typeof channelId === 'string' ? ChannelManager.getChannelById(channelId) : null;
+        if (!channel) {
+            throw new Error(`Unknown channel "${channelId}"`);
+        }
+        if (!ChannelManager.isPlayable(channel)) {
+            throw new Error(`${channel.name} does not have a stream URL configured yet`);
+        }
+        this.load(channel);
+    },
+
+    /**
+     * Gets the player state reported to the embedding page.
+     * @returns {EmbedState} Current state
+     */
+    getState() {
+        const player = VideoPlayer.activePlayer;
+        const channel = player.getCurrentChannel() || this.pendingChannel;
+        const failure = channel ? AppStore.getPlayerError(channel.id) : null;
+
+        return {
+            channel: channel ? this.describeChannel(channel) : null,
+            playing: VideoPlayer.isPlaying(),
+            muted: player.isMuted(),
+            volume: player.getVolume(),
+            error: failure ? failure.type : null
+        };
+    },
+
+    /**
+     * Picks the channel fields shared with the embedding page.
+     * @param {Channel} channel - Channel
+     * @returns {EmbedChannel} Channel summary
+     * @private
+     */
+    describeChannel(channel) {
+        return {
+            id: channel.id,
+            name: channel.name,
+            number: channel.number,
+            category: channel.category
+        };
+    },
+
+    /**
+     * Sends an event to the embedding page, if there is one.
+     * Only posted once the page's origin is known, never to any origin ('*').
+     * @param {string} event - 'ready', 'channelchange', 'play', 'pause' or 'error'
+     * @param {Object} data - Event data
+     * @private
+     */
+    emitEvent(event, data) {
+        if (!this.parent || !this.parentOrigin) return;
+        this.parent.postMessage({ type: `${this.MESSAGE_PREFIX}event`, event, data }, this.parentOrigin);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmbedWidget;
+} else {
+    document.addEventListener('DOMContentLoaded', () => EmbedWidget.init());
+}
@@ -0,0 +1,871 @@
+/**
+ * @fileoverview Playback engines for the live streaming application.
+ * Each engine wraps one playback technology behind the same interface so the
+ * video player can pick one by capability and source type.
+ */
+
+/**
+ * @typedef {Object} QualityLevel
+ * @property {number} index - Level index to pass to setLevel()
+ * @property {number} [width] - Frame width in pixels
+ * @property {number} [height] - Frame height in pixels
+ * @property {number} [bitrate] - Bandwidth in bits per second
+ */
+
+/**
+ * @typedef {Object} AudioTrack
+ * @property {number} index - Track index to pass to setAudioTrack()
+ * @property {string} [name] - Track name from the stream (e.g. 'Urdu')
+ * @property {string} [language] - Language code from the stream (e.g. 'ur')
+ */
+
+/**
+ * Playback statistics for the diagnostics overlay. Values an engine cannot measure are null.
+ * @typedef {Object} PlaybackStats
+ * @property {number|null} width - Decoded frame width in pixels
+ * @property {number|null} height - Decoded frame height in pixels
+ * @property {number|null} bitrate - Bandwidth of the playing rendition in bits per second
+ * @property {number|null} bandwidthEstimate - Measured download speed in bits per second
+ * @property {number|null} bufferLength - Seconds buffered ahead of the playhead
+ * @property {number|null} droppedFrames - Frames dropped since playback started
+ * @property {number|null} totalFrames - Frames decoded since playback started
+ * @property {number|null} latency - Seconds behind the live edge
+ */
+
+/**
+ * Creates a stats object with every value unknown.
+ * @returns {PlaybackStats} Empty stats
+ * @private
+ */
+function emptyStats() {
+    return {
+        width: null,
+        height: null,
+        bitrate: null,
+        bandwidthEstimate: null,
+        bufferLength: null,
+        droppedFrames: null,
+        totalFrames: null,
+        latency: null
+    };
+}
+
+/**
+ * A playback engine instance, created by an {@link EngineDefinition} inside a container element.
+ *
+ * Events (subscribe with on()):
+ * - 'playing' - playback started or resumed
+ * - 'pause' - playback paused
+ * - 'buffering' - playback is waiting for data
+ * - 'ended' - stream ended
+ * - 'levels' - quality levels became available
+ * - 'audiotracks' - audio tracks became available
+ * - 'volumechange' - the viewer changed volume or mute with the engine's own controls
+ * - 'warning' - recoverable problem (e.g. a segment failed and is retried); handler receives {message, detail}
+ * - 'error' - fatal playback error; handler receives {message, detail}
+ *
+ * Error details may include a `type` ('networkError' or 'mediaError' as in hls.js, or
+ * 'youtubeError' with the player's error `code`), the HTTP `status` (0 when the browser
+ * blocked or could not reach the request, e.g. CORS) and the failing `url`.
+ *
+ * @typedef {Object} PlaybackEngine
+ * @property {string} name - Engine name (matches its definition)
+ * @property {HTMLVideoElement} [video] - The <video> element, for engines that render into one
+ * @property {function(string, StreamSource): void} load - Load a source's URL and start playback
+ * @property {function(): void} play - Resume playback
+ * @property {function(): void} pause - Pause playback
+ * @property {function(): boolean} isPlaying - Whether the engine is currently playing
+ * @property {function(number): void} setVolume - Set volume (0 to 1)
+ * @property {function(): number} getVolume - Get volume (0 to 1)
+ * @property {function(boolean): void} setMuted - Mute or unmute
+ * @property {function(): boolean} isMuted - Whether audio is muted
+ * @property {function(): QualityLevel[]} getLevels - Available quality levels (empty if not exposed)
+ * @property {function(): number} getLevel - Selected level index, or -1 for automatic
+ * @property {function(number): void} setLevel - Select a level index, or -1 for automatic
+ * @property {function(number|null): boolean} setMaxBitrate - Cap automatic level selection
+ *           (null removes the cap); returns false if the engine cannot cap bitrate
+ * @property {function(): AudioTrack[]} getAudioTracks - Available audio tracks (empty if not exposed)
+ * @property {function(): number} getAudioTrack - Selected audio track index, or -1 if unknown
+ * @property {function(number): void} setAudioTrack - Select an audio track
+ * @property {function(): PlaybackStats} getStats - Current playback statistics
+ * @property {function(string, Function): void} on - Subscribe to an event
+ * @property {function(): void} destroy - Stop playback and remove the engine's elements
+ */
+
+/**
+ * @typedef {Object} EngineDefinition
+ * @property {string} name - Unique engine name
+ * @property {string} label - Human-readable engine name
+ * @property {boolean} detectsErrors - Whether the engine reports errors and stalls
+ * @property {function(StreamSource): boolean} canPlay - Whether this environment can play the source
+ * @property {function(HTMLElement): PlaybackEngine} create - Create an engine inside a container
+ */
+
+/**
+ * Creates a minimal event emitter.
+ * @returns {{on: function(string, Function): void, emit: function(string, *=): void}} Emitter
+ * @private
+ */
+function createEmitter() {
+    const handlers = {};
+    return {
+        on(event, handler) {
+            (handlers[event] = handlers[event] || []).push(handler);
+        },
+        emit(event, data) {
+            (handlers[event] || []).forEach(handler => handler(data));
+        }
+    };
+}
+
+/**
+ * Creates a <video> based engine instance.
+ * Shared by the native and hls.js engines; the caller supplies how a URL is attached.
+ * @param {string} name - Engine name
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} hooks - Engine-specific behaviour
+ * @param {function(HTMLVideoElement, string, Object): void} hooks.attach - Attach a URL to the video
+ * @param {function(): QualityLevel[]} [hooks.getLevels] - List quality levels
+ * @param {function(): number} [hooks.getLevel] - Selected level
+ * @param {function(number): void} [hooks.setLevel] - Select a level
+ * @param {function(number|null): boolean} [hooks.setMaxBitrate] - Cap automatic level selection
+ * @param {function(): AudioTrack[]} [hooks.getAudioTracks] - List audio tracks
+ *        (defaults to the video element's own audioTracks, where the browser has them)
+ * @param {function(): number} [hooks.getAudioTrack] - Selected audio track
+ * @param {function(number): void} [hooks.setAudioTrack] - Select an audio track
+ * @param {function(): Partial<PlaybackStats>} [hooks.getStats] - Stats the engine knows better than the video element
+ * @param {function(): void} [hooks.destroy] - Release engine-specific resources
+ * @returns {PlaybackEngine} Engine instance
+ * @private
+ */
+function createVideoEngine(name, container, hooks) {
+    const emitter = createEmitter();
+    const video = document.createElement('video');
+    video.className = 'engine-video';
+    video.controls = true;
+    video.playsInline = true;
+    container.appendChild(video);
+
+    video.addEventListener('playing', () => emitter.emit('playing'));
+    video.addEventListener('pause', () => emitter.emit('pause'));
+    video.addEventListener('waiting', () => emitter.emit('buffering'));
+    video.addEventListener('ended', () => emitter.emit('ended'));
+
+    // Volume and mute last set by the app; any other change came from the video controls
+    const expected = { volume: video.volume, muted: video.muted };
+    video.addEventListener('volumechange', () => {
+        if (video.volume === expected.volume && video.muted === expected.muted) return;
+        expected.volume = video.volume;
+        expected.muted = video.muted;
+        emitter.emit('volumechange');
+    });
+
+    // Browsers with native audio track support (Safari) list the tracks of natively played HLS
+    const nativeTracks = () => Array.from(video.audioTracks || []);
+    if (!hooks.getAudioTracks && video.audioTracks) {
+        video.audioTracks.addEventListener('addtrack', () => emitter.emit('audiotracks'));
+    }
+
+    video.addEventListener('error', () => {
+        const error = video.error;
+        emitter.emit('error', {
+            message: error && error.message ? error.message : 'Media error',
+            detail: error ? {
+                type: error.code === error.MEDIA_ERR_NETWORK ? 'networkError' : 'mediaError',
+                code: error.code
+            } : null
+        });
+    });
+
+    // Autoplay with sound is often blocked; fall back to muted autoplay
+    const startPlayback = () => {
+        const attempt = video.play();
+        if (attempt && attempt.catch) {
+            attempt.catch(error => {
+                if (error.name === 'NotAllowedError' && !video.muted) {
+                    expected.muted = true;
+                    video.muted = true;
+                    video.play().catch(() => {});
+                }
+            });
+        }
+    };
+
+    return {
+        name,
+        video,
+        load(url) {
+            hooks.attach(video, url, emitter);
+            startPlayback();
+        },
+        play() {
+            startPlayback();
+        },
+        pause() {
+            video.pause();
+        },
+        isPlaying() {
+            return !video.paused && !video.ended;
+        },
+        setVolume(volume) {
+            expected.volume = Math.min(Math.max(volume, 0), 1);
+            video.volume = expected.volume;
+        },
+        getVolume() {
+            return video.volume;
+        },
+        setMuted(muted) {
+            expected.muted = muted;
+            video.muted = muted;
+        },
+        isMuted() {
+            return video.muted;
+        },
+        getLevels() {
+            return hooks.getLevels ? hooks.getLevels() : [];
+        },
+        getLevel() {
+            return hooks.getLevel ? hooks.getLevel() : -1;
+        },
+        setLevel(index) {
+            if (hooks.setLevel) hooks.setLevel(index);
+        },
+        setMaxBitrate(bitrate) {
+            return hooks.setMaxBitrate ? hooks.setMaxBitrate(bitrate) : false;
+        },
+        getAudioTracks() {
+            if (hooks.getAudioTracks) return hooks.getAudioTracks();
+            return nativeTracks().map((track, index) => ({ index, name: track.label, language: track.language }));
+        },
+        getAudioTrack() {
+            if (hooks.getAudioTrack) return hooks.getAudioTrack();
+            return nativeTracks().findIndex(track => track.enabled);
+        },
+        setAudioTrack(index) {
+            if (hooks.setAudioTrack) {
+                hooks.setAudioTrack(index);
+                return;
+            }
+            nativeTracks().forEach((track, i) => {
+                track.enabled = i === index;
+            });
+        },
+        getStats() {
+            const stats = emptyStats();
+            const time = video.currentTime;
+
+            stats.width = video.videoWidth || null;
+            stats.height = video.videoHeight || null;
+
+            for (let i = 0; i < video.buffered.length; i++) {
+                if (video.buffered.start(i) <= time && time <= video.buffered.end(i)) {
+                    stats.bufferLength = video.buffered.end(i) - time;
+                }
+            }
+
+            if (video.getVideoPlaybackQuality) {
+                const quality = video.getVideoPlaybackQuality();
+                stats.droppedFrames = quality.droppedVideoFrames;
+                stats.totalFrames = quality.totalVideoFrames;
+            }
+
+            // For live streams the seekable range ends at the live edge
+            if (video.seekable.length > 0 && video.duration === Infinity) {
+                stats.latency = Math.max(0, video.seekable.end(video.seekable.length - 1) - time);
+            }
+
+            return Object.assign(stats, hooks.getStats ? hooks.getStats() : {});
+        },
+        on(event, handler) {
+            emitter.on(event, handler);
+        },
+        destroy() {
+            if (hooks.destroy) hooks.destroy();
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            video.remove();
+        }
+    };
+}
+
+/**
+ * Native HLS playback through a plain <video> element (Safari, iOS, some smart TVs).
+ * @type {EngineDefinition}
+ */
+const NativeEngine = {
+    name: 'native',
+    label: 'Native HLS',
+    detectsErrors: true,
+
+    canPlay(source) {
+        if (source.type !== 'hls') return false;
+        const probe = document.createElement('video');
+        return probe.canPlayType('application/vnd.apple.mpegurl') !== '';
+    },
+
+    create(container) {
+        return createVideoEngine(this.name, container, {
+            attach(video, url) {
+                video.src = url;
+            }
+        });
+    }
+};
+
+/**
+ * HLS playback through hls.js and Media Source Extensions.
+ * Requires the hls.js library to be loaded as the global `Hls`.
+ * @type {EngineDefinition}
+ */
+const HlsJsEngine = {
+    name: 'hlsjs',
+    label: 'hls.js',
+    detectsErrors: true,
+
+    canPlay(source) {
+        return source.type === 'hls' && typeof Hls !== 'undefined' && Hls.isSupported();
+    },
+
+    create(container) {
+        const hls = new Hls({ lowLatencyMode: false });
+
+        return createVideoEngine(this.name, container, {
+            attach(video, url, emitter) {
+                hls.on(Hls.Events.MANIFEST_PARSED, () => emitter.emit('levels'));
+                hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, () => emitter.emit('audiotracks'));
+                hls.on(Hls.Events.ERROR, (event, data) => {
+                    const failedUrl = data.url || (data.frag && data.frag.url) || (data.context && data.context.url);
+                    emitter.emit(data.fatal ? 'error' : 'warning', {
+                        message: data.details || data.type,
+                        detail: {
+                            type: data.type,
+                            details: data.details,
+                            status: data.response ? data.response.code : undefined,
+                            url: failedUrl
+                        }
+                    });
+                });
+                hls.loadSource(url);
+                hls.attachMedia(video);
+            },
+            getLevels() {
+                return hls.levels.map((level, index) => ({
+                    index,
+                    width: level.width,
+                    height: level.height,
+                    bitrate: level.bitrate
+                }));
+            },
+            getLevel() {
+                return hls.autoLevelEnabled ? -1 : hls.currentLevel;
+            },
+            setLevel(index) {
+                hls.currentLevel = index;
+            },
+            setMaxBitrate(bitrate) {
+                if (bitrate === null) {
+                    hls.autoLevelCapping = -1;
+                    return true;
+                }
+                // hls.js sorts levels by bitrate, so the cap is the last level within budget
+                let cap = 0;
+                hls.levels.forEach((level, index) => {
+                    if (level.bitrate <= bitrate) cap = index;
+                });
+                hls.autoLevelCapping = cap;
+                return true;
+            },
+            getAudioTracks() {
+                return hls.audioTracks.map((track, index) => ({
+                    index,
+                    name: track.name,
+                    language: track.lang
+                }));
+            },
+            getAudioTrack() {
+                return hls.audioTrack;
+            },
+            setAudioTrack(index) {
+                hls.audioTrack = index;
+            },
+            getStats() {
+                const level = hls.levels[hls.currentLevel];
+                const stats = {};
+                if (level) stats.bitrate = level.bitrate;
+                if (hls.bandwidthEstimate) stats.bandwidthEstimate = hls.bandwidthEstimate;
+                if (Number.isFinite(hls.latency) && hls.latency > 0) stats.latency = hls.latency;
+                return stats;
+            },
+            destroy() {
+                hls.destroy();
+            }
+        });
+    }
+};
+
+/**
+ * HLS playback through the hosted JW Player library.
+ * Only available when a page includes the JW Player script (global `jwplayer`).
+ * @type {EngineDefinition}
+ */
+const JWPlayerEngine = {
+    name: 'jwplayer',
+    label: 'JW Player',
+    detectsErrors: true,
+
+    canPlay(source) {
+        return source.type === 'hls' && typeof jwplayer === 'function';
+    },
+
+    create(container) {
+        const emitter = createEmitter();
+        const mount = document.createElement('div');
+        mount.id = `jwPlayer-${Date.now().toString(36)}`;
+        mount.className = 'engine-jwplayer';
+        container.appendChild(mount);
+
+        let player = null;
+        let levels = [];
+        // Volume and mute set before load() are passed to the player's setup
+        let volume = 1;
+        let muted = false;
+
+        return {
+            name: this.name,
+            load(url) {
+                player = jwplayer(mount.id).setup({
+                    file: url,
+                    width: '100%',
+                    height: '100%',
+                    autostart: true,
+                    androidhls: true,
+                    stretching: 'uniform',
+                    volume: Math.round(volume * 100),
+                    mute: muted
+                });
+
+                player.on('play', () => emitter.emit('playing'));
+                player.on('pause', () => emitter.emit('pause'));
+                player.on('buffer', () => emitter.emit('buffering'));
+                player.on('complete', () => emitter.emit('ended'));
+                player.on('levels', (e) => {
+                    levels = e.levels || [];
+                    emitter.emit('levels');
+                });
+                player.on('audioTracks', () => emitter.emit('audiotracks'));
+                const onError = (e) => emitter.emit('error', {
+                    message: e && e.message ? e.message : 'JW Player error',
+                    detail: e ? { code: e.code } : null
+                });
+                player.on('error', onError);
+                player.on('setupError', onError);
+            },
+            play() {
+                if (player) player.play();
+            },
+            pause() {
+                if (player) player.pause();
+            },
+            isPlaying() {
+                return Boolean(player) && player.getState() === 'playing';
+            },
+            setVolume(value) {
+                volume = value;
+                if (player) player.setVolume(Math.round(value * 100));
+            },
+            getVolume() {
+                return player ? player.getVolume() / 100 : volume;
+            },
+            setMuted(value) {
+                muted = value;
+                if (player) player.setMute(value);
+            },
+            isMuted() {
+                return player ? player.getMute() : muted;
+            },
+            getLevels() {
+                // JW lists an 'Auto' entry first when several renditions exist
+                return levels
+                    .map((level, index) => ({
+                        index,
+                        width: level.width,
+                        height: level.height,
+                        bitrate: level.bitrate
+                    }))
+                    .filter(level => level.height || level.bitrate);
+            },
+            getLevel() {
+                if (!player || levels.length === 0) return -1;
+                const current = player.getCurrentQuality();
+                return levels[current] && /auto/i.test(levels[current].label || '') ? -1 : current;
+            },
+            setLevel(index) {
+                if (!player) return;
+                const auto = levels.findIndex(level => /auto/i.test(level.label || ''));
+                player.setCurrentQuality(index === -1 ? Math.max(auto, 0) : index);
+            },
+            setMaxBitrate() {
+                return false;
+            },
+            getAudioTracks() {
+                const tracks = player && player.getAudioTracks ? player.getAudioTracks() || [] : [];
+                return tracks.map((track, index) => ({ index, name: track.name, language: track.language }));
+            },
+            getAudioTrack() {
+                return player && player.getCurrentAudioTrack ? player.getCurrentAudioTrack() : -1;
+            },
+            setAudioTrack(index) {
+                if (player && player.setCurrentAudioTrack) player.setCurrentAudioTrack(index);
+            },
+            getStats() {
+                const stats = emptyStats();
+                const visual = player && player.getVisualQuality ? player.getVisualQuality() : null;
+                if (visual && visual.level) {
+                    stats.width = visual.level.width || null;
+                    stats.height = visual.level.height || null;
+                    stats.bitrate = visual.level.bitrate || null;
+                }
+                return stats;
+            },
+            on(event, handler) {
+                emitter.on(event, handler);
+            },
+            destroy() {
+                if (player) player.remove();
+                mount.remove();
+            }
+        };
+    }
+};
+
+/**
+ * YouTube videos and live streams through the YouTube IFrame Player API.
+ * The API script is loaded on first use. Unlike a plain iframe, the player reports
+ * state changes and errors and can be paused and muted.
+ * @type {EngineDefinition}
+ */
+const YouTubeEngine = {
+    name: 'youtube',
+    label: 'YouTube',
+    detectsErrors: true,
+
+    /**
+     * URL of the IFrame Player API script
+     * @type {string}
+     * @constant
+     */
+    API_URL: 'https://www.youtube.com/iframe_api',
+
+    /**
+     * Milliseconds to wait for autoplay before retrying muted (browsers block autoplay with sound)
+     * @type {number}
+     * @constant
+     */
+    AUTOPLAY_TIMEOUT: 3000,
+
+    /**
+     * Messages for the player's error codes
+     * @type {Object<number, string>}
+     * @constant
+     */
+    ERROR_MESSAGES: {
+        2: 'Invalid YouTube video ID',
+        5: 'YouTube video cannot be played in this browser',
+        100: 'YouTube video not found or private',
+        101: 'YouTube video cannot be embedded',
+        150: 'YouTube video cannot be embedded'
+    },
+
+    /**
+     * Pending or completed API load (null until first use, or after a failed load)
+     * @type {Promise<Object>|null}
+     * @private
+     */
+    api: null,
+
+    canPlay(source) {
+        return source.type === 'youtube';
+    },
+
+    /**
+     * Loads the IFrame Player API once.
+     * @returns {Promise<Object>} Resolves with the global `YT` namespace
+     * @private
+     */
+    loadApi() {
+        if (this.api) return this.api;
+
+        this.api = new Promise((resolve, reject) => {
+            if (typeof YT !== 'undefined' && YT.Player) {
+                resolve(YT);
+                return;
+            }
+
+            // The API calls this global when it is ready; keep any handler the page set itself
+            const previous = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (typeof previous === 'function') previous();
+                resolve(YT);
+            };
+
+            const script = document.createElement('script');
+            script.src = this.API_URL;
+            script.async = true;
+            script.onerror = () => {
+                this.api = null;
+                script.remove();
+                reject(new Error('YouTube player could not be loaded'));
+            };
+            document.head.appendChild(script);
+        });
+
+        return this.api;
+    },
+
+    create(container) {
+        const definition = this;
+        const emitter = createEmitter();
+        const mount = document.createElement('div');
+        mount.className = 'engine-youtube';
+        const target = document.createElement('div');
+        mount.appendChild(target);
+        container.appendChild(mount);
+
+        let player = null;
+        let ready = false;
+        let destroyed = false;
+        let state = -1;
+        let muted = false;
+        let volume = 1;
+        let autoplayTimer = null;
+
+        const onReady = () => {
+            ready = true;
+            player.setVolume(Math.round(volume * 100));
+            if (muted) player.mute(); else player.unMute();
+            player.playVideo();
+
+            // Autoplay with sound is often blocked; fall back to muted autoplay
+            autoplayTimer = setTimeout(() => {
+                autoplayTimer = null;
+                if (destroyed || muted || state === YT.PlayerState.PLAYING || state === YT.PlayerState.BUFFERING) return;
+                muted = true;
+                player.mute();
+                player.playVideo();
+            }, definition.AUTOPLAY_TIMEOUT);
+        };
+
+        const onStateChange = (e) => {
+            state = e.data;
+            if (state === YT.PlayerState.PLAYING) emitter.emit('playing');
+            else if (state === YT.PlayerState.PAUSED) emitter.emit('pause');
+            else if (state === YT.PlayerState.BUFFERING) emitter.emit('buffering');
+            else if (state === YT.PlayerState.ENDED) emitter.emit('ended');
+        };
+
+        const onError = (e) => emitter.emit('error', {
+            message: definition.ERROR_MESSAGES[e.data] || 'YouTube player error',
+            detail: { type: 'youtubeError', code: e.data }
+        });
+
+        return {
+            name: this.name,
+            load(url, source) {
+                definition.loadApi().then(() => {
+                    if (destroyed) return;
+
+                    // A channel ID follows whatever the channel is broadcasting live
+                    const playerVars = { autoplay: 1, playsinline: 1, rel: 0 };
+                    if (source.channelId) playerVars.channel = source.channelId;
+
+                    player = new YT.Player(target, {
+                        width: '100%',
+                        height: '100%',
+                        videoId: source.channelId ? 'live_stream' : source.videoId,
+                        playerVars,
+                        events: { onReady, onStateChange, onError }
+                    });
+                }).catch(error => {
+                    if (destroyed) return;
+                    emitter.emit('error', { message: error.message, detail: { type: 'networkError' } });
+                });
+            },
+            play() {
+                if (ready) player.playVideo();
+            },
+            pause() {
+                if (ready) player.pauseVideo();
+            },
+            isPlaying() {
+                return ready && state === YT.PlayerState.PLAYING;
+            },
+            setVolume(value) {
+                volume = Math.min(Math.max(value, 0), 1);
+                if (ready) player.setVolume(Math.round(volume * 100));
+            },
+            getVolume() {
+                return ready ? player.getVolume() / 100 : volume;
+            },
+            setMuted(value) {
+                muted = value;
+                if (!ready) return;
+                if (muted) player.mute(); else player.unMute();
+            },
+            isMuted() {
+                return ready ? player.isMuted() : muted;
+            },
+            getLevels() {
+                return [];
+            },
+            getLevel() {
+                return -1;
+            },
+            setLevel() {},
+            setMaxBitrate() {
+                return false;
+            },
+            getAudioTracks() {
+                return [];
+            },
+            getAudioTrack() {
+                return -1;
+            },
+            setAudioTrack() {},
+            getStats() {
+                return emptyStats();
+            },
+            on(event, handler) {
+                emitter.on(event, handler);
+            },
+            destroy() {
+                destroyed = true;
+                if (autoplayTimer) clearTimeout(autoplayTimer);
+                if (player) player.destroy();
+                mount.remove();
+            }
+        };
+    }
+};
+
+/**
+ * Iframe embed playback for embeddable pages other than YouTube.
+ * The embedded page controls playback, so errors and stalls cannot be detected.
+ * @type {EngineDefinition}
+ */
+const IframeEngine = {
+    name: 'iframe',
+    label: 'Embed',
+    detectsErrors: false,
+
+    canPlay(source) {
+        return source.type === 'iframe';
+    },
+
+    create(container) {
+        const emitter = createEmitter();
+        const iframe = document.createElement('iframe');
+        iframe.className = 'engine-iframe';
+        iframe.allowFullscreen = true;
+        iframe.allow = 'autoplay; encrypted-media; picture-in-picture';
+        container.appendChild(iframe);
+
+        return {
+            name: this.name,
+            load(url) {
+                iframe.src = url;
+            },
+            play() {},
+            pause() {},
+            isPlaying() {
+                return true;
+            },
+            setVolume() {},
+            getVolume() {
+                return 1;
+            },
+            setMuted() {},
+            isMuted() {
+                return false;
+            },
+            getLevels() {
+                return [];
+            },
+            getLevel() {
+                return -1;
+            },
+            setLevel() {},
+            setMaxBitrate() {
+                return false;
+            },
+            getAudioTracks() {
+                return [];
+            },
+            getAudioTrack() {
+                return -1;
+            },
+            setAudioTrack() {},
+            getStats() {
+                return emptyStats();
+            },
+            on(event, handler) {
+                emitter.on(event, handler);
+            },
+            destroy() {
+                iframe.src = 'about:blank';
+                iframe.remove();
+            }
+        };
+    }
+};
+
+/**
+ * Registry of playback engines.
+ * Engines are tried in registration order; the first that can play a source wins.
+ * @namespace
+ */
+const PlaybackEngines = {
+    /**
+     * Registered engine definitions in preference order
+     * @type {EngineDefinition[]}
+     */
+    engines: [HlsJsEngine, NativeEngine, JWPlayerEngine, YouTubeEngine, IframeEngine],
+
+    /**
+     * Registers an engine.
+     * @param {EngineDefinition} engine - Engine definition
+     * @param {boolean} [preferred=false] - Try this engine before the built-in ones
+     */
+    register(engine, preferred = false) {
+        this.engines = this.engines.filter(e => e.name !== engine.name);
+        if (preferred) {
+            this.engines.unshift(engine);
+        } else {
+            this.engines.push(engine);
+        }
+    },
+
+    /**
+     * Picks the first registered engine that can play a source.
+     * @param {StreamSource} source - Source to play
+     * @returns {EngineDefinition|null} Engine definition, or null if nothing can play it
+     */
+    select(source) {
+        return this.engines.find(engine => engine.canPlay(source)) || null;
+    },
+
+    /**
+     * Gets a registered engine by name.
+     * @param {string} name - Engine name
+     * @returns {EngineDefinition|undefined} Engine definition
+     */
+    getEngine(name) {
+        return this.engines.find(engine => engine.name === name);
+    },
+
+    createEmitter
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackEngines;
+}
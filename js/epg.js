@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Electronic programme guide (EPG) module for the live streaming application.
+ * Loads XMLTV guide data (plain or gzipped) and answers now/next and timeline queries.
+ */
+
+/**
+ * @typedef {Object} Programme
+ * @property {string} channel - XMLTV channel ID (matched against the channel's tvg-id)
+ * @property {number} start - Start time in milliseconds since the epoch
+ * @property {number} stop - End time in milliseconds since the epoch
+ * @property {string} title - Programme title
+ * @property {string} [subtitle] - Episode or segment title
+ * @property {string} [description] - Programme description
+ * @property {string} [category] - Programme category
+ */
+
+/**
+ * @typedef {Object} XMLTVChannel
+ * @property {string} id - XMLTV channel ID
+ * @property {string[]} names - Display names
+ */
+
+/**
+ * @typedef {Object} XMLTVData
+ * @property {XMLTVChannel[]} channels - Channels declared in the guide
+ * @property {Programme[]} programmes - Programmes in document order
+ */
+
+/**
+ * Singleton manager for programme guide data.
+ * Guide URLs come from the playlists' url-tvg/x-tvg-url headers and an optional user-configured URL.
+ * @namespace
+ */
+const EPGManager = {
+    /**
+     * localStorage key for the user-configured XMLTV URL
+     * @type {string}
+     * @constant
+     */
+    SOURCE_KEY: 'liveStreamEpgUrl',
+
+    /**
+     * Programmes keyed by XMLTV channel ID, sorted by start time
+     * @type {Map<string, Programme[]>}
+     */
+    programmes: new Map(),
+
+    /**
+     * Flag indicating whether guide data has been loaded
+     * @type {boolean}
+     */
+    loaded: false,
+
+    /**
+     * Gets the user-configured XMLTV URL.
+     * @returns {string} Configured URL, or empty string if none
+     */
+    getConfiguredUrl() {
+        return localStorage.getItem(this.SOURCE_KEY) || '';
+    },
+
+    /**
+     * Saves the user-configured XMLTV URL.
+     * @param {string} url - XMLTV URL (empty string to clear)
+     */
+    setConfiguredUrl(url) {
+        if (url) {
+            localStorage.setItem(this.SOURCE_KEY, url);
+        } else {
+            localStorage.removeItem(this.SOURCE_KEY);
+        }
+    },
+
+    /**
+     * Collects all guide URLs: playlist header attributes first, then the configured URL.
+     * url-tvg and x-tvg-url may each hold a comma-separated list.
+     * @returns {string[]} Unique XMLTV URLs
+     */
+    getSourceUrls() {
+        const urls = [];
+
+        Object.values(ChannelManager.headers).forEach(header => {
+            ['url-tvg', 'x-tvg-url'].forEach(key => {
+                if (header[key]) {
+                    urls.push(...header[key].split(',').map(url => url.trim()).filter(url => url));
+                }
+            });
+        });
+
+        const configured = this.getConfiguredUrl();
+        if (configured) urls.push(configured);
+
+        return [...new Set(urls)];
+    },
+
+    /**
+     * Loads and merges guide data from every source URL.
+     * Sources that fail to load are logged and skipped.
+     * @async
+     * @returns {Promise<number>} Number of programmes loaded
+     */
+    async load() {
+        const urls = this.getSourceUrls();
+        const programmes = new Map();
+        let count = 0;
+
+        for (const url of urls) {
+            try {
+                const xml = await this.fetchGuide(url);
+                const data = this.parseXMLTV(xml);
+                data.programmes.forEach(programme => {
+                    if (!programmes.has(programme.channel)) {
+                        programmes.set(programme.channel, []);
+                    }
+                    programmes.get(programme.channel).push(programme);
+                });
+                count += data.programmes.length;
+            } catch (error) {
+                console.error(`Error loading guide ${url}:`, error);
+            }
+        }
+
+        programmes.forEach(list => list.sort((a, b) => a.start - b.start));
+        this.programmes = programmes;
+        this.loaded = true;
+
+        if (urls.length > 0) {
+            console.log(`Loaded ${count} programmes from ${urls.length} guide(s)`);
+        }
+        return count;
+    },
+
+    /**
+     * Fetches an XMLTV document, decompressing it if it is gzipped.
+     * @async
+     * @param {string} url - XMLTV URL (.xml or .xml.gz)
+     * @returns {Promise<string>} XML text
+     * @throws {Error} If the guide cannot be fetched
+     */
+    async fetchGuide(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load guide: ${response.status}`);
+        }
+        return this.decodeGuide(new Uint8Array(await response.arrayBuffer()));
+    },
+
+    /**
+     * Decodes guide bytes to text, gunzipping when the gzip magic number is present.
+     * Servers that send Content-Encoding: gzip are already decompressed by fetch.
+     * @async
+     * @param {Uint8Array} bytes - Raw guide bytes
+     * @returns {Promise<string>} XML text
+     */
+    async decodeGuide(bytes) {
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+            return new Response(stream).text();
+        }
+        return new TextDecoder().decode(bytes);
+    },
+
+    /**
+     * Parses an XMLTV document.
+     * Uses a lightweight string scanner rather than DOMParser so it also runs under Node.
+     * @param {string} xml - XMLTV document text
+     * @returns {XMLTVData} Channels and programmes
+     */
+    parseXMLTV(xml) {
+        const channels = [];
+        const programmes = [];
+
+        const channelPattern = /<channel\b([^>]*)>([\s\S]*?)<\/channel>/g;
+        let match;
+        while ((match = channelPattern.exec(xml)) !== null) {
+            const attrs = this.parseXMLAttributes(match[1]);
+            if (!attrs.id) continue;
+            channels.push({
+                id: attrs.id,
+                names: this.getElementTexts(match[2], 'display-name')
+            });
+        }
+
+        const programmePattern = /<programme\b([^>]*)>([\s\S]*?)<\/programme>/g;
+        while ((match = programmePattern.exec(xml)) !== null) {
+            const attrs = this.parseXMLAttributes(match[1]);
+            const start = this.parseXMLTVDate(attrs.start);
+            const stop = this.parseXMLTVDate(attrs.stop);
+            const title = this.getElementTexts(match[2], 'title')[0];
+
+            if (!attrs.channel || start === null || !title) continue;
+
+            const programme = {
+                channel: attrs.channel,
+                start,
+                // Programmes without a stop time run for an hour by convention
+                stop: stop !== null ? stop : start + 60 * 60 * 1000,
+                title
+            };
+
+            const subtitle = this.getElementTexts(match[2], 'sub-title')[0];
+            const description = this.getElementTexts(match[2], 'desc')[0];
+            const category = this.getElementTexts(match[2], 'category')[0];
+            if (subtitle) programme.subtitle = subtitle;
+            if (description) programme.description = description;
+            if (category) programme.category = category;
+
+            programmes.push(programme);
+        }
+
+        return { channels, programmes };
+    },
+
+    /**
+     * Parses XML attributes from the inside of a start tag.
+     * @param {string} text - Text between the tag name and '>'
+     * @returns {Object<string, string>} Decoded attribute values keyed by name
+     * @private
+     */
+    parseXMLAttributes(text) {
+        const attrs = {};
+        const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attrs[match[1]] = this.decodeXMLText(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attrs;
+    },
+
+    /**
+     * Gets the decoded text of every child element with the given name.
+     * @param {string} xml - Parent element content
+     * @param {string} tag - Child element name
+     * @returns {string[]} Trimmed, decoded texts in document order
+     * @private
+     */
+    getElementTexts(xml, tag) {
+        const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'g');
+        const texts = [];
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const text = this.decodeXMLText(match[1]).trim();
+            if (text) texts.push(text);
+        }
+        return texts;
+    },
+
+    /**
+     * Decodes CDATA sections and XML character/entity references.
+     * @param {string} text - Raw XML text
+     * @returns {string} Decoded text
+     * @private
+     */
+    decodeXMLText(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+        return text
+            .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+            .map(part => {
+                if (part.startsWith('<![CDATA[')) {
+                    return part.slice(9, -3);
+                }
+                return part.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+                    if (code[0] === '#') {
+                        const point = code[1] === 'x' || code[1] === 'X'
+                            ? parseInt(code.slice(2), 16)
+                            : parseInt(code.slice(1), 10);
+                        return String.fromCodePoint(point);
+                    }
+                    return entities[code] !== undefined ? entities[code] : entity;
+                });
+            })
+            .join('');
+    },
+
+    /**
+     * Parses an XMLTV timestamp such as '20240115183000 +0500'.
+     * Missing time parts default to zero and a missing offset means UTC.
+     * @param {string} [value] - XMLTV date string
+     * @returns {number|null} Milliseconds since the epoch, or null if invalid
+     */
+    parseXMLTVDate(value) {
+        const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-]\d{4})?/);
+        if (!match) return null;
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = match;
+        let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+        if (offset && offset !== 'Z') {
+            const sign = offset[0] === '-' ? -1 : 1;
+            const minutes = parseInt(offset.slice(1, 3), 10) * 60 + parseInt(offset.slice(3), 10);
+            time -= sign * minutes * 60 * 1000;
+        }
+
+        return time;
+    },
+
+    /**
+     * Gets the XMLTV channel ID used to match a channel's programmes.
+     * @param {Channel} channel - Channel to look up
+     * @returns {string} The channel's tvg-id, or its app ID when tvg-id is missing
+     * @private
+     */
+    getGuideId(channel) {
+        return (channel.attributes && channel.attributes['tvg-id']) || channel.id;
+    },
+
+    /**
+     * Gets the programmes of a channel that overlap a time window.
+     * @param {Channel} channel - Channel to look up
+     * @param {number} from - Window start (ms since epoch)
+     * @param {number} to - Window end (ms since epoch)
+     * @returns {Programme[]} Programmes sorted by start time
+     */
+    getProgrammes(channel, from, to) {
+        const list = this.programmes.get(this.getGuideId(channel)) || [];
+        return list.filter(programme => programme.stop > from && programme.start < to);
+    },
+
+    /**
+     * Gets the current and next programme of a channel.
+     * @param {Channel} channel - Channel to look up
+     * @param {number} [now=Date.now()] - Reference time (ms since epoch)
+     * @returns {{now: Programme|null, next: Programme|null}} Current and upcoming programmes
+     */
+    getNowNext(channel, now = Date.now()) {
+        const list = this.programmes.get(this.getGuideId(channel)) || [];
+        const currentIndex = list.findIndex(programme => programme.start <= now && programme.stop > now);
+
+        if (currentIndex !== -1) {
+            return { now: list[currentIndex], next: list[currentIndex + 1] || null };
+        }
+        return { now: null, next: list.find(programme => programme.start > now) || null };
+    },
+
+    /**
+     * Checks whether any guide data is available for a channel.
+     * @param {Channel} channel - Channel to check
+     * @returns {boolean} True if the channel has programmes
+     */
+    hasGuide(channel) {
+        return this.programmes.has(this.getGuideId(channel));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EPGManager;
+}
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Playback error classification module for the live streaming application.
+ * Turns the errors a player logged while failing over into one explanation for the
+ * viewer, with the recovery actions that make sense for it.
+ */
+
+/**
+ * @typedef {Object} FailureContext
+ * @property {PlaybackLogEntry[]} errors - Errors and warnings logged for the channel
+ * @property {StreamSource[]} skippedSources - Sources skipped because the page cannot load them
+ * @property {boolean} isSecurePage - Whether the page is served over HTTPS
+ * @property {boolean} online - Whether the browser has a network connection
+ */
+
+/**
+ * @typedef {Object} ErrorClass
+ * @property {string} title - Short heading
+ * @property {string} message - What went wrong and what may help
+ * @property {string} icon - Font Awesome icon class
+ * @property {string[]} actions - Recovery actions, most useful first:
+ *   'retry', 'alternative' (next source), 'external' (open the stream outside the page) or 'report'
+ */
+
+/**
+ * @typedef {Object} PlaybackFailure
+ * @property {string} type - Error class, a key of {@link PlaybackErrors.CLASSES}
+ * @property {string|null} sourceUrl - URL of a source that failed this way, for opening it externally
+ */
+
+/**
+ * Singleton playback error classifier.
+ * @namespace
+ */
+const PlaybackErrors = {
+    /**
+     * Explanation and recovery actions for each error class
+     * @type {Object<string, ErrorClass>}
+     * @constant
+     */
+    CLASSES: {
+        'network': {
+            title: 'Stream offline',
+            message: 'The stream\'s server could not be reached or did not return the stream. ' +
+                'The channel may be off air, or its address may have changed.',
+            icon: 'fa-wifi',
+            actions: ['retry', 'alternative', 'report']
+        },
+        'cors': {
+            title: 'Blocked by the stream\'s server',
+            message: 'The stream\'s server does not allow playback on other websites (CORS), ' +
+                'or did not answer. It may still play in an external player.',
+            icon: 'fa-ban',
+            actions: ['alternative', 'external', 'report']
+        },
+        'mixed-content': {
+            title: 'Insecure stream blocked',
+            message: 'This stream is only available over http://, which browsers block on secure (https://) pages. ' +
+                'Open it in an external player instead.',
+            icon: 'fa-lock-open',
+            actions: ['external', 'alternative', 'report']
+        },
+        'geo-blocked': {
+            title: 'Not available in your region',
+            message: 'The stream\'s server refused access (HTTP 403). ' +
+                'The channel is probably limited to some countries, or needs a subscription.',
+            icon: 'fa-globe-asia',
+            actions: ['alternative', 'external', 'report']
+        },
+        'manifest': {
+            title: 'Stream cannot be read',
+            message: 'The stream was found, but its playlist is empty or malformed.',
+            icon: 'fa-file-excel',
+            actions: ['retry', 'alternative', 'report']
+        },
+        'codec': {
+            title: 'Format not supported',
+            message: 'This browser cannot play the stream\'s video or audio format. ' +
+                'Try another browser or an external player.',
+            icon: 'fa-film',
+            actions: ['alternative', 'external', 'report']
+        },
+        'embed-refused': {
+            title: 'Embedding not allowed',
+            message: 'The owner of this video does not allow it to play on other websites. ' +
+                'Watch it on the original site instead.',
+            icon: 'fa-external-link-alt',
+            actions: ['external', 'alternative', 'report']
+        },
+        'no-source': {
+            title: 'No stream available',
+            message: 'This channel has no stream address yet.',
+            icon: 'fa-exclamation-triangle',
+            actions: ['report']
+        },
+        'unknown': {
+            title: 'Stream unavailable',
+            message: 'The stream could not be played.',
+            icon: 'fa-exclamation-triangle',
+            actions: ['retry', 'alternative', 'report']
+        }
+    },
+
+    /**
+     * Classes from most to least specific. When the sources of a channel failed in
+     * different ways, the most specific class explains the failure.
+     * @type {string[]}
+     * @constant
+     */
+    PRIORITY: ['embed-refused', 'geo-blocked', 'mixed-content', 'codec', 'manifest', 'cors', 'network', 'unknown'],
+
+    /**
+     * hls.js error details that mean the playlist could not be parsed
+     * @type {string[]}
+     * @constant
+     */
+    MANIFEST_ERRORS: ['manifestParsingError', 'levelParsingError', 'levelEmptyError', 'manifestEmptyError'],
+
+    /**
+     * YouTube player error codes and their classes
+     * @type {Object<number, string>}
+     * @constant
+     */
+    YOUTUBE_ERRORS: {
+        2: 'manifest',
+        5: 'codec',
+        100: 'network',
+        101: 'embed-refused',
+        150: 'embed-refused'
+    },
+
+    /**
+     * Classifies one logged error.
+     * @param {PlaybackLogEntry} entry - Logged error
+     * @param {FailureContext} context - Page and network state
+     * @returns {string} Error class
+     */
+    classifyEntry(entry, context) {
+        const detail = entry.detail || {};
+        const details = detail.details || '';
+        const url = entry.url || entry.sourceUrl || '';
+
+        if (entry.reason === 'unsupported') return 'codec';
+        if (entry.reason === 'stall' || entry.reason === 'ended') return 'network';
+        if (detail.type === 'youtubeError') return this.YOUTUBE_ERRORS[detail.code] || 'unknown';
+        if (context.isSecurePage && url.startsWith('http:')) return 'mixed-content';
+        if (entry.status === 403 || entry.status === 451) return 'geo-blocked';
+        if (entry.status === 0) return context.online ? 'cors' : 'network';
+        if (entry.status >= 400) return 'network';
+        if (/codec/i.test(details)) return 'codec';
+        if (this.MANIFEST_ERRORS.includes(details)) return 'manifest';
+        if (detail.type === 'networkError') return 'network';
+        if (detail.type === 'mediaError') return 'codec';
+        return 'unknown';
+    },
+
+    /**
+     * Classifies why a channel could not be played.
+     * @param {FailureContext} context - Logged errors, skipped sources and page state
+     * @returns {PlaybackFailure} Error class and the source it applies to
+     */
+    classify(context) {
+        const errors = context.errors.filter(entry => entry.level === 'error');
+
+        if (errors.length === 0) {
+            const skipped = context.skippedSources[0];
+            return skipped
+                ? { type: 'mixed-content', sourceUrl: skipped.url }
+                : { type: 'no-source', sourceUrl: null };
+        }
+
+        const classes = errors.map(entry => this.classifyEntry(entry, context));
+        const type = this.PRIORITY.find(candidate => classes.includes(candidate));
+        const entry = errors[classes.lastIndexOf(type)];
+        return { type, sourceUrl: entry.sourceUrl || null };
+    },
+
+    /**
+     * Gets the explanation of an error class.
+     * @param {string} type - Error class
+     * @returns {ErrorClass} Explanation (the 'unknown' one for unrecognized classes)
+     */
+    describe(type) {
+        return this.CLASSES[type] || this.CLASSES.unknown;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackErrors;
+}
@@ -1,11 +1,42 @@
 /**
  * @fileoverview Favorites management module for the live streaming application.
- * Handles persisting and retrieving user's favorite channels using localStorage.
+ * Handles persisting and retrieving user's favorite channels using localStorage,
+ * including their order, folders, and import/export.
+ */
+
+/**
+ * @typedef {Object} FavoriteItem
+ * @property {string} id - Channel ID
+ * @property {string} name - Channel name when it was added (shown if the channel disappears)
+ * @property {string|null} folder - Folder ID, or null if not in a folder
+ * @property {number} addedAt - When the favorite was added (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} FavoriteFolder
+ * @property {string} id - Folder ID
+ * @property {string} name - Folder name
+ */
+
+/**
+ * @typedef {Object} FavoritesData
+ * @property {number} version - Schema version ({@link FavoritesManager.SCHEMA_VERSION})
+ * @property {FavoriteItem[]} items - Favorites in display order
+ * @property {FavoriteFolder[]} folders - Folders in display order
+ */
+
+/**
+ * @typedef {Object} FavoriteEntry
+ * @property {string} id - Channel ID
+ * @property {string} name - Channel name (current, or as stored if unavailable)
+ * @property {string|null} folder - Folder ID
+ * @property {Channel|null} channel - Channel object, or null if no playlist has it anymore
  */
 
 /**
  * Singleton manager for favorites persistence.
- * Stores favorite channel IDs in localStorage and provides CRUD operations.
+ * Stores a versioned favorites document in localStorage and provides CRUD operations.
+ * Version 1 stored a flat array of channel IDs; it is migrated on first read.
  * @namespace
  */
 const FavoritesManager = {
@@ -17,41 +48,139 @@ const FavoritesManager = {
     STORAGE_KEY: 'liveStreamFavorites',
 
     /**
-     * Retrieves all favorite channel IDs from localStorage.
-     * @returns {string[]} Array of favorite channel IDs
+     * Current favorites schema version
+     * @type {number}
+     * @constant
      */
-    getFavorites() {
+    SCHEMA_VERSION: 2,
+
+    /**
+     * Identifies favorites exported as JSON
+     * @type {string}
+     * @constant
+     */
+    EXPORT_FORMAT: 'streampk-favorites',
+
+    /**
+     * Retrieves the favorites document, migrating older schemas.
+     * @returns {FavoritesData} Favorites document
+     */
+    getData() {
         try {
             const stored = localStorage.getItem(this.STORAGE_KEY);
-            return stored ? JSON.parse(stored) : [];
+            if (!stored) return this.createData();
+
+            const parsed = JSON.parse(stored);
+            const data = this.migrate(parsed);
+            if (data !== parsed) this.saveData(data);
+            return data;
         } catch (e) {
             console.error('Error reading favorites:', e);
-            return [];
+            return this.createData();
         }
     },
 
     /**
-     * Saves favorite channel IDs to localStorage.
-     * @param {string[]} favorites - Array of channel IDs to save
+     * Saves the favorites document to localStorage and announces the change through the store.
+     * @param {FavoritesData} data - Favorites document
      */
-    saveFavorites(favorites) {
+    saveData(data) {
         try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(favorites));
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
         } catch (e) {
             console.error('Error saving favorites:', e);
+            return;
         }
+        AppStore.setFavorites(data.items.map(item => item.id));
+    },
+
+    /**
+     * Creates an empty favorites document.
+     * @returns {FavoritesData} Empty document
+     * @private
+     */
+    createData() {
+        return { version: this.SCHEMA_VERSION, items: [], folders: [] };
+    },
+
+    /**
+     * Upgrades stored favorites to the current schema.
+     * @param {*} stored - Parsed localStorage value
+     * @returns {FavoritesData} Current-schema document (the same object if no migration was needed)
+     */
+    migrate(stored) {
+        // Version 1: flat array of channel IDs
+        if (Array.isArray(stored)) {
+            const data = this.createData();
+            const now = Date.now();
+            stored.filter(id => typeof id === 'string').forEach(id => {
+                if (!data.items.some(item => item.id === id)) {
+                    data.items.push(this.createItem(id, null, now));
+                }
+            });
+            return data;
+        }
+
+        // Newer versions are used as-is so a downgrade does not wipe favorites
+        if (stored && stored.version >= this.SCHEMA_VERSION && Array.isArray(stored.items)) {
+            if (!Array.isArray(stored.folders)) stored.folders = [];
+            return stored;
+        }
+
+        console.warn('Unrecognized favorites data, starting with empty favorites:', stored);
+        return this.createData();
+    },
+
+    /**
+     * Creates a favorite item, remembering the channel's current name.
+     * @param {string} channelId - Channel ID
+     * @param {string|null} folder - Folder ID
+     * @param {number} [addedAt=Date.now()] - When the favorite was added
+     * @param {string} [name] - Name to store if the channel is not loaded
+     * @returns {FavoriteItem} New item
+     * @private
+     */
+    createItem(channelId, folder, addedAt = Date.now(), name) {
+        const channel = ChannelManager.getChannelById(channelId);
+        return {
+            id: channelId,
+            name: channel ? channel.name : (name || channelId),
+            folder,
+            addedAt
+        };
+    },
+
+    /**
+     * Retrieves all favorite channel IDs in display order.
+     * @returns {string[]} Array of favorite channel IDs
+     */
+    getFavorites() {
+        return this.getData().items.map(item => item.id);
+    },
+
+    /**
+     * Saves favorite channel IDs in the given order.
+     * Folders of IDs that were already favorites are kept.
+     * @param {string[]} favorites - Array of channel IDs to save
+     */
+    saveFavorites(favorites) {
+        const data = this.getData();
+        data.items = favorites.map(id =>
+            data.items.find(item => item.id === id) || this.createItem(id, null));
+        this.saveData(data);
     },
 
     /**
      * Adds a channel to favorites if not already present.
      * @param {string} channelId - Channel ID to add
+     * @param {string|null} [folder=null] - Folder ID to add it to
      * @returns {boolean} True if added, false if already a favorite
      */
-    addFavorite(channelId) {
-        const favorites = this.getFavorites();
-        if (!favorites.includes(channelId)) {
-            favorites.push(channelId);
-            this.saveFavorites(favorites);
+    addFavorite(channelId, folder = null) {
+        const data = this.getData();
+        if (!data.items.some(item => item.id === channelId)) {
+            data.items.push(this.createItem(channelId, folder));
+            this.saveData(data);
             return true;
         }
         return false;
@@ -63,11 +192,11 @@ const FavoritesManager = {
      * @returns {boolean} True if removed, false if not found
      */
     removeFavorite(channelId) {
-        const favorites = this.getFavorites();
-        const index = favorites.indexOf(channelId);
+        const data = this.getData();
+        const index = data.items.findIndex(item => item.id === channelId);
         if (index > -1) {
-            favorites.splice(index, 1);
-            this.saveFavorites(favorites);
+            data.items.splice(index, 1);
+            this.saveData(data);
             return true;
         }
         return false;
@@ -98,22 +227,282 @@ const FavoritesManager = {
         return this.getFavorites().includes(channelId);
     },
 
+    /**
+     * Moves a favorite next to another one.
+     * @param {string} channelId - Favorite to move
+     * @param {string} targetId - Favorite to move it next to
+     * @param {boolean} [after=false] - Place after the target instead of before it
+     * @returns {boolean} True if the order changed
+     */
+    moveFavorite(channelId, targetId, after = false) {
+        const data = this.getData();
+        const from = data.items.findIndex(item => item.id === channelId);
+        if (from === -1 || channelId === targetId) return false;
+
+        const [item] = data.items.splice(from, 1);
+        const target = data.items.findIndex(i => i.id === targetId);
+        if (target === -1) {
+            data.items.splice(from, 0, item);
+            return false;
+        }
+
+        data.items.splice(after ? target + 1 : target, 0, item);
+        this.saveData(data);
+        return true;
+    },
+
+    /**
+     * Gets the folders in display order.
+     * @returns {FavoriteFolder[]} Folders
+     */
+    getFolders() {
+        return this.getData().folders;
+    },
+
+    /**
+     * Creates a folder.
+     * @param {string} name - Folder name
+     * @returns {FavoriteFolder} The new folder
+     * @throws {Error} If the name is empty or already used
+     */
+    createFolder(name) {
+        const data = this.getData();
+        const folder = this.addFolder(data, name);
+        this.saveData(data);
+        return folder;
+    },
+
+    /**
+     * Adds a folder to a favorites document without saving it.
+     * @param {FavoritesData} data - Favorites document
+     * @param {string} name - Folder name
+     * @returns {FavoriteFolder} The new folder
+     * @throws {Error} If the name is empty or already used
+     * @private
+     */
+    addFolder(data, name) {
+        const folder = { id: `folder-${Date.now().toString(36)}`, name: this.validateFolderName(data, name) };
+
+        // Folders created in the same millisecond (e.g. during import) need distinct IDs
+        while (data.folders.some(f => f.id === folder.id)) {
+            folder.id += '-';
+        }
+
+        data.folders.push(folder);
+        return folder;
+    },
+
+    /**
+     * Renames a folder.
+     * @param {string} folderId - Folder ID
+     * @param {string} name - New name
+     * @throws {Error} If the name is empty or already used by another folder
+     */
+    renameFolder(folderId, name) {
+        const data = this.getData();
+        const folder = data.folders.find(f => f.id === folderId);
+        if (!folder) return;
+
+        folder.name = this.validateFolderName(data, name, folderId);
+        this.saveData(data);
+    },
+
+    /**
+     * Deletes a folder. Its favorites are kept, outside any folder.
+     * @param {string} folderId - Folder ID
+     */
+    deleteFolder(folderId) {
+        const data = this.getData();
+        data.folders = data.folders.filter(f => f.id !== folderId);
+        data.items.forEach(item => {
+            if (item.folder === folderId) item.folder = null;
+        });
+        this.saveData(data);
+    },
+
+    /**
+     * Moves a favorite into a folder.
+     * @param {string} channelId - Favorite channel ID
+     * @param {string|null} folderId - Folder ID, or null to take it out of its folder
+     */
+    setFolder(channelId, folderId) {
+        const data = this.getData();
+        const item = data.items.find(i => i.id === channelId);
+        if (!item) return;
+
+        item.folder = data.folders.some(f => f.id === folderId) ? folderId : null;
+        this.saveData(data);
+    },
+
+    /**
+     * Checks a folder name.
+     * @param {FavoritesData} data - Favorites document
+     * @param {string} name - Proposed name
+     * @param {string} [exceptId] - Folder being renamed
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty or already used
+     * @private
+     */
+    validateFolderName(data, name, exceptId) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Folder name cannot be empty');
+        }
+        if (data.folders.some(f => f.id !== exceptId && f.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A folder named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    },
+
+    /**
+     * Gets all favorites in display order, including ones whose channel no longer exists.
+     * @param {string} [folderId] - Only favorites in this folder (omit for all)
+     * @returns {FavoriteEntry[]} Favorites with their channel objects
+     */
+    getFavoriteEntries(folderId) {
+        return this.getData().items
+            .filter(item => folderId === undefined || item.folder === folderId)
+            .map(item => {
+                const channel = ChannelManager.getChannelById(item.id) || null;
+                return {
+                    id: item.id,
+                    name: channel ? channel.name : item.name,
+                    folder: item.folder,
+                    channel
+                };
+            });
+    },
+
     /**
      * Gets full channel objects for all favorites.
-     * Filters out any favorites whose channels no longer exist.
+     * Favorites whose channels no longer exist are left out;
+     * use {@link FavoritesManager.getFavoriteEntries} to list them too.
      * @returns {Channel[]} Array of favorite channel objects
      */
     getFavoriteChannels() {
-        const favoriteIds = this.getFavorites();
-        return favoriteIds
-            .map(id => ChannelManager.getChannelById(id))
-            .filter(channel => channel !== undefined);
+        return this.getFavoriteEntries()
+            .filter(entry => entry.channel)
+            .map(entry => entry.channel);
+    },
+
+    /**
+     * Exports favorites and folders as JSON.
+     * @returns {string} JSON document
+     */
+    exportJSON() {
+        const data = this.getData();
+        return JSON.stringify({
+            format: this.EXPORT_FORMAT,
+            version: this.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            folders: data.folders,
+            items: data.items
+        }, null, 2);
     },
 
     /**
-     * Clears all favorites from storage.
+     * Exports available favorites as an M3U playlist for other players.
+     * Folder names become group-title; alternatives and embeds keep the app's comment syntax.
+     * @returns {string} M3U playlist text
+     */
+    exportM3U() {
+        const folders = this.getFolders();
+        const lines = ['#EXTM3U'];
+        const quote = value => String(value).replace(/"/g, "'");
+
+        this.getFavoriteEntries().forEach(entry => {
+            const channel = entry.channel;
+            if (!channel) return;
+
+            const folder = folders.find(f => f.id === entry.folder);
+            const attributes = [
+                `tvg-id="${quote(channel.id)}"`,
+                `tvg-name="${quote(channel.name)}"`,
+                channel.logo ? `tvg-logo="${quote(channel.logo)}"` : '',
+                `group-title="${quote(folder ? folder.name : channel.category)}"`
+            ].filter(attribute => attribute);
+
+            lines.push('', `#EXTINF:-1 ${attributes.join(' ')},${channel.name}`);
+            if (channel.stream) lines.push(channel.stream);
+            channel.sources
+                .filter(source => source.type !== 'iframe' && source.url !== channel.stream && source.url !== channel.embed)
+                .forEach(source => lines.push(`# ALTERNATIVE: ${source.url}`));
+            if (channel.embed) lines.push(`# EMBED: ${channel.embed}`);
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Imports favorites from a JSON export (either schema version) or an M3U playlist.
+     * Imported favorites are added after existing ones; folders are matched by name.
+     * M3U entries are matched by tvg-id and imported without folders.
+     * @param {string} text - File contents
+     * @returns {{added: number, skipped: number}} Number of favorites added and already present
+     * @throws {Error} If the file is not a recognized favorites export or playlist
+     */
+    importFavorites(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        let incoming;
+
+        if (trimmed.startsWith('#EXTM3U')) {
+            incoming = {
+                folders: [],
+                items: ChannelManager.parsePlaylist(trimmed).channels
+                    .map(channel => ({ id: channel.id, name: channel.name, folder: null }))
+            };
+        } else {
+            let parsed;
+            try {
+                parsed = JSON.parse(trimmed);
+            } catch (e) {
+                throw new Error('File is not a favorites export (JSON) or M3U playlist');
+            }
+            if (parsed && parsed.format === this.EXPORT_FORMAT) {
+                incoming = { folders: parsed.folders || [], items: parsed.items || [] };
+            } else if (Array.isArray(parsed)) {
+                incoming = this.migrate(parsed);
+            } else {
+                throw new Error('Unrecognized favorites file');
+            }
+        }
+
+        const data = this.getData();
+
+        // Map imported folder IDs onto existing folders with the same name, creating the rest
+        const folderIds = {};
+        incoming.folders.forEach(folder => {
+            if (!folder || !folder.name) return;
+            const name = String(folder.name).trim();
+            const existing = data.folders.find(f => f.name.toLowerCase() === name.toLowerCase());
+            folderIds[folder.id] = existing ? existing.id : this.addFolder(data, name).id;
+        });
+
+        let added = 0;
+        let skipped = 0;
+        const now = Date.now();
+        incoming.items.forEach(item => {
+            if (!item || typeof item.id !== 'string') return;
+            if (data.items.some(i => i.id === item.id)) {
+                skipped++;
+                return;
+            }
+            data.items.push(this.createItem(item.id, folderIds[item.folder] || null, item.addedAt || now, item.name));
+            added++;
+        });
+
+        this.saveData(data);
+        return { added, skipped };
+    },
+
+    /**
+     * Clears all favorites and folders from storage.
      */
     clearFavorites() {
-        this.saveFavorites([]);
+        this.saveData(this.createData());
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FavoritesManager;
+}
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Stream health checking module for the live streaming application.
+ * Fetches HLS playlists in a bounded-concurrency queue and classifies each channel
+ * as online, degraded or offline. Runs in the browser and under Node (see scripts/check-streams.js).
+ */
+
+/**
+ * @typedef {Object} StreamCheck
+ * @property {string} url - Checked URL
+ * @property {boolean} ok - True if a valid HLS playlist was returned
+ * @property {boolean} isPlaylist - True if the response was an #EXTM3U playlist, even an empty one
+ * @property {number} latency - Time to receive the playlist, in milliseconds
+ * @property {number} variants - Number of #EXT-X-STREAM-INF variants (master playlists)
+ * @property {number} segments - Number of #EXTINF segments (media playlists)
+ * @property {number} [httpStatus] - HTTP status code, if a response was received
+ * @property {string|null} error - Failure reason, or null if ok
+ */
+
+/**
+ * @typedef {Object} ChannelHealth
+ * @property {string} status - 'online', 'degraded' or 'offline'
+ * @property {number|null} latency - Latency of the working source, in milliseconds
+ * @property {number} lastChecked - Timestamp of the most recent check
+ * @property {number|null} lastSuccess - Timestamp of the most recent successful check
+ * @property {string|null} error - Failure reason of the primary source, or null
+ * @property {string} [source] - Label of the source that answered
+ */
+
+/**
+ * Singleton stream health checker.
+ * Results are kept per channel ID and persisted to localStorage in the browser.
+ * @namespace
+ */
+const HealthChecker = {
+    /**
+     * localStorage key for health results
+     * @type {string}
+     * @constant
+     */
+    STORAGE_KEY: 'liveStreamHealth',
+
+    /**
+     * Number of playlists fetched at the same time
+     * @type {number}
+     * @constant
+     */
+    CONCURRENCY: 4,
+
+    /**
+     * Milliseconds before a playlist request is aborted
+     * @type {number}
+     * @constant
+     */
+    TIMEOUT: 10000,
+
+    /**
+     * Latency in milliseconds above which a working stream counts as degraded
+     * @type {number}
+     * @constant
+     */
+    DEGRADED_LATENCY: 3000,
+
+    /**
+     * Milliseconds after which a health result is considered stale and rechecked
+     * @type {number}
+     * @constant
+     */
+    MAX_AGE: 15 * 60 * 1000,
+
+    /**
+     * Health results keyed by channel ID
+     * @type {Object<string, ChannelHealth>}
+     */
+    results: {},
+
+    /**
+     * Flag indicating whether a full check is in progress
+     * @type {boolean}
+     */
+    running: false,
+
+    /**
+     * Loads saved health results from localStorage.
+     */
+    loadResults() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            this.results = stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.error('Error reading health results:', e);
+            this.results = {};
+        }
+    },
+
+    /**
+     * Saves health results to localStorage.
+     */
+    saveResults() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.results));
+        } catch (e) {
+            console.error('Error saving health results:', e);
+        }
+    },
+
+    /**
+     * Gets the health of a channel.
+     * @param {string} channelId - Channel ID
+     * @returns {ChannelHealth|undefined} Health result, or undefined if never checked
+     */
+    getHealth(channelId) {
+        return this.results[channelId];
+    },
+
+    /**
+     * Checks whether a channel is known to be offline.
+     * Unchecked channels are not considered offline.
+     * @param {string} channelId - Channel ID
+     * @returns {boolean} True if the last check found the channel offline
+     */
+    isOffline(channelId) {
+        const health = this.results[channelId];
+        return Boolean(health && health.status === 'offline');
+    },
+
+    /**
+     * Checks whether a channel's health result is missing or older than {@link HealthChecker.MAX_AGE}.
+     * @param {string} channelId - Channel ID
+     * @returns {boolean} True if the channel should be checked again
+     */
+    isStale(channelId) {
+        const health = this.results[channelId];
+        return !health || Date.now() - health.lastChecked > this.MAX_AGE;
+    },
+
+    /**
+     * Fetches a single HLS playlist and validates its contents.
+     * @async
+     * @param {string} url - Playlist URL
+     * @param {number} [timeout=HealthChecker.TIMEOUT] - Abort after this many milliseconds
+     * @returns {Promise<StreamCheck>} Check result (never rejects)
+     */
+    async checkStream(url, timeout = this.TIMEOUT) {
+        const result = { url, ok: false, isPlaylist: false, latency: 0, variants: 0, segments: 0, error: null };
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const started = Date.now();
+
+        try {
+            const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+            result.httpStatus = response.status;
+
+            if (!response.ok) {
+                result.error = `HTTP ${response.status}`;
+                return result;
+            }
+
+            const body = await response.text();
+            result.latency = Date.now() - started;
+            Object.assign(result, this.validatePlaylist(body));
+        } catch (error) {
+            result.latency = Date.now() - started;
+            if (error.name === 'AbortError') {
+                result.error = `Timed out after ${timeout} ms`;
+            } else {
+                // Node's fetch reports the underlying reason (DNS, refused, TLS) as the cause
+                const cause = error.cause && (error.cause.code || error.cause.message);
+                result.error = cause ? `${error.message} (${cause})` : error.message;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+
+        return result;
+    },
+
+    /**
+     * Validates HLS playlist text.
+     * A valid playlist starts with #EXTM3U and has variants (master) or segments (media).
+     * @param {string} body - Playlist text
+     * @returns {{ok: boolean, isPlaylist: boolean, variants: number, segments: number, error: string|null}}
+     *          Validation result
+     */
+    validatePlaylist(body) {
+        const text = body.replace(/^\uFEFF/, '').trimStart();
+        const variants = (text.match(/^#EXT-X-STREAM-INF:/gm) || []).length;
+        const segments = (text.match(/^#EXTINF:/gm) || []).length;
+
+        if (!text.startsWith('#EXTM3U')) {
+            return { ok: false, isPlaylist: false, variants, segments, error: 'Not an HLS playlist' };
+        }
+        if (variants === 0 && segments === 0) {
+            return { ok: false, isPlaylist: true, variants, segments, error: 'Playlist has no variants or segments' };
+        }
+        return { ok: true, isPlaylist: true, variants, segments, error: null };
+    },
+
+    /**
+     * Checks a channel's HLS sources in failover order until one answers.
+     * The channel is online when its first source works quickly, degraded when it is slow,
+     * returns an empty playlist, or only a backup source works, and offline when nothing works.
+     * Embed-only channels cannot be checked and return null.
+     * @async
+     * @param {Channel} channel - Channel to check
+     * @param {number} [timeout] - Per-request timeout in milliseconds
+     * @returns {Promise<ChannelHealth|null>} Health result, or null if the channel has no HLS source
+     */
+    async checkChannel(channel, timeout) {
+        // Browsers block plain HTTP streams on HTTPS pages, so those cannot be checked there either
+        const isSecurePage = typeof location !== 'undefined' && location.protocol === 'https:';
+        const sources = (channel.sources || []).filter(source =>
+            source.type === 'hls' && !(isSecurePage && source.url.startsWith('http:')));
+        if (sources.length === 0) return null;
+
+        const previous = this.results[channel.id];
+        const health = {
+            status: 'offline',
+            latency: null,
+            lastChecked: Date.now(),
+            lastSuccess: previous ? previous.lastSuccess : null,
+            error: null
+        };
+
+        for (let i = 0; i < sources.length; i++) {
+            const check = await this.checkStream(sources[i].url, timeout);
+
+            if (i === 0) health.error = check.error;
+
+            // An HLS playlist without variants or segments still answered: degraded, keep looking
+            if (!check.isPlaylist) continue;
+
+            health.status = check.ok && i === 0 && check.latency < this.DEGRADED_LATENCY ? 'online' : 'degraded';
+            health.latency = check.latency;
+            health.lastSuccess = health.lastChecked;
+            health.source = sources[i].label;
+            if (check.ok) break;
+        }
+
+        return health;
+    },
+
+    /**
+     * Checks many channels with at most {@link HealthChecker.CONCURRENCY} requests in flight.
+     * @async
+     * @param {Channel[]} channels - Channels to check
+     * @param {Object} [options] - Check options
+     * @param {number} [options.concurrency] - Maximum parallel channel checks
+     * @param {number} [options.timeout] - Per-request timeout in milliseconds
+     * @param {function(Channel, ChannelHealth): void} [options.onResult] - Called as each channel finishes
+     * @returns {Promise<Object<string, ChannelHealth>>} Results keyed by channel ID
+     */
+    async checkAll(channels, options = {}) {
+        const concurrency = options.concurrency || this.CONCURRENCY;
+        const queue = channels.slice();
+        const results = {};
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const channel = queue.shift();
+                const health = await this.checkChannel(channel, options.timeout);
+                if (!health) continue;
+
+                results[channel.id] = health;
+                this.results[channel.id] = health;
+                if (options.onResult) options.onResult(channel, health);
+            }
+        };
+
+        this.running = true;
+        try {
+            await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+        } finally {
+            this.running = false;
+        }
+
+        return results;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthChecker;
+}
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Watch history module for the live streaming application.
+ * Records which channels were watched, when, and for how long, using localStorage.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} channelId - Watched channel ID
+ * @property {number} startedAt - When the viewing session started (ms since epoch)
+ * @property {number} lastWatched - When the channel was last seen playing (ms since epoch)
+ * @property {number} duration - Time spent playing during the session, in milliseconds
+ */
+
+/**
+ * Singleton manager for watch history.
+ * Each entry is one viewing session; returning to the same channel shortly
+ * after continues the session instead of starting a new one.
+ * @namespace
+ */
+const HistoryManager = {
+    /**
+     * localStorage key for history entries
+     * @type {string}
+     * @constant
+     */
+    STORAGE_KEY: 'liveStreamHistory',
+
+    /**
+     * localStorage key for the history on/off setting
+     * @type {string}
+     * @constant
+     */
+    ENABLED_KEY: 'liveStreamHistoryEnabled',
+
+    /**
+     * Maximum number of sessions kept
+     * @type {number}
+     * @constant
+     */
+    MAX_ENTRIES: 200,
+
+    /**
+     * Milliseconds after which playing the same channel again starts a new session
+     * @type {number}
+     * @constant
+     */
+    SESSION_GAP: 30 * 60 * 1000,
+
+    /**
+     * Retrieves all history entries from localStorage.
+     * @returns {HistoryEntry[]} Entries, most recent first
+     */
+    getHistory() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error('Error reading watch history:', e);
+            return [];
+        }
+    },
+
+    /**
+     * Saves history entries to localStorage.
+     * @param {HistoryEntry[]} entries - Entries, most recent first
+     */
+    saveHistory(entries) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries.slice(0, this.MAX_ENTRIES)));
+        } catch (e) {
+            console.error('Error saving watch history:', e);
+        }
+    },
+
+    /**
+     * Checks whether history recording is turned on (the default).
+     * @returns {boolean} True if watched channels are recorded
+     */
+    isEnabled() {
+        return localStorage.getItem(this.ENABLED_KEY) !== 'false';
+    },
+
+    /**
+     * Turns history recording on or off. Existing entries are kept.
+     * @param {boolean} enabled - Whether to record watched channels
+     */
+    setEnabled(enabled) {
+        localStorage.setItem(this.ENABLED_KEY, String(enabled));
+    },
+
+    /**
+     * Records that a channel started playing.
+     * Continues the latest session if it is the same channel and was watched recently.
+     * @param {string} channelId - Channel ID
+     */
+    recordPlay(channelId) {
+        if (!this.isEnabled()) return;
+
+        const entries = this.getHistory();
+        const now = Date.now();
+        const latest = entries[0];
+
+        if (latest && latest.channelId === channelId && now - latest.lastWatched < this.SESSION_GAP) {
+            latest.lastWatched = now;
+        } else {
+            entries.unshift({ channelId, startedAt: now, lastWatched: now, duration: 0 });
+        }
+
+        this.saveHistory(entries);
+    },
+
+    /**
+     * Adds playing time to the latest session of a channel.
+     * @param {string} channelId - Channel ID
+     * @param {number} ms - Milliseconds watched
+     */
+    addWatchTime(channelId, ms) {
+        if (!this.isEnabled() || ms <= 0) return;
+
+        const entries = this.getHistory();
+        const latest = entries[0];
+        if (!latest || latest.channelId !== channelId) return;
+
+        latest.duration += ms;
+        latest.lastWatched = Date.now();
+        this.saveHistory(entries);
+    },
+
+    /**
+     * Gets the ID of the most recently watched channel.
+     * @returns {string|null} Channel ID, or null if there is no history or it is turned off
+     */
+    getLastChannelId() {
+        if (!this.isEnabled()) return null;
+        const latest = this.getHistory()[0];
+        return latest ? latest.channelId : null;
+    },
+
+    /**
+     * Gets recently watched channels, most recent first, without repeats.
+     * Filters out channels that no longer exist.
+     * @param {number} [limit=10] - Maximum number of channels
+     * @returns {Array<{channel: Channel, lastWatched: number, duration: number}>}
+     *          Channels with their last watch time and total watch time
+     */
+    getRecentChannels(limit = 10) {
+        const recent = new Map();
+
+        this.getHistory().forEach(entry => {
+            if (recent.has(entry.channelId)) {
+                recent.get(entry.channelId).duration += entry.duration;
+            } else {
+                recent.set(entry.channelId, { lastWatched: entry.lastWatched, duration: entry.duration });
+            }
+        });
+
+        return Array.from(recent, ([id, stats]) => ({ channel: ChannelManager.getChannelById(id), ...stats }))
+            .filter(item => item.channel !== undefined)
+            .slice(0, limit);
+    },
+
+    /**
+     * Clears all history from storage.
+     */
+    clearHistory() {
+        this.saveHistory([]);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Deep links for the live streaming application.
+ * Reads and writes the view state (channel, multi-view channels, category, search and
+ * start options) in the page URL, and draws share links as QR codes.
+ */
+
+/**
+ * @typedef {Object} ViewState
+ * @property {string|null} channel - Channel in the active player (`?channel=`)
+ * @property {string[]} channels - Multi-view channels by tile, '' for an empty tile (`?channels=`, 2 to 4 entries)
+ * @property {string} category - Selected category, 'all' for every channel (`?category=`)
+ * @property {string} query - Channel search text (`?q=`)
+ * @property {boolean|null} tv - TV mode for this visit, or null to keep the saved preference (`?tv=`)
+ * @property {boolean} muted - Start muted (`?muted=`, default off)
+ * @property {boolean} autoplay - Start playing at once instead of showing a play button (`?autoplay=`, default on)
+ */
+
+/**
+ * Singleton deep link helper.
+ * @namespace
+ */
+const DeepLinks = {
+    /**
+     * QR code generator (qrcode-generator 1.4.4, kept in the repository and precached
+     * with the app), loaded the first time a code is drawn
+     * @type {string}
+     * @constant
+     */
+    QR_LIBRARY_URL: 'js/vendor/qrcode.js',
+
+    /**
+     * Light modules drawn around a QR code so phone cameras can find it
+     * @type {number}
+     * @constant
+     */
+    QR_QUIET_ZONE: 4,
+
+    /**
+     * Largest number of multi-view channels in a link (see {@link MultiView.LAYOUTS})
+     * @type {number}
+     * @constant
+     */
+    MAX_CHANNELS: 4,
+
+    /**
+     * Promise for the QR code generator while it loads
+     * @type {Promise<Function>|null}
+     * @private
+     */
+    qrLibrary: null,
+
+    /**
+     * Reads a yes/no URL parameter.
+     * Accepts 1/0, true/false and yes/no; anything else gives the fallback.
+     * @param {URLSearchParams} params - URL parameters
+     * @param {string} name - Parameter name
+     * @param {boolean|null} fallback - Value when the parameter is missing or not a flag
+     * @returns {boolean|null} Flag value
+     */
+    readFlag(params, name, fallback) {
+        const value = (params.get(name) || '').toLowerCase();
+        if (['1', 'true', 'yes'].includes(value)) return true;
+        if (['0', 'false', 'no'].includes(value)) return false;
+        return fallback;
+    },
+
+    /**
+     * Reads the view state from a query string.
+     * A `channels` list with fewer than two entries is ignored.
+     * @param {string} search - Query string, e.g. '?channel=geo-news&category=News'
+     * @returns {ViewState} View state
+     */
+    parse(search) {
+        const params = new URLSearchParams(search);
+        const channels = (params.get('channels') || '').split(',')
+            .map(id => id.trim())
+            .slice(0, this.MAX_CHANNELS);
+
+        return {
+            channel: params.get('channel') || null,
+            channels: channels.length > 1 ? channels : [],
+            category: params.get('category') || 'all',
+            query: (params.get('q') || '').trim(),
+            tv: this.readFlag(params, 'tv', null),
+            muted: this.readFlag(params, 'muted', false),
+            autoplay: this.readFlag(params, 'autoplay', true)
+        };
+    },
+
+    /**
+     * Builds a link to a view state. Parameters left at their defaults are omitted.
+     * @param {Partial<ViewState>} state - View state
+     * @param {string} base - Page URL to link to; its query string is replaced
+     * @returns {string} Absolute URL
+     */
+    build(state, base) {
+        const url = new URL(base);
+        const params = new URLSearchParams();
+
+        if (state.channel) params.set('channel', state.channel);
+        if (state.channels && state.channels.length > 1) params.set('channels', state.channels.join(','));
+        if (state.category && state.category !== 'all') params.set('category', state.category);
+        if (state.query) params.set('q', state.query);
+        if (typeof state.tv === 'boolean') params.set('tv', state.tv ? '1' : '0');
+        if (state.muted) params.set('muted', '1');
+        if (state.autoplay === false) params.set('autoplay', '0');
+
+        // Commas are allowed in a query string; keep channel lists readable
+        url.search = params.toString().replace(/%2C/g, ',');
+        return url.href;
+    },
+
+    /**
+     * Loads the bundled QR code generator (js/vendor/qrcode.js) on first use, once.
+     * The service worker precaches it, so codes can be drawn offline.
+     * @returns {Promise<Function>} Resolves with the `qrcode` factory
+     * @throws {Error} Rejects if the script cannot be loaded
+     */
+    loadQrLibrary() {
+        if (this.qrLibrary) return this.qrLibrary;
+
+        this.qrLibrary = new Promise((resolve, reject) => {
+            if (typeof qrcode === 'function') {
+                resolve(qrcode);
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = this.QR_LIBRARY_URL;
+            script.async = true;
+            script.onload = () => {
+                if (typeof qrcode === 'function') {
+                    resolve(qrcode);
+                } else {
+                    this.qrLibrary = null;
+                    reject(new Error('QR code generator did not load'));
+                }
+            };
+            script.onerror = () => {
+                this.qrLibrary = null;
+                script.remove();
+                reject(new Error('QR code generator could not be loaded'));
+            };
+            document.head.appendChild(script);
+        });
+
+        return this.qrLibrary;
+    },
+
+    /**
+     * Draws text as a QR code.
+     * @async
+     * @param {string} text - Text to encode, usually a link
+     * @returns {Promise<SVGSVGElement>} Scalable QR code image
+     * @throws {Error} If the generator cannot be loaded or the text is too long for a QR code
+     */
+    async createQrCode(text) {
+        const factory = await this.loadQrLibrary();
+        const code = factory(0, 'M');
+        code.addData(text);
+        code.make();
+
+        const count = code.getModuleCount();
+        const size = count + this.QR_QUIET_ZONE * 2;
+        let path = '';
+        for (let row = 0; row < count; row++) {
+            for (let col = 0; col < count; col++) {
+                if (code.isDark(row, col)) {
+                    path += `M${col + this.QR_QUIET_ZONE} ${row + this.QR_QUIET_ZONE}h1v1h-1z`;
+                }
+            }
+        }
+
+        const ns = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `QR code for ${text}`);
+
+        const background = document.createElementNS(ns, 'rect');
+        background.setAttribute('width', String(size));
+        background.setAttribute('height', String(size));
+        background.setAttribute('fill', '#fff');
+
+        const modules = document.createElementNS(ns, 'path');
+        modules.setAttribute('d', path);
+        modules.setAttribute('fill', '#000');
+
+        svg.append(background, modules);
+        return svg;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeepLinks;
+}
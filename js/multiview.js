@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Multi-view module for the live streaming application.
+ * Splits the player frame into 2, 3 or 4 tiles, each with its own player.
+ */
+
+/**
+ * @typedef {Object} MultiViewTile
+ * @property {HTMLElement} element - Tile element
+ * @property {HTMLElement} name - Channel name label
+ * @property {HTMLButtonElement} promoteBtn - Full size toggle
+ * @property {StreamPlayer} player - Player of the tile
+ */
+
+/**
+ * Singleton multi-view controller.
+ * The focused tile is the active player: it alone plays audio, and channel
+ * selection, the "Now Playing" area and picture-in-picture act on it.
+ * @namespace
+ */
+const MultiView = {
+    /**
+     * Supported tile counts (1 is the normal single player)
+     * @type {number[]}
+     * @constant
+     */
+    LAYOUTS: [1, 2, 3, 4],
+
+    /**
+     * Placeholder shown in a tile without a channel
+     * @type {string}
+     * @constant
+     */
+    EMPTY_TILE_MESSAGE: 'Choose a channel for this view',
+
+    /**
+     * Current number of views
+     * @type {number}
+     */
+    layout: 1,
+
+    /**
+     * Tiles while multi-view is active
+     * @type {MultiViewTile[]}
+     */
+    tiles: [],
+
+    /**
+     * Index of the focused tile
+     * @type {number}
+     */
+    focusedIndex: 0,
+
+    /**
+     * Index of the tile shown at full size, or -1
+     * @type {number}
+     */
+    promotedIndex: -1,
+
+    /**
+     * Cached DOM element references
+     * @type {Object}
+     */
+    elements: {
+        playerContainer: null,
+        grid: null,
+        layoutButtons: null
+    },
+
+    /**
+     * Initializes multi-view by caching DOM element references and wiring the layout buttons.
+     * Must be called after {@link VideoPlayer.init}.
+     * Focus and layout changes reach the rest of the app as {@link AppStore} 'channel:changed'
+     * and 'layout:changed' events.
+     */
+    init() {
+        this.elements.playerContainer = document.querySelector('.player-container');
+        this.elements.grid = document.getElementById('multiviewGrid');
+        this.elements.layoutButtons = document.getElementById('viewLayout');
+
+        this.elements.layoutButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-layout]');
+            if (button) this.setLayout(parseInt(button.dataset.layout, 10));
+        });
+
+        this.render();
+    },
+
+    /**
+     * Checks whether more than one view is shown.
+     * @returns {boolean} True in multi-view
+     */
+    isActive() {
+        return this.layout > 1;
+    },
+
+    /**
+     * Gets the players of all tiles.
+     * @returns {StreamPlayer[]} Players (empty outside multi-view)
+     */
+    getPlayers() {
+        return this.tiles.map(tile => tile.player);
+    },
+
+    /**
+     * Switches to the next layout (1, 2, 3, 4, then back to 1).
+     */
+    cycleLayout() {
+        const index = this.LAYOUTS.indexOf(this.layout);
+        this.setLayout(this.LAYOUTS[(index + 1) % this.LAYOUTS.length]);
+    },
+
+    /**
+     * Shows a number of views.
+     * Entering multi-view moves the main player's channel to the first tile; leaving it
+     * continues the focused tile's channel in the main player.
+     * @param {number} count - Number of views (1 to 4)
+     */
+    setLayout(count) {
+        if (!this.LAYOUTS.includes(count) || count === this.layout) return;
+
+        if (count === 1) {
+            this.exit();
+            return;
+        }
+
+        if (this.layout === 1) {
+            const channel = VideoPlayer.main.getCurrentChannel();
+            VideoPlayer.main.stop('Click a channel to start watching');
+            this.tiles.push(this.createTile(0));
+            if (channel) this.tiles[0].player.loadChannel(channel);
+        }
+
+        while (this.tiles.length < count) {
+            this.tiles.push(this.createTile(this.tiles.length));
+        }
+        while (this.tiles.length > count) {
+            this.removeTile(this.tiles.pop());
+        }
+
+        this.layout = count;
+        if (this.promotedIndex >= count) this.promotedIndex = -1;
+        this.focus(Math.min(this.focusedIndex, count - 1));
+        AppStore.setLayout(count);
+    },
+
+    /**
+     * Leaves multi-view, continuing the focused tile's channel in the main player.
+     * @private
+     */
+    exit() {
+        const focused = this.tiles[this.focusedIndex];
+        const withChannel = this.tiles.find(tile => tile.player.getCurrentChannel());
+        const channel = (focused && focused.player.getCurrentChannel()) ||
+            (withChannel ? withChannel.player.getCurrentChannel() : null);
+
+        this.tiles.forEach(tile => this.removeTile(tile));
+        this.tiles = [];
+        this.layout = 1;
+        this.focusedIndex = 0;
+        this.promotedIndex = -1;
+        this.render();
+
+        VideoPlayer.setActivePlayer(VideoPlayer.main);
+        if (channel) VideoPlayer.loadChannel(channel);
+        AppStore.setLayout(1);
+    },
+
+    /**
+     * Creates a tile with its own player.
+     * Tiles start muted; focusing a tile gives it the audio.
+     * @param {number} index - Tile position
+     * @returns {MultiViewTile} Tile
+     * @private
+     */
+    createTile(index) {
+        const element = document.createElement('div');
+        element.className = 'multiview-tile';
+        element.tabIndex = 0;
+        element.setAttribute('role', 'group');
+        element.setAttribute('aria-label', `View ${index + 1}`);
+
+        const container = document.createElement('div');
+        container.className = 'video-container';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'player-overlay';
+
+        const bar = document.createElement('div');
+        bar.className = 'multiview-bar';
+
+        const audio = document.createElement('i');
+        audio.className = 'fas fa-volume-up multiview-audio';
+        audio.setAttribute('aria-hidden', 'true');
+
+        const name = document.createElement('span');
+        name.className = 'multiview-name';
+
+        const promoteBtn = document.createElement('button');
+        promoteBtn.type = 'button';
+        promoteBtn.className = 'multiview-promote';
+        promoteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePromote(index);
+        });
+
+        bar.append(audio, name, promoteBtn);
+        element.append(container, overlay, bar);
+        this.elements.grid.appendChild(element);
+
+        const player = new StreamPlayer(container, overlay);
+        const tile = { element, name, promoteBtn, player };
+
+        player.setMuted(true);
+        player.stop(this.EMPTY_TILE_MESSAGE);
+        VideoPlayer.watch(player);
+
+        const updateName = () => {
+            const channel = player.getCurrentChannel();
+            name.textContent = channel ? channel.name : `View ${index + 1}`;
+        };
+        player.on('source', updateName);
+        player.on('stop', updateName);
+        updateName();
+
+        // Clicks on the video controls focus the tile too
+        element.addEventListener('pointerdown', () => this.focus(index));
+        element.addEventListener('focusin', () => this.focus(index));
+
+        return tile;
+    },
+
+    /**
+     * Stops a tile's player and removes the tile.
+     * @param {MultiViewTile} tile - Tile to remove
+     * @private
+     */
+    removeTile(tile) {
+        tile.player.stop();
+        tile.element.remove();
+    },
+
+    /**
+     * Focuses a tile: it becomes the active player and the only one with sound
+     * (at the viewer's remembered volume and mute setting).
+     * @param {number} index - Tile index
+     */
+    focus(index) {
+        const tile = this.tiles[index];
+        if (!tile) return;
+
+        const changed = VideoPlayer.activePlayer !== tile.player;
+        this.focusedIndex = index;
+        this.tiles.forEach((t, i) => {
+            if (i !== index) t.player.setMuted(true);
+        });
+        this.render();
+
+        if (changed) {
+            VideoPlayer.setActivePlayer(tile.player);
+        }
+    },
+
+    /**
+     * Shows a tile at full size, or returns to the grid if it already is.
+     * The other tiles keep playing (muted) so switching back is instant.
+     * @param {number} index - Tile index
+     */
+    togglePromote(index) {
+        this.promotedIndex = this.promotedIndex === index ? -1 : index;
+        this.focus(index);
+        this.render();
+    },
+
+    /**
+     * Updates the grid, tile and layout button states.
+     * @private
+     */
+    render() {
+        const { grid, playerContainer, layoutButtons } = this.elements;
+
+        grid.hidden = !this.isActive();
+        grid.className = `multiview-grid layout-${this.layout}`;
+        grid.classList.toggle('has-promoted', this.promotedIndex !== -1);
+        playerContainer.classList.toggle('is-multiview', this.isActive());
+
+        this.tiles.forEach((tile, index) => {
+            const promoted = index === this.promotedIndex;
+            tile.element.classList.toggle('is-focused', index === this.focusedIndex);
+            tile.element.classList.toggle('is-promoted', promoted);
+            tile.promoteBtn.innerHTML = `<i class="fas ${promoted ? 'fa-compress' : 'fa-expand'}"></i>`;
+            tile.promoteBtn.title = promoted ? 'Back to all views' : 'Full size';
+            tile.promoteBtn.setAttribute('aria-label', tile.promoteBtn.title);
+            tile.promoteBtn.setAttribute('aria-pressed', String(promoted));
+        });
+
+        layoutButtons.querySelectorAll('[data-layout]').forEach(button => {
+            button.setAttribute('aria-pressed', String(parseInt(button.dataset.layout, 10) === this.layout));
+        });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiView;
+}
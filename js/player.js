@@ -1,224 +1,1544 @@
 /**
  * @fileoverview Video player module for the live streaming application.
- * Provides a wrapper around JW Player with iframe fallback support.
+ * Plays channel sources through pluggable playback engines (see engines.js).
+ * {@link StreamPlayer} instances each play one channel; the {@link VideoPlayer}
+ * stage shows the active one in the "Now Playing" area.
  */
 
 /**
- * Singleton video player controller.
- * Manages HLS stream playback via JW Player and iframe embeds for alternative sources.
+ * @typedef {Object} PlaybackLogEntry
+ * @property {number} time - When it happened (ms since epoch)
+ * @property {string} level - 'error' (the source was abandoned) or 'warning' (the engine recovered)
+ * @property {string} reason - 'error', 'stall', 'ended', 'unsupported' or 'warning'
+ * @property {string} source - Label of the source that failed
+ * @property {string} sourceUrl - URL of the source that failed
+ * @property {string|null} engine - Label of the engine playing it
+ * @property {string} [message] - Engine error message
+ * @property {number} [status] - HTTP status code (0 means the request was blocked or unreachable)
+ * @property {string} [url] - URL of the failing request (e.g. a segment)
+ * @property {Object} [detail] - Engine-specific error details
+ */
+
+/**
+ * Plays one channel in a container element.
+ * Picks a playback engine for each source and fails over between sources.
+ *
+ * Events (subscribe with on()):
+ * - 'source' - a source started loading (a new engine was created)
+ * - 'levels' - quality levels became available or the quality changed
+ * - 'audiotracks' - audio tracks became available or the track changed
+ * - 'volume' - the viewer changed volume or mute with the engine's own controls
+ * - 'state' - playback started or paused
+ * - 'log' - an error or warning was added to {@link StreamPlayer#errorLog}
+ * - 'failure' - every source failed; {@link StreamPlayer#failure} explains why
+ * - 'report' - the viewer asked to report the failure
+ * - 'stop' - playback was stopped and the channel cleared
+ */
+class StreamPlayer {
+    /**
+     * Creates a player rendering into a container, with an overlay for loading and error states.
+     * @param {HTMLElement} container - Element the playback engines render into
+     * @param {HTMLElement} overlay - Overlay element shown over the container
+     */
+    constructor(container, overlay) {
+        /**
+         * Element the playback engines render into
+         * @type {HTMLElement}
+         */
+        this.container = container;
+
+        /**
+         * Loading/error overlay
+         * @type {HTMLElement}
+         */
+        this.overlay = overlay;
+
+        /**
+         * Active playback engine instance (null when nothing is loaded)
+         * @type {PlaybackEngine|null}
+         */
+        this.engine = null;
+
+        /**
+         * Definition of the active playback engine
+         * @type {EngineDefinition|null}
+         */
+        this.engineDefinition = null;
+
+        /**
+         * Currently playing channel object
+         * @type {Channel|null}
+         */
+        this.currentChannel = null;
+
+        /**
+         * Playable sources for the current channel, in failover order
+         * @type {StreamSource[]}
+         */
+        this.sources = [];
+
+        /**
+         * Index of the source currently loaded from {@link StreamPlayer#sources}
+         * @type {number}
+         */
+        this.sourceIndex = 0;
+
+        /**
+         * Number of source switches since the last successful playback
+         * @type {number}
+         */
+        this.failoverCount = 0;
+
+        /**
+         * Recent errors and warnings for the current channel, oldest first
+         * (at most {@link StreamPlayer.MAX_LOG_ENTRIES})
+         * @type {PlaybackLogEntry[]}
+         */
+        this.errorLog = [];
+
+        /**
+         * Sources of the current channel skipped because this page cannot load them
+         * @type {StreamSource[]}
+         */
+        this.skippedSources = [];
+
+        /**
+         * Why the current channel could not be played (null while it plays or loads)
+         * @type {PlaybackFailure|null}
+         */
+        this.failure = null;
+
+        /**
+         * Pending stall watchdog timer ID
+         * @type {number|null}
+         */
+        this.stallTimer = null;
+
+        /**
+         * Whether audio is muted (kept across engine and source changes)
+         * @type {boolean}
+         */
+        this.muted = false;
+
+        /**
+         * Volume from 0 to 1 (kept across engine and source changes)
+         * @type {number}
+         */
+        this.volume = 1;
+
+        /**
+         * Event emitter for player events
+         * @type {{on: Function, emit: Function}}
+         * @private
+         */
+        this.emitter = PlaybackEngines.createEmitter();
+    }
+
+    /**
+     * Subscribes to a player event.
+     * @param {string} event - 'source', 'levels', 'audiotracks', 'volume', 'state', 'log', 'failure', 'report' or 'stop'
+     * @param {Function} handler - Event handler
+     */
+    on(event, handler) {
+        this.emitter.on(event, handler);
+    }
+
+    /**
+     * Loads and plays a channel's stream or embed.
+     * Starts with the first playable source and fails over to the next one on error or stall.
+     * A channel without playable sources stops the previous one and shows why.
+     * @param {Channel} channel - Channel object to play
+     * @returns {boolean} False if the channel has no playable source
+     */
+    loadChannel(channel) {
+        const sources = this.getPlayableSources(channel);
+        this.errorLog = [];
+        this.skippedSources = channel && channel.sources
+            ? channel.sources.filter(source => !sources.includes(source))
+            : [];
+
+        this.currentChannel = channel;
+        this.sources = sources;
+        this.failoverCount = 0;
+
+        if (sources.length === 0) {
+            this.destroyEngine();
+            this.emitter.emit('source');
+            this.fail();
+            return false;
+        }
+
+        this.loadSource(0);
+        return true;
+    }
+
+    /**
+     * Gets the sources of a channel that can be played from this page.
+     * Plain HTTP sources are skipped on HTTPS pages since browsers block mixed content.
+     * @param {Channel} channel - Channel to inspect
+     * @returns {StreamSource[]} Playable sources in failover order
+     * @private
+     */
+    getPlayableSources(channel) {
+        if (!channel || !channel.sources) return [];
+
+        const isSecurePage = window.location.protocol === 'https:';
+        return channel.sources.filter(source => !(isSecurePage && source.url.startsWith('http:')));
+    }
+
+    /**
+     * Loads one of the current channel's sources in the first engine that can play it.
+     * @param {number} index - Index into {@link StreamPlayer#sources}
+     * @private
+     */
+    loadSource(index) {
+        const source = this.sources[index];
+        this.sourceIndex = index;
+        this.failure = null;
+        this.clearStallTimer();
+        this.destroyEngine();
+
+        const definition = PlaybackEngines.select(source);
+        if (!definition) {
+            console.warn(`No playback engine can play source "${source.label}"`);
+            this.emitter.emit('source');
+            this.failover('unsupported', { message: 'No playback engine can play this source' });
+            return;
+        }
+
+        const engine = definition.create(this.container);
+        this.engine = engine;
+        this.engineDefinition = definition;
+        engine.setVolume(this.volume);
+        engine.setMuted(this.muted);
+
+        // Set up event listeners (ignoring events from an engine that has since been replaced)
+        engine.on('playing', () => {
+            if (engine !== this.engine) return;
+            this.clearStallTimer();
+            this.failoverCount = 0;
+            this.hideOverlay();
+            this.emitter.emit('state');
+        });
+
+        engine.on('buffering', () => {
+            if (engine !== this.engine) return;
+            this.startStallTimer();
+        });
+
+        engine.on('pause', () => {
+            if (engine !== this.engine) return;
+            this.clearStallTimer();
+            this.emitter.emit('state');
+        });
+
+        engine.on('levels', () => {
+            if (engine !== this.engine) return;
+            this.applyQuality();
+        });
+
+        engine.on('audiotracks', () => {
+            if (engine !== this.engine) return;
+            this.applyAudioTrack();
+        });
+
+        engine.on('volumechange', () => {
+            if (engine !== this.engine) return;
+            this.volume = engine.getVolume();
+            this.muted = engine.isMuted();
+            this.emitter.emit('volume');
+        });
+
+        engine.on('error', (e) => {
+            if (engine !== this.engine) return;
+            console.error(`Playback error (${definition.label}):`, e);
+            this.failover('error', e);
+        });
+
+        // A live stream that ends has dropped: treat it like an error and move on
+        engine.on('ended', () => {
+            if (engine !== this.engine) return;
+            console.warn(`Stream ended (${definition.label})`);
+            this.failover('ended', { message: 'The stream ended' });
+        });
+
+        engine.on('warning', (e) => {
+            if (engine !== this.engine) return;
+            this.log('warning', 'warning', e);
+        });
+
+        engine.load(source.url, source);
+        this.emitter.emit('source');
+
+        if (definition.detectsErrors) {
+            this.startStallTimer();
+        }
+        this.hideOverlay();
+    }
+
+    /**
+     * Stops and removes the active playback engine.
+     * @private
+     */
+    destroyEngine() {
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+            this.engineDefinition = null;
+        }
+    }
+
+    /**
+     * Stops playback and forgets the current channel.
+     * @param {string} [message] - Placeholder shown in the overlay
+     */
+    stop(message) {
+        this.clearStallTimer();
+        this.destroyEngine();
+        this.currentChannel = null;
+        this.sources = [];
+        this.errorLog = [];
+        this.skippedSources = [];
+        this.failure = null;
+
+        if (message) {
+            this.showMessage('fa-play-circle', message);
+        }
+        this.emitter.emit('stop');
+    }
+
+    /**
+     * Switches to the next source after the current one failed.
+     * Cycles through all sources until {@link StreamPlayer.MAX_FAILOVER_ATTEMPTS} is reached.
+     * @param {string} reason - Why the current source failed ('error', 'stall', 'ended' or 'unsupported')
+     * @param {{message: string, detail: Object}} [error] - Engine error, if any
+     * @private
+     */
+    failover(reason, error) {
+        this.clearStallTimer();
+        this.log('error', reason, error || { message: `No playback for ${StreamPlayer.STALL_TIMEOUT / 1000}s` });
+
+        if (this.failoverCount >= StreamPlayer.MAX_FAILOVER_ATTEMPTS) {
+            this.fail();
+            return;
+        }
+
+        const failed = this.sources[this.sourceIndex];
+        const nextIndex = (this.sourceIndex + 1) % this.sources.length;
+        this.failoverCount++;
+
+        console.warn(`Source "${failed.label}" failed (${reason}), trying "${this.sources[nextIndex].label}"`);
+        this.loadSource(nextIndex);
+    }
+
+    /**
+     * Gives up on the current channel: works out why it failed and shows that with recovery actions.
+     * @private
+     */
+    fail() {
+        this.clearStallTimer();
+        this.failure = PlaybackErrors.classify({
+            errors: this.errorLog,
+            skippedSources: this.skippedSources,
+            isSecurePage: window.location.protocol === 'https:',
+            online: navigator.onLine
+        });
+
+        console.warn(`Playback failed (${this.failure.type})`);
+        this.showFailure(this.failure);
+        this.emitter.emit('failure');
+    }
+
+    /**
+     * Shows a failure's explanation in the overlay, with buttons for the recovery
+     * actions that apply to this channel.
+     * @param {PlaybackFailure} failure - Classified failure
+     * @private
+     */
+    showFailure(failure) {
+        const description = PlaybackErrors.describe(failure.type);
+        const available = {
+            retry: this.sources.length > 0,
+            alternative: this.sources.length > 1,
+            external: Boolean(failure.sourceUrl),
+            report: true
+        };
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${description.icon} overlay-error-icon`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const title = document.createElement('p');
+        title.className = 'overlay-error-title';
+        title.textContent = description.title;
+
+        const message = document.createElement('p');
+        message.className = 'overlay-error-message';
+        message.textContent = description.message;
+
+        const actions = document.createElement('div');
+        actions.className = 'overlay-actions';
+        description.actions.filter(action => available[action]).forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'overlay-action';
+            button.textContent = StreamPlayer.ACTION_LABELS[action];
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.runAction(action);
+            });
+            actions.appendChild(button);
+        });
+
+        const content = document.createElement('div');
+        content.className = 'overlay-content';
+        content.setAttribute('role', 'alert');
+        content.append(icon, title, message, actions);
+
+        this.overlay.classList.remove('hidden');
+        this.overlay.replaceChildren(content);
+    }
+
+    /**
+     * Runs a recovery action from the failure overlay.
+     * @param {string} action - 'retry', 'alternative', 'external' or 'report'
+     */
+    runAction(action) {
+        switch (action) {
+            case 'retry':
+                this.loadChannel(this.currentChannel);
+                break;
+            case 'alternative':
+                this.failoverCount = 0;
+                this.loadSource((this.sourceIndex + 1) % this.sources.length);
+                break;
+            case 'external':
+                window.open(this.failure.sourceUrl, '_blank', 'noopener');
+                break;
+            case 'report':
+                this.emitter.emit('report');
+                break;
+        }
+    }
+
+    /**
+     * Adds an entry about the current source to {@link StreamPlayer#errorLog}.
+     * @param {string} level - 'error' or 'warning'
+     * @param {string} reason - What went wrong ('error', 'stall', 'ended', 'unsupported' or 'warning')
+     * @param {{message: string, detail: Object}} [error] - Engine error, if any
+     * @private
+     */
+    log(level, reason, error) {
+        const source = this.sources[this.sourceIndex];
+        const detail = (error && error.detail) || {};
+
+        this.errorLog.push({
+            time: Date.now(),
+            level,
+            reason,
+            source: source ? source.label : '',
+            sourceUrl: source ? source.url : '',
+            engine: this.getEngineLabel(),
+            message: error ? error.message : undefined,
+            status: detail.status,
+            url: detail.url,
+            detail: error ? error.detail : undefined
+        });
+
+        if (this.errorLog.length > StreamPlayer.MAX_LOG_ENTRIES) {
+            this.errorLog.shift();
+        }
+        this.emitter.emit('log');
+    }
+
+    /**
+     * Starts (or restarts) the stall watchdog for the current source.
+     * @private
+     */
+    startStallTimer() {
+        this.clearStallTimer();
+        this.stallTimer = setTimeout(() => {
+            this.stallTimer = null;
+            this.failover('stall');
+        }, StreamPlayer.STALL_TIMEOUT);
+    }
+
+    /**
+     * Cancels the stall watchdog.
+     * @private
+     */
+    clearStallTimer() {
+        if (this.stallTimer) {
+            clearTimeout(this.stallTimer);
+            this.stallTimer = null;
+        }
+    }
+
+    /**
+     * Gets the source currently loaded.
+     * @returns {StreamSource|null} Source, or null if nothing is loaded
+     */
+    getSource() {
+        return this.sources[this.sourceIndex] || null;
+    }
+
+    /**
+     * Gets the quality levels of the active engine.
+     * @returns {QualityLevel[]} Levels (empty if none are exposed)
+     */
+    getLevels() {
+        return this.engine ? this.engine.getLevels() : [];
+    }
+
+    /**
+     * Applies the current channel's quality preference to the active engine.
+     * A pinned quality selects the closest level; otherwise the engine chooses automatically,
+     * capped at {@link QualityManager.DATA_SAVER_MAX_BITRATE} while data saver is active.
+     * Engines that cannot cap automatic selection are pinned to the highest level within the cap.
+     */
+    applyQuality() {
+        const engine = this.engine;
+        const levels = this.getLevels();
+
+        if (levels.length > 0) {
+            const preference = QualityManager.getChannelQuality(this.currentChannel.id);
+
+            if (preference) {
+                engine.setMaxBitrate(null);
+                engine.setLevel(QualityManager.findLevel(levels, preference));
+            } else if (QualityManager.isDataSaverActive()) {
+                const maxBitrate = QualityManager.DATA_SAVER_MAX_BITRATE;
+                if (engine.setMaxBitrate(maxBitrate)) {
+                    engine.setLevel(-1);
+                } else {
+                    engine.setLevel(QualityManager.findCappedLevel(levels, maxBitrate));
+                }
+            } else {
+                engine.setMaxBitrate(null);
+                engine.setLevel(-1);
+            }
+        }
+
+        this.emitter.emit('levels');
+    }
+
+    /**
+     * Pins a quality for the current channel, or returns it to automatic.
+     * The choice is remembered for the channel.
+     * @param {number} index - Level index, or -1 for automatic
+     */
+    setQuality(index) {
+        if (!this.engine || !this.currentChannel) return;
+
+        const level = this.engine.getLevels().find(l => l.index === index) || null;
+        QualityManager.setChannelQuality(this.currentChannel.id, level);
+        this.applyQuality();
+    }
+
+    /**
+     * Gets the audio tracks of the active engine.
+     * @returns {AudioTrack[]} Tracks (empty if none are exposed)
+     */
+    getAudioTracks() {
+        return this.engine ? this.engine.getAudioTracks() : [];
+    }
+
+    /**
+     * Gets the selected audio track.
+     * @returns {number} Track index, or -1 if unknown
+     */
+    getAudioTrack() {
+        return this.engine ? this.engine.getAudioTrack() : -1;
+    }
+
+    /**
+     * Selects the remembered audio track for the current channel, if the stream has it.
+     */
+    applyAudioTrack() {
+        const tracks = this.getAudioTracks();
+        const preference = this.currentChannel ? AudioManager.getSettings(this.currentChannel.id).track : null;
+
+        if (preference && tracks.length > 1) {
+            const index = AudioManager.findTrack(tracks, preference);
+            if (index !== -1 && index !== this.engine.getAudioTrack()) {
+                this.engine.setAudioTrack(index);
+            }
+        }
+
+        this.emitter.emit('audiotracks');
+    }
+
+    /**
+     * Selects an audio track. The choice is remembered by language and name.
+     * @param {number} index - Track index
+     */
+    setAudioTrack(index) {
+        if (!this.engine || !this.currentChannel) return;
+
+        const track = this.getAudioTracks().find(t => t.index === index);
+        if (!track) return;
+
+        AudioManager.updateSettings(this.currentChannel.id, {
+            track: { language: track.language, name: track.name }
+        });
+        this.engine.setAudioTrack(index);
+        this.emitter.emit('audiotracks');
+    }
+
+    /**
+     * Hides the player overlay (loading/error state).
+     * @private
+     */
+    hideOverlay() {
+        this.overlay.classList.add('hidden');
+    }
+
+    /**
+     * Displays an error message in the player overlay.
+     * @param {string} message - Error message to display
+     */
+    showError(message) {
+        this.clearStallTimer();
+        this.showMessage('fa-exclamation-triangle', message, true);
+    }
+
+    /**
+     * Shows an icon and a line of text in the player overlay.
+     * @param {string} iconClass - Font Awesome icon class
+     * @param {string} message - Text to show
+     * @param {boolean} [isError=false] - Whether to colour the icon as an error
+     * @private
+     */
+    showMessage(iconClass, message, isError = false) {
+        const icon = document.createElement('i');
+        icon.className = `fas ${iconClass}`;
+        icon.classList.toggle('overlay-message-error', isError);
+        icon.setAttribute('aria-hidden', 'true');
+
+        const text = document.createElement('p');
+        text.textContent = message;
+
+        const content = document.createElement('div');
+        content.className = 'overlay-content';
+        content.append(icon, text);
+
+        this.overlay.classList.remove('hidden');
+        this.overlay.replaceChildren(content);
+    }
+
+    /**
+     * Offers a channel with a play button in the overlay instead of starting it.
+     * @param {Channel} channel - Channel to offer
+     * @param {Function} onPlay - Called when the button is pressed
+     * @param {string} [message] - Text under the button (defaults to the channel name)
+     */
+    showPlayButton(channel, onPlay, message) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'overlay-play-btn';
+        button.setAttribute('aria-label', `Play ${channel.name}`);
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-play-circle';
+        icon.setAttribute('aria-hidden', 'true');
+        button.append(icon);
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onPlay();
+        });
+
+        const text = document.createElement('p');
+        text.textContent = message || channel.name;
+
+        const content = document.createElement('div');
+        content.className = 'overlay-content';
+        content.append(button, text);
+
+        this.overlay.classList.remove('hidden');
+        this.overlay.replaceChildren(content);
+    }
+
+    /**
+     * Resumes playback of the current stream.
+     * No effect for iframe embeds, which control their own playback.
+     */
+    play() {
+        if (this.engine) {
+            this.engine.play();
+        }
+    }
+
+    /**
+     * Pauses the current stream.
+     * No effect for iframe embeds, which control their own playback.
+     */
+    pause() {
+        if (this.engine) {
+            this.engine.pause();
+        }
+    }
+
+    /**
+     * Toggles between play and pause states.
+     * No effect for iframe embeds, which control their own playback.
+     */
+    togglePlay() {
+        if (this.engine) {
+            if (this.engine.isPlaying()) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }
+    }
+
+    /**
+     * Checks whether the current stream is playing.
+     * @returns {boolean} True if an engine is loaded and playing
+     */
+    isPlaying() {
+        return Boolean(this.engine) && this.engine.isPlaying();
+    }
+
+    /**
+     * Mutes or unmutes audio. Iframe embeds cannot be muted from outside.
+     * @param {boolean} muted - Whether to mute
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        if (this.engine) {
+            this.engine.setMuted(muted);
+        }
+    }
+
+    /**
+     * Checks whether audio is muted, including when the engine muted itself
+     * because the browser blocked autoplay with sound.
+     * @returns {boolean} True if muted
+     */
+    isMuted() {
+        return this.engine ? this.engine.isMuted() : this.muted;
+    }
+
+    /**
+     * Sets the volume. Iframe embeds cannot change volume from outside.
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume(volume) {
+        this.volume = Math.min(Math.max(volume, 0), 1);
+        if (this.engine) {
+            this.engine.setVolume(this.volume);
+        }
+    }
+
+    /**
+     * Gets the volume.
+     * @returns {number} Volume from 0 to 1
+     */
+    getVolume() {
+        return this.volume;
+    }
+
+    /**
+     * Gets the <video> element of the active engine, for picture-in-picture.
+     * @returns {HTMLVideoElement|null} Video element, or null for engines without one
+     */
+    getVideoElement() {
+        return this.engine && this.engine.video ? this.engine.video : null;
+    }
+
+    /**
+     * Gets the currently playing channel.
+     * @returns {Channel|null} Current channel object, or null if none
+     */
+    getCurrentChannel() {
+        return this.currentChannel;
+    }
+
+    /**
+     * Gets playback statistics from the active engine.
+     * @returns {PlaybackStats|null} Stats, or null if nothing is loaded
+     */
+    getStats() {
+        return this.engine ? this.engine.getStats() : null;
+    }
+
+    /**
+     * Gets the name of the playback engine in use.
+     * @returns {string|null} Engine label (e.g. 'hls.js'), or null if nothing is loaded
+     */
+    getEngineLabel() {
+        return this.engineDefinition ? this.engineDefinition.label : null;
+    }
+}
+
+/**
+ * Maximum source switches before giving up and showing an error
+ * @type {number}
+ * @constant
+ */
+StreamPlayer.MAX_FAILOVER_ATTEMPTS = 4;
+
+/**
+ * Milliseconds of buffering without playback before a source is considered stalled
+ * @type {number}
+ * @constant
+ */
+StreamPlayer.STALL_TIMEOUT = 15000;
+
+/**
+ * Number of errors and warnings kept in {@link StreamPlayer#errorLog}
+ * @type {number}
+ * @constant
+ */
+StreamPlayer.MAX_LOG_ENTRIES = 10;
+
+/**
+ * Button labels of the failure overlay's recovery actions
+ * @type {Object<string, string>}
+ * @constant
+ */
+StreamPlayer.ACTION_LABELS = {
+    retry: 'Retry',
+    alternative: 'Try another source',
+    external: 'Open in external player',
+    report: 'Report problem'
+};
+
+/**
+ * Singleton player stage.
+ * Owns the main player and shows the active player (the main one, or the focused
+ * multi-view tile) in the "Now Playing" area, quality and audio menus, picture-in-picture
+ * button and the browser's media session (hardware media keys and lock-screen controls).
  * @namespace
  */
 const VideoPlayer = {
     /**
-     * JW Player instance (null when using iframe mode)
-     * @type {Object|null}
+     * Milliseconds the on-screen volume and audio track display stays visible
+     * @type {number}
+     * @constant
+     */
+    OSD_DURATION: 1500,
+
+    /**
+     * Pending timer that hides the on-screen display
+     * @type {number|null}
+     * @private
      */
-    player: null,
+    osdTimer: null,
 
     /**
-     * Currently playing channel object
-     * @type {Channel|null}
+     * Player in the main video frame
+     * @type {StreamPlayer|null}
      */
-    currentChannel: null,
+    main: null,
 
     /**
-     * Flag indicating if player is in iframe embed mode
-     * @type {boolean}
+     * Player that channel selection, playback keys and the quality menu act on
+     * @type {StreamPlayer|null}
      */
-    isIframeMode: false,
+    activePlayer: null,
 
     /**
      * Cached DOM element references
      * @type {Object}
      */
     elements: {
-        playerContainer: null,
-        iframe: null,
+        videoContainer: null,
         overlay: null,
         nowPlaying: null,
         channelName: null,
         channelCategory: null,
-        channelAvatar: null
+        channelSource: null,
+        channelAvatar: null,
+        qualityControl: null,
+        qualityBtn: null,
+        qualityLabel: null,
+        qualityMenu: null,
+        qualityOptions: null,
+        dataSaverSelect: null,
+        audioBtn: null,
+        audioIcon: null,
+        audioLabel: null,
+        audioMenu: null,
+        muteBtn: null,
+        volumeSlider: null,
+        audioTracks: null,
+        audioTrackOptions: null,
+        audioPerChannelToggle: null,
+        osd: null,
+        pipBtn: null
     },
 
     /**
-     * Initializes the player by caching DOM element references.
+     * Initializes the player by caching DOM element references and wiring the quality menu.
      * Must be called before using other player methods.
      */
     init() {
-        this.elements.playerContainer = document.getElementById('jwPlayer');
-        this.elements.iframe = document.getElementById('iframePlayer');
+        this.elements.videoContainer = document.getElementById('videoContainer');
         this.elements.overlay = document.getElementById('playerOverlay');
         this.elements.nowPlaying = document.getElementById('nowPlaying');
         this.elements.channelName = document.getElementById('currentChannelName');
         this.elements.channelCategory = document.getElementById('currentChannelCategory');
+        this.elements.channelSource = document.getElementById('currentChannelSource');
         this.elements.channelAvatar = document.getElementById('channelAvatar');
+        this.elements.qualityControl = document.getElementById('qualityControl');
+        this.elements.qualityBtn = document.getElementById('qualityBtn');
+        this.elements.qualityLabel = document.getElementById('qualityLabel');
+        this.elements.qualityMenu = document.getElementById('qualityMenu');
+        this.elements.qualityOptions = document.getElementById('qualityOptions');
+        this.elements.dataSaverSelect = document.getElementById('dataSaverSelect');
+        this.elements.audioBtn = document.getElementById('audioBtn');
+        this.elements.audioIcon = document.getElementById('audioIcon');
+        this.elements.audioLabel = document.getElementById('audioLabel');
+        this.elements.audioMenu = document.getElementById('audioMenu');
+        this.elements.muteBtn = document.getElementById('muteBtn');
+        this.elements.volumeSlider = document.getElementById('volumeSlider');
+        this.elements.audioTracks = document.getElementById('audioTracks');
+        this.elements.audioTrackOptions = document.getElementById('audioTrackOptions');
+        this.elements.audioPerChannelToggle = document.getElementById('audioPerChannelToggle');
+        this.elements.osd = document.getElementById('playerOsd');
+        this.elements.pipBtn = document.getElementById('pipBtn');
+
+        this.main = new StreamPlayer(this.elements.videoContainer, this.elements.overlay);
+        this.watch(this.main);
+        this.activePlayer = this.main;
+        this.applyAudioSettings(null);
+
+        this.elements.qualityBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleAudioMenu(false);
+            this.toggleQualityMenu();
+        });
+
+        this.elements.qualityMenu.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => {
+            this.toggleQualityMenu(false);
+            this.toggleAudioMenu(false);
+        });
+
+        this.elements.audioBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleQualityMenu(false);
+            this.toggleAudioMenu();
+        });
+        this.elements.audioMenu.addEventListener('click', (e) => e.stopPropagation());
+        this.elements.muteBtn.addEventListener('click', () => this.toggleMute());
+        this.elements.volumeSlider.addEventListener('input', () => {
+            this.setVolume(parseInt(this.elements.volumeSlider.value, 10) / 100);
+        });
+        this.elements.audioPerChannelToggle.checked = AudioManager.isPerChannel();
+        this.elements.audioPerChannelToggle.addEventListener('change', (e) => {
+            AudioManager.setPerChannel(e.target.checked);
+            this.saveAudioSettings();
+        });
+        this.renderAudioMenu();
+
+        this.elements.dataSaverSelect.value = QualityManager.getDataSaverMode();
+        this.elements.dataSaverSelect.addEventListener('change', (e) => {
+            QualityManager.setDataSaverMode(e.target.value);
+            this.applyQuality();
+        });
+
+        // Re-evaluate the bitrate cap when the device moves between Wi-Fi and mobile data
+        if (navigator.connection && navigator.connection.addEventListener) {
+            navigator.connection.addEventListener('change', () => this.applyQuality());
+        }
+
+        this.elements.pipBtn.addEventListener('click', () => this.togglePictureInPicture());
+        this.updatePipButton();
+
+        this.setupMediaSession();
     },
 
     /**
-     * Loads and plays a channel's stream or embed.
-     * Automatically selects HLS or iframe mode based on channel configuration.
-     * @param {Channel} channel - Channel object to play
+     * Keeps the stage in step with a player's events while it is the active player,
+     * and publishes every player's failures to {@link AppStore}.
+     * Call once for every player created.
+     * @param {StreamPlayer} player - Player to watch
      */
-    loadChannel(channel) {
-        if (!channel || (!channel.stream && !channel.embed)) {
-            this.showError('No stream available for this channel');
-            return;
-        }
+    watch(player) {
+        player.on('source', () => {
+            // A new attempt clears the channel's last failure
+            const channel = player.getCurrentChannel();
+            if (channel) AppStore.setPlayerError(channel.id, null);
 
-        this.currentChannel = channel;
-        this.updateNowPlaying(channel);
+            if (player !== this.activePlayer) return;
+            this.updateSourceInfo();
+            this.renderQualityMenu();
+            this.updatePipButton();
+        });
 
-        // Check if this is an iframe embed channel
-        if (channel.embed) {
-            this.loadIframeEmbed(channel);
-            return;
-        }
+        player.on('levels', () => {
+            if (player !== this.activePlayer) return;
+            this.renderQualityMenu();
+        });
 
-        // Switch to video mode
-        this.switchToVideoMode();
+        player.on('audiotracks', () => {
+            if (player !== this.activePlayer) return;
+            this.renderAudioMenu();
+        });
 
-        // Setup JW Player with the stream
-        this.player = jwplayer('jwPlayer').setup({
-            title: channel.name,
-            file: channel.stream,
-            width: '100%',
-            height: '100%',
-            autostart: true,
-            androidhls: true,
-            stretching: 'exactfit',
-            skin: 'seven'
+        player.on('volume', () => {
+            if (player !== this.activePlayer) return;
+            this.saveAudioSettings();
+            this.renderAudioMenu();
         });
 
-        // Set up event listeners
-        this.player.on('play', () => {
-            this.hideOverlay();
+        player.on('state', () => {
+            if (player !== this.activePlayer) return;
+            this.updateMediaSessionState();
         });
 
-        this.player.on('error', (e) => {
-            console.error('JW Player error:', e);
-            this.showError('Stream unavailable');
+        player.on('stop', () => {
+            if (player !== this.activePlayer) return;
+            this.showActivePlayer();
         });
 
-        this.hideOverlay();
+        player.on('failure', () => {
+            const channel = player.getCurrentChannel();
+            if (channel) AppStore.setPlayerError(channel.id, player.failure);
+        });
+
+        player.on('report', () => this.reportProblem(player));
+    },
+
+    /**
+     * Copies a player's debug report to the clipboard so it can be pasted into a bug report.
+     * @async
+     * @param {StreamPlayer} player - Player whose failure is reported
+     */
+    async reportProblem(player) {
+        if (await Diagnostics.copyReport(player)) {
+            Toast.show('Debug report copied. Paste it into your bug report to the playlist maintainers.', {
+                type: 'success',
+                duration: 6000
+            });
+        } else {
+            Toast.show('Could not copy the debug report.', {
+                type: 'error',
+                action: { label: 'Show diagnostics', handler: () => Diagnostics.toggle(true) }
+            });
+        }
+    },
+
+    /**
+     * Makes a player the active one and shows its channel.
+     * @param {StreamPlayer} player - Player to activate
+     */
+    setActivePlayer(player) {
+        this.activePlayer = player;
+        this.toggleQualityMenu(false);
+        this.toggleAudioMenu(false);
+        this.applyAudioSettings(player.getCurrentChannel());
+        this.showActivePlayer();
+    },
+
+    /**
+     * Refreshes the "Now Playing" area, quality menu and picture-in-picture button for the active player,
+     * and publishes its channel to {@link AppStore}.
+     * @private
+     */
+    showActivePlayer() {
+        this.updateNowPlaying(this.activePlayer.getCurrentChannel());
+        this.updateSourceInfo();
+        this.renderQualityMenu();
+        this.renderAudioMenu();
+        this.updatePipButton();
+        this.updateMediaSessionState();
+        AppStore.setCurrentChannel(this.activePlayer.getCurrentChannel());
+    },
+
+    /**
+     * Loads and plays a channel in the active player with the channel's audio settings,
+     * and publishes it to {@link AppStore}.
+     * @param {Channel} channel - Channel object to play
+     * @param {Object} [options]
+     * @param {boolean} [options.muted=false] - Start muted without remembering it (browsers only autoplay muted embeds)
+     */
+    loadChannel(channel, options = {}) {
+        this.applyAudioSettings(channel);
+        if (options.muted) this.activePlayer.setMuted(true);
+        this.activePlayer.loadChannel(channel);
+        this.updateNowPlaying(channel);
+        this.renderAudioMenu();
+        AppStore.setCurrentChannel(channel);
+    },
+
+    /**
+     * Shows which source is live in the "Now Playing" area.
+     * Hidden for channels with a single source.
+     * @private
+     */
+    updateSourceInfo() {
+        const player = this.activePlayer;
+        const source = player.getSource();
+        const showSource = source && player.sources.length > 1;
+
+        this.elements.channelSource.textContent = showSource
+            ? `${source.label} source (${player.sourceIndex + 1}/${player.sources.length})`
+            : '';
+    },
+
+    /**
+     * Applies quality preferences to every player, e.g. after the data saver mode changed.
+     */
+    applyQuality() {
+        [this.main, ...MultiView.getPlayers()].forEach(player => player.applyQuality());
+        this.renderQualityMenu();
+    },
+
+    /**
+     * Pins a quality for the active player's channel, or returns it to automatic.
+     * The choice is remembered for the channel.
+     * @param {number} index - Level index, or -1 for automatic
+     */
+    setQuality(index) {
+        this.activePlayer.setQuality(index);
+        this.toggleQualityMenu(false);
+    },
+
+    /**
+     * Opens or closes the quality menu.
+     * @param {boolean} [open] - Desired state (toggles when omitted)
+     * @private
+     */
+    toggleQualityMenu(open) {
+        const menu = this.elements.qualityMenu;
+        const show = open === undefined ? menu.hidden : open;
+        menu.hidden = !show;
+        this.elements.qualityBtn.setAttribute('aria-expanded', String(show));
+    },
+
+    /**
+     * Closes the quality menu if it is open.
+     * @returns {boolean} True if the menu was open
+     */
+    closeQualityMenu() {
+        if (this.elements.qualityMenu.hidden) return false;
+        this.toggleQualityMenu(false);
+        return true;
+    },
+
+    /**
+     * Opens or closes the audio menu.
+     * @param {boolean} [open] - Desired state (toggles when omitted)
+     * @private
+     */
+    toggleAudioMenu(open) {
+        const menu = this.elements.audioMenu;
+        const show = open === undefined ? menu.hidden : open;
+        menu.hidden = !show;
+        this.elements.audioBtn.setAttribute('aria-expanded', String(show));
+    },
+
+    /**
+     * Closes the audio menu if it is open.
+     * @returns {boolean} True if the menu was open
+     */
+    closeAudioMenu() {
+        if (this.elements.audioMenu.hidden) return false;
+        this.toggleAudioMenu(false);
+        return true;
+    },
+
+    /**
+     * Gives the active player the remembered volume and mute state of a channel.
+     * @param {Channel|null} channel - Channel about to play, or null for the shared settings
+     * @private
+     */
+    applyAudioSettings(channel) {
+        const settings = AudioManager.getSettings(channel ? channel.id : null);
+        this.activePlayer.setVolume(settings.volume);
+        this.activePlayer.setMuted(settings.muted);
+    },
+
+    /**
+     * Remembers the active player's volume and mute state.
+     * @private
+     */
+    saveAudioSettings() {
+        const channel = this.activePlayer.getCurrentChannel();
+        AudioManager.updateSettings(channel ? channel.id : null, {
+            volume: this.activePlayer.getVolume(),
+            muted: this.activePlayer.isMuted()
+        });
+    },
+
+    /**
+     * Sets the active player's volume and remembers it. Raising the volume unmutes.
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume(volume) {
+        const player = this.activePlayer;
+        player.setVolume(volume);
+        if (player.getVolume() > 0 && player.isMuted()) player.setMuted(false);
+
+        this.saveAudioSettings();
+        this.renderAudioMenu();
+        this.showVolume();
+    },
+
+    /**
+     * Changes the active player's volume by a step.
+     * @param {number} direction - 1 for louder, -1 for quieter
+     */
+    changeVolume(direction) {
+        const volume = this.activePlayer.getVolume() + direction * AudioManager.VOLUME_STEP;
+        this.setVolume(Math.round(volume * 100) / 100);
+    },
+
+    /**
+     * Mutes or unmutes the active player and remembers it.
+     * @param {boolean} muted - Whether to mute
+     */
+    setMuted(muted) {
+        this.activePlayer.setMuted(muted);
+        this.saveAudioSettings();
+        this.renderAudioMenu();
+        this.showVolume();
+    },
+
+    /**
+     * Toggles mute on the active player.
+     */
+    toggleMute() {
+        this.setMuted(!this.activePlayer.isMuted());
+    },
+
+    /**
+     * Switches the active player to its next audio track and shows which one is playing.
+     * @returns {AudioTrack|null} Selected track, or null if the stream has only one
+     */
+    cycleAudioTrack() {
+        const player = this.activePlayer;
+        const tracks = player.getAudioTracks();
+
+        if (tracks.length < 2) {
+            this.showOsd('fa-language', 'No other audio tracks');
+            return null;
+        }
+
+        const position = tracks.findIndex(track => track.index === player.getAudioTrack());
+        const next = tracks[(position + 1) % tracks.length];
+        player.setAudioTrack(next.index);
+        this.showOsd('fa-language', AudioManager.formatTrack(next));
+        return next;
+    },
+
+    /**
+     * Gets the icon class for the active player's volume.
+     * @returns {string} Font Awesome icon class
+     * @private
+     */
+    getVolumeIcon() {
+        const player = this.activePlayer;
+        if (player.isMuted() || player.getVolume() === 0) return 'fa-volume-mute';
+        return player.getVolume() < 0.5 ? 'fa-volume-down' : 'fa-volume-up';
+    },
+
+    /**
+     * Briefly shows the active player's volume on the video.
+     * @private
+     */
+    showVolume() {
+        const player = this.activePlayer;
+        this.showOsd(this.getVolumeIcon(), player.isMuted() ? 'Muted' : `${Math.round(player.getVolume() * 100)}%`);
+    },
+
+    /**
+     * Briefly shows an icon and text on the video.
+     * @param {string} icon - Font Awesome icon class
+     * @param {string} text - Text to show
+     * @private
+     */
+    showOsd(icon, text) {
+        const osd = this.elements.osd;
+        const iconElement = document.createElement('i');
+        iconElement.className = `fas ${icon}`;
+        iconElement.setAttribute('aria-hidden', 'true');
+        const label = document.createElement('span');
+        label.textContent = text;
+
+        osd.replaceChildren(iconElement, label);
+        osd.hidden = false;
+
+        clearTimeout(this.osdTimer);
+        this.osdTimer = setTimeout(() => {
+            osd.hidden = true;
+        }, this.OSD_DURATION);
+    },
+
+    /**
+     * Renders the audio button and menu for the active player: volume, mute,
+     * audio tracks (when the stream has more than one) and the per-channel setting.
+     * @private
+     */
+    renderAudioMenu() {
+        const player = this.activePlayer;
+        const muted = player.isMuted();
+        const volume = Math.round(player.getVolume() * 100);
+        const { audioIcon, audioLabel, muteBtn, volumeSlider, audioTracks, audioTrackOptions } = this.elements;
+
+        audioIcon.className = `fas ${this.getVolumeIcon()}`;
+        audioLabel.textContent = muted ? 'Muted' : `${volume}%`;
+        muteBtn.textContent = muted ? 'Unmute' : 'Mute';
+        muteBtn.setAttribute('aria-pressed', String(muted));
+        volumeSlider.value = String(volume);
+
+        const tracks = player.getAudioTracks();
+        const selected = player.getAudioTrack();
+        audioTracks.hidden = tracks.length < 2;
+
+        audioTrackOptions.replaceChildren(...(tracks.length < 2 ? [] : tracks.map(track => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quality-option';
+            button.setAttribute('role', 'menuitemradio');
+            button.setAttribute('aria-checked', String(track.index === selected));
+            button.textContent = AudioManager.formatTrack(track);
+            button.addEventListener('click', () => player.setAudioTrack(track.index));
+            return button;
+        })));
+    },
+
+    /**
+     * Renders the quality button label and menu for the active player's levels.
+     * The control is hidden when the stream has fewer than two levels.
+     * @private
+     */
+    renderQualityMenu() {
+        const player = this.activePlayer;
+        const levels = player.getLevels();
+        const { qualityControl, qualityLabel, qualityOptions } = this.elements;
+
+        qualityControl.hidden = levels.length < 2;
+        if (qualityControl.hidden) {
+            this.toggleQualityMenu(false);
+            return;
+        }
+
+        const preference = QualityManager.getChannelQuality(player.getCurrentChannel().id);
+        const pinned = preference ? QualityManager.findLevel(levels, preference) : -1;
+        const dataSaver = !preference && QualityManager.isDataSaverActive();
+
+        if (pinned !== -1) {
+            const level = levels.find(l => l.index === pinned);
+            qualityLabel.textContent = level.height ? `${level.height}p` : QualityManager.formatLevel(level);
+        } else {
+            qualityLabel.textContent = dataSaver ? 'Auto (data saver)' : 'Auto';
+        }
+
+        const options = [{ index: -1, label: dataSaver ? 'Auto (data saver)' : 'Auto' }].concat(
+            levels
+                .slice()
+                .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))
+                .map(level => ({ index: level.index, label: QualityManager.formatLevel(level) }))
+        );
+
+        qualityOptions.replaceChildren(...options.map(option => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quality-option';
+            button.setAttribute('role', 'menuitemradio');
+            button.setAttribute('aria-checked', String(option.index === pinned));
+            button.textContent = option.label;
+            button.addEventListener('click', () => this.setQuality(option.index));
+            return button;
+        }));
     },
 
     /**
      * Updates the "Now Playing" display with channel information.
-     * @param {Channel} channel - Channel to display
+     * @param {Channel|null} channel - Channel to display, or null for an empty player
      * @private
      */
     updateNowPlaying(channel) {
+        this.updateMediaSession(channel);
+
+        if (!channel) {
+            this.elements.channelName.textContent = 'Select a channel';
+            this.elements.channelCategory.textContent = 'Browse channels';
+            this.elements.channelAvatar.replaceChildren(this.createAvatarIcon());
+            return;
+        }
+
         this.elements.channelName.textContent = channel.name;
         this.elements.channelCategory.textContent = channel.category;
 
         // Update avatar with channel logo
         if (channel.logo) {
-            this.elements.channelAvatar.innerHTML = `<img src="${channel.logo}" alt="${channel.name}" onerror="this.parentElement.innerHTML='<i class=\\'fas fa-tv\\'></i>'">`;
+            const img = document.createElement('img');
+            img.src = channel.logo;
+            img.alt = channel.name;
+            img.addEventListener('error', () => img.replaceWith(this.createAvatarIcon()));
+            this.elements.channelAvatar.replaceChildren(img);
         } else {
-            this.elements.channelAvatar.innerHTML = '<i class="fas fa-tv"></i>';
+            this.elements.channelAvatar.replaceChildren(this.createAvatarIcon());
         }
     },
 
     /**
-     * Hides the player overlay (loading/error state).
+     * Creates the TV icon shown when a channel has no logo or it fails to load.
+     * @returns {HTMLElement} Icon element
      * @private
      */
-    hideOverlay() {
-        this.elements.overlay.classList.add('hidden');
+    createAvatarIcon() {
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-tv';
+        return icon;
     },
 
     /**
-     * Displays an error message in the player overlay.
-     * @param {string} message - Error message to display
+     * Lets hardware media keys and lock-screen controls play and pause the active player.
+     * Channel up/down actions are added by the app through {@link VideoPlayer.setMediaSessionHandler}.
+     * @private
      */
-    showError(message) {
-        this.elements.overlay.classList.remove('hidden');
-        this.elements.overlay.innerHTML = `
-            <div class="overlay-content">
-                <i class="fas fa-exclamation-triangle" style="color: #ff6b6b;"></i>
-                <p>${message}</p>
-            </div>
-        `;
+    setupMediaSession() {
+        this.setMediaSessionHandler('play', () => this.play());
+        this.setMediaSessionHandler('pause', () => this.pause());
+        this.setMediaSessionHandler('stop', () => this.pause());
     },
 
     /**
-     * Plays the current video (HLS mode only).
-     * No effect in iframe mode.
+     * Handles a Media Session action, where the browser supports it.
+     * @param {string} action - Action name (e.g. 'play', 'nexttrack')
+     * @param {Function} handler - Action handler
      */
-    play() {
-        if (this.player && !this.isIframeMode) {
-            this.player.play();
+    setMediaSessionHandler(action, handler) {
+        if (!('mediaSession' in navigator)) return;
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Browsers throw for actions they do not support
+            console.warn(`Media Session action "${action}" is not supported`);
         }
     },
 
     /**
-     * Pauses the current video (HLS mode only).
-     * No effect in iframe mode.
+     * Shows the channel on lock screens and media notifications.
+     * @param {Channel|null} channel - Channel playing, or null when nothing is
+     * @private
      */
-    pause() {
-        if (this.player && !this.isIframeMode) {
-            this.player.pause();
+    updateMediaSession(channel) {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        navigator.mediaSession.metadata = channel
+            ? new MediaMetadata({
+                title: channel.name,
+                artist: channel.category,
+                album: 'StreamPK Live TV',
+                artwork: channel.logo ? [{ src: channel.logo }] : []
+            })
+            : null;
+        this.updateMediaSessionState();
+    },
+
+    /**
+     * Tells the browser whether the active player is playing.
+     * @private
+     */
+    updateMediaSessionState() {
+        if (!('mediaSession' in navigator)) return;
+
+        if (!this.activePlayer.getCurrentChannel()) {
+            navigator.mediaSession.playbackState = 'none';
+        } else {
+            navigator.mediaSession.playbackState = this.activePlayer.isPlaying() ? 'playing' : 'paused';
         }
     },
 
     /**
-     * Toggles between play and pause states (HLS mode only).
-     * No effect in iframe mode.
+     * Shows the picture-in-picture button when the browser supports it
+     * and the active player renders into a <video> element.
+     * @private
      */
-    togglePlay() {
-        if (this.player && !this.isIframeMode) {
-            if (this.player.getState() === 'playing') {
-                this.pause();
-            } else {
-                this.play();
+    updatePipButton() {
+        this.elements.pipBtn.hidden = !document.pictureInPictureEnabled || !this.activePlayer.getVideoElement();
+    },
+
+    /**
+     * Moves the active player's video into a floating picture-in-picture window, or back.
+     * @async
+     */
+    async togglePictureInPicture() {
+        const video = this.activePlayer.getVideoElement();
+
+        try {
+            if (document.pictureInPictureElement) {
+                await document.exitPictureInPicture();
+            } else if (video && document.pictureInPictureEnabled) {
+                await video.requestPictureInPicture();
             }
+        } catch (error) {
+            console.error('Picture-in-picture failed:', error);
         }
     },
 
     /**
-     * Gets the currently playing channel.
-     * @returns {Channel|null} Current channel object, or null if none
+     * Displays an error message in the active player.
+     * @param {string} message - Error message to display
      */
-    getCurrentChannel() {
-        return this.currentChannel;
+    showError(message) {
+        this.activePlayer.showError(message);
     },
 
     /**
-     * Loads a channel using iframe embed mode.
-     * @param {Channel} channel - Channel with embed URL to load
-     * @private
+     * Offers a channel with a play button in the active player instead of starting it.
+     * @param {Channel} channel - Channel to offer
+     * @param {Function} onPlay - Called when the button is pressed
+     * @param {string} [message] - Text under the button (defaults to the channel name)
      */
-    loadIframeEmbed(channel) {
-        this.switchToIframeMode();
-        this.elements.iframe.src = channel.embed;
-        this.hideOverlay();
+    showPlayButton(channel, onPlay, message) {
+        this.activePlayer.showPlayButton(channel, onPlay, message);
     },
 
     /**
-     * Switches to video mode (JW Player).
-     * Hides iframe and clears its source.
-     * @private
+     * Resumes playback of the active player.
      */
-    switchToVideoMode() {
-        this.isIframeMode = false;
-        this.elements.playerContainer.style.display = 'block';
-        this.elements.iframe.style.display = 'none';
-        this.elements.iframe.src = '';
+    play() {
+        this.activePlayer.play();
     },
 
     /**
-     * Switches to iframe embed mode.
-     * Removes JW Player instance and shows iframe.
-     * @private
+     * Pauses the active player.
      */
-    switchToIframeMode() {
-        this.isIframeMode = true;
-        this.elements.playerContainer.style.display = 'none';
-        if (this.player) {
-            this.player.remove();
-            this.player = null;
-        }
-        this.elements.iframe.style.display = 'block';
+    pause() {
+        this.activePlayer.pause();
+    },
+
+    /**
+     * Toggles between play and pause states of the active player.
+     * No effect for iframe embeds, which control their own playback.
+     */
+    togglePlay() {
+        this.activePlayer.togglePlay();
+    },
+
+    /**
+     * Checks whether the active player is playing.
+     * @returns {boolean} True if an engine is loaded and playing
+     */
+    isPlaying() {
+        return this.activePlayer.isPlaying();
+    },
+
+    /**
+     * Gets the channel of the active player.
+     * @returns {Channel|null} Current channel object, or null if none
+     */
+    getCurrentChannel() {
+        return this.activePlayer.getCurrentChannel();
+    },
+
+    /**
+     * Gets the name of the playback engine the active player uses.
+     * @returns {string|null} Engine label (e.g. 'hls.js'), or null if nothing is loaded
+     */
+    getEngineLabel() {
+        return this.activePlayer.getEngineLabel();
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StreamPlayer, VideoPlayer };
+}
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Playlist source registry for the live streaming application.
+ * Keeps track of the bundled playlist, remote playlist URLs and local playlist files
+ * added by the user, and persists them in localStorage.
+ */
+
+/**
+ * @typedef {Object} PlaylistSource
+ * @property {string} id - Unique source identifier ('bundled' for the built-in playlist)
+ * @property {string} name - Display name
+ * @property {string} type - Source type ('bundled', 'url' or 'file')
+ * @property {string} [url] - Playlist URL (bundled and url sources)
+ * @property {boolean} enabled - Whether channels from this source are loaded
+ * @property {number} addedAt - Timestamp when the source was registered
+ */
+
+/**
+ * @typedef {Object} PlaylistStatus
+ * @property {number} channelCount - Number of channels parsed from the source
+ * @property {number} warningCount - Number of parser warnings
+ * @property {string|null} error - Load error message, or null if the source loaded
+ */
+
+/**
+ * Singleton registry of playlist sources.
+ * Source metadata is stored as one JSON array; file contents are stored under their own keys.
+ * @namespace
+ */
+const PlaylistManager = {
+    /**
+     * localStorage key for the source list
+     * @type {string}
+     * @constant
+     */
+    STORAGE_KEY: 'liveStreamPlaylists',
+
+    /**
+     * localStorage key prefix for uploaded playlist file contents
+     * @type {string}
+     * @constant
+     */
+    CONTENT_KEY_PREFIX: 'liveStreamPlaylist:',
+
+    /**
+     * The playlist shipped with the app
+     * @type {PlaylistSource}
+     * @constant
+     */
+    BUNDLED: {
+        id: 'bundled',
+        name: 'StreamPK channels',
+        type: 'bundled',
+        url: 'playlist.m3u8',
+        enabled: true,
+        addedAt: 0
+    },
+
+    /**
+     * Load results of the most recent load, keyed by source ID
+     * @type {Object<string, PlaylistStatus>}
+     */
+    status: {},
+
+    /**
+     * Retrieves all registered sources, bundled playlist first.
+     * @returns {PlaylistSource[]} Array of playlist sources
+     */
+    getSources() {
+        let stored = [];
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            stored = raw ? JSON.parse(raw) : [];
+        } catch (e) {
+            console.error('Error reading playlist sources:', e);
+        }
+
+        const bundled = stored.find(source => source.id === this.BUNDLED.id);
+        const others = stored.filter(source => source.id !== this.BUNDLED.id);
+        return [{ ...this.BUNDLED, enabled: bundled ? bundled.enabled : true }, ...others];
+    },
+
+    /**
+     * Saves the source list to localStorage.
+     * @param {PlaylistSource[]} sources - Sources to save
+     */
+    saveSources(sources) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(sources));
+        } catch (e) {
+            console.error('Error saving playlist sources:', e);
+        }
+    },
+
+    /**
+     * Gets the sources whose channels should be loaded.
+     * @returns {PlaylistSource[]} Enabled sources in load order
+     */
+    getEnabledSources() {
+        return this.getSources().filter(source => source.enabled);
+    },
+
+    /**
+     * Finds a source by its identifier.
+     * @param {string} id - Source ID
+     * @returns {PlaylistSource|undefined} The source, or undefined if not found
+     */
+    getSourceById(id) {
+        return this.getSources().find(source => source.id === id);
+    },
+
+    /**
+     * Registers a remote playlist URL.
+     * @param {string} url - HTTP(S) URL of an M3U playlist
+     * @param {string} [name] - Display name (defaults to the URL's file name)
+     * @returns {PlaylistSource} The new source
+     * @throws {Error} If the URL is not HTTP(S) or is already registered
+     */
+    addUrl(url, name) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw new Error('Not a valid URL');
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            throw new Error('Only http and https playlist URLs are supported');
+        }
+
+        const sources = this.getSources();
+        if (sources.some(source => source.url === parsed.href)) {
+            throw new Error('This playlist is already added');
+        }
+
+        const source = {
+            id: `url-${Date.now().toString(36)}`,
+            name: name || decodeURIComponent(parsed.pathname.split('/').pop()) || parsed.hostname,
+            type: 'url',
+            url: parsed.href,
+            enabled: true,
+            addedAt: Date.now()
+        };
+        sources.push(source);
+        this.saveSources(sources);
+        return source;
+    },
+
+    /**
+     * Registers a local playlist file and stores its contents.
+     * @param {string} name - File name
+     * @param {string} content - Playlist contents
+     * @returns {PlaylistSource} The new source
+     * @throws {Error} If the file is not an M3U playlist or cannot be stored
+     */
+    addFile(name, content) {
+        if (!/#EXTM3U|#EXTINF/.test(content)) {
+            throw new Error(`${name} is not an M3U playlist`);
+        }
+
+        const source = {
+            id: `file-${Date.now().toString(36)}`,
+            name,
+            type: 'file',
+            enabled: true,
+            addedAt: Date.now()
+        };
+
+        try {
+            localStorage.setItem(this.CONTENT_KEY_PREFIX + source.id, content);
+        } catch (e) {
+            throw new Error(`${name} is too large to store in this browser`);
+        }
+
+        const sources = this.getSources();
+        sources.push(source);
+        this.saveSources(sources);
+        return source;
+    },
+
+    /**
+     * Enables or disables a source.
+     * @param {string} id - Source ID
+     * @param {boolean} enabled - New enabled state
+     */
+    setEnabled(id, enabled) {
+        const sources = this.getSources();
+        const source = sources.find(s => s.id === id);
+        if (source) {
+            source.enabled = enabled;
+            this.saveSources(sources);
+        }
+    },
+
+    /**
+     * Removes a user-added source and its stored contents.
+     * The bundled playlist can only be disabled, not removed.
+     * @param {string} id - Source ID
+     * @returns {boolean} True if removed
+     */
+    removeSource(id) {
+        if (id === this.BUNDLED.id) return false;
+
+        const sources = this.getSources();
+        const remaining = sources.filter(source => source.id !== id);
+        if (remaining.length === sources.length) return false;
+
+        this.saveSources(remaining);
+        localStorage.removeItem(this.CONTENT_KEY_PREFIX + id);
+        delete this.status[id];
+        return true;
+    },
+
+    /**
+     * Reads the playlist text of a source.
+     * @async
+     * @param {PlaylistSource} source - Source to read
+     * @returns {Promise<string>} Raw playlist content
+     * @throws {Error} If the playlist cannot be fetched or read
+     */
+    async fetchContent(source) {
+        if (source.type === 'file') {
+            const content = localStorage.getItem(this.CONTENT_KEY_PREFIX + source.id);
+            if (content === null) {
+                throw new Error('Stored playlist file is missing');
+            }
+            return content;
+        }
+
+        const response = await fetch(source.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load playlist: ${response.status}`);
+        }
+        return response.text();
+    },
+
+    /**
+     * Records the result of loading a source.
+     * @param {string} id - Source ID
+     * @param {PlaylistStatus} status - Load result
+     */
+    setStatus(id, status) {
+        this.status[id] = status;
+    },
+
+    /**
+     * Gets the result of the most recent load of a source.
+     * @param {string} id - Source ID
+     * @returns {PlaylistStatus|undefined} Load result, or undefined if not loaded yet
+     */
+    getStatus(id) {
+        return this.status[id];
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaylistManager;
+}
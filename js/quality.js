@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Quality preferences module for the live streaming application.
+ * Remembers pinned quality levels per channel and the data saver setting.
+ */
+
+/**
+ * @typedef {Object} QualityPreference
+ * @property {number} [height] - Pinned frame height in pixels
+ * @property {number} [bitrate] - Pinned bandwidth in bits per second
+ */
+
+/**
+ * Singleton manager for quality preferences.
+ * Pinned levels are stored by resolution/bitrate rather than index, since
+ * level order can differ between sessions and sources.
+ * @namespace
+ */
+const QualityManager = {
+    /**
+     * localStorage key for per-channel pinned qualities
+     * @type {string}
+     * @constant
+     */
+    STORAGE_KEY: 'liveStreamQuality',
+
+    /**
+     * localStorage key for the data saver mode
+     * @type {string}
+     * @constant
+     */
+    DATA_SAVER_KEY: 'liveStreamDataSaver',
+
+    /**
+     * Highest bitrate used in automatic quality while data saver is active (bits per second)
+     * @type {number}
+     * @constant
+     */
+    DATA_SAVER_MAX_BITRATE: 800000,
+
+    /**
+     * Retrieves all pinned qualities from localStorage.
+     * @returns {Object<string, QualityPreference>} Pinned qualities keyed by channel ID
+     */
+    getPreferences() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.error('Error reading quality preferences:', e);
+            return {};
+        }
+    },
+
+    /**
+     * Gets the pinned quality of a channel.
+     * @param {string} channelId - Channel ID
+     * @returns {QualityPreference|null} Pinned quality, or null for automatic
+     */
+    getChannelQuality(channelId) {
+        return this.getPreferences()[channelId] || null;
+    },
+
+    /**
+     * Pins a quality for a channel, or returns it to automatic.
+     * @param {string} channelId - Channel ID
+     * @param {QualityLevel|null} level - Level to pin, or null for automatic
+     */
+    setChannelQuality(channelId, level) {
+        const preferences = this.getPreferences();
+        if (level) {
+            preferences[channelId] = { height: level.height, bitrate: level.bitrate };
+        } else {
+            delete preferences[channelId];
+        }
+        this.savePreferences(preferences);
+    },
+
+    /**
+     * Saves all pinned qualities to localStorage.
+     * @param {Object<string, QualityPreference>} preferences - Pinned qualities keyed by channel ID
+     */
+    savePreferences(preferences) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(preferences));
+        } catch (e) {
+            console.error('Error saving quality preferences:', e);
+        }
+    },
+
+    /**
+     * Gets the data saver mode.
+     * @returns {string} 'off', 'on', or 'auto' (only on metered connections)
+     */
+    getDataSaverMode() {
+        return localStorage.getItem(this.DATA_SAVER_KEY) || 'auto';
+    },
+
+    /**
+     * Sets the data saver mode.
+     * @param {string} mode - 'off', 'on' or 'auto'
+     */
+    setDataSaverMode(mode) {
+        localStorage.setItem(this.DATA_SAVER_KEY, mode);
+    },
+
+    /**
+     * Checks whether the connection is metered or the user asked the browser to save data.
+     * Uses the Network Information API where available.
+     * @returns {boolean} True on cellular, slow or Save-Data connections
+     */
+    isMeteredConnection() {
+        const connection = navigator.connection;
+        if (!connection) return false;
+        return Boolean(connection.saveData) ||
+            connection.type === 'cellular' ||
+            ['slow-2g', '2g', '3g'].includes(connection.effectiveType);
+    },
+
+    /**
+     * Checks whether automatic quality should currently be capped.
+     * @returns {boolean} True if data saver is on, or on auto over a metered connection
+     */
+    isDataSaverActive() {
+        const mode = this.getDataSaverMode();
+        return mode === 'on' || (mode === 'auto' && this.isMeteredConnection());
+    },
+
+    /**
+     * Finds the level closest to a pinned quality, matching height first, then bitrate.
+     * @param {QualityLevel[]} levels - Available levels
+     * @param {QualityPreference} preference - Pinned quality
+     * @returns {number} Level index, or -1 if there are no levels
+     */
+    findLevel(levels, preference) {
+        let best = -1;
+        let bestScore = Infinity;
+
+        levels.forEach(level => {
+            const heightDiff = Math.abs((level.height || 0) - (preference.height || 0));
+            const bitrateDiff = Math.abs((level.bitrate || 0) - (preference.bitrate || 0));
+            const score = heightDiff * 1e7 + bitrateDiff;
+            if (score < bestScore) {
+                bestScore = score;
+                best = level.index;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Finds the highest level within a bitrate budget.
+     * Falls back to the lowest level when every level is above the budget.
+     * @param {QualityLevel[]} levels - Available levels
+     * @param {number} maxBitrate - Budget in bits per second
+     * @returns {number} Level index, or -1 if there are no levels
+     */
+    findCappedLevel(levels, maxBitrate) {
+        if (levels.length === 0) return -1;
+
+        const sorted = levels.slice().sort((a, b) => (a.bitrate || 0) - (b.bitrate || 0));
+        const within = sorted.filter(level => (level.bitrate || 0) <= maxBitrate);
+        return within.length > 0 ? within[within.length - 1].index : sorted[0].index;
+    },
+
+    /**
+     * Formats a level for display, e.g. '720p · 2.1 Mbps'.
+     * @param {QualityLevel} level - Level to describe
+     * @returns {string} Label
+     */
+    formatLevel(level) {
+        const parts = [];
+        if (level.height) parts.push(`${level.height}p`);
+        if (level.bitrate) {
+            parts.push(level.bitrate >= 1000000
+                ? `${(level.bitrate / 1000000).toFixed(1)} Mbps`
+                : `${Math.round(level.bitrate / 1000)} kbps`);
+        }
+        return parts.join(' · ') || `Level ${level.index + 1}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityManager;
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Remote control module for the live streaming application.
+ * Normalizes TV remote keys and moves focus in two dimensions (spatial navigation),
+ * so the page can be driven with a D-pad on smart TVs and Android TV boxes.
+ */
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} left - Left edge in pixels
+ * @property {number} top - Top edge in pixels
+ * @property {number} right - Right edge in pixels
+ * @property {number} bottom - Bottom edge in pixels
+ */
+
+/**
+ * Singleton remote control helper (browser and Node).
+ * @namespace
+ */
+const RemoteControl = {
+    /**
+     * Key codes of TV platforms whose remotes report `key` as 'Unidentified'
+     * (webOS, Tizen), mapped to standard key names
+     * @type {Object<number, string>}
+     * @constant
+     */
+    KEY_CODES: {
+        461: 'GoBack',
+        10009: 'GoBack',
+        427: 'ChannelUp',
+        428: 'ChannelDown',
+        415: 'MediaPlay',
+        19: 'MediaPause',
+        10252: 'MediaPlayPause',
+        10190: 'MediaLast'
+    },
+
+    /**
+     * Key names that mean "back"
+     * @type {string[]}
+     * @constant
+     */
+    BACK_KEYS: ['GoBack', 'BrowserBack'],
+
+    /**
+     * Arrow keys mapped to navigation directions
+     * @type {Object<string, string>}
+     * @constant
+     */
+    DIRECTIONS: {
+        ArrowUp: 'up',
+        ArrowDown: 'down',
+        ArrowLeft: 'left',
+        ArrowRight: 'right'
+    },
+
+    /**
+     * Elements that can receive focus during spatial navigation
+     * @type {string}
+     * @constant
+     */
+    FOCUSABLE: 'a[href], button:not([disabled]), input:not([type="hidden"]), select, [tabindex="0"]',
+
+    /**
+     * Weight of the sideways offset relative to the distance in the direction of travel
+     * @type {number}
+     * @constant
+     */
+    CROSS_AXIS_WEIGHT: 2,
+
+    /**
+     * Gets the standard name of a pressed key, translating TV remote key codes.
+     * @param {KeyboardEvent} event - Key event
+     * @returns {string} Key name, e.g. 'ArrowUp', 'GoBack' or 'ChannelUp'
+     */
+    normalizeKey(event) {
+        if (event.key && event.key !== 'Unidentified') return event.key;
+        return this.KEY_CODES[event.keyCode] || 'Unidentified';
+    },
+
+    /**
+     * Checks whether a key name means "back".
+     * @param {string} key - Key name from {@link RemoteControl.normalizeKey}
+     * @returns {boolean} True for Back keys
+     */
+    isBackKey(key) {
+        return this.BACK_KEYS.includes(key);
+    },
+
+    /**
+     * Finds the candidate nearest to a rectangle in a direction.
+     * Candidates must lie beyond the current one in that direction. They are ranked by
+     * distance along the direction plus a weighted sideways offset (zero when they overlap),
+     * so moving down a grid stays in the same column and moving right stays in the same row.
+     * @param {Rect} from - Rectangle focus moves from
+     * @param {Array<{rect: Rect}>} candidates - Candidates with their rectangles
+     * @param {string} direction - 'up', 'down', 'left' or 'right'
+     * @returns {Object|null} Nearest candidate, or null if there is none in that direction
+     */
+    findNext(from, candidates, direction) {
+        const horizontal = direction === 'left' || direction === 'right';
+        const center = rect => ({ x: (rect.left + rect.right) / 2, y: (rect.top + rect.bottom) / 2 });
+        const origin = center(from);
+
+        let best = null;
+        let bestScore = Infinity;
+
+        candidates.forEach(candidate => {
+            const rect = candidate.rect;
+            const c = center(rect);
+
+            // Distance travelled in the direction of movement (edge to edge)
+            let along;
+            if (direction === 'right') along = rect.left - from.right;
+            else if (direction === 'left') along = from.left - rect.right;
+            else if (direction === 'down') along = rect.top - from.bottom;
+            else along = from.top - rect.bottom;
+
+            // Allow slightly overlapping neighbours, but never go backwards
+            const ahead = horizontal
+                ? (direction === 'right' ? c.x > origin.x : c.x < origin.x)
+                : (direction === 'down' ? c.y > origin.y : c.y < origin.y);
+            if (!ahead || along < -Math.min(from.right - from.left, from.bottom - from.top) / 2) return;
+
+            // Sideways gap between the two rectangles (0 when they line up)
+            const cross = horizontal
+                ? Math.max(0, rect.top - from.bottom, from.top - rect.bottom)
+                : Math.max(0, rect.left - from.right, from.left - rect.right);
+
+            const centerOffset = horizontal ? Math.abs(c.y - origin.y) : Math.abs(c.x - origin.x);
+            const score = Math.max(0, along) + cross * this.CROSS_AXIS_WEIGHT + centerOffset / 1000;
+
+            if (score < bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Gets the visible focusable elements of a container.
+     * @param {HTMLElement|Document} [root=document] - Container to search
+     * @returns {HTMLElement[]} Focusable elements
+     */
+    getFocusables(root = document) {
+        return Array.from(root.querySelectorAll(this.FOCUSABLE)).filter(element =>
+            !element.closest('[hidden], dialog:not([open])') && element.getClientRects().length > 0);
+    },
+
+    /**
+     * Moves focus from the focused element to the nearest focusable element in a direction.
+     * @param {string} direction - 'up', 'down', 'left' or 'right'
+     * @param {HTMLElement|Document} [root=document] - Container to navigate within
+     * @returns {HTMLElement|null} Newly focused element, or null if focus did not move
+     */
+    moveFocus(direction, root = document) {
+        const current = document.activeElement;
+        const focusables = this.getFocusables(root);
+        if (!current || current === document.body || !focusables.includes(current)) return null;
+
+        const next = this.findNext(
+            current.getBoundingClientRect(),
+            focusables.filter(element => element !== current).map(element => ({
+                element,
+                rect: element.getBoundingClientRect()
+            })),
+            direction
+        );
+        if (!next) return null;
+
+        next.element.focus();
+        next.element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        return next.element;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RemoteControl;
+}
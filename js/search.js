@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Channel search module for the live streaming application.
+ * Ranks channels against a query with fuzzy, diacritic-insensitive matching.
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Channel} channel - Matching channel
+ * @property {number} score - Relevance score (higher is better)
+ */
+
+/**
+ * Singleton channel search.
+ * Every query word must match one of the channel's name, ID, category or language;
+ * exact and prefix matches rank above substrings, which rank above fuzzy matches.
+ * @namespace
+ */
+const ChannelSearch = {
+    /**
+     * Channel fields searched, with the weight applied to their match scores
+     * @type {Array<{field: string, weight: number}>}
+     * @constant
+     */
+    FIELDS: [
+        { field: 'name', weight: 1 },
+        { field: 'id', weight: 0.9 },
+        { field: 'category', weight: 0.6 },
+        { field: 'language', weight: 0.5 }
+    ],
+
+    /**
+     * Normalizes text for matching: strips diacritics, lowercases and
+     * turns punctuation into spaces, so 'Dünya-News' matches 'dunya news'.
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    },
+
+    /**
+     * Scores one query word against normalized field text.
+     * @param {string} word - Normalized query word
+     * @param {string} text - Normalized field text
+     * @returns {number} Score from 0 (no match) to 100 (exact match)
+     * @private
+     */
+    scoreWord(word, text) {
+        if (!text) return 0;
+        if (text === word) return 100;
+        if (text.startsWith(word)) return 80;
+
+        const words = text.split(' ');
+        if (words.includes(word)) return 75;
+        if (words.some(w => w.startsWith(word))) return 60;
+        if (text.includes(word)) return 40;
+
+        // Letters in order with gaps, e.g. 'gnws' in 'geo news'
+        const gaps = this.subsequenceGaps(word, text.replace(/ /g, ''));
+        if (gaps !== -1 && word.length >= 2) {
+            return Math.max(10, 30 - gaps * 2);
+        }
+
+        // One typo in a longer word, e.g. 'dunia' for 'dunya'
+        if (word.length >= 4 && words.some(w => this.isWithinOneEdit(word, w))) {
+            return 20;
+        }
+
+        return 0;
+    },
+
+    /**
+     * Checks whether a word's letters appear in order within text.
+     * @param {string} word - Letters to find
+     * @param {string} text - Text to search
+     * @returns {number} Number of skipped characters between the first and last match, or -1
+     * @private
+     */
+    subsequenceGaps(word, text) {
+        let position = text.indexOf(word[0]);
+        if (position === -1) return -1;
+
+        const start = position;
+        for (let i = 1; i < word.length; i++) {
+            position = text.indexOf(word[i], position + 1);
+            if (position === -1) return -1;
+        }
+        return position - start + 1 - word.length;
+    },
+
+    /**
+     * Checks whether two words differ by at most one insertion, deletion or substitution.
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {boolean} True if the edit distance is 0 or 1
+     * @private
+     */
+    isWithinOneEdit(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return false;
+
+        let i = 0;
+        let j = 0;
+        let edits = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                i++;
+                j++;
+                continue;
+            }
+            if (++edits > 1) return false;
+            if (a.length > b.length) {
+                i++;
+            } else if (a.length < b.length) {
+                j++;
+            } else {
+                i++;
+                j++;
+            }
+        }
+        return edits + (a.length - i) + (b.length - j) <= 1;
+    },
+
+    /**
+     * Scores a channel against the words of a query.
+     * @param {Channel} channel - Channel to score
+     * @param {string[]} words - Normalized query words
+     * @returns {number} Total score, or 0 if any word matches no field
+     */
+    scoreChannel(channel, words) {
+        const fields = this.FIELDS.map(({ field, weight }) => ({
+            text: this.normalize(channel[field]),
+            weight
+        }));
+
+        let total = 0;
+        for (const word of words) {
+            const best = Math.max(...fields.map(({ text, weight }) => this.scoreWord(word, text) * weight));
+            if (best === 0) return 0;
+            total += best;
+        }
+        return total;
+    },
+
+    /**
+     * Searches channels and ranks the matches.
+     * Ties keep the channels' original order.
+     * @param {Channel[]} channels - Channels to search
+     * @param {string} query - Search text
+     * @param {number} [limit=Infinity] - Maximum number of results
+     * @returns {SearchResult[]} Matches, best first (all channels, unscored, for an empty query)
+     */
+    search(channels, query, limit = Infinity) {
+        const words = this.normalize(query).split(' ').filter(word => word);
+        if (words.length === 0) {
+            return channels.slice(0, limit).map(channel => ({ channel, score: 0 }));
+        }
+
+        return channels
+            .map((channel, index) => ({ channel, score: this.scoreChannel(channel, words), index }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, limit)
+            .map(({ channel, score }) => ({ channel, score }));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelSearch;
+}
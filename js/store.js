@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Central state store for the live streaming application.
+ * Holds the state that several modules share (the channel list, the channel in the
+ * active player, favorites, playback failures and the multi-view layout) and announces
+ * every change as an event, so the UI renders from the store instead of modules calling
+ * into each other.
+ */
+
+/**
+ * @typedef {Object} AppState
+ * @property {Channel[]} channels - Channels from the enabled playlists
+ * @property {string|null} currentChannelId - Channel in the active player, or null when it is empty
+ * @property {string[]} favorites - Favorite channel IDs in display order
+ * @property {Object<string, PlaybackFailure>} playerErrors - Why a channel last failed to play, by channel ID
+ * @property {number} layout - Number of views shown (1, or 2 to 4 in multi-view)
+ */
+
+/**
+ * Singleton state store and event bus.
+ *
+ * Events (subscribe with on()):
+ * - 'channels:loaded' - the channel list was (re)loaded; detail: {channels}
+ * - 'channel:changed' - the active player shows another channel; detail: {channel, previous}
+ * - 'favorites:changed' - favorites, their order or folders changed; detail: {favorites}
+ * - 'player:error' - a player gave up on a channel, or is trying it again; detail:
+ *   {channelId, failure}, where failure is null once the channel is tried again
+ * - 'layout:changed' - multi-view was entered, left or shows another number of views; detail: {layout}
+ * @namespace
+ */
+const AppStore = {
+    /**
+     * Events the store emits
+     * @type {string[]}
+     * @constant
+     */
+    EVENTS: ['channels:loaded', 'channel:changed', 'favorites:changed', 'player:error', 'layout:changed'],
+
+    /**
+     * Current state; read it with getState()
+     * @type {AppState}
+     * @private
+     */
+    state: {
+        channels: [],
+        currentChannelId: null,
+        favorites: [],
+        playerErrors: {},
+        layout: 1
+    },
+
+    /**
+     * Handlers by event name
+     * @type {Object<string, Function[]>}
+     * @private
+     */
+    handlers: {},
+
+    /**
+     * Gets the current state. Treat it as read-only; change it through the setters.
+     * @returns {AppState} Current state
+     */
+    getState() {
+        return this.state;
+    },
+
+    /**
+     * Subscribes to a store event.
+     * @param {string} event - One of {@link AppStore.EVENTS}
+     * @param {Function} handler - Called with the event detail
+     * @returns {function(): void} Unsubscribes the handler
+     * @throws {Error} If the event is not one the store emits
+     */
+    on(event, handler) {
+        if (!this.EVENTS.includes(event)) {
+            throw new Error(`Unknown store event "${event}"`);
+        }
+
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+        return () => this.off(event, handler);
+    },
+
+    /**
+     * Unsubscribes a handler added with on().
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(event, handler) {
+        this.handlers[event] = (this.handlers[event] || []).filter(h => h !== handler);
+    },
+
+    /**
+     * Calls every handler of an event. A failing handler is logged and does not stop the others.
+     * @param {string} event - Event name
+     * @param {Object} detail - Event detail
+     * @private
+     */
+    emit(event, detail) {
+        (this.handlers[event] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error handling store event "${event}":`, error);
+            }
+        });
+    },
+
+    /**
+     * Replaces the channel list and emits 'channels:loaded'.
+     * @param {Channel[]} channels - Channels from the enabled playlists
+     */
+    setChannels(channels) {
+        this.state.channels = channels;
+        this.emit('channels:loaded', { channels });
+    },
+
+    /**
+     * Records the channel in the active player and emits 'channel:changed' if it differs.
+     * @param {Channel|null} channel - Channel now shown, or null when the active player is empty
+     */
+    setCurrentChannel(channel) {
+        const channelId = channel ? channel.id : null;
+        if (channelId === this.state.currentChannelId) return;
+
+        const previous = this.state.channels.find(c => c.id === this.state.currentChannelId) || null;
+        this.state.currentChannelId = channelId;
+        this.emit('channel:changed', { channel, previous });
+    },
+
+    /**
+     * Replaces the favorite IDs and emits 'favorites:changed'.
+     * @param {string[]} favorites - Favorite channel IDs in display order
+     */
+    setFavorites(favorites) {
+        this.state.favorites = favorites;
+        this.emit('favorites:changed', { favorites });
+    },
+
+    /**
+     * Records why a channel failed to play, or clears it, and emits 'player:error'.
+     * Clearing a channel without a recorded failure does nothing.
+     * @param {string} channelId - Channel ID
+     * @param {PlaybackFailure|null} failure - Classified failure, or null when the channel is tried again
+     */
+    setPlayerError(channelId, failure) {
+        if (!failure && !this.state.playerErrors[channelId]) return;
+
+        const playerErrors = { ...this.state.playerErrors };
+        if (failure) {
+            playerErrors[channelId] = failure;
+        } else {
+            delete playerErrors[channelId];
+        }
+        this.state.playerErrors = playerErrors;
+        this.emit('player:error', { channelId, failure });
+    },
+
+    /**
+     * Gets why a channel last failed to play.
+     * @param {string} channelId - Channel ID
+     * @returns {PlaybackFailure|null} Failure, or null if the channel has not failed
+     */
+    getPlayerError(channelId) {
+        return this.state.playerErrors[channelId] || null;
+    },
+
+    /**
+     * Records the number of views shown and emits 'layout:changed' if it differs.
+     * @param {number} layout - Number of views (1 to 4)
+     */
+    setLayout(layout) {
+        if (layout === this.state.layout) return;
+
+        this.state.layout = layout;
+        this.emit('layout:changed', { layout });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppStore;
+}
@@ -0,0 +1,580 @@
+/**
+ * @fileoverview Sync module for the live streaming application.
+ * Serializes favorites, watch history and preferences into one document and
+ * exchanges it with a pluggable backend (REST endpoint, WebDAV or a file).
+ */
+
+/**
+ * One synced value with the time it last changed.
+ * A null value is a tombstone: the item was deleted at updatedAt.
+ * @typedef {Object} SyncItem
+ * @property {*} value - Item value, or null if deleted
+ * @property {number} updatedAt - When the value last changed (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} SyncDocument
+ * @property {string} format - Always {@link SyncManager.FORMAT}
+ * @property {number} version - Document version ({@link SyncManager.VERSION})
+ * @property {number} updatedAt - When the document was written (ms since epoch)
+ * @property {string} deviceId - Device that wrote the document
+ * @property {Object<string, SyncItem>} items - Items keyed by type and ID, e.g. 'favorite:geo-tv'
+ */
+
+/**
+ * A sync backend instance, created by a {@link SyncBackendDefinition} from the user's settings.
+ * @typedef {Object} SyncBackend
+ * @property {function(): Promise<{document: SyncDocument, etag: (string|null)}|null>} pull
+ *           Fetch the stored document (null if there is none yet)
+ * @property {function(SyncDocument, (string|null)): Promise<void>} push
+ *           Store a document; the ETag from pull() guards against overwriting a newer one
+ */
+
+/**
+ * @typedef {Object} SyncBackendDefinition
+ * @property {string} name - Unique backend name
+ * @property {string} label - Human-readable backend name
+ * @property {boolean} automatic - Whether the backend can sync in the background
+ * @property {Array<{name: string, label: string, type: string, placeholder: (string|undefined), optional: (boolean|undefined)}>} fields
+ *           Settings the user fills in
+ * @property {function(Object): SyncBackend} create - Create a backend from settings
+ */
+
+/**
+ * Error thrown by a backend when the stored document changed since it was pulled.
+ */
+class SyncConflictError extends Error {
+    constructor() {
+        super('The sync document was changed by another device');
+        this.name = 'SyncConflictError';
+    }
+}
+
+/**
+ * Error thrown by SyncManager.sync when another sync is still running.
+ */
+class SyncInProgressError extends Error {
+    constructor() {
+        super('A sync is already running');
+        this.name = 'SyncInProgressError';
+    }
+}
+
+/**
+ * Sends a request to an HTTP sync backend.
+ * @async
+ * @param {string} url - Document URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Response (404 and 412 are returned, other errors throw)
+ * @throws {Error} If the request fails
+ * @private
+ */
+async function syncRequest(url, options) {
+    const response = await fetch(url, { cache: 'no-store', ...options });
+    if (!response.ok && response.status !== 404 && response.status !== 412) {
+        throw new Error(`Sync server responded ${response.status} ${response.statusText}`.trim());
+    }
+    return response;
+}
+
+/**
+ * Creates a backend that stores the document at a URL with GET and PUT,
+ * using ETag / If-Match to detect concurrent writes.
+ * @param {string} url - Document URL
+ * @param {Object<string, string>} headers - Extra request headers (authorization)
+ * @returns {SyncBackend} Backend instance
+ * @private
+ */
+function createHttpBackend(url, headers) {
+    return {
+        async pull() {
+            const response = await syncRequest(url, { headers });
+            if (response.status === 404) return null;
+            return { document: await response.json(), etag: response.headers.get('ETag') };
+        },
+        async push(document, etag) {
+            const response = await syncRequest(url, {
+                method: 'PUT',
+                headers: {
+                    ...headers,
+                    'Content-Type': 'application/json',
+                    ...(etag ? { 'If-Match': etag } : {})
+                },
+                body: JSON.stringify(document)
+            });
+            if (response.status === 412) throw new SyncConflictError();
+            if (response.status === 404) throw new Error('Sync document URL not found');
+        }
+    };
+}
+
+/**
+ * Sync through a REST endpoint (see scripts/sync-server.js for a reference server).
+ * @type {SyncBackendDefinition}
+ */
+const RestSyncBackend = {
+    name: 'rest',
+    label: 'REST server',
+    automatic: true,
+    fields: [
+        { name: 'url', label: 'Document URL', type: 'url', placeholder: 'http://localhost:8787/sync/<random-key>' },
+        { name: 'token', label: 'Access token', type: 'password', optional: true }
+    ],
+
+    create(config) {
+        return createHttpBackend(config.url, config.token ? { Authorization: `Bearer ${config.token}` } : {});
+    }
+};
+
+/**
+ * Sync through a file on a WebDAV server (Nextcloud, ownCloud, Apache mod_dav...).
+ * The server must allow cross-origin requests from this site.
+ * @type {SyncBackendDefinition}
+ */
+const WebDAVSyncBackend = {
+    name: 'webdav',
+    label: 'WebDAV',
+    automatic: true,
+    fields: [
+        { name: 'url', label: 'File URL', type: 'url', placeholder: 'https://cloud.example.com/remote.php/dav/files/me/streampk.json' },
+        { name: 'username', label: 'Username', type: 'text' },
+        { name: 'password', label: 'Password or app token', type: 'password' }
+    ],
+
+    create(config) {
+        const credentials = btoa(unescape(encodeURIComponent(`${config.username}:${config.password}`)));
+        return createHttpBackend(config.url, { Authorization: `Basic ${credentials}` });
+    }
+};
+
+/**
+ * Manual sync through a downloaded file: import a file exported on another
+ * device, and the merged result is downloaded to take back.
+ * @type {SyncBackendDefinition}
+ */
+const FileSyncBackend = {
+    name: 'file',
+    label: 'File export/import',
+    automatic: false,
+    fields: [],
+
+    /**
+     * @param {Object} config - Settings
+     * @param {string} [config.text] - Contents of an imported sync file (omit to only export)
+     * @param {function(string): void} [config.save] - Called with the merged document text
+     * @returns {SyncBackend} Backend instance
+     */
+    create(config) {
+        return {
+            async pull() {
+                return config.text ? { document: JSON.parse(config.text), etag: null } : null;
+            },
+            async push(document) {
+                if (config.save) config.save(JSON.stringify(document, null, 2));
+            }
+        };
+    }
+};
+
+/**
+ * Singleton sync manager.
+ * Per-item timestamps come from comparing local data with the state saved after the last sync:
+ * items that changed since then get the current time, items that disappeared become tombstones.
+ * Merging keeps the newer version of every item, so devices converge in any sync order.
+ * @namespace
+ */
+const SyncManager = {
+    /**
+     * localStorage key for the sync settings.
+     * Backend credentials (REST token, WebDAV password) are stored here in plain text.
+     * @type {string}
+     * @constant
+     */
+    CONFIG_KEY: 'liveStreamSync',
+
+    /**
+     * localStorage key for the item state recorded at the last sync
+     * @type {string}
+     * @constant
+     */
+    STATE_KEY: 'liveStreamSyncState',
+
+    /**
+     * Identifies sync documents
+     * @type {string}
+     * @constant
+     */
+    FORMAT: 'streampk-sync',
+
+    /**
+     * Sync document version
+     * @type {number}
+     * @constant
+     */
+    VERSION: 1,
+
+    /**
+     * Milliseconds after which deletions are forgotten
+     * @type {number}
+     * @constant
+     */
+    TOMBSTONE_TTL: 30 * 24 * 60 * 60 * 1000,
+
+    /**
+     * Milliseconds between background syncs
+     * @type {number}
+     * @constant
+     */
+    AUTO_SYNC_INTERVAL: 5 * 60 * 1000,
+
+    /**
+     * Preference keys synced as-is (theme, hide offline, data saver, history on/off, guide URL)
+     * @type {string[]}
+     * @constant
+     */
+    SETTINGS: [
+        'liveStreamTheme',
+        'liveStreamHideOffline',
+        'liveStreamDataSaver',
+        'liveStreamHistoryEnabled',
+        'liveStreamEpgUrl'
+    ],
+
+    /**
+     * Registered backend definitions
+     * @type {SyncBackendDefinition[]}
+     */
+    backends: [RestSyncBackend, WebDAVSyncBackend, FileSyncBackend],
+
+    /**
+     * Flag indicating whether a sync is in progress
+     * @type {boolean}
+     */
+    syncing: false,
+
+    /**
+     * Registers a backend.
+     * @param {SyncBackendDefinition} backend - Backend definition
+     */
+    register(backend) {
+        this.backends = this.backends.filter(b => b.name !== backend.name).concat(backend);
+    },
+
+    /**
+     * Gets a registered backend by name.
+     * @param {string} name - Backend name
+     * @returns {SyncBackendDefinition|undefined} Backend definition
+     */
+    getBackend(name) {
+        return this.backends.find(backend => backend.name === name);
+    },
+
+    /**
+     * Gets the sync settings.
+     * @returns {{backend: (string|null), config: Object, lastSync: (number|null), lastError: (string|null)}}
+     *          Settings (backend is null when sync is off)
+     */
+    getConfig() {
+        try {
+            const stored = localStorage.getItem(this.CONFIG_KEY);
+            return { backend: null, config: {}, lastSync: null, lastError: null, ...(stored ? JSON.parse(stored) : {}) };
+        } catch (e) {
+            console.error('Error reading sync settings:', e);
+            return { backend: null, config: {}, lastSync: null, lastError: null };
+        }
+    },
+
+    /**
+     * Saves the sync settings.
+     * @param {Object} settings - Settings from {@link SyncManager.getConfig}
+     */
+    saveConfig(settings) {
+        try {
+            localStorage.setItem(this.CONFIG_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.error('Error saving sync settings:', e);
+        }
+    },
+
+    /**
+     * Checks whether a backend that syncs in the background is configured.
+     * @returns {boolean} True if background sync should run
+     */
+    isAutomatic() {
+        const backend = this.getBackend(this.getConfig().backend);
+        return Boolean(backend && backend.automatic);
+    },
+
+    /**
+     * Gets the item state recorded at the last sync.
+     * @returns {{deviceId: string, items: Object<string, {json: (string|null), updatedAt: number}>}} State
+     * @private
+     */
+    getState() {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(this.STATE_KEY));
+        } catch (e) {
+            console.error('Error reading sync state:', e);
+        }
+        if (!state || !state.items) {
+            state = { deviceId: `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, items: {} };
+        }
+        return state;
+    },
+
+    /**
+     * Saves the item state.
+     * @param {Object} state - State from {@link SyncManager.getState}
+     * @private
+     */
+    saveState(state) {
+        try {
+            localStorage.setItem(this.STATE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.error('Error saving sync state:', e);
+        }
+    },
+
+    /**
+     * Reads all synced data from this browser as a flat map of item values.
+     * @returns {Object<string, *>} Values keyed by item key
+     */
+    collectLocal() {
+        const values = {};
+
+        const favorites = FavoritesManager.getData();
+        favorites.items.forEach((item, order) => {
+            values[`favorite:${item.id}`] = { name: item.name, folder: item.folder, addedAt: item.addedAt, order };
+        });
+        favorites.folders.forEach((folder, order) => {
+            values[`folder:${folder.id}`] = { name: folder.name, order };
+        });
+
+        HistoryManager.getHistory().forEach(entry => {
+            values[`history:${entry.channelId}@${entry.startedAt}`] = entry;
+        });
+
+        Object.entries(QualityManager.getPreferences()).forEach(([channelId, preference]) => {
+            values[`quality:${channelId}`] = preference;
+        });
+
+        this.SETTINGS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) values[`setting:${key}`] = value;
+        });
+
+        return values;
+    },
+
+    /**
+     * Stamps local values with change times by comparing them with the last synced state.
+     * @param {Object<string, *>} values - Values from {@link SyncManager.collectLocal}
+     * @param {Object} state - State from {@link SyncManager.getState}
+     * @param {number} [now=Date.now()] - Time to give changed items
+     * @returns {Object<string, SyncItem>} Items including tombstones for deleted values
+     */
+    stampItems(values, state, now = Date.now()) {
+        const items = {};
+
+        Object.entries(values).forEach(([key, value]) => {
+            const previous = state.items[key];
+            const json = JSON.stringify(value);
+            items[key] = { value, updatedAt: previous && previous.json === json ? previous.updatedAt : now };
+        });
+
+        Object.entries(state.items).forEach(([key, previous]) => {
+            if (key in items) return;
+            items[key] = { value: null, updatedAt: previous.json === null ? previous.updatedAt : now };
+        });
+
+        return items;
+    },
+
+    /**
+     * Merges two item maps, keeping the newer version of every item.
+     * Ties are broken by comparing values so every device picks the same winner.
+     * Tombstones older than {@link SyncManager.TOMBSTONE_TTL} are dropped.
+     * @param {Object<string, SyncItem>} local - Local items
+     * @param {Object<string, SyncItem>} remote - Remote items
+     * @param {number} [now=Date.now()] - Current time, for tombstone expiry
+     * @returns {Object<string, SyncItem>} Merged items
+     */
+    mergeItems(local, remote, now = Date.now()) {
+        const merged = {};
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        keys.forEach(key => {
+            const a = local[key];
+            const b = remote[key];
+            let winner = a || b;
+
+            if (a && b && a.updatedAt !== b.updatedAt) {
+                winner = a.updatedAt > b.updatedAt ? a : b;
+            } else if (a && b) {
+                winner = JSON.stringify(a.value) >= JSON.stringify(b.value) ? a : b;
+            }
+
+            if (winner.value === null && now - winner.updatedAt > this.TOMBSTONE_TTL) return;
+            merged[key] = winner;
+        });
+
+        return merged;
+    },
+
+    /**
+     * Writes merged items back to this browser's storage.
+     * @param {Object<string, SyncItem>} items - Merged items
+     */
+    applyItems(items) {
+        const live = Object.entries(items).filter(([, item]) => item.value !== null);
+        const ofType = type => live
+            .filter(([key]) => key.startsWith(`${type}:`))
+            .map(([key, item]) => ({ id: key.slice(type.length + 1), value: item.value }));
+        const byOrder = (a, b) => a.value.order - b.value.order || (a.id < b.id ? -1 : 1);
+
+        const folders = ofType('folder').sort(byOrder).map(({ id, value }) => ({ id, name: value.name }));
+        const folderIds = new Set(folders.map(folder => folder.id));
+        FavoritesManager.saveData({
+            version: FavoritesManager.SCHEMA_VERSION,
+            folders,
+            items: ofType('favorite').sort(byOrder).map(({ id, value }) => ({
+                id,
+                name: value.name,
+                folder: folderIds.has(value.folder) ? value.folder : null,
+                addedAt: value.addedAt
+            }))
+        });
+
+        HistoryManager.saveHistory(ofType('history')
+            .map(({ value }) => value)
+            .sort((a, b) => b.lastWatched - a.lastWatched));
+
+        const preferences = {};
+        ofType('quality').forEach(({ id, value }) => {
+            preferences[id] = value;
+        });
+        QualityManager.savePreferences(preferences);
+
+        this.SETTINGS.forEach(key => {
+            const item = items[`setting:${key}`];
+            if (item && item.value !== null) {
+                localStorage.setItem(key, item.value);
+            } else {
+                localStorage.removeItem(key);
+            }
+        });
+    },
+
+    /**
+     * Builds a sync document from items.
+     * @param {Object<string, SyncItem>} items - Items to include
+     * @param {string} deviceId - Writing device
+     * @returns {SyncDocument} Document
+     */
+    createDocument(items, deviceId) {
+        return { format: this.FORMAT, version: this.VERSION, updatedAt: Date.now(), deviceId, items };
+    },
+
+    /**
+     * Checks that a pulled document is a sync document this version understands.
+     * @param {*} document - Parsed document
+     * @returns {SyncDocument} The document
+     * @throws {Error} If the document is not a compatible sync document
+     */
+    validateDocument(document) {
+        if (!document || document.format !== this.FORMAT ||
+            !document.items || typeof document.items !== 'object' || Array.isArray(document.items)) {
+            throw new Error('Not a StreamPK sync document');
+        }
+        if (document.version > this.VERSION) {
+            throw new Error('Sync document was written by a newer version of StreamPK; update this device first');
+        }
+        return document;
+    },
+
+    /**
+     * Pulls the remote document, merges it with local data, pushes the result back
+     * and then applies it locally. Retries once if another device wrote in between.
+     * @async
+     * @param {SyncBackend} [backend] - Backend to use (defaults to the configured one)
+     * @returns {Promise<{changed: boolean}>} Whether local data changed
+     * @throws {SyncInProgressError} If another sync has not finished yet
+     * @throws {Error} If no backend is configured or the sync fails
+     */
+    async sync(backend) {
+        const settings = this.getConfig();
+        if (!backend) {
+            const definition = this.getBackend(settings.backend);
+            if (!definition) throw new Error('Sync is not set up');
+            backend = definition.create(settings.config);
+        }
+
+        if (this.syncing) throw new SyncInProgressError();
+        this.syncing = true;
+
+        try {
+            let result;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    result = await this.syncOnce(backend);
+                    break;
+                } catch (error) {
+                    if (!(error instanceof SyncConflictError) || attempt > 0) throw error;
+                }
+            }
+
+            this.saveConfig({ ...this.getConfig(), lastSync: Date.now(), lastError: null });
+            return result;
+        } catch (error) {
+            this.saveConfig({ ...this.getConfig(), lastError: error.message });
+            throw error;
+        } finally {
+            this.syncing = false;
+        }
+    },
+
+    /**
+     * Runs one pull, merge, push and apply round. Local data is only changed once the push succeeded.
+     * @async
+     * @param {SyncBackend} backend - Backend to use
+     * @returns {Promise<{changed: boolean}>} Whether local data changed
+     * @private
+     */
+    async syncOnce(backend) {
+        const state = this.getState();
+        const before = this.collectLocal();
+        const local = this.stampItems(before, state);
+
+        const remote = await backend.pull();
+        const merged = remote
+            ? this.mergeItems(local, this.validateDocument(remote.document).items)
+            : this.mergeItems(local, {});
+
+        // Push before touching local data: if the push fails or conflicts, the next
+        // attempt starts from this device's own data and timestamps, not the merge
+        await backend.push(this.createDocument(merged, state.deviceId), remote ? remote.etag : null);
+
+        this.applyItems(merged);
+        const after = this.collectLocal();
+
+        // Remember what was synced so the next round can tell what changed locally
+        state.items = {};
+        Object.entries(merged).forEach(([key, item]) => {
+            state.items[key] = {
+                json: item.value === null ? null : JSON.stringify(after[key] !== undefined ? after[key] : item.value),
+                updatedAt: item.updatedAt
+            };
+        });
+        this.saveState(state);
+
+        return { changed: JSON.stringify(before) !== JSON.stringify(after) };
+    },
+
+    SyncConflictError,
+    SyncInProgressError
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncManager;
+}
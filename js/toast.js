@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Toast notification module for the live streaming application.
+ * Shows short, non-blocking messages in place of alert() and prompt().
+ */
+
+/**
+ * @typedef {Object} ToastOptions
+ * @property {string} [type='info'] - 'info', 'success' or 'error'
+ * @property {number} [duration] - Milliseconds before the toast hides (0 keeps it until closed)
+ * @property {{label: string, handler: Function}} [action] - Button shown in the toast
+ */
+
+/**
+ * Singleton toast notifier.
+ * @namespace
+ */
+const Toast = {
+    /**
+     * Milliseconds a toast stays visible by default
+     * @type {number}
+     * @constant
+     */
+    DEFAULT_DURATION: 4000,
+
+    /**
+     * Maximum toasts shown at once; the oldest is removed first
+     * @type {number}
+     * @constant
+     */
+    MAX_TOASTS: 3,
+
+    /**
+     * Icon for each toast type
+     * @type {Object<string, string>}
+     * @constant
+     */
+    ICONS: {
+        info: 'fa-info-circle',
+        success: 'fa-check-circle',
+        error: 'fa-exclamation-circle'
+    },
+
+    /**
+     * Cached DOM element references
+     * @type {Object}
+     */
+    elements: {
+        container: null
+    },
+
+    /**
+     * Initializes toasts by caching the container element.
+     */
+    init() {
+        this.elements.container = document.getElementById('toastContainer');
+    },
+
+    /**
+     * Shows a toast.
+     * @param {string} message - Text to show
+     * @param {ToastOptions} [options] - Type, duration and action
+     * @returns {HTMLElement} Toast element
+     */
+    show(message, options = {}) {
+        const type = this.ICONS[options.type] ? options.type : 'info';
+        const duration = options.duration !== undefined ? options.duration : this.DEFAULT_DURATION;
+        const container = this.elements.container;
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${this.ICONS[type]}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+
+        toast.append(icon, text);
+
+        if (options.action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = options.action.label;
+            button.addEventListener('click', () => {
+                this.dismiss(toast);
+                options.action.handler();
+            });
+            toast.appendChild(button);
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.title = 'Dismiss';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.innerHTML = '<i class="fas fa-times"></i>';
+        close.addEventListener('click', () => this.dismiss(toast));
+        toast.appendChild(close);
+
+        container.appendChild(toast);
+        while (container.children.length > this.MAX_TOASTS) {
+            container.firstElementChild.remove();
+        }
+
+        if (duration > 0) {
+            setTimeout(() => this.dismiss(toast), duration);
+        }
+        return toast;
+    },
+
+    /**
+     * Removes a toast.
+     * @param {HTMLElement} toast - Toast returned by {@link Toast.show}
+     */
+    dismiss(toast) {
+        toast.remove();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Toast;
+}
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line stream health check for playlist files.
+ * Uses the same parser and checker as the web app (js/channels.js and js/health.js).
+ *
+ * Usage:
+ *   node scripts/check-streams.js [playlist ...] [--concurrency N] [--timeout MS] [--json] [--allow-offline]
+ *
+ * Checks playlist.m3u8 when no playlist is given. Exits with status 1 when any channel
+ * is offline (unless --allow-offline is passed), so it can gate a deploy.
+ * Requires Node 18 or later for the built-in fetch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ChannelManager = require('../js/channels.js');
+const HealthChecker = require('../js/health.js');
+
+/**
+ * Parses command-line arguments.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{files: string[], concurrency: number, timeout: number, json: boolean, allowOffline: boolean}}
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        concurrency: HealthChecker.CONCURRENCY,
+        timeout: HealthChecker.TIMEOUT,
+        json: false,
+        allowOffline: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--concurrency') {
+            options.concurrency = parseInt(argv[++i], 10);
+        } else if (arg === '--timeout') {
+            options.timeout = parseInt(argv[++i], 10);
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--allow-offline') {
+            options.allowOffline = true;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log('Usage: node scripts/check-streams.js [playlist ...] [--concurrency N] [--timeout MS] [--json] [--allow-offline]');
+            process.exit(0);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (options.files.length === 0) {
+        options.files.push(path.join(__dirname, '..', 'playlist.m3u8'));
+    }
+    if (!(options.concurrency > 0) || !(options.timeout > 0)) {
+        console.error('--concurrency and --timeout must be positive numbers');
+        process.exit(2);
+    }
+
+    return options;
+}
+
+/**
+ * Checks every channel of one playlist file and prints the results.
+ * @async
+ * @param {string} file - Playlist path
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<Object>} Summary with per-channel results
+ */
+async function checkPlaylist(file, options) {
+    const { channels, warnings } = ChannelManager.parsePlaylist(fs.readFileSync(file, 'utf8'));
+    const rows = [];
+
+    warnings.forEach(w => console.error(`${file}:${w.line}: warning: ${w.message}`));
+
+    await HealthChecker.checkAll(channels, {
+        concurrency: options.concurrency,
+        timeout: options.timeout,
+        onResult: (channel, health) => {
+            rows.push({ id: channel.id, name: channel.name, ...health });
+            if (!options.json) {
+                const latency = health.latency !== null ? `${health.latency} ms` : '-';
+                const detail = health.status === 'online' ? '' : ` ${health.error || `via ${health.source}`}`;
+                console.log(`  ${health.status.padEnd(8)} ${channel.id.padEnd(24)} ${latency.padStart(8)}${detail}`);
+            }
+        }
+    });
+
+    const skipped = channels.filter(channel => !rows.some(row => row.id === channel.id)).map(channel => channel.id);
+    const count = status => rows.filter(row => row.status === status).length;
+
+    return {
+        file,
+        online: count('online'),
+        degraded: count('degraded'),
+        offline: count('offline'),
+        skipped,
+        channels: rows
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const summaries = [];
+
+    for (const file of options.files) {
+        if (!options.json) console.log(`${path.relative(process.cwd(), file)}:`);
+        summaries.push(await checkPlaylist(file, options));
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(summaries, null, 2));
+    } else {
+        summaries.forEach(s => {
+            console.log(`${path.relative(process.cwd(), s.file)}: ${s.online} online, ${s.degraded} degraded, ${s.offline} offline` +
+                (s.skipped.length ? `, ${s.skipped.length} not checkable (${s.skipped.join(', ')})` : ''));
+        });
+    }
+
+    const offline = summaries.reduce((total, s) => total + s.offline, 0);
+    process.exitCode = offline > 0 && !options.allowOffline ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 2;
+});
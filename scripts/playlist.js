@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Playlist authoring tool.
+ * channels.src.m3u is the one file maintainers edit. It lists every channel with all of
+ * its sources (HTTPS and HTTP streams, alternatives and embeds). This tool checks it with
+ * the app's own parser (js/channels.js) and generates from it:
+ * - playlist.m3u8 for the web player (HTTPS streams and embeds; HTTP is mixed content there)
+ * - pakistan-iptv.m3u for IPTV players such as VLC and Kodi (direct streams only)
+ * - the channel table in README.md
+ * Works offline; nothing is fetched.
+ *
+ * Usage:
+ *   node scripts/playlist.js lint [playlist ...] [--strict]
+ *   node scripts/playlist.js build
+ *   node scripts/playlist.js check
+ *
+ * lint checks channels.src.m3u when no playlist is given and exits with status 1 on errors
+ * (and on warnings with --strict). build lints, then writes the generated files. check exits
+ * with status 1 when a generated file is out of date, so CI can catch hand edits.
+ * `npm run lint` and `npm run check` run the first and last; npm test runs both checks too
+ * (tests/playlist-tool.test.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ChannelManager = require('../js/channels.js');
+
+/**
+ * Repository root
+ * @type {string}
+ */
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Canonical channel list
+ * @type {string}
+ */
+const SOURCE_FILE = path.join(ROOT, 'channels.src.m3u');
+
+/**
+ * README file holding the generated channel table
+ * @type {string}
+ */
+const README_FILE = path.join(ROOT, 'README.md');
+
+/**
+ * Markers around the generated channel table in the README
+ * @type {{start: string, end: string}}
+ */
+const README_MARKERS = {
+    start: '<!-- channels:start (generated by scripts/playlist.js) -->',
+    end: '<!-- channels:end -->'
+};
+
+/**
+ * Attributes written first, in this order; any others follow in source order
+ * @type {string[]}
+ */
+const ATTRIBUTE_ORDER = ['tvg-id', 'tvg-name', 'tvg-logo', 'group-title'];
+
+/**
+ * Valid tvg-id values (they end up in deep links and localStorage keys)
+ * @type {RegExp}
+ */
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {string} level - 'error' or 'warning'
+ * @property {number} line - 1-based line number
+ * @property {string} message - Description of the problem
+ */
+
+/**
+ * Parses an absolute http(s) URL.
+ * @param {string} value - URL text
+ * @returns {URL|null} Parsed URL, or null if it is not a well-formed http(s) URL
+ */
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks a parsed playlist.
+ * Errors: parser warnings (including duplicate tvg-ids), missing tvg-id/tvg-name/group-title,
+ * malformed stream, embed or logo URLs, http:// embeds, channels without any source.
+ * Warnings: http:// URLs (mixed content in the HTTPS web app), duplicate names and stream URLs.
+ * @param {ParsedPlaylist} playlist - Result of {@link ChannelManager.parsePlaylist}
+ * @returns {LintIssue[]} Problems, in line order
+ */
+function lintPlaylist(playlist) {
+    const issues = [];
+    const error = (line, message) => issues.push({ level: 'error', line, message });
+    const warning = (line, message) => issues.push({ level: 'warning', line, message });
+
+    playlist.warnings.forEach(w => error(w.line, w.message));
+
+    const names = new Map();
+    const urls = new Map();
+
+    playlist.channels.forEach(channel => {
+        const attrs = channel.attributes;
+        const id = attrs['tvg-id'];
+
+        // Duplicate tvg-ids are reported by the parser
+        if (!id) {
+            error(channel.line, `"${channel.name}" has no tvg-id`);
+        } else if (!ID_PATTERN.test(id)) {
+            error(channel.line, `tvg-id "${id}" should use only lowercase letters, digits and hyphens`);
+        }
+
+        if (!attrs['tvg-name']) error(channel.line, `"${channel.name}" has no tvg-name`);
+        if (!attrs['group-title']) error(channel.line, `"${channel.name}" has no group-title`);
+
+        const nameKey = channel.name.toLowerCase();
+        if (names.has(nameKey)) {
+            warning(channel.line, `Channel name "${channel.name}" is also used on line ${names.get(nameKey)}`);
+        } else {
+            names.set(nameKey, channel.line);
+        }
+
+        if (channel.logo) {
+            const logo = parseHttpUrl(channel.logo);
+            if (!logo) {
+                error(channel.line, `Malformed tvg-logo URL "${channel.logo}"`);
+            } else if (logo.protocol === 'http:') {
+                warning(channel.line, `tvg-logo uses http:// (mixed content in the web app): ${channel.logo}`);
+            }
+        }
+
+        if (channel.sources.length === 0) {
+            error(channel.line, `"${channel.name}" has no stream URL, alternative or embed`);
+        }
+
+        channel.sources.forEach(source => {
+            const isStream = source.type === 'hls';
+            const url = parseHttpUrl(source.url);
+            if (!url) {
+                error(channel.line, `Malformed ${isStream ? 'stream' : 'embed'} URL "${source.url}"`);
+                return;
+            }
+            if (url.protocol === 'http:') {
+                const note = isStream
+                    ? 'the web playlist keeps it only as a disabled or fallback entry'
+                    : 'embeds must use https://';
+                (isStream ? warning : error)(channel.line,
+                    `${source.label} source of "${channel.name}" uses http:// (mixed content; ${note})`);
+            }
+            if (source.type === 'iframe' && /youtube(-nocookie)?\.com|youtu\.be/.test(url.hostname)) {
+                warning(channel.line, `YouTube link of "${channel.name}" has no video or channel ID; it plays as a plain iframe`);
+            }
+            if (urls.has(source.url) && urls.get(source.url) !== channel.line) {
+                warning(channel.line, `Stream URL of "${channel.name}" is also used on line ${urls.get(source.url)}`);
+            } else {
+                urls.set(source.url, channel.line);
+            }
+        });
+    });
+
+    return issues.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Quotes an attribute value for an #EXTINF line.
+ * @param {string} value - Attribute value
+ * @returns {string} Double-quoted value with quotes and backslashes escaped
+ */
+function quote(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Writes the #EXTINF line and directives of a channel.
+ * @param {Channel} channel - Channel from the canonical file
+ * @returns {string[]} Lines
+ */
+function formatEntry(channel) {
+    const keys = [
+        ...ATTRIBUTE_ORDER.filter(key => key in channel.attributes),
+        ...Object.keys(channel.attributes).filter(key => !ATTRIBUTE_ORDER.includes(key))
+    ];
+    const attrs = keys.map(key => `${key}=${quote(channel.attributes[key])}`).join(' ');
+
+    return [
+        `#EXTINF:${channel.duration} ${attrs},${channel.title || channel.name}`,
+        ...channel.groups.map(group => `#EXTGRP:${group}`),
+        ...Object.entries(channel.vlcOptions).map(([key, value]) => `#EXTVLCOPT:${key}=${value}`),
+        ...Object.entries(channel.kodiProps).map(([key, value]) => `#KODIPROP:${key}=${value}`)
+    ];
+}
+
+/**
+ * Writes the #EXTM3U header and the "generated" notice.
+ * @param {Object<string, string>} header - Header attributes of the canonical file
+ * @returns {string[]} Lines
+ */
+function formatHeader(header) {
+    const attrs = Object.entries(header).map(([key, value]) => ` ${key}=${quote(value)}`).join('');
+    return [
+        `#EXTM3U${attrs}`,
+        `# Generated from ${path.basename(SOURCE_FILE)} by scripts/playlist.js. Edit that file, then run: node scripts/playlist.js build`
+    ];
+}
+
+/**
+ * Generates the web player playlist.
+ * HTTPS streams play directly; http:// streams are mixed content on the HTTPS site, so they are
+ * kept as a last-resort alternative when an HTTPS stream exists, and as a disabled note otherwise.
+ * @param {ParsedPlaylist} playlist - Canonical playlist
+ * @returns {string} Playlist text
+ */
+function buildWebPlaylist(playlist) {
+    const lines = formatHeader(playlist.header);
+
+    playlist.channels.forEach(channel => {
+        // YouTube links on the URL or alternative lines play in the web player like streams
+        const streams = channel.sources.filter(source => source.url !== channel.embed);
+        const secure = streams.filter(source => source.url.startsWith('https://'));
+        const insecure = streams.filter(source => !source.url.startsWith('https://'));
+
+        lines.push('', ...formatEntry(channel));
+        if (secure.length > 0) {
+            lines.push(secure[0].url);
+            secure.slice(1).forEach(source => lines.push(`# ALTERNATIVE: ${source.url}`));
+            insecure.forEach(source => lines.push(`# ALTERNATIVE (HTTP): ${source.url}`));
+        } else {
+            insecure.forEach(source => lines.push(`# DISABLED (HTTP mixed content): ${source.url}`));
+        }
+        if (channel.embed) lines.push(`# EMBED: ${channel.embed}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Generates the IPTV player playlist: channels with a direct stream, without embeds.
+ * @param {ParsedPlaylist} playlist - Canonical playlist
+ * @returns {string} Playlist text
+ */
+function buildIptvPlaylist(playlist) {
+    const lines = formatHeader(playlist.header);
+
+    playlist.channels.forEach(channel => {
+        const streams = channel.sources.filter(source => source.type === 'hls');
+        if (streams.length === 0) return;
+
+        lines.push('', ...formatEntry(channel), streams[0].url);
+        streams.slice(1).forEach(source => lines.push(`# ALTERNATIVE: ${source.url}`));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Generates the README channel table, grouped by category.
+ * @param {ParsedPlaylist} playlist - Canonical playlist
+ * @returns {string} Markdown table
+ */
+function buildChannelTable(playlist) {
+    const describeWeb = channel => {
+        const kinds = [];
+        if (channel.sources.some(s => s.type === 'hls' && s.url.startsWith('https://'))) kinds.push('HLS');
+        if (channel.sources.some(s => s.type === 'youtube')) kinds.push('YouTube');
+        if (channel.sources.some(s => s.type === 'iframe')) kinds.push('Embed');
+        return kinds.join(', ') || '—';
+    };
+    const describeIptv = channel => (channel.sources.some(s => s.type === 'hls') ? 'HLS' : '—');
+
+    const categories = [...new Set(playlist.channels.map(channel => channel.category))].sort();
+    const rows = categories
+        .flatMap(category => playlist.channels.filter(channel => channel.category === category))
+        .map(channel => `| ${channel.name} | ${channel.category} | ${describeWeb(channel)} | ${describeIptv(channel)} |`);
+
+    return [
+        '| Channel | Category | Web player | IPTV players |',
+        '|---------|----------|------------|--------------|',
+        ...rows
+    ].join('\n');
+}
+
+/**
+ * Replaces the generated channel table in the README text.
+ * @param {string} readme - README text
+ * @param {string} table - New table
+ * @returns {string} Updated README text
+ */
+function replaceChannelTable(readme, table) {
+    const start = readme.indexOf(README_MARKERS.start);
+    const end = readme.indexOf(README_MARKERS.end);
+    if (start === -1 || end < start) {
+        throw new Error(`README.md has no "${README_MARKERS.start}" ... "${README_MARKERS.end}" section`);
+    }
+    return `${readme.slice(0, start + README_MARKERS.start.length)}\n${table}\n${readme.slice(end)}`;
+}
+
+/**
+ * Computes the generated files from the canonical playlist.
+ * @param {ParsedPlaylist} playlist - Canonical playlist
+ * @returns {Array<{file: string, content: string}>} Files and their expected content
+ */
+function generate(playlist) {
+    return [
+        { file: path.join(ROOT, 'playlist.m3u8'), content: buildWebPlaylist(playlist) },
+        { file: path.join(ROOT, 'pakistan-iptv.m3u'), content: buildIptvPlaylist(playlist) },
+        {
+            file: README_FILE,
+            content: replaceChannelTable(fs.readFileSync(README_FILE, 'utf8'), buildChannelTable(playlist))
+        }
+    ];
+}
+
+/**
+ * Lints playlist files and prints the problems.
+ * @param {string[]} files - Playlist paths
+ * @param {boolean} strict - Whether warnings count as failures
+ * @returns {boolean} True if all files passed
+ */
+function lintFiles(files, strict) {
+    let passed = true;
+
+    files.forEach(file => {
+        const playlist = ChannelManager.parsePlaylist(fs.readFileSync(file, 'utf8'));
+        const issues = lintPlaylist(playlist);
+        const relative = path.relative(process.cwd(), file);
+        const errors = issues.filter(issue => issue.level === 'error').length;
+
+        issues.forEach(issue => console.error(`${relative}:${issue.line}: ${issue.level}: ${issue.message}`));
+        console.log(`${relative}: ${playlist.channels.length} channels, ${errors} errors, ${issues.length - errors} warnings`);
+
+        if (errors > 0 || (strict && issues.length > 0)) passed = false;
+    });
+
+    return passed;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const command = args.shift();
+    const strict = args.includes('--strict');
+    const files = args.filter(arg => arg !== '--strict').map(file => path.resolve(file));
+
+    if (command === 'lint') {
+        process.exitCode = lintFiles(files.length > 0 ? files : [SOURCE_FILE], strict) ? 0 : 1;
+        return;
+    }
+
+    if (command === 'build' || command === 'check') {
+        const playlist = ChannelManager.parsePlaylist(fs.readFileSync(SOURCE_FILE, 'utf8'));
+        if (!lintFiles([SOURCE_FILE], false)) {
+            console.error('Fix the errors above first.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const stale = generate(playlist).filter(({ file, content }) =>
+            !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content);
+
+        stale.forEach(({ file, content }) => {
+            const relative = path.relative(process.cwd(), file);
+            if (command === 'build') {
+                fs.writeFileSync(file, content);
+                console.log(`Wrote ${relative}`);
+            } else {
+                console.error(`${relative} is out of date; run: node scripts/playlist.js build`);
+            }
+        });
+
+        if (stale.length === 0) console.log('Generated files are up to date.');
+        if (command === 'check' && stale.length > 0) process.exitCode = 1;
+        return;
+    }
+
+    console.log('Usage: node scripts/playlist.js lint [playlist ...] [--strict] | build | check');
+    process.exitCode = command === '--help' || command === '-h' ? 0 : 2;
+}
+
+if (require.main === module) {
+    main();
+} else {
+    module.exports = { lintPlaylist, generate };
+}
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Reference sync server for the REST sync backend (js/sync.js).
+ * Stores one JSON document per key under a data directory, with ETags so two
+ * devices syncing at once cannot overwrite each other. Meant for local testing
+ * and small self-hosted setups, not as a hardened service.
+ *
+ * Usage:
+ *   node scripts/sync-server.js --origin APP_ORIGIN [--port N] [--host ADDRESS] [--data DIR] [--token SECRET]
+ *
+ * Then set the app's sync backend to "REST server" with the URL
+ * http://localhost:8787/sync/<random-key> (and the token, if one was given).
+ *
+ * Only the origin given with --origin may call the server from a browser. The server
+ * only listens on 127.0.0.1 unless --host says otherwise, and then requires --token.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Largest accepted document, in bytes
+ * @type {number}
+ */
+const MAX_BODY = 1024 * 1024;
+
+/**
+ * Valid document keys
+ * @type {RegExp}
+ */
+const KEY_PATTERN = /^\/sync\/([\w-]{1,64})$/;
+
+/**
+ * Command-line usage
+ * @type {string}
+ */
+const USAGE = 'Usage: node scripts/sync-server.js --origin APP_ORIGIN [--port N] [--host ADDRESS] [--data DIR] [--token SECRET]';
+
+/**
+ * Addresses that only accept connections from this machine
+ * @type {string[]}
+ */
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * Host header names accepted when listening on a loopback address
+ * @type {string[]}
+ */
+const LOOPBACK_HOSTNAMES = ['127.0.0.1', '[::1]', 'localhost'];
+
+/**
+ * Parses command-line arguments.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{port: number, host: string, origin: (string|null), data: string, token: (string|null), help: boolean}}
+ * @throws {Error} If an argument is unknown or invalid
+ */
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        host: '127.0.0.1',
+        origin: null,
+        data: path.join(os.homedir(), '.streampk-sync'),
+        token: null,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--origin') {
+            options.origin = argv[++i];
+        } else if (arg === '--data') {
+            options.data = path.resolve(argv[++i]);
+        } else if (arg === '--token') {
+            options.token = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!(options.port >= 0 && options.port < 65536)) {
+        throw new Error('--port must be a number between 0 and 65535');
+    }
+
+    if (!options.host || options.origin === undefined || options.token === undefined) {
+        throw new Error('--host, --origin and --token need a value');
+    }
+
+    if (options.origin !== null && (options.origin === '*' || !/^https?:\/\/[^/]+$/.test(options.origin))) {
+        throw new Error('--origin must be the exact origin of the app, such as https://streampk.example');
+    }
+
+    if (!LOOPBACK_HOSTS.includes(options.host) && !options.token) {
+        throw new Error('--token is required when --host makes the server reachable from the network');
+    }
+
+    return options;
+}
+
+/**
+ * Computes the ETag of a stored document.
+ * @param {string} body - Document text
+ * @returns {string} Quoted ETag
+ */
+function etagOf(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+/**
+ * Reads a request body, rejecting bodies over {@link MAX_BODY}.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(Object.assign(new Error('Document too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Creates the request handler.
+ * @param {{host: string, origin: (string|null), data: string, token: (string|null)}} options - Server options
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>} Handler
+ */
+function createHandler(options) {
+    const loopback = LOOPBACK_HOSTS.includes(options.host);
+
+    return async (req, res) => {
+        // Without an allowed origin, browsers refuse to let other sites read responses or send PUTs
+        if (options.origin) {
+            res.setHeader('Access-Control-Allow-Origin', options.origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+            res.setHeader('Access-Control-Expose-Headers', 'ETag');
+        }
+
+        const send = (status, message) => {
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(message);
+        };
+
+        // A site that rebinds its own domain to 127.0.0.1 would otherwise count as same-origin
+        const hostname = new URL(`http://${req.headers.host || 'invalid'}`).hostname;
+        if (loopback && !LOOPBACK_HOSTNAMES.includes(hostname)) {
+            return send(421, 'Unexpected Host header');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const match = KEY_PATTERN.exec(new URL(req.url, 'http://localhost').pathname);
+        if (!match) return send(404, 'Not found');
+
+        if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+            return send(401, 'Unauthorized');
+        }
+
+        const file = path.join(options.data, `${match[1]}.json`);
+        const read = () => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+
+        if (req.method === 'GET') {
+            const current = read();
+            if (current === null) return send(404, 'No document yet');
+            res.writeHead(200, { 'Content-Type': 'application/json', ETag: etagOf(current) });
+            res.end(current);
+            return;
+        }
+
+        if (req.method !== 'PUT') return send(405, 'Method not allowed');
+
+        let body;
+        try {
+            body = await readBody(req);
+            JSON.parse(body);
+        } catch (error) {
+            return send(error.status || 400, error.status ? error.message : 'Body must be JSON');
+        }
+
+        // Check and write without awaiting in between, so a concurrent PUT cannot slip in
+        const current = read();
+        // A client that pulled nothing sends no If-Match, so it must not clobber a document created meanwhile
+        if (current !== null && req.headers['if-match'] !== etagOf(current)) {
+            return send(412, 'Document changed; pull and merge again');
+        }
+
+        fs.mkdirSync(options.data, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, body);
+        fs.renameSync(`${file}.tmp`, file);
+        res.writeHead(200, { 'Content-Type': 'text/plain', ETag: etagOf(body) });
+        res.end('Saved');
+        console.log(`${new Date().toISOString()} saved ${match[1]} (${body.length} bytes)`);
+    };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const server = http.createServer(createHandler(options));
+
+    server.listen(options.port, options.host, () => {
+        const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+        console.log(`Sync server listening on http://${host}:${server.address().port}/sync/<key>`);
+        console.log(`Storing documents in ${options.data}${options.token ? ' (token required)' : ''}`);
+        if (!options.origin) {
+            console.warn('No --origin given: browsers will not let the app reach this server. Pass the origin the app is served from, e.g. --origin http://localhost:8080');
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+} else {
+    module.exports = { parseArgs, createHandler, etagOf };
+}
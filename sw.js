@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Service worker for the live streaming application.
+ * Precaches the app shell so StreamPK starts without a network connection:
+ * - App files and the bundled playlist are served stale-while-revalidate
+ *   (instantly from cache, refreshed in the background for the next visit)
+ * - CDN libraries, fonts and channel logos are served cache-first, fetched with
+ *   CORS so HTTP errors are never cached (hosts without CORS are not cached at all)
+ * - Streams, remote playlists, guides and sync requests always go to the network
+ */
+
+/**
+ * Bump when the list of precached files changes so old caches are dropped
+ * @type {string}
+ */
+const CACHE_VERSION = 'v11';
+
+/**
+ * Cache for the app shell and same-origin playlists
+ * @type {string}
+ */
+const SHELL_CACHE = `streampk-shell-${CACHE_VERSION}`;
+
+/**
+ * Cache for CDN libraries and fonts, replaced along with the shell
+ * @type {string}
+ */
+const CDN_CACHE = `streampk-cdn-${CACHE_VERSION}`;
+
+/**
+ * Cache for channel logos. Kept across app updates; bump its version when the way
+ * logos are stored changes (v2: CORS responses only, no opaque ones)
+ * @type {string}
+ */
+const LOGO_CACHE = 'streampk-logos-v2';
+
+/**
+ * Maximum number of logos kept; the oldest are evicted first
+ * @type {number}
+ */
+const MAX_LOGOS = 300;
+
+/**
+ * Same-origin files precached on install
+ * @type {string[]}
+ */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'embed.html',
+    'manifest.webmanifest',
+    'playlist.m3u8',
+    'css/styles.css',
+    'js/store.js',
+    'js/links.js',
+    'js/playlists.js',
+    'js/channels.js',
+    'js/favorites.js',
+    'js/history.js',
+    'js/epg.js',
+    'js/health.js',
+    'js/search.js',
+    'js/quality.js',
+    'js/audio.js',
+    'js/sync.js',
+    'js/engines.js',
+    'js/errors.js',
+    'js/toast.js',
+    'js/player.js',
+    'js/multiview.js',
+    'js/diagnostics.js',
+    'js/remote.js',
+    'js/app.js',
+    'js/embed.js',
+    'js/vendor/qrcode.js',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/maskable-512.png'
+];
+
+/**
+ * CDN files precached on install (best effort)
+ * @type {string[]}
+ */
+const CDN_FILES = [
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.2/css/all.min.css',
+    'https://cdn.jsdelivr.net/npm/hls.js@1.5.20/dist/hls.min.js'
+];
+
+/**
+ * Hosts whose responses are cached cache-first
+ * @type {string[]}
+ */
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // CDN files are not essential: the app falls back to native HLS and plain fonts
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.all(CDN_FILES.map(url => cdn.add(corsRequest(url))
+            .catch(error => console.warn(`Could not precache ${url}:`, error))));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, CDN_CACHE, LOGO_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('streampk-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Other same-origin fetch() calls (e.g. a sync server on this host) must not be cached
+    const isAppFile = request.destination !== '' || /\.m3u8?$/i.test(url.pathname);
+
+    if (url.origin === self.location.origin && isAppFile) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(LOGO_CACHE, request, MAX_LOGOS));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(CDN_CACHE, request));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'cache-logos') {
+        event.waitUntil(cacheLogos(event.data.urls));
+    }
+});
+
+/**
+ * Responds from the shell cache and refreshes the cached copy in the background.
+ * Page loads with a query string (deep links) are served by the cached index page.
+ * @param {FetchEvent} event - Fetch event, kept alive until the refresh finishes
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const key = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+    const refresh = fetch(request).then(response => {
+        if (response.ok) {
+            return cache.put(key, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Responds from a cache, fetching the file with CORS and storing it on a miss.
+ * Hosts that do not allow CORS are answered from the network without caching: their
+ * opaque responses hide HTTP errors and count for several megabytes of quota each.
+ * @param {string} cacheName - Cache to use
+ * @param {Request} request - Request to answer
+ * @param {number} [maxEntries] - Evict the oldest entries above this count
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(cacheName, request, maxEntries) {
+    const cache = await caches.open(cacheName);
+    // Stored responses may vary on Origin, which a page's no-cors request does not send
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (cached) return cached;
+
+    const cors = corsRequest(request.url);
+    let response;
+    try {
+        response = await fetch(cors);
+    } catch (error) {
+        return fetch(request);
+    }
+
+    if (response.ok) {
+        await cache.put(cors, response.clone());
+        if (maxEntries) await trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+/**
+ * Stores channel logos that are not cached yet, so they show while offline.
+ * @param {string[]} urls - Logo URLs
+ * @returns {Promise<void>}
+ */
+async function cacheLogos(urls) {
+    const cache = await caches.open(LOGO_CACHE);
+    for (const url of urls.slice(0, MAX_LOGOS)) {
+        if (await cache.match(url, { ignoreVary: true })) continue;
+        try {
+            await cache.add(corsRequest(url));
+        } catch (error) {
+            // Broken logos and logos from hosts without CORS fall back to an icon while offline
+            console.warn(`Could not cache logo ${url}:`, error);
+        }
+    }
+    await trimCache(cache, MAX_LOGOS);
+}
+
+/**
+ * Creates a credential-less CORS request for a cross-origin file. Its response has a
+ * readable status, so Cache.add() and cacheFirst() can refuse HTTP errors.
+ * @param {string} url - File URL
+ * @returns {Request} Request
+ */
+function corsRequest(url) {
+    return new Request(url, { mode: 'cors', credentials: 'omit' });
+}
+
+/**
+ * Deletes the oldest entries of a cache above a maximum count.
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
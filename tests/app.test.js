@@ -0,0 +1,353 @@
+/**
+ * @fileoverview App tests in jsdom: deep links, sharing, and keyboard and remote control flows.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { ORIGIN, loadApp, waitFor, pressKey } = require('./helpers/dom.js');
+const { createFakeJWPlayer } = require('./helpers/jwplayer.js');
+
+const playlist = fs.readFileSync(path.join(__dirname, 'fixtures', 'player.m3u'), 'utf8');
+
+/**
+ * Fresh health results marking every fixture channel online. Without them the startup
+ * health check runs against the disabled network and marks channels offline mid-test.
+ * @returns {string} liveStreamHealth value
+ */
+function onlineHealth() {
+    const health = {};
+    ['alpha', 'beta', 'gamma', 'delta'].forEach(id => {
+        health[id] = { status: 'online', latency: 100, lastChecked: Date.now(), lastSuccess: Date.now(), error: null };
+    });
+    return JSON.stringify(health);
+}
+
+/**
+ * Loads the app on the fixture playlist.
+ * @param {Object} t - Test context, used to close the window afterwards
+ * @param {Object} [options] - Extra {@link loadApp} options
+ * @returns {Promise<Object>} Loaded app, plus `playing()` returning the playing channel ID
+ */
+async function setup(t, options = {}) {
+    const app = await loadApp({
+        playlist,
+        jwplayer: createFakeJWPlayer(),
+        ...options,
+        storage: { liveStreamHealth: onlineHealth(), ...options.storage }
+    });
+    t.after(() => app.close());
+
+    const playing = () => {
+        const channel = app.get('VideoPlayer').getCurrentChannel();
+        return channel ? channel.id : null;
+    };
+    return { ...app, playing };
+}
+
+/**
+ * Waits for the URL update that follows a change (written once the change settles).
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test('deep links', async (t) => {
+    await t.test('?channel= plays that channel', async (t) => {
+        const { window, playing } = await setup(t, { url: `${ORIGIN}/?channel=beta` });
+        assert.strictEqual(playing(), 'beta');
+        assert.strictEqual(window.location.search, '?channel=beta');
+    });
+
+    await t.test('an unknown channel is explained instead of playing another one', async (t) => {
+        const { document, playing } = await setup(t, { url: `${ORIGIN}/?channel=no-such-channel` });
+        assert.strictEqual(playing(), null);
+        assert.match(document.getElementById('playerOverlay').textContent, /Channel "no-such-channel" was not found/);
+    });
+
+    await t.test('a channel without streams is explained instead of playing another one', async (t) => {
+        const { document, playing } = await setup(t, { url: `${ORIGIN}/?channel=off-air` });
+        assert.strictEqual(playing(), null);
+        assert.match(document.getElementById('playerOverlay').textContent, /Off Air is off the air/);
+    });
+
+    await t.test('a channel found offline is explained and can still be tried', async (t) => {
+        const health = JSON.parse(onlineHealth());
+        health.beta = { status: 'offline', latency: null, lastChecked: Date.now(), lastSuccess: null, error: 'HTTP 404' };
+        const { document, playing } = await setup(t, {
+            url: `${ORIGIN}/?channel=beta`,
+            storage: { liveStreamHealth: JSON.stringify(health) }
+        });
+        assert.strictEqual(playing(), null);
+        assert.match(document.getElementById('playerOverlay').textContent, /Beta Sports seems to be offline/);
+
+        document.querySelector('.overlay-play-btn').click();
+        assert.strictEqual(playing(), 'beta');
+    });
+
+    await t.test('without a link the last watched channel resumes', async (t) => {
+        const first = await setup(t, { url: `${ORIGIN}/?channel=gamma` });
+        const storage = {};
+        for (let i = 0; i < first.window.localStorage.length; i++) {
+            const key = first.window.localStorage.key(i);
+            storage[key] = first.window.localStorage.getItem(key);
+        }
+
+        const { playing } = await setup(t, { storage });
+        assert.strictEqual(playing(), 'gamma');
+    });
+
+    await t.test('playing a channel updates the link', async (t) => {
+        const { window, get } = await setup(t);
+        get('App').playChannel('delta');
+        await settle();
+        assert.strictEqual(window.location.search, '?channel=delta');
+    });
+
+    await t.test('?category= and ?q= restore the category and search', async (t) => {
+        const { window, document } = await setup(t, { url: `${ORIGIN}/?category=Entertainment&q=del` });
+
+        assert.strictEqual(document.querySelector('#categoryTabs .active').dataset.category, 'Entertainment');
+        assert.strictEqual(document.getElementById('channelSearch').value, 'del');
+        assert.deepStrictEqual([...document.querySelectorAll('.channel-card')].map(card => card.dataset.channelId), ['delta']);
+        assert.strictEqual(window.location.search, '?channel=alpha&category=Entertainment&q=del');
+    });
+
+    await t.test('?channels= opens multi-view with the linked channel focused', async (t) => {
+        const { window, get, playing } = await setup(t, { url: `${ORIGIN}/?channel=gamma&channels=alpha,gamma,no-such-channel` });
+        const MultiView = get('MultiView');
+
+        assert.strictEqual(MultiView.layout, 3);
+        assert.strictEqual(MultiView.tiles.map(tile => {
+            const channel = tile.player.getCurrentChannel();
+            return channel ? channel.id : '';
+        }).join(','), 'alpha,gamma,');
+        assert.strictEqual(playing(), 'gamma');
+        assert.match(MultiView.tiles[2].element.textContent, /Channel "no-such-channel" was not found/);
+        assert.strictEqual(window.location.search, '?channel=gamma&channels=alpha,gamma,');
+    });
+
+    await t.test('?autoplay=0 waits for play and ?muted=1 starts muted', async (t) => {
+        const jwplayer = createFakeJWPlayer();
+        const { document, get, playing } = await setup(t, { url: `${ORIGIN}/?channel=beta&autoplay=0&muted=1`, jwplayer });
+
+        assert.strictEqual(jwplayer.instances.length, 0);
+        assert.strictEqual(playing(), null);
+
+        document.querySelector('.overlay-play-btn').click();
+        assert.strictEqual(playing(), 'beta');
+        assert.strictEqual(jwplayer.instances[0].config.mute, true);
+        assert.strictEqual(get('localStorage.getItem("liveStreamAudio")'), null, 'starting muted is not remembered');
+    });
+
+    await t.test('?tv=1 turns on TV mode for the visit', async (t) => {
+        const { document, window } = await setup(t, { url: `${ORIGIN}/?tv=1` });
+        assert.ok(document.documentElement.classList.contains('tv-mode'));
+        assert.strictEqual(window.localStorage.getItem('liveStreamTvMode'), null, 'not remembered');
+        assert.strictEqual(window.location.search, '?channel=alpha&tv=1', 'kept in the link');
+    });
+
+    await t.test('back and forward restore the channel and category', async (t) => {
+        const { window, document, get, playing } = await setup(t, { url: `${ORIGIN}/?channel=alpha` });
+        const activeCategory = () => document.querySelector('#categoryTabs .active').dataset.category;
+
+        get('App').playChannel('beta');
+        await settle();
+        get('App').selectCategory('Sports');
+        await settle();
+        assert.strictEqual(window.location.search, '?channel=beta&category=Sports');
+
+        window.history.back();
+        await waitFor(() => window.location.search === '?channel=beta');
+        assert.strictEqual(activeCategory(), 'all');
+
+        window.history.back();
+        await waitFor(() => window.location.search === '?channel=alpha');
+        assert.strictEqual(playing(), 'alpha');
+
+        window.history.forward();
+        await waitFor(() => window.location.search === '?channel=beta');
+        assert.strictEqual(playing(), 'beta');
+    });
+});
+
+test('share dialog links to the current view with a QR code', async (t) => {
+    const { window, document, errors } = await setup(t, { url: `${ORIGIN}/?channel=beta&category=Sports` });
+    const qrCodes = [];
+    window.qrcode = () => ({
+        addData: text => qrCodes.push(text),
+        make() {},
+        getModuleCount: () => 21,
+        isDark: (row, col) => (row + col) % 2 === 0
+    });
+    const link = document.getElementById('shareLinkInput');
+
+    document.getElementById('shareBtn').click();
+    assert.strictEqual(document.getElementById('shareDialog').open, true);
+    assert.strictEqual(link.value, `${ORIGIN}/?channel=beta&category=Sports`);
+
+    const muted = document.getElementById('shareMutedToggle');
+    muted.checked = true;
+    muted.dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.strictEqual(link.value, `${ORIGIN}/?channel=beta&category=Sports&muted=1`);
+
+    await waitFor(() => document.querySelector('#shareQrCode svg'));
+    assert.strictEqual(qrCodes[qrCodes.length - 1], link.value);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('keyboard', async (t) => {
+    await t.test('digits tune a channel number', async (t) => {
+        const { window, playing } = await setup(t, { url: `${ORIGIN}/?channel=alpha` });
+
+        pressKey(window, '3');
+        assert.strictEqual(playing(), 'gamma', 'no channel 30 or higher, so 3 tunes at once');
+
+        pressKey(window, '1');
+        pressKey(window, 'Enter');
+        assert.strictEqual(playing(), 'alpha');
+
+        pressKey(window, '1');
+        pressKey(window, '2');
+        assert.strictEqual(playing(), 'delta');
+    });
+
+    await t.test('channel up and down skip channels without streams, L recalls the last one', async (t) => {
+        const { window, playing } = await setup(t, { url: `${ORIGIN}/?channel=delta` });
+
+        pressKey(window, 'PageUp');
+        assert.strictEqual(playing(), 'alpha', 'wraps past Off Air');
+
+        pressKey(window, 'PageDown');
+        assert.strictEqual(playing(), 'delta');
+
+        pressKey(window, 'ChannelUp');
+        pressKey(window, 'ChannelUp');
+        assert.strictEqual(playing(), 'beta');
+
+        pressKey(window, 'l');
+        assert.strictEqual(playing(), 'alpha');
+    });
+
+    await t.test('arrows move through the grid and Enter plays the focused card', async (t) => {
+        const { window, document, playing } = await setup(t, { url: `${ORIGIN}/?channel=alpha` });
+        const cards = [...document.querySelectorAll('.channel-card')];
+
+        pressKey(window, 'ArrowRight');
+        assert.strictEqual(document.activeElement, cards[0], 'starts on the playing channel');
+
+        cards[2].focus();
+        pressKey(window, 'Enter');
+        assert.strictEqual(playing(), 'gamma');
+    });
+
+    await t.test('F toggles the playing channel as a favorite', async (t) => {
+        const { window, document, get } = await setup(t, { url: `${ORIGIN}/?channel=beta` });
+        const button = () => [...document.querySelectorAll('.channel-card')]
+            .find(card => card.dataset.channelId === 'beta')
+            .querySelector('.favorite-btn');
+
+        pressKey(window, 'f');
+        assert.strictEqual(get('FavoritesManager').isFavorite('beta'), true);
+        assert.ok(button().classList.contains('is-favorite'));
+
+        pressKey(window, 'F');
+        assert.strictEqual(get('FavoritesManager').isFavorite('beta'), false);
+        assert.ok(!button().classList.contains('is-favorite'));
+    });
+
+    await t.test('keys typed into the search box are not shortcuts', async (t) => {
+        const { window, document, get } = await setup(t, { url: `${ORIGIN}/?channel=beta` });
+        const search = document.getElementById('channelSearch');
+
+        search.focus();
+        pressKey(window, 'f', {}, search);
+        pressKey(window, 'm', {}, search);
+        assert.strictEqual(get('FavoritesManager').isFavorite('beta'), false);
+        assert.strictEqual(get('VideoPlayer').activePlayer.isMuted(), false);
+    });
+
+    await t.test('M mutes, / opens the palette and Escape closes it', async (t) => {
+        const { window, document, get } = await setup(t);
+        const palette = document.getElementById('paletteDialog');
+
+        pressKey(window, 'm');
+        assert.strictEqual(get('VideoPlayer').activePlayer.isMuted(), true);
+
+        const slash = pressKey(window, '/');
+        assert.ok(slash.defaultPrevented);
+        assert.strictEqual(palette.open, true);
+
+        // Escape in the palette's input is left to the browser's dialog; from elsewhere the app closes it
+        pressKey(window, 'Escape', {}, document.body);
+        assert.strictEqual(palette.open, false);
+    });
+
+    await t.test('Ctrl+K opens the palette even from the search box', async (t) => {
+        const { window, document } = await setup(t);
+        const search = document.getElementById('channelSearch');
+
+        search.focus();
+        pressKey(window, 'k', { ctrlKey: true }, search);
+        assert.strictEqual(document.getElementById('paletteDialog').open, true);
+    });
+});
+
+test('store events', async (t) => {
+    await t.test('favorites changed outside the grid update it and the favorites row', async (t) => {
+        const { document, get } = await setup(t);
+        const card = document.querySelector('.channel-card[data-channel-id="gamma"]');
+
+        get('FavoritesManager').addFavorite('gamma');
+
+        assert.ok(card.querySelector('.favorite-btn').classList.contains('is-favorite'));
+        assert.deepStrictEqual([...document.querySelectorAll('#favoritesGrid .favorite-card')]
+            .map(favorite => favorite.dataset.channelId), ['gamma']);
+    });
+
+    await t.test('a failed channel is marked in the grid until it is tried again', async (t) => {
+        const jwplayer = createFakeJWPlayer();
+        const { document, get } = await setup(t, { url: `${ORIGIN}/?channel=beta`, jwplayer });
+        const card = () => document.querySelector('.channel-card[data-channel-id="beta"]');
+        const attempts = get('StreamPlayer.MAX_FAILOVER_ATTEMPTS') + 1;
+
+        for (let i = 0; i < attempts; i++) {
+            jwplayer.instances[jwplayer.instances.length - 1].emit('error', { message: 'Cannot load M3U8' });
+        }
+        assert.ok(card().classList.contains('playback-failed'));
+        assert.strictEqual(card().title, 'Last attempt failed: Stream unavailable');
+
+        get('App').renderChannels();
+        assert.ok(card().classList.contains('playback-failed'), 'kept when the grid is rendered again');
+
+        document.querySelector('.overlay-action').click();
+        assert.ok(!card().classList.contains('playback-failed'));
+    });
+
+    await t.test('the channel list follows the focused multi-view tile', async (t) => {
+        const { window, get } = await setup(t, { url: `${ORIGIN}/?channel=alpha` });
+        const MultiView = get('MultiView');
+
+        MultiView.setLayout(2);
+        MultiView.tiles[1].player.loadChannel(get('ChannelManager').getChannelById('gamma'));
+        MultiView.focus(1);
+        await settle();
+
+        assert.strictEqual(window.location.search, '?channel=gamma&channels=alpha,gamma');
+        assert.strictEqual(get('document.querySelector(".channel-card.active").dataset.channelId'), 'gamma');
+    });
+});
+
+test('a channel without streams shows a notice instead of playing', async (t) => {
+    const { document, get, playing } = await setup(t, { url: `${ORIGIN}/?channel=alpha` });
+
+    get('App').playChannel('off-air');
+
+    assert.strictEqual(playing(), 'alpha');
+    const toast = document.querySelector('#toastContainer .toast');
+    assert.ok(toast, 'toast shown');
+    assert.match(toast.textContent, /Off Air/);
+});
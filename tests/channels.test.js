@@ -0,0 +1,259 @@
+/**
+ * @fileoverview ChannelManager parser tests against the bundled playlists and edge-case fixtures.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ChannelManager = require('../js/channels.js');
+
+const ROOT = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+test('bundled playlists parse without warnings', async (t) => {
+    for (const file of ['playlist.m3u8', 'pakistan-iptv.m3u', 'channels.src.m3u']) {
+        await t.test(file, () => {
+            const { channels, warnings } = ChannelManager.parsePlaylist(read(file));
+
+            assert.deepStrictEqual(warnings, []);
+            assert.ok(channels.length > 0);
+            assert.strictEqual(new Set(channels.map(channel => channel.id)).size, channels.length, 'unique IDs');
+            channels.forEach(channel => {
+                assert.ok(channel.name, `${channel.id} has a name`);
+                assert.ok(channel.category, `${channel.id} has a category`);
+                channel.sources.forEach(source => assert.match(source.url, /^https?:\/\//));
+            });
+        });
+    }
+});
+
+test('parseM3U8 returns the same channels as parsePlaylist', () => {
+    const content = read('playlist.m3u8');
+    assert.deepStrictEqual(ChannelManager.parseM3U8(content), ChannelManager.parsePlaylist(content).channels);
+});
+
+test('the web playlist only plays HTTPS streams first', () => {
+    ChannelManager.parseM3U8(read('playlist.m3u8')).forEach(channel => {
+        if (channel.sources.length > 0) {
+            assert.match(channel.sources[0].url, /^https:\/\//, channel.id);
+        }
+    });
+});
+
+test('the generated playlists only contain channels from the canonical list', () => {
+    const canonical = new Set(ChannelManager.parseM3U8(read('channels.src.m3u')).map(channel => channel.id));
+    ['playlist.m3u8', 'pakistan-iptv.m3u'].forEach(file => {
+        ChannelManager.parseM3U8(read(file)).forEach(channel => {
+            assert.ok(canonical.has(channel.id), `${file}: ${channel.id}`);
+        });
+    });
+});
+
+test('the IPTV playlist has no embeds', () => {
+    ChannelManager.parseM3U8(read('pakistan-iptv.m3u')).forEach(channel => {
+        assert.strictEqual(channel.embed, undefined, channel.id);
+        assert.ok(channel.sources.every(source => source.type !== 'iframe'), channel.id);
+    });
+});
+
+test('edge-case fixture', async (t) => {
+    const { header, channels, warnings } = ChannelManager.parsePlaylist(
+        fs.readFileSync(path.join(__dirname, 'fixtures', 'edge-cases.m3u'), 'utf8'));
+    const byId = id => channels.find(channel => channel.id === id);
+
+    await t.test('keeps header attributes in any quoting style', () => {
+        assert.deepStrictEqual(header, {
+            'url-tvg': 'https://example.com/guide.xml',
+            'x-tvg-url': 'https://example.com/guide2.xml'
+        });
+    });
+
+    await t.test('reads double-quoted, single-quoted and unquoted attributes', () => {
+        assert.strictEqual(byId('quoted').name, 'Double Quoted');
+        assert.strictEqual(byId('quoted').title, 'Title Ignored');
+        assert.strictEqual(byId('quoted').logo, 'https://example.com/a.png');
+        assert.strictEqual(byId('single').name, 'Single Quoted');
+        assert.strictEqual(byId('single').category, 'Sports');
+        assert.strictEqual(byId('unquoted').name, 'Unquoted Title');
+        assert.strictEqual(byId('unquoted').category, 'Music');
+    });
+
+    await t.test('keeps stray quotes inside a value', () => {
+        assert.strictEqual(byId('say-hello-tv').name, 'Say "Hello" TV');
+    });
+
+    await t.test('generates IDs from names, folding accents', () => {
+        assert.strictEqual(byId('cafe-news').name, 'Café Ñews');
+    });
+
+    await t.test('renames duplicate IDs with a warning', () => {
+        assert.strictEqual(byId('quoted-2').name, 'Duplicate Id');
+        assert.ok(warnings.some(w => w.line === 12 && w.message === 'Duplicate tvg-id "quoted"; renamed to "quoted-2"'));
+    });
+
+    await t.test('reads #EXTGRP, #EXTVLCOPT and #KODIPROP directives', () => {
+        const channel = byId('grouped');
+        assert.strictEqual(channel.category, 'Religious');
+        assert.deepStrictEqual(channel.groups, ['Religious']);
+        assert.deepStrictEqual(channel.vlcOptions, {
+            'http-referrer': 'https://example.com/',
+            'http-user-agent': 'Mozilla/5.0 (X11; Linux)'
+        });
+        assert.deepStrictEqual(channel.kodiProps, { 'inputstream.adaptive.manifest_type': 'hls' });
+    });
+
+    await t.test('orders sources primary, alternatives, embed and types YouTube links', () => {
+        assert.deepStrictEqual(byId('youtube').sources.map(s => [s.type, s.label]), [
+            ['youtube', 'Primary'],
+            ['hls', 'Alternative'],
+            ['youtube', 'Embed']
+        ]);
+        assert.strictEqual(byId('youtube').sources[0].videoId, 'dQw4w9WgXcQ');
+        assert.strictEqual(byId('youtube').sources[2].channelId, 'UC4R8DWoMoI7CAwX8_LjQHig');
+        assert.deepStrictEqual(byId('embed-only').sources.map(s => s.type), ['iframe']);
+    });
+
+    await t.test('reads catch-up attributes and ignores extra URL lines', () => {
+        assert.deepStrictEqual(byId('catchup').catchup, { type: 'shift', days: '3' });
+        assert.strictEqual(byId('catchup').stream, 'https://example.com/catchup.m3u8');
+        assert.ok(warnings.some(w => w.line === 28 && w.message.startsWith('Extra stream URL')));
+    });
+
+    await t.test('skips entries without a name and reports malformed ones', () => {
+        assert.strictEqual(byId('nameless'), undefined);
+        assert.strictEqual(byId('broken'), undefined);
+        assert.deepStrictEqual(warnings.filter(w => w.line === 31).map(w => w.message), [
+            'Missing or invalid #EXTINF duration',
+            'Attribute "invalid" has no value',
+            'Unterminated quoted value for attribute "group-title"',
+            'Missing comma before #EXTINF title',
+            'Channel has neither tvg-name nor a title; skipped'
+        ]);
+    });
+
+    await t.test('numbers channels from free tvg-chno values, then in playlist order', () => {
+        const original = console.warn;
+        console.warn = () => {};
+        try {
+            ChannelManager.assignNumbers(channels);
+        } finally {
+            console.warn = original;
+        }
+        assert.strictEqual(byId('quoted').number, 7);
+        assert.strictEqual(byId('single').number, 1);
+        assert.strictEqual(byId('catchup').number, 10, 'tvg-chno 7 was taken');
+        assert.deepStrictEqual(channels.map(c => c.number), channels.map((c, i) => i + 1));
+    });
+});
+
+test('handles a byte order mark, CRLF line endings and a missing header', () => {
+    const withBom = ChannelManager.parsePlaylist('\uFEFF#EXTM3U\r\n#EXTINF:-1,One\r\nhttps://example.com/1.m3u8\r\n');
+    assert.deepStrictEqual(withBom.warnings, []);
+    assert.strictEqual(withBom.channels[0].stream, 'https://example.com/1.m3u8');
+
+    const headerless = ChannelManager.parsePlaylist('#EXTINF:-1,One\nhttps://example.com/1.m3u8\n');
+    assert.deepStrictEqual(headerless.warnings, [{ line: 1, message: 'Missing #EXTM3U header' }]);
+    assert.strictEqual(headerless.channels.length, 1);
+
+    assert.deepStrictEqual(ChannelManager.parsePlaylist('').channels, []);
+});
+
+test('channels with only alternatives or an embed are playable', () => {
+    const { channels } = ChannelManager.parsePlaylist([
+        '#EXTM3U',
+        '#EXTINF:-1 tvg-id="alt-only",Alternatives Only',
+        '# ALTERNATIVE: https://a.example/b.m3u8',
+        '#EXTINF:-1 tvg-id="rejected-primary",Rejected Primary',
+        'javascript:alert(1)',
+        '# ALTERNATIVE: https://a.example/c.m3u8',
+        '#EXTINF:-1 tvg-id="embed-only",Embed Only',
+        '# EMBED: https://player.example/live',
+        '#EXTINF:-1 tvg-id="nothing",Nothing',
+        '# DISABLED (HTTP mixed content): http://a.example/d.m3u8'
+    ].join('\n'));
+
+    assert.deepStrictEqual(channels.map(channel => ChannelManager.isPlayable(channel)), [true, true, true, false]);
+    assert.strictEqual(channels[0].stream, undefined);
+
+    ChannelManager.channels = channels;
+    try {
+        assert.deepStrictEqual(ChannelManager.getActiveChannels().map(channel => channel.id),
+            ['alt-only', 'rejected-primary', 'embed-only']);
+        assert.strictEqual(ChannelManager.getActiveChannelCount(), 3);
+    } finally {
+        ChannelManager.channels = [];
+    }
+});
+
+test('loadChannels merges playlists by tvg-id', async (t) => {
+    const playlists = {
+        bundled: [
+            '#EXTM3U',
+            '#EXTINF:-1 tvg-id="24-news" tvg-name="24 News HD" group-title="News",24 News HD',
+            '# DISABLED (HTTP mixed content): http://a.example/24.m3u8',
+            '#EXTINF:-1 tvg-id="geo-tv" group-title="News",Geo News',
+            'https://a.example/geo.m3u8',
+            '#EXTINF:-1 group-title="Music",Music Live',
+            'https://a.example/music.m3u8'
+        ],
+        mine: [
+            '#EXTM3U',
+            '#EXTINF:-1 tvg-id="24-news" group-title="News",24 News',
+            'https://b.example/24.m3u8',
+            '#EXTINF:-1 tvg-id="geo-tv" group-title="News",Geo News',
+            'https://b.example/geo.m3u8',
+            '#EXTINF:-1 group-title="Music",Music Live',
+            'https://b.example/music.m3u8'
+        ]
+    };
+    global.AppStore = require('../js/store.js');
+    global.PlaylistManager = {
+        getEnabledSources: () => [{ id: 'bundled', name: 'Bundled' }, { id: 'mine', name: 'Mine' }],
+        fetchContent: async source => playlists[source.id].join('\n'),
+        setStatus() {}
+    };
+    const warn = console.warn;
+    console.warn = () => {};
+    t.after(() => {
+        console.warn = warn;
+        delete global.PlaylistManager;
+        ChannelManager.channels = [];
+        ChannelManager.loaded = false;
+    });
+
+    const channels = await ChannelManager.reloadChannels();
+    const byId = id => channels.find(channel => channel.id === id);
+
+    const placeholder = byId('24-news');
+    assert.strictEqual(placeholder.stream, 'https://b.example/24.m3u8', 'a later stream fills in a placeholder');
+    assert.deepStrictEqual(placeholder.sources.map(source => source.label), ['Primary (Mine)']);
+    assert.strictEqual(ChannelManager.isPlayable(placeholder), true);
+
+    assert.strictEqual(byId('geo-tv').stream, 'https://a.example/geo.m3u8');
+    assert.deepStrictEqual(byId('geo-tv').sources.map(source => source.url),
+        ['https://a.example/geo.m3u8', 'https://b.example/geo.m3u8']);
+
+    assert.deepStrictEqual(channels.filter(channel => channel.name === 'Music Live').map(channel => [channel.id, channel.stream]), [
+        ['music-live', 'https://a.example/music.m3u8'],
+        ['music-live-2', 'https://b.example/music.m3u8']
+    ], 'channels without tvg-id are not merged by name');
+    assert.deepStrictEqual(ChannelManager.getActiveChannels().map(channel => channel.id).sort(),
+        ['24-news', 'geo-tv', 'music-live', 'music-live-2']);
+});
+
+test('parseYouTubeUrl recognizes video and channel links', () => {
+    const cases = {
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ': { videoId: 'dQw4w9WgXcQ' },
+        'https://youtu.be/dQw4w9WgXcQ': { videoId: 'dQw4w9WgXcQ' },
+        'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ': { videoId: 'dQw4w9WgXcQ' },
+        'https://www.youtube.com/live/dQw4w9WgXcQ': { videoId: 'dQw4w9WgXcQ' },
+        'https://www.youtube.com/channel/UC4R8DWoMoI7CAwX8_LjQHig/live': { channelId: 'UC4R8DWoMoI7CAwX8_LjQHig' },
+        'https://example.com/watch?v=dQw4w9WgXcQ': null,
+        'not a url': null
+    };
+    Object.entries(cases).forEach(([url, expected]) => {
+        assert.deepStrictEqual(ChannelManager.parseYouTubeUrl(url), expected, url);
+    });
+});
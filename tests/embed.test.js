@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Embedded player tests in jsdom: URL options, the origin allowlist and the postMessage API.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { ORIGIN, loadApp } = require('./helpers/dom.js');
+const { createFakeJWPlayer } = require('./helpers/jwplayer.js');
+
+const playlist = fs.readFileSync(path.join(__dirname, 'fixtures', 'player.m3u'), 'utf8');
+const PARTNER = 'https://news.partner.example';
+
+/**
+ * Loads embed.html with a fake JW Player.
+ * @param {Object} t - Test context, used to close the window afterwards
+ * @param {string} query - Query string of the embed URL
+ * @returns {Promise<Object>} Loaded page, plus `jwplayer` and `EmbedWidget`
+ */
+async function setup(t, query) {
+    const jwplayer = createFakeJWPlayer();
+    const app = await loadApp({
+        page: 'embed.html',
+        url: `${ORIGIN}/embed.html${query}`,
+        playlist,
+        jwplayer,
+        ready: window => window.eval('ChannelManager.loaded')
+    });
+    t.after(() => app.close());
+    return { ...app, jwplayer, EmbedWidget: app.get('EmbedWidget') };
+}
+
+/**
+ * Makes the widget believe it is framed by a page, recording what it posts there.
+ * @param {Object} EmbedWidget - The page's EmbedWidget
+ * @param {Object} [options]
+ * @param {string[]} [options.allowed=[PARTNER]] - Allowed origins
+ * @param {string|null} [options.origin=PARTNER] - Parent origin as the browser reports it
+ * @returns {{parent: Object, messages: Array<{message: Object, origin: string}>, send: Function}}
+ *          Fake parent, posted messages and a function that sends a command from the parent
+ */
+function frame(EmbedWidget, { allowed = [PARTNER], origin = PARTNER } = {}) {
+    const messages = [];
+    // Messages are copied out of the page, as postMessage's structured clone would
+    const parent = { postMessage: (message, origin) => messages.push({ message: JSON.parse(JSON.stringify(message)), origin }) };
+    EmbedWidget.parent = parent;
+    EmbedWidget.parentOrigin = origin;
+    EmbedWidget.allowedOrigins = allowed;
+
+    const send = (data, origin = PARTNER, source = parent) => {
+        EmbedWidget.handleMessage({ source, origin, data: { type: 'streampk:command', ...data } });
+        return messages[messages.length - 1];
+    };
+    return { parent, messages, send };
+}
+
+test('plays the channel in the URL without the app chrome', async (t) => {
+    const { document, jwplayer, get, errors } = await setup(t, '?channel=beta');
+
+    assert.strictEqual(jwplayer.instances.length, 1);
+    assert.strictEqual(jwplayer.instances[0].config.file, 'https://streams.example.com/beta/primary.m3u8');
+    assert.strictEqual(get('VideoPlayer.getCurrentChannel().id'), 'beta');
+    assert.strictEqual(document.getElementById('embedBar').hidden, false);
+    assert.strictEqual(document.querySelector('.channel-grid'), null);
+    assert.strictEqual(document.getElementById('embedWatchLink').href, `${ORIGIN}/index.html?channel=beta`);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('reads autoplay, muted and controls options', async (t) => {
+    const { document, jwplayer, EmbedWidget, get } = await setup(t, '?channel=alpha&autoplay=0&muted=1&controls=0');
+
+    assert.deepStrictEqual({ ...EmbedWidget.options },
+        { channel: 'alpha', autoplay: false, muted: true, controls: false });
+    assert.strictEqual(document.getElementById('embedBar').hidden, true);
+    assert.strictEqual(jwplayer.instances.length, 0, 'waits for play');
+
+    document.querySelector('.overlay-play-btn').click();
+    assert.strictEqual(jwplayer.instances.length, 1);
+    assert.strictEqual(jwplayer.instances[0].config.mute, true);
+    assert.strictEqual(get('localStorage.getItem("liveStreamAudio")'), null, 'starting muted is not remembered');
+});
+
+test('explains an unknown channel', async (t) => {
+    const { document, jwplayer } = await setup(t, '?channel=no-such-channel');
+
+    assert.strictEqual(jwplayer.instances.length, 0);
+    assert.match(document.getElementById('playerOverlay').textContent, /Channel "no-such-channel" was not found/);
+});
+
+test('allows only listed origins', async (t) => {
+    const { EmbedWidget } = await setup(t, '?channel=alpha');
+    EmbedWidget.allowedOrigins = ['https://partner.example', 'https://*.partner.example'];
+
+    assert.strictEqual(EmbedWidget.isOriginAllowed('https://partner.example'), true);
+    assert.strictEqual(EmbedWidget.isOriginAllowed(PARTNER), true);
+    assert.strictEqual(EmbedWidget.isOriginAllowed(ORIGIN), true, 'own origin');
+    assert.strictEqual(EmbedWidget.isOriginAllowed('http://news.partner.example'), false, 'scheme must match');
+    assert.strictEqual(EmbedWidget.isOriginAllowed('https://evilpartner.example'), false);
+    assert.strictEqual(EmbedWidget.isOriginAllowed('https://partner.example.evil.test'), false);
+    assert.strictEqual(EmbedWidget.isOriginAllowed(null), false, 'unknown origin');
+
+    EmbedWidget.allowedOrigins = ['*'];
+    assert.strictEqual(EmbedWidget.isOriginAllowed(null), true);
+});
+
+test('allows only its own origin unless embed.html lists others', async (t) => {
+    const { document, EmbedWidget } = await setup(t, '?channel=alpha');
+
+    assert.deepStrictEqual([...EmbedWidget.allowedOrigins], []);
+    assert.strictEqual(EmbedWidget.isOriginAllowed(ORIGIN), true);
+    assert.strictEqual(EmbedWidget.isOriginAllowed(PARTNER), false);
+
+    document.body.dataset.allowedOrigins = 'https://partner.example,  https://*.partner.example ';
+    assert.deepStrictEqual([...EmbedWidget.readAllowedOrigins(document.body)],
+        ['https://partner.example', 'https://*.partner.example']);
+});
+
+test('postMessage API', async (t) => {
+    await t.test('answers commands with the state, to the sender origin', async (t) => {
+        const { jwplayer, EmbedWidget } = await setup(t, '?channel=alpha');
+        const { send } = frame(EmbedWidget);
+
+        jwplayer.instances[0].play();
+        const { message, origin } = send({ command: 'getState', id: 1 });
+
+        assert.strictEqual(origin, PARTNER);
+        assert.deepStrictEqual(message, {
+            type: 'streampk:response',
+            id: 1,
+            result: {
+                channel: { id: 'alpha', name: 'Alpha News', number: 1, category: 'News' },
+                playing: true,
+                muted: false,
+                volume: 1,
+                error: null
+            }
+        });
+
+        assert.strictEqual(send({ command: 'pause', id: 2 }).message.result.playing, false);
+        assert.strictEqual(jwplayer.instances[0].state, 'paused');
+        assert.strictEqual(send({ command: 'play', id: 3 }).message.result.playing, true);
+    });
+
+    await t.test('switches channels and reports errors for bad commands', async (t) => {
+        const { jwplayer, EmbedWidget } = await setup(t, '?channel=alpha');
+        const { send } = frame(EmbedWidget);
+
+        assert.strictEqual(send({ command: 'setChannel', channel: 'gamma', id: 1 }).message.result.channel.id, 'gamma');
+        assert.strictEqual(jwplayer.instances[jwplayer.instances.length - 1].config.file,
+            'https://streams.example.com/gamma/primary.m3u8');
+
+        assert.deepStrictEqual(send({ command: 'setChannel', channel: 'nope', id: 2 }).message,
+            { type: 'streampk:response', id: 2, error: 'Unknown channel "nope"' });
+        assert.match(send({ command: 'setChannel', channel: 'off-air', id: 3 }).message.error, /does not have a stream/);
+        assert.strictEqual(send({ command: 'reload', id: 4 }).message.error, 'Unknown command "reload"');
+    });
+
+    await t.test('ignores other windows, other origins and other messages', async (t) => {
+        const { EmbedWidget } = await setup(t, '?channel=alpha');
+        const { messages, send } = frame(EmbedWidget);
+
+        send({ command: 'getState' }, PARTNER, {});
+        send({ command: 'getState' }, 'https://evil.test');
+        EmbedWidget.handleMessage({ source: EmbedWidget.parent, origin: PARTNER, data: { command: 'getState' } });
+
+        assert.deepStrictEqual(messages, []);
+    });
+
+    await t.test('rejects commands from an origin that is not allowed', async (t) => {
+        const { EmbedWidget, jwplayer } = await setup(t, '?channel=alpha');
+        const { messages, send } = frame(EmbedWidget, { allowed: [] });
+
+        send({ command: 'setChannel', channel: 'beta', id: 1 });
+        send({ command: 'getState', id: 2 }, 'null');
+
+        assert.deepStrictEqual(messages, []);
+        assert.strictEqual(jwplayer.instances.length, 1, 'still on the first channel');
+    });
+
+    await t.test('never broadcasts events while the embedding origin is unknown', async (t) => {
+        const { jwplayer, EmbedWidget } = await setup(t, '?channel=alpha');
+        const { messages, send } = frame(EmbedWidget, { allowed: ['*'], origin: null });
+
+        jwplayer.instances[0].play();
+        assert.deepStrictEqual(messages, []);
+
+        send({ command: 'getState', id: 1 });
+        jwplayer.instances[0].pause();
+        assert.deepStrictEqual(messages.map(({ message, origin }) => [message.type, origin]), [
+            ['streampk:response', PARTNER],
+            ['streampk:event', PARTNER]
+        ], 'events follow the origin of the first command');
+    });
+
+    await t.test('sends channel, playback and error events to the embedding page', async (t) => {
+        const { jwplayer, EmbedWidget, get } = await setup(t, '?channel=alpha');
+        const { messages, send } = frame(EmbedWidget);
+        const events = () => messages
+            .filter(({ message }) => message.type === 'streampk:event')
+            .map(({ message, origin }) => [message.event, origin]);
+
+        send({ command: 'setChannel', channel: 'beta' });
+        jwplayer.instances[jwplayer.instances.length - 1].play();
+        for (let i = 0; i <= get('StreamPlayer.MAX_FAILOVER_ATTEMPTS'); i++) {
+            jwplayer.instances[jwplayer.instances.length - 1].emit('error', { message: 'Cannot load M3U8' });
+        }
+
+        assert.deepStrictEqual(events(), [
+            ['channelchange', PARTNER],
+            ['play', PARTNER],
+            ['error', PARTNER]
+        ]);
+        const error = messages.find(({ message }) => message.event === 'error').message.data;
+        assert.deepStrictEqual(error, { channel: 'beta', type: 'unknown', message: 'Stream unavailable' });
+    });
+});
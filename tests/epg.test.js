@@ -0,0 +1,145 @@
+/**
+ * @fileoverview EPGManager tests: XMLTV parsing, tvg-id matching, now/next and gzipped guides.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { MemoryStorage } = require('./helpers/storage.js');
+
+// EPGManager reads these as globals, as it does in the browser
+global.localStorage = new MemoryStorage();
+global.ChannelManager = require('../js/channels.js');
+const EPGManager = require('../js/epg.js');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'epg-sample.xml'), 'utf8');
+
+const geo = { id: 'geo', name: 'Geo News', attributes: { 'tvg-id': 'geo-tv' } };
+const dunya = { id: 'dunya-news', name: 'Dunya News', attributes: {} };
+
+/**
+ * Serves guide files to EPGManager.fetchGuide.
+ * @param {Object<string, (string|Buffer)>} files - Response bodies keyed by URL
+ * @returns {string[]} URLs requested so far
+ */
+function serveGuides(files) {
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        const body = files[url];
+        return {
+            ok: body !== undefined,
+            status: body !== undefined ? 200 : 404,
+            arrayBuffer: async () => new Uint8Array(Buffer.from(body)).buffer
+        };
+    };
+    return requested;
+}
+
+test.beforeEach(() => {
+    localStorage.clear();
+    ChannelManager.headers = {};
+    EPGManager.programmes = new Map();
+    EPGManager.loaded = false;
+});
+
+test('parses channels and programmes from the sample guide', () => {
+    const data = EPGManager.parseXMLTV(SAMPLE);
+
+    assert.deepStrictEqual(data.channels, [
+        { id: 'geo-tv', names: ['Geo News', 'جیو نیوز'] },
+        { id: 'dunya-news', names: ['Dunya News'] }
+    ]);
+    assert.deepStrictEqual(data.programmes.map(programme => programme.title), [
+        'Aaj Shahzeb Khanzada Kay Saath',
+        'Geo Headlines',
+        'Capital Talk <Live>',
+        'Nuqta-e-Nazar',
+        'Dunya @ 6'
+    ], 'entities and CDATA are decoded and the entry with a bad date is skipped');
+
+    const [first, second] = data.programmes;
+    assert.strictEqual(first.description, 'Current affairs & analysis');
+    assert.strictEqual(first.category, 'News');
+    assert.strictEqual(second.subtitle, '6 PM');
+});
+
+test('applies timezone offsets and defaults to UTC and a one-hour length', () => {
+    const [first, , , dunyaFirst, dunyaSecond] = EPGManager.parseXMLTV(SAMPLE).programmes;
+
+    assert.strictEqual(first.start, Date.UTC(2024, 0, 15, 12));
+    assert.strictEqual(first.stop, Date.UTC(2024, 0, 15, 13));
+    assert.strictEqual(dunyaFirst.start, Date.UTC(2024, 0, 15, 12));
+    assert.strictEqual(dunyaSecond.start, Date.UTC(2024, 0, 15, 13), 'no offset means UTC');
+    assert.strictEqual(dunyaSecond.stop, Date.UTC(2024, 0, 15, 14), 'no stop means one hour');
+
+    assert.strictEqual(EPGManager.parseXMLTVDate('20240115120000 -0330'), Date.UTC(2024, 0, 15, 15, 30));
+    assert.strictEqual(EPGManager.parseXMLTVDate('20240115120000Z'), Date.UTC(2024, 0, 15, 12));
+    assert.strictEqual(EPGManager.parseXMLTVDate('202401151230'), Date.UTC(2024, 0, 15, 12, 30));
+    assert.strictEqual(EPGManager.parseXMLTVDate('not-a-date'), null);
+    assert.strictEqual(EPGManager.parseXMLTVDate(undefined), null);
+});
+
+test('matches programmes by tvg-id, falling back to the channel ID', async () => {
+    serveGuides({ 'https://epg.test/guide.xml': SAMPLE });
+    EPGManager.setConfiguredUrl('https://epg.test/guide.xml');
+
+    assert.strictEqual(await EPGManager.load(), 5);
+    assert.strictEqual(EPGManager.hasGuide(geo), true);
+    assert.strictEqual(EPGManager.hasGuide(dunya), true);
+    assert.strictEqual(EPGManager.hasGuide({ id: 'geo-tv-hd', attributes: { 'tvg-id': 'unknown' } }), false);
+    assert.deepStrictEqual(EPGManager.getProgrammes(geo, Date.UTC(2024, 0, 15, 12, 30), Date.UTC(2024, 0, 15, 13, 30))
+        .map(programme => programme.title), ['Aaj Shahzeb Khanzada Kay Saath', 'Geo Headlines']);
+});
+
+test('answers now/next during, between and before programmes', async () => {
+    serveGuides({ 'https://epg.test/guide.xml': SAMPLE });
+    EPGManager.setConfiguredUrl('https://epg.test/guide.xml');
+    await EPGManager.load();
+
+    const during = EPGManager.getNowNext(geo, Date.UTC(2024, 0, 15, 13, 15));
+    assert.strictEqual(during.now.title, 'Geo Headlines');
+    assert.strictEqual(during.next.title, 'Capital Talk <Live>');
+
+    const last = EPGManager.getNowNext(geo, Date.UTC(2024, 0, 15, 14, 30));
+    assert.strictEqual(last.now.title, 'Capital Talk <Live>');
+    assert.strictEqual(last.next, null);
+
+    const before = EPGManager.getNowNext(geo, Date.UTC(2024, 0, 15, 9));
+    assert.strictEqual(before.now, null);
+    assert.strictEqual(before.next.title, 'Aaj Shahzeb Khanzada Kay Saath');
+
+    const after = EPGManager.getNowNext(dunya, Date.UTC(2024, 0, 15, 15));
+    assert.deepStrictEqual(after, { now: null, next: null });
+});
+
+test('loads gzipped guides from the playlist headers and skips failing sources', async () => {
+    const requested = serveGuides({ 'https://epg.test/guide.xml.gz': zlib.gzipSync(SAMPLE) });
+    ChannelManager.headers = {
+        'playlist.m3u8': { 'url-tvg': 'https://epg.test/guide.xml.gz, https://epg.test/missing.xml' }
+    };
+    EPGManager.setConfiguredUrl('https://epg.test/guide.xml.gz');
+
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+        assert.strictEqual(await EPGManager.load(), 5);
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.match(errors.join('\n'), /missing\.xml: Error: Failed to load guide: 404/);
+    assert.deepStrictEqual(requested, ['https://epg.test/guide.xml.gz', 'https://epg.test/missing.xml'],
+        'duplicate URLs are fetched once');
+    assert.strictEqual(EPGManager.loaded, true);
+    assert.strictEqual(EPGManager.getNowNext(geo, Date.UTC(2024, 0, 15, 12)).now.title, 'Aaj Shahzeb Khanzada Kay Saath');
+});
+
+test('decodes plain and gzipped guide bytes', async () => {
+    assert.strictEqual(await EPGManager.decodeGuide(new Uint8Array(Buffer.from(SAMPLE))), SAMPLE);
+    assert.strictEqual(await EPGManager.decodeGuide(new Uint8Array(zlib.gzipSync(SAMPLE))), SAMPLE);
+});
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview FavoritesManager tests against an in-memory localStorage.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { MemoryStorage } = require('./helpers/storage.js');
+
+// FavoritesManager reads these as globals, as it does in the browser
+global.localStorage = new MemoryStorage();
+global.AppStore = require('../js/store.js');
+global.ChannelManager = require('../js/channels.js');
+const FavoritesManager = require('../js/favorites.js');
+
+ChannelManager.channels = ChannelManager.parseM3U8(
+    fs.readFileSync(path.join(__dirname, 'fixtures', 'player.m3u'), 'utf8'));
+
+const stored = () => JSON.parse(localStorage.getItem(FavoritesManager.STORAGE_KEY));
+
+test.beforeEach(() => {
+    localStorage.clear();
+    localStorage.failWrites = false;
+});
+
+test('starts empty and adds, toggles and removes favorites', () => {
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), []);
+
+    assert.strictEqual(FavoritesManager.addFavorite('alpha'), true);
+    assert.strictEqual(FavoritesManager.addFavorite('alpha'), false);
+    assert.strictEqual(FavoritesManager.toggleFavorite('beta'), true);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha', 'beta']);
+    assert.strictEqual(FavoritesManager.isFavorite('beta'), true);
+
+    assert.strictEqual(FavoritesManager.toggleFavorite('beta'), false);
+    assert.strictEqual(FavoritesManager.removeFavorite('beta'), false);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha']);
+});
+
+test('stores a versioned document with channel names', () => {
+    FavoritesManager.addFavorite('alpha');
+    const data = stored();
+
+    assert.strictEqual(data.version, FavoritesManager.SCHEMA_VERSION);
+    assert.deepStrictEqual(data.folders, []);
+    assert.strictEqual(data.items[0].id, 'alpha');
+    assert.strictEqual(data.items[0].name, 'Alpha News');
+    assert.strictEqual(data.items[0].folder, null);
+});
+
+test('migrates the version 1 array of IDs', () => {
+    localStorage.setItem(FavoritesManager.STORAGE_KEY, JSON.stringify(['beta', 'alpha', 'beta', 42]));
+
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['beta', 'alpha']);
+    assert.strictEqual(stored().version, FavoritesManager.SCHEMA_VERSION, 'migrated document is saved');
+});
+
+test('falls back to empty favorites for unreadable data', () => {
+    const original = console.error;
+    const originalWarn = console.warn;
+    console.error = () => {};
+    console.warn = () => {};
+    try {
+        localStorage.setItem(FavoritesManager.STORAGE_KEY, '{not json');
+        assert.deepStrictEqual(FavoritesManager.getFavorites(), []);
+
+        localStorage.setItem(FavoritesManager.STORAGE_KEY, JSON.stringify({ unexpected: true }));
+        assert.deepStrictEqual(FavoritesManager.getFavorites(), []);
+    } finally {
+        console.error = original;
+        console.warn = originalWarn;
+    }
+});
+
+test('logs storage write failures instead of throwing', () => {
+    const original = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args);
+    try {
+        localStorage.failWrites = true;
+        assert.strictEqual(FavoritesManager.addFavorite('alpha'), true);
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(FavoritesManager.getFavorites(), []);
+    } finally {
+        console.error = original;
+    }
+});
+
+test('reorders favorites', () => {
+    ['alpha', 'beta', 'gamma'].forEach(id => FavoritesManager.addFavorite(id));
+
+    assert.strictEqual(FavoritesManager.moveFavorite('gamma', 'alpha'), true);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['gamma', 'alpha', 'beta']);
+    assert.strictEqual(FavoritesManager.moveFavorite('gamma', 'beta', true), true);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha', 'beta', 'gamma']);
+    assert.strictEqual(FavoritesManager.moveFavorite('alpha', 'missing'), false);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha', 'beta', 'gamma']);
+});
+
+test('groups favorites into folders', () => {
+    FavoritesManager.addFavorite('alpha');
+    FavoritesManager.addFavorite('beta');
+    const news = FavoritesManager.createFolder('  News  ');
+
+    assert.strictEqual(news.name, 'News');
+    assert.throws(() => FavoritesManager.createFolder('news'), /already exists/);
+    assert.throws(() => FavoritesManager.createFolder(' '), /cannot be empty/);
+
+    FavoritesManager.setFolder('alpha', news.id);
+    assert.deepStrictEqual(FavoritesManager.getFavoriteEntries(news.id).map(entry => entry.id), ['alpha']);
+
+    FavoritesManager.renameFolder(news.id, 'Headlines');
+    assert.strictEqual(FavoritesManager.getFolders()[0].name, 'Headlines');
+
+    FavoritesManager.deleteFolder(news.id);
+    assert.deepStrictEqual(FavoritesManager.getFolders(), []);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha', 'beta'], 'favorites outlive their folder');
+    assert.strictEqual(FavoritesManager.getFavoriteEntries()[0].folder, null);
+});
+
+test('lists favorites whose channel disappeared by their stored name', () => {
+    FavoritesManager.importFavorites(JSON.stringify(['gone']));
+    FavoritesManager.addFavorite('alpha');
+
+    const entries = FavoritesManager.getFavoriteEntries();
+    assert.deepStrictEqual(entries.map(entry => [entry.id, entry.name, Boolean(entry.channel)]), [
+        ['gone', 'gone', false],
+        ['alpha', 'Alpha News', true]
+    ]);
+    assert.deepStrictEqual(FavoritesManager.getFavoriteChannels().map(channel => channel.id), ['alpha']);
+});
+
+test('round-trips favorites and folders through a JSON export', () => {
+    FavoritesManager.addFavorite('alpha');
+    FavoritesManager.addFavorite('beta');
+    FavoritesManager.setFolder('beta', FavoritesManager.createFolder('Sport').id);
+    const exported = FavoritesManager.exportJSON();
+
+    FavoritesManager.clearFavorites();
+    FavoritesManager.addFavorite('gamma');
+    assert.deepStrictEqual(FavoritesManager.importFavorites(exported), { added: 2, skipped: 0 });
+    assert.deepStrictEqual(FavoritesManager.importFavorites(exported), { added: 0, skipped: 2 });
+
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['gamma', 'alpha', 'beta']);
+    const folder = FavoritesManager.getFolders().find(f => f.name === 'Sport');
+    assert.deepStrictEqual(FavoritesManager.getFavoriteEntries(folder.id).map(entry => entry.id), ['beta']);
+});
+
+test('exports an M3U playlist that imports back', () => {
+    FavoritesManager.addFavorite('alpha');
+    const playlist = FavoritesManager.exportM3U();
+
+    const [channel] = ChannelManager.parseM3U8(playlist);
+    assert.strictEqual(channel.id, 'alpha');
+    assert.deepStrictEqual(channel.sources.map(source => source.url),
+        ChannelManager.getChannelById('alpha').sources.map(source => source.url));
+
+    FavoritesManager.clearFavorites();
+    assert.deepStrictEqual(FavoritesManager.importFavorites(playlist), { added: 1, skipped: 0 });
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha']);
+});
+
+test('rejects files that are not favorites', () => {
+    assert.throws(() => FavoritesManager.importFavorites('hello'), /not a favorites export/);
+    assert.throws(() => FavoritesManager.importFavorites('{"format":"other"}'), /Unrecognized favorites file/);
+});
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview In-memory stand-in for the Cache Storage API (caches), for service worker tests.
+ */
+
+/**
+ * Gets the URL a cache entry is keyed by.
+ * @param {Request|string} request - Request or URL
+ * @returns {string} URL
+ */
+function keyOf(request) {
+    return typeof request === 'string' ? request : request.url;
+}
+
+/**
+ * Cache backed by a Map of URL to response. Like a browser's, add() and addAll()
+ * reject responses that are not ok, opaque ones included; put() stores anything.
+ */
+class MemoryCache {
+    constructor(fetch) {
+        this.fetch = fetch;
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        return this.entries.get(keyOf(request));
+    }
+
+    async put(request, response) {
+        this.entries.set(keyOf(request), response);
+    }
+
+    async add(request) {
+        const response = await this.fetch(request);
+        if (!response.ok) {
+            throw new TypeError(`Request failed with status ${response.status}`);
+        }
+        await this.put(request, response);
+    }
+
+    async addAll(requests) {
+        await Promise.all(requests.map(request => this.add(request)));
+    }
+
+    async keys() {
+        return [...this.entries.keys()].map(url => ({ url }));
+    }
+
+    async delete(request) {
+        return this.entries.delete(keyOf(request));
+    }
+}
+
+/**
+ * Cache storage holding named MemoryCaches.
+ */
+class MemoryCacheStorage {
+    constructor(fetch) {
+        this.fetch = fetch;
+        this.caches = new Map();
+    }
+
+    async open(name) {
+        if (!this.caches.has(name)) {
+            this.caches.set(name, new MemoryCache(this.fetch));
+        }
+        return this.caches.get(name);
+    }
+
+    async keys() {
+        return [...this.caches.keys()];
+    }
+
+    async delete(name) {
+        return this.caches.delete(name);
+    }
+}
+
+module.exports = { MemoryCache, MemoryCacheStorage };
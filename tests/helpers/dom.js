@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Loads index.html and the app scripts into jsdom, the way a browser does,
+ * without touching the network. Files are served from the repository; any other URL fails
+ * as if the browser were offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Origin the test page is served from
+ * @type {string}
+ * @constant
+ */
+const ORIGIN = 'https://streampk.test';
+
+/**
+ * Creates a fetch that reads same-origin URLs from the repository (or from overrides).
+ * @param {Object<string, string>} files - File contents keyed by path, used instead of the repository
+ * @returns {function(string): Promise<Object>} Minimal fetch
+ */
+function createFetch(files) {
+    return async (input) => {
+        const url = new URL(String(input), `${ORIGIN}/`);
+        if (url.origin !== ORIGIN) {
+            throw new TypeError(`Network access is disabled in tests: ${url.href}`);
+        }
+
+        const file = decodeURIComponent(url.pathname.slice(1));
+        let text = null;
+        if (Object.prototype.hasOwnProperty.call(files, file)) {
+            text = files[file];
+        } else if (fs.existsSync(path.join(ROOT, file)) && fs.statSync(path.join(ROOT, file)).isFile()) {
+            text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        }
+
+        return {
+            ok: text !== null,
+            status: text !== null ? 200 : 404,
+            url: url.href,
+            headers: { get: () => null },
+            text: async () => text || '',
+            json: async () => JSON.parse(text)
+        };
+    };
+}
+
+/**
+ * Fills in browser APIs that jsdom does not implement.
+ * @param {Window} window - jsdom window
+ */
+function polyfill(window) {
+    const media = window.HTMLMediaElement.prototype;
+    media.play = function () { return Promise.resolve(); };
+    media.pause = function () {};
+    media.load = function () {};
+
+    if (window.HTMLDialogElement) {
+        const dialog = window.HTMLDialogElement.prototype;
+        dialog.showModal = function () { this.open = true; };
+        dialog.show = function () { this.open = true; };
+        dialog.close = function () {
+            this.open = false;
+            this.dispatchEvent(new window.Event('close'));
+        };
+    }
+
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+    window.matchMedia = window.matchMedia || (() => ({
+        matches: false,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    }));
+}
+
+/**
+ * Loads the app (or another page, such as the embedded player) into a fresh jsdom window
+ * and waits until it is ready.
+ * @async
+ * @param {Object} [options]
+ * @param {string} [options.page='index.html'] - Page to load
+ * @param {function(Window): boolean} [options.ready] - Ready condition (defaults to channels loaded and the grid rendered)
+ * @param {string} [options.url] - Page URL, e.g. with a ?channel= deep link
+ * @param {string} [options.playlist] - Contents served as playlist.m3u8 instead of the real playlist
+ * @param {Object<string, string>} [options.storage] - localStorage entries to start with
+ * @param {Function} [options.jwplayer] - Fake `jwplayer` global (see helpers/jwplayer.js)
+ * @returns {Promise<{window: Window, document: Document, errors: string[], get: function(string): *, close: Function}>}
+ *          The window, console errors, a getter for the app's globals, and a function that closes the window
+ */
+async function loadApp(options = {}) {
+    const page = fs.readFileSync(path.join(ROOT, options.page || 'index.html'), 'utf8');
+    const scripts = [...page.matchAll(/<script src="(js\/[^"]+)"><\/script>/g)].map(match => match[1]);
+
+    const dom = new JSDOM(page.replace(/<script[\s\S]*?<\/script>/g, ''), {
+        url: options.url || `${ORIGIN}/`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    const errors = [];
+
+    window.console.log = () => {};
+    window.console.warn = () => {};
+    window.console.error = (...args) => errors.push(args.map(String).join(' '));
+    window.fetch = createFetch(options.playlist ? { 'playlist.m3u8': options.playlist } : {});
+    window.alert = message => errors.push(`alert: ${message}`);
+    polyfill(window);
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    if (options.jwplayer) window.jwplayer = options.jwplayer;
+
+    // Script elements share one global scope, like the page's own <script> tags
+    scripts.forEach(script => {
+        const element = window.document.createElement('script');
+        element.textContent = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        window.document.body.appendChild(element);
+    });
+
+    // jsdom fires DOMContentLoaded after this tick, which starts the app
+
+    const ready = options.ready || (() => window.eval('ChannelManager.loaded') &&
+        window.document.querySelectorAll('.channel-card').length > 0);
+    await waitFor(() => ready(window));
+
+    return {
+        window,
+        document: window.document,
+        errors,
+        get: name => window.eval(name),
+        close: () => window.close()
+    };
+}
+
+/**
+ * Waits until a condition holds.
+ * @async
+ * @param {function(): boolean} condition - Condition to poll
+ * @param {number} [timeout=2000] - Milliseconds before giving up
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition does not hold in time
+ */
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Dispatches a keydown event the way a keyboard or remote would.
+ * @param {Window} window - jsdom window
+ * @param {string} key - KeyboardEvent key
+ * @param {Object} [init] - Extra event properties (modifiers, keyCode)
+ * @param {Element} [target] - Element receiving the key (defaults to the focused element)
+ * @returns {KeyboardEvent} The event, to check defaultPrevented
+ */
+function pressKey(window, key, init = {}, target) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    (target || window.document.activeElement || window.document.body).dispatchEvent(event);
+    return event;
+}
+
+module.exports = { ORIGIN, loadApp, waitFor, pressKey };
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Fake of the hosted JW Player library's `jwplayer()` global.
+ * Records every player set up and lets tests emit JW events on it.
+ */
+
+/**
+ * Creates a fake `jwplayer` function.
+ * @returns {Function} `jwplayer(id)` with an `instances` array of every player set up, oldest first
+ */
+function createFakeJWPlayer() {
+    const instances = [];
+
+    const jwplayer = id => ({
+        setup(config) {
+            const handlers = {};
+            const player = {
+                id,
+                config,
+                state: 'idle',
+                volume: config.volume !== undefined ? config.volume : 100,
+                muted: Boolean(config.mute),
+                quality: 0,
+                removed: false,
+                on(event, handler) {
+                    (handlers[event] = handlers[event] || []).push(handler);
+                    return player;
+                },
+                emit(event, data) {
+                    (handlers[event] || []).forEach(handler => handler(data));
+                },
+                play() {
+                    player.state = 'playing';
+                    player.emit('play', {});
+                },
+                pause() {
+                    player.state = 'paused';
+                    player.emit('pause', {});
+                },
+                getState: () => player.state,
+                setVolume(volume) {
+                    player.volume = volume;
+                },
+                getVolume: () => player.volume,
+                setMute(muted) {
+                    player.muted = muted;
+                },
+                getMute: () => player.muted,
+                getCurrentQuality: () => player.quality,
+                setCurrentQuality(index) {
+                    player.quality = index;
+                },
+                remove() {
+                    player.removed = true;
+                }
+            };
+            instances.push(player);
+            return player;
+        }
+    });
+
+    jwplayer.instances = instances;
+    return jwplayer;
+}
+
+module.exports = { createFakeJWPlayer };
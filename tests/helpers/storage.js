@@ -0,0 +1,42 @@
+/**
+ * @fileoverview In-memory stand-in for the Web Storage API (localStorage).
+ */
+
+/**
+ * Storage backed by a Map. Set `failWrites` to simulate a full or blocked storage.
+ */
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.map = new Map(Object.entries(entries));
+        this.failWrites = false;
+    }
+
+    get length() {
+        return this.map.size;
+    }
+
+    key(index) {
+        return [...this.map.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.map.has(key) ? this.map.get(key) : null;
+    }
+
+    setItem(key, value) {
+        if (this.failWrites) {
+            throw new Error('QuotaExceededError');
+        }
+        this.map.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.map.delete(key);
+    }
+
+    clear() {
+        this.map.clear();
+    }
+}
+
+module.exports = { MemoryStorage };
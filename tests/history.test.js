@@ -0,0 +1,105 @@
+/**
+ * @fileoverview HistoryManager tests: viewing sessions, watch time, turning history off
+ * and recently watched channels, against an in-memory localStorage.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { MemoryStorage } = require('./helpers/storage.js');
+
+// HistoryManager reads these as globals, as it does in the browser
+global.localStorage = new MemoryStorage();
+global.ChannelManager = require('../js/channels.js');
+const HistoryManager = require('../js/history.js');
+
+ChannelManager.channels = ChannelManager.parseM3U8(
+    fs.readFileSync(path.join(__dirname, 'fixtures', 'player.m3u'), 'utf8'));
+
+const MINUTE = 60 * 1000;
+let now;
+
+test.beforeEach((t) => {
+    localStorage.clear();
+    now = Date.UTC(2024, 0, 15, 12);
+    t.mock.method(Date, 'now', () => now);
+});
+
+test('playing the same channel again soon continues its session', () => {
+    HistoryManager.recordPlay('alpha');
+    now += 10 * MINUTE;
+    HistoryManager.recordPlay('alpha');
+
+    assert.deepStrictEqual(HistoryManager.getHistory(), [
+        { channelId: 'alpha', startedAt: now - 10 * MINUTE, lastWatched: now, duration: 0 }
+    ]);
+});
+
+test('a new session starts after the gap or after another channel', () => {
+    HistoryManager.recordPlay('alpha');
+    now += HistoryManager.SESSION_GAP;
+    HistoryManager.recordPlay('alpha');
+    now += MINUTE;
+    HistoryManager.recordPlay('beta');
+    now += MINUTE;
+    HistoryManager.recordPlay('alpha');
+
+    assert.deepStrictEqual(HistoryManager.getHistory().map(entry => entry.channelId), ['alpha', 'beta', 'alpha', 'alpha']);
+    assert.strictEqual(HistoryManager.getLastChannelId(), 'alpha');
+});
+
+test('watch time is added to the latest session of that channel only', () => {
+    HistoryManager.recordPlay('alpha');
+    now += MINUTE;
+    HistoryManager.addWatchTime('alpha', 45000);
+    HistoryManager.addWatchTime('beta', 30000);
+    HistoryManager.addWatchTime('alpha', 0);
+
+    const [session] = HistoryManager.getHistory();
+    assert.strictEqual(session.duration, 45000);
+    assert.strictEqual(session.lastWatched, now);
+});
+
+test('nothing is recorded while history is off, and existing sessions are kept', () => {
+    HistoryManager.recordPlay('alpha');
+    HistoryManager.setEnabled(false);
+
+    HistoryManager.recordPlay('beta');
+    HistoryManager.addWatchTime('alpha', 45000);
+
+    assert.strictEqual(HistoryManager.isEnabled(), false);
+    assert.strictEqual(HistoryManager.getLastChannelId(), null);
+    assert.deepStrictEqual(HistoryManager.getHistory().map(entry => [entry.channelId, entry.duration]), [['alpha', 0]]);
+
+    HistoryManager.setEnabled(true);
+    assert.strictEqual(HistoryManager.getLastChannelId(), 'alpha');
+});
+
+test('recent channels are listed once with their total watch time', () => {
+    HistoryManager.saveHistory([
+        { channelId: 'beta', startedAt: 5, lastWatched: 6, duration: 1000 },
+        { channelId: 'removed', startedAt: 4, lastWatched: 5, duration: 1000 },
+        { channelId: 'alpha', startedAt: 3, lastWatched: 4, duration: 2000 },
+        { channelId: 'beta', startedAt: 1, lastWatched: 2, duration: 3000 }
+    ]);
+
+    assert.deepStrictEqual(HistoryManager.getRecentChannels().map(item => [item.channel.id, item.lastWatched, item.duration]),
+        [['beta', 6, 4000], ['alpha', 4, 2000]], 'channels no longer in the playlist are skipped');
+    assert.strictEqual(HistoryManager.getRecentChannels(1).length, 1);
+});
+
+test('keeps at most MAX_ENTRIES sessions and survives unreadable storage', (t) => {
+    for (let i = 0; i <= HistoryManager.MAX_ENTRIES; i++) {
+        HistoryManager.recordPlay(i % 2 ? 'alpha' : 'beta');
+    }
+    assert.strictEqual(HistoryManager.getHistory().length, HistoryManager.MAX_ENTRIES);
+
+    HistoryManager.clearHistory();
+    assert.deepStrictEqual(HistoryManager.getHistory(), []);
+
+    t.mock.method(console, 'error', () => {});
+    localStorage.setItem(HistoryManager.STORAGE_KEY, '{not json');
+    assert.deepStrictEqual(HistoryManager.getHistory(), []);
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview DeepLinks tests: reading and writing the view state in a URL.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const DeepLinks = require('../js/links.js');
+
+const BASE = 'https://streampk.test/index.html';
+const ROOT = path.join(__dirname, '..');
+
+test('reads a full view state', () => {
+    assert.deepStrictEqual(DeepLinks.parse('?channel=geo-news&channels=geo-news,ary-news&category=News&q=%20geo%20&tv=1&muted=yes&autoplay=false'), {
+        channel: 'geo-news',
+        channels: ['geo-news', 'ary-news'],
+        category: 'News',
+        query: 'geo',
+        tv: true,
+        muted: true,
+        autoplay: false
+    });
+});
+
+test('fills in defaults and ignores bad values', () => {
+    assert.deepStrictEqual(DeepLinks.parse('?channels=geo-news&tv=maybe&muted=2'), {
+        channel: null,
+        channels: [],
+        category: 'all',
+        query: '',
+        tv: null,
+        muted: false,
+        autoplay: true
+    });
+    assert.deepStrictEqual(DeepLinks.parse('?channels=a,,c,d,e').channels, ['a', '', 'c', 'd'], 'empty tiles kept, at most four');
+});
+
+test('builds links without default values', () => {
+    assert.strictEqual(DeepLinks.build({ channel: 'geo-news', category: 'all', query: '', tv: null }, `${BASE}?channel=old#top`),
+        `${BASE}?channel=geo-news#top`);
+    assert.strictEqual(DeepLinks.build({
+        channel: 'ary-news',
+        channels: ['geo-news', 'ary-news', ''],
+        category: 'News & Current Affairs',
+        query: 'ary',
+        tv: false,
+        muted: true,
+        autoplay: false
+    }, BASE), `${BASE}?channel=ary-news&channels=geo-news,ary-news,&category=News+%26+Current+Affairs&q=ary&tv=0&muted=1&autoplay=0`);
+});
+
+test('a built link reads back as the same view', () => {
+    const state = {
+        channel: 'b',
+        channels: ['a', 'b'],
+        category: 'Kids, Family',
+        query: 'cartoons',
+        tv: true,
+        muted: false,
+        autoplay: true
+    };
+    assert.deepStrictEqual(DeepLinks.parse(new URL(DeepLinks.build(state, BASE)).search), state);
+});
+
+test('draws QR codes with the bundled generator', async () => {
+    const { JSDOM } = require('jsdom');
+    global.document = new JSDOM('').window.document;
+    global.qrcode = require(path.join(ROOT, DeepLinks.QR_LIBRARY_URL));
+    try {
+        const svg = await DeepLinks.createQrCode(`${BASE}?channel=geo-news`);
+        const size = Number(svg.getAttribute('viewBox').split(' ')[2]);
+
+        // A 49-character link needs version 4 (33 modules) at level M, plus the quiet zone on both sides
+        assert.strictEqual(size, 33 + DeepLinks.QR_QUIET_ZONE * 2);
+        assert.match(svg.querySelector('path').getAttribute('d'), /^M4 4h1v1h-1z/, 'finder pattern in the corner');
+    } finally {
+        delete global.document;
+        delete global.qrcode;
+    }
+});
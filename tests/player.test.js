@@ -0,0 +1,141 @@
+/**
+ * @fileoverview VideoPlayer tests in jsdom with a fake JW Player engine.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { loadApp } = require('./helpers/dom.js');
+const { createFakeJWPlayer } = require('./helpers/jwplayer.js');
+
+const playlist = fs.readFileSync(path.join(__dirname, 'fixtures', 'player.m3u'), 'utf8');
+
+/**
+ * Loads the app on the fixture playlist with a fake JW Player, playing Alpha News.
+ * @returns {Promise<Object>} Loaded app, plus `jwplayer` and `VideoPlayer`
+ */
+async function setup(t) {
+    const jwplayer = createFakeJWPlayer();
+    const app = await loadApp({ playlist, jwplayer, url: 'https://streampk.test/?channel=alpha' });
+    t.after(() => app.close());
+    return { ...app, jwplayer, VideoPlayer: app.get('VideoPlayer') };
+}
+
+const latest = jwplayer => jwplayer.instances[jwplayer.instances.length - 1];
+
+test('plays the primary stream through JW Player', async (t) => {
+    const { document, jwplayer, VideoPlayer, errors } = await setup(t);
+
+    assert.strictEqual(jwplayer.instances.length, 1);
+    assert.strictEqual(latest(jwplayer).config.file, 'https://streams.example.com/alpha/primary.m3u8');
+    assert.strictEqual(latest(jwplayer).config.autostart, true);
+    assert.strictEqual(VideoPlayer.getEngineLabel(), 'JW Player');
+    assert.strictEqual(document.getElementById('currentChannelName').textContent, 'Alpha News');
+    assert.strictEqual(document.getElementById('currentChannelSource').textContent, 'Primary source (1/3)');
+    assert.deepStrictEqual(errors, []);
+});
+
+test('follows JW Player play and pause events', async (t) => {
+    const { document, jwplayer, VideoPlayer } = await setup(t);
+    const overlay = document.getElementById('playerOverlay');
+
+    latest(jwplayer).play();
+    assert.strictEqual(VideoPlayer.isPlaying(), true);
+    assert.ok(overlay.classList.contains('hidden'));
+
+    VideoPlayer.togglePlay();
+    assert.strictEqual(latest(jwplayer).state, 'paused');
+    assert.strictEqual(VideoPlayer.isPlaying(), false);
+
+    VideoPlayer.togglePlay();
+    assert.strictEqual(latest(jwplayer).state, 'playing');
+});
+
+test('fails over to the next source when JW Player reports an error', async (t) => {
+    const { document, jwplayer } = await setup(t);
+    const first = latest(jwplayer);
+
+    first.emit('error', { message: 'Cannot load M3U8', code: 232011 });
+
+    assert.strictEqual(first.removed, true);
+    assert.strictEqual(jwplayer.instances.length, 2);
+    assert.strictEqual(latest(jwplayer).config.file, 'https://streams.example.com/alpha/backup.m3u8');
+    assert.strictEqual(document.getElementById('currentChannelSource').textContent, 'Alternative 1 source (2/3)');
+
+    latest(jwplayer).emit('setupError', { message: 'Setup failed' });
+    assert.strictEqual(latest(jwplayer).config.file, 'https://backup.example.com/alpha.m3u8');
+});
+
+test('fails over when a stream ends', async (t) => {
+    const { document, jwplayer, get } = await setup(t);
+    const first = latest(jwplayer);
+
+    first.play();
+    first.emit('complete', {});
+
+    assert.strictEqual(first.removed, true);
+    assert.strictEqual(latest(jwplayer).config.file, 'https://streams.example.com/alpha/backup.m3u8');
+
+    for (let i = 0; i < get('StreamPlayer.MAX_FAILOVER_ATTEMPTS'); i++) {
+        latest(jwplayer).emit('complete', {});
+    }
+    assert.strictEqual(document.querySelector('.overlay-error-title').textContent, 'Stream offline');
+});
+
+test('explains the failure and offers recovery once every attempt failed', async (t) => {
+    const { document, jwplayer, get } = await setup(t);
+    const attempts = get('StreamPlayer.MAX_FAILOVER_ATTEMPTS') + 1;
+
+    for (let i = 0; i < attempts; i++) {
+        latest(jwplayer).emit('error', { message: 'Cannot load M3U8' });
+    }
+    assert.strictEqual(jwplayer.instances.length, attempts);
+
+    const title = document.querySelector('.overlay-error-title');
+    assert.ok(title, 'failure overlay shown');
+    assert.strictEqual(title.textContent, 'Stream unavailable');
+
+    const actions = [...document.querySelectorAll('.overlay-action')];
+    assert.deepStrictEqual(actions.map(button => button.textContent), ['Retry', 'Try another source', 'Report problem']);
+
+    actions[0].click();
+    assert.strictEqual(jwplayer.instances.length, attempts + 1);
+    assert.strictEqual(latest(jwplayer).config.file, 'https://streams.example.com/alpha/primary.m3u8');
+
+    latest(jwplayer).play();
+    assert.ok(document.getElementById('playerOverlay').classList.contains('hidden'));
+});
+
+test('applies and remembers volume and mute on JW Player', async (t) => {
+    const { window, jwplayer, VideoPlayer } = await setup(t);
+
+    VideoPlayer.setVolume(0.4);
+    assert.strictEqual(latest(jwplayer).volume, 40);
+
+    VideoPlayer.toggleMute();
+    assert.strictEqual(latest(jwplayer).muted, true);
+
+    const saved = JSON.parse(window.localStorage.getItem('liveStreamAudio'));
+    assert.strictEqual(saved.volume, 0.4);
+    assert.strictEqual(saved.muted, true);
+
+    // The next channel starts with the remembered settings
+    window.eval('App').playChannel('beta');
+    assert.strictEqual(latest(jwplayer).config.file, 'https://streams.example.com/beta/primary.m3u8');
+    assert.strictEqual(latest(jwplayer).volume, 40);
+    assert.strictEqual(latest(jwplayer).muted, true);
+});
+
+test('removes the JW Player when a channel is replaced', async (t) => {
+    const { jwplayer, get } = await setup(t);
+    const first = latest(jwplayer);
+
+    get('App').playChannel('gamma');
+
+    assert.strictEqual(first.removed, true);
+    assert.strictEqual(jwplayer.instances.length, 2);
+    assert.strictEqual(get('VideoPlayer.getCurrentChannel().id'), 'gamma');
+    assert.strictEqual(get('document.getElementById("currentChannelSource").textContent'), '', 'single source is not labelled');
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Playlist tool tests: the canonical list lints cleanly and the generated files
+ * match it, so `npm test` catches what `node scripts/playlist.js lint` and `check` would.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ChannelManager = require('../js/channels.js');
+const { lintPlaylist, generate } = require('../scripts/playlist.js');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'playlist.js');
+
+const canonical = () => ChannelManager.parsePlaylist(fs.readFileSync(path.join(ROOT, 'channels.src.m3u'), 'utf8'));
+
+test('channels.src.m3u has no errors and only mixed-content warnings', (t) => {
+    const issues = lintPlaylist(canonical());
+    const errors = issues.filter(issue => issue.level === 'error');
+    const warnings = issues.filter(issue => issue.level === 'warning');
+
+    assert.deepStrictEqual(errors, []);
+    warnings.forEach(warning => {
+        assert.match(warning.message, /uses http:\/\/ \(mixed content/, `line ${warning.line}`);
+        t.diagnostic(`channels.src.m3u:${warning.line}: ${warning.message}`);
+    });
+    t.diagnostic(`${warnings.length} mixed-content warnings: these http:// sources are only disabled or fallback entries in the web playlist`);
+});
+
+test('the generated playlists and README table are up to date', () => {
+    generate(canonical()).forEach(({ file, content }) => {
+        assert.ok(fs.readFileSync(file, 'utf8') === content,
+            `${path.relative(ROOT, file)} is out of date; run: node scripts/playlist.js build`);
+    });
+});
+
+test('reports missing attributes, bad URLs and http:// sources', () => {
+    const playlist = ChannelManager.parsePlaylist([
+        '#EXTM3U',
+        '#EXTINF:-1 tvg-name="No ID" group-title="News",No ID',
+        'https://example.com/a.m3u8',
+        '#EXTINF:-1 tvg-id="Bad_ID" tvg-name="Bad ID" group-title="News",Bad ID',
+        'http://example.com/b.m3u8',
+        '# EMBED: http://example.com/player',
+        '#EXTINF:-1 tvg-id="copy" tvg-name="Copy" group-title="News",Copy',
+        'https://example.com/a.m3u8'
+    ].join('\n'));
+
+    assert.deepStrictEqual(lintPlaylist(playlist).map(issue => [issue.line, issue.level, issue.message]), [
+        [2, 'error', '"No ID" has no tvg-id'],
+        [4, 'error', 'tvg-id "Bad_ID" should use only lowercase letters, digits and hyphens'],
+        [4, 'warning', 'Primary source of "Bad ID" uses http:// (mixed content; the web playlist keeps it only as a disabled or fallback entry)'],
+        [4, 'error', 'Embed source of "Bad ID" uses http:// (mixed content; embeds must use https://)'],
+        [7, 'warning', 'Stream URL of "Copy" is also used on line 2']
+    ]);
+});
+
+test('the command line fails on errors and passes check on the repository', () => {
+    const lint = spawnSync(process.execPath, [SCRIPT, 'lint', path.join(__dirname, 'fixtures', 'malicious.m3u')],
+        { cwd: ROOT, encoding: 'utf8' });
+    assert.strictEqual(lint.status, 1);
+    assert.match(lint.stderr, /malicious\.m3u:\d+: error:/);
+
+    const check = spawnSync(process.execPath, [SCRIPT, 'check'], { cwd: ROOT, encoding: 'utf8' });
+    assert.strictEqual(check.status, 0, check.stderr);
+    assert.match(check.stdout, /Generated files are up to date\./);
+    assert.match(check.stdout, /channels\.src\.m3u: \d+ channels, 0 errors, \d+ warnings/);
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview PlaylistManager tests: the bundled source, adding, disabling and removing
+ * playlist URLs and files, and reading their contents, against an in-memory localStorage.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('./helpers/storage.js');
+
+// PlaylistManager reads these as globals, as it does in the browser
+global.localStorage = new MemoryStorage();
+const PlaylistManager = require('../js/playlists.js');
+
+const PLAYLIST = '#EXTM3U\n#EXTINF:-1 tvg-id="alpha",Alpha\nhttps://example.com/alpha.m3u8\n';
+
+let now;
+
+test.beforeEach((t) => {
+    localStorage.clear();
+    localStorage.failWrites = false;
+    PlaylistManager.status = {};
+    // Source IDs are derived from the time, so every call gets its own millisecond
+    now = Date.UTC(2024, 0, 15, 12);
+    t.mock.method(Date, 'now', () => now++);
+});
+
+test('starts with only the bundled playlist, which can be disabled but not removed', () => {
+    assert.deepStrictEqual(PlaylistManager.getSources(), [PlaylistManager.BUNDLED]);
+
+    PlaylistManager.setEnabled('bundled', false);
+    assert.strictEqual(PlaylistManager.getSourceById('bundled').enabled, false);
+    assert.deepStrictEqual(PlaylistManager.getEnabledSources(), []);
+
+    assert.strictEqual(PlaylistManager.removeSource('bundled'), false);
+    assert.strictEqual(PlaylistManager.getSources()[0].id, 'bundled');
+});
+
+test('adds playlist URLs, naming them after the file, and refuses bad or repeated ones', () => {
+    const source = PlaylistManager.addUrl('https://example.com/lists/news%20channels.m3u');
+    assert.strictEqual(source.type, 'url');
+    assert.strictEqual(source.name, 'news channels.m3u');
+    assert.strictEqual(PlaylistManager.addUrl('https://example.com/', 'Example').name, 'Example');
+    assert.strictEqual(PlaylistManager.addUrl('https://example.org/').name, 'example.org');
+
+    assert.throws(() => PlaylistManager.addUrl('not a url'), /Not a valid URL/);
+    assert.throws(() => PlaylistManager.addUrl('ftp://example.com/list.m3u'), /Only http and https/);
+    assert.throws(() => PlaylistManager.addUrl('https://example.com/lists/news%20channels.m3u'), /already added/);
+
+    const sources = PlaylistManager.getSources();
+    assert.deepStrictEqual(sources.map(s => s.name), ['StreamPK channels', 'news channels.m3u', 'Example', 'example.org']);
+    assert.strictEqual(new Set(sources.map(s => s.id)).size, sources.length);
+});
+
+test('stores playlist files and reads them back until they are removed', async () => {
+    const source = PlaylistManager.addFile('mine.m3u', PLAYLIST);
+    assert.strictEqual(await PlaylistManager.fetchContent(source), PLAYLIST);
+
+    PlaylistManager.setStatus(source.id, { channelCount: 1, warningCount: 0, error: null });
+    assert.strictEqual(PlaylistManager.getStatus(source.id).channelCount, 1);
+
+    assert.strictEqual(PlaylistManager.removeSource(source.id), true);
+    assert.strictEqual(PlaylistManager.getSourceById(source.id), undefined);
+    assert.strictEqual(localStorage.getItem(PlaylistManager.CONTENT_KEY_PREFIX + source.id), null);
+    assert.strictEqual(PlaylistManager.getStatus(source.id), undefined);
+    assert.strictEqual(PlaylistManager.removeSource(source.id), false);
+    await assert.rejects(PlaylistManager.fetchContent(source), /Stored playlist file is missing/);
+});
+
+test('refuses files that are not playlists or do not fit in storage', () => {
+    assert.throws(() => PlaylistManager.addFile('notes.txt', 'just some text'), /notes\.txt is not an M3U playlist/);
+
+    localStorage.failWrites = true;
+    assert.throws(() => PlaylistManager.addFile('huge.m3u', PLAYLIST), /huge\.m3u is too large/);
+    localStorage.failWrites = false;
+
+    assert.deepStrictEqual(PlaylistManager.getSources().map(s => s.id), ['bundled']);
+});
+
+test('fetches URL sources and reports HTTP errors', async (t) => {
+    const source = PlaylistManager.addUrl('https://example.com/list.m3u');
+    t.mock.method(global, 'fetch', async url => ({
+        ok: url === source.url,
+        status: url === source.url ? 200 : 404,
+        text: async () => PLAYLIST
+    }));
+
+    assert.strictEqual(await PlaylistManager.fetchContent(source), PLAYLIST);
+    await assert.rejects(PlaylistManager.fetchContent({ ...source, url: 'https://example.com/gone.m3u' }),
+        /Failed to load playlist: 404/);
+});
+
+test('falls back to the bundled playlist when the source list is unreadable', (t) => {
+    t.mock.method(console, 'error', () => {});
+    localStorage.setItem(PlaylistManager.STORAGE_KEY, '{not json');
+
+    assert.deepStrictEqual(PlaylistManager.getSources(), [PlaylistManager.BUNDLED]);
+});
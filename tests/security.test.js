@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Checks that playlist data cannot inject markup or script, both in the parser
+ * and in the app rendering tests/fixtures/malicious.m3u in jsdom.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ChannelManager = require('../js/channels.js');
+const { ORIGIN, loadApp } = require('./helpers/dom.js');
+const { createFakeJWPlayer } = require('./helpers/jwplayer.js');
+
+const ROOT = path.join(__dirname, '..');
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'malicious.m3u'), 'utf8');
+const { channels, warnings } = ChannelManager.parsePlaylist(fixture);
+const byId = id => channels.find(channel => channel.id === id);
+
+test('isAllowedUrl accepts only absolute http(s) URLs', () => {
+    assert.strictEqual(ChannelManager.isAllowedUrl('https://example.com/live.m3u8'), true);
+    assert.strictEqual(ChannelManager.isAllowedUrl('http://example.com/live.m3u8'), true);
+    [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        'file:///etc/passwd',
+        '/relative/stream.m3u8',
+        "x' onerror='alert(1)",
+        ''
+    ].forEach(url => assert.strictEqual(ChannelManager.isAllowedUrl(url), false, url));
+});
+
+test('unsafe logo URLs are dropped with a warning', () => {
+    assert.strictEqual(byId('xss-logo-scheme').logo, undefined);
+    assert.strictEqual(byId('xss-logo-attr').logo, undefined);
+    assert.strictEqual(byId('xss-name').logo, 'https://example.com/logo.png');
+    assert.deepStrictEqual(
+        warnings.filter(w => w.message.startsWith('Logo URL')).map(w => w.line),
+        [6, 8]
+    );
+});
+
+test('unsafe stream URLs leave the channel without sources', () => {
+    ['xss-stream-js', 'xss-stream-data'].forEach(id => {
+        const channel = byId(id);
+        assert.strictEqual(channel.stream, undefined);
+        assert.deepStrictEqual(channel.sources, []);
+    });
+});
+
+test('unsafe embed and alternative URLs are dropped, safe ones kept', () => {
+    const channel = byId('xss-embed');
+    assert.strictEqual(channel.embed, undefined);
+    assert.deepStrictEqual(channel.sources.map(source => source.url), [
+        'https://example.com/live/embed.m3u8',
+        'https://example.com/live/backup.m3u8'
+    ]);
+    assert.strictEqual(warnings.filter(w => w.line === 16).length, 3);
+});
+
+test('names and categories are kept verbatim for text rendering', () => {
+    assert.strictEqual(byId('xss-name').name, '<img src=x onerror=alert(1)>');
+    assert.strictEqual(byId('xss-group').category, '<script>alert(1)</script>');
+});
+
+test('the bundled playlists pass the URL allowlist', () => {
+    ['playlist.m3u8', 'pakistan-iptv.m3u', 'channels.src.m3u'].forEach(file => {
+        const content = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const result = ChannelManager.parsePlaylist(content);
+        const rejected = result.warnings.filter(w => w.message.includes('not an absolute http(s) URL'));
+        assert.deepStrictEqual(rejected, [], file);
+    });
+});
+
+test('scripts build markup without inline handlers or interpolated HTML', () => {
+    const dir = path.join(ROOT, 'js');
+    fs.readdirSync(dir).filter(file => file.endsWith('.js')).forEach(file => {
+        const source = fs.readFileSync(path.join(dir, file), 'utf8');
+
+        assert.doesNotMatch(source, /<[a-z][^>]*\son[a-z]+=/i, `${file}: inline event handler in markup`);
+        assert.doesNotMatch(source, /insertAdjacentHTML|outerHTML|document\.write/, `${file}: HTML string sink`);
+
+        // innerHTML is only used for fixed markup; the one value allowed in it is an icon class
+        const sinks = source.match(/innerHTML\s*=\s*`[^`]*`/g) || [];
+        sinks.forEach(sink => {
+            assert.doesNotMatch(sink.replace(/class="fas \$\{[^}]*\}"/g, ''), /\$\{/,
+                `${file}: interpolated innerHTML ${sink}`);
+        });
+    });
+});
+
+test('the pages set a Content Security Policy without inline script', () => {
+    ['index.html', 'embed.html'].forEach(file => {
+        const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const match = html.match(/http-equiv="Content-Security-Policy"\s+content="([^"]+)"/);
+        assert.ok(match, `${file}: CSP meta tag missing`);
+
+        const policy = match[1];
+        assert.match(policy, /object-src 'none'/, file);
+        assert.doesNotMatch(policy, /'unsafe-inline'|'unsafe-eval'/, file);
+        assert.doesNotMatch(html, /<script>(?!\s*<\/script>)|<script(?![^>]*\ssrc=)[^>]*>/, `${file}: inline script`);
+        assert.doesNotMatch(html, /\son[a-z]+="/i, `${file}: inline event handler`);
+    });
+});
+
+/**
+ * Loads the app on the malicious playlist, with every channel recently found online.
+ * @param {Object} t - Test context, used to close the window afterwards
+ * @param {Object} [options] - Extra loadApp options
+ * @returns {Promise<Object>} Loaded app
+ */
+async function loadHostileApp(t, options = {}) {
+    const health = {};
+    channels.forEach(channel => {
+        health[channel.id] = { status: 'online', latency: 100, lastChecked: Date.now(), lastSuccess: Date.now(), error: null };
+    });
+    const app = await loadApp({
+        playlist: fixture,
+        jwplayer: createFakeJWPlayer(),
+        storage: { liveStreamHealth: JSON.stringify(health) },
+        ...options
+    });
+    t.after(() => app.close());
+    return app;
+}
+
+/**
+ * Asserts that no playlist data turned into elements, event handlers or script URLs.
+ * The only scripts are the app's own, which the test loader appends to <body>.
+ * @param {{document: Document, errors: string[]}} app - Loaded app
+ */
+function assertNoInjectedMarkup({ document, errors }) {
+    const elements = [...document.querySelectorAll('*')];
+    assert.deepStrictEqual([...document.querySelectorAll('script')].filter(script => script.parentNode !== document.body), []);
+    assert.deepStrictEqual(elements.filter(el => [...el.attributes].some(attr => /^on/i.test(attr.name))).map(el => el.outerHTML), []);
+    assert.deepStrictEqual(elements.filter(el => ['src', 'href'].some(name => /^\s*(javascript:|vbscript:|data:text\/html)/i.test(el.getAttribute(name) || '')))
+        .map(el => el.outerHTML), []);
+    assert.strictEqual(document.querySelector('svg[onload], img[src="x"]'), null);
+    assert.deepStrictEqual(errors.filter(error => error.startsWith('alert:')), []);
+}
+
+test('the app shows hostile names and categories as text', async (t) => {
+    const app = await loadHostileApp(t);
+    const { document, get } = app;
+    const name = '<img src=x onerror=alert(1)>';
+    const category = '<script>alert(1)</script>';
+    const card = id => document.querySelector(`.channel-card[data-channel-id="${id}"]`);
+
+    const tab = [...document.querySelectorAll('#categoryTabs .category-tab')].find(el => el.dataset.category === category);
+    assert.ok(tab, 'renderCategoryTabs shows the category');
+    assert.strictEqual(tab.textContent, category);
+    tab.click();
+    assert.ok(card('xss-group'), 'renderChannels shows the filtered grid');
+    get('App').selectCategory('all');
+
+    assert.match(card('xss-name').textContent, /<img src=x onerror=alert\(1\)>/);
+    card('xss-name').querySelector('.favorite-btn').click();
+    get('FavoritesManager').addFavorite('xss-group');
+    const favorites = document.querySelectorAll('#favoritesGrid .favorite-card');
+    assert.strictEqual(favorites.length, 2, 'renderFavorites shows both');
+    assert.match(favorites[0].textContent, /<img src=x onerror=alert\(1\)>/);
+
+    get('App').playChannel('xss-name');
+    assert.strictEqual(get('VideoPlayer').getCurrentChannel().id, 'xss-name');
+    assert.strictEqual(document.getElementById('currentChannelName').textContent, name, 'updateNowPlaying uses text');
+    get('App').playChannel('xss-group');
+    assert.strictEqual(document.getElementById('currentChannelCategory').textContent, category);
+
+    assertNoInjectedMarkup(app);
+});
+
+test('a hostile channel ID in a link is shown as text in the player error', async (t) => {
+    const id = '<img src=x onerror=alert(1)>';
+    const app = await loadHostileApp(t, { url: `${ORIGIN}/?channel=${encodeURIComponent(id)}` });
+
+    const overlay = app.document.querySelector('.player-overlay');
+    assert.ok(overlay.textContent.includes(`Channel "${id}" was not found.`), 'showError uses text');
+
+    assertNoInjectedMarkup(app);
+});
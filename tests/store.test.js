@@ -0,0 +1,113 @@
+/**
+ * @fileoverview AppStore tests: subscriptions and the events each setter emits.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AppStore = require('../js/store.js');
+
+const alpha = { id: 'alpha', name: 'Alpha News' };
+const beta = { id: 'beta', name: 'Beta Sports' };
+
+/**
+ * Records the details of every store event.
+ * @returns {Array<[string, Object]>} Event names and details, in order
+ */
+function record() {
+    const events = [];
+    AppStore.EVENTS.forEach(event => AppStore.on(event, detail => events.push([event, detail])));
+    return events;
+}
+
+test.beforeEach(() => {
+    AppStore.handlers = {};
+    AppStore.state = { channels: [alpha, beta], currentChannelId: null, favorites: [], playerErrors: {}, layout: 1 };
+});
+
+test('subscribes and unsubscribes handlers', () => {
+    const calls = [];
+    const unsubscribe = AppStore.on('favorites:changed', ({ favorites }) => calls.push(favorites));
+    const handler = () => calls.push('second');
+    AppStore.on('favorites:changed', handler);
+
+    AppStore.setFavorites(['alpha']);
+    unsubscribe();
+    AppStore.off('favorites:changed', handler);
+    AppStore.setFavorites([]);
+
+    assert.deepStrictEqual(calls, [['alpha'], 'second']);
+    assert.deepStrictEqual(AppStore.getState().favorites, []);
+    assert.throws(() => AppStore.on('favourites:changed', () => {}), /Unknown store event/);
+});
+
+test('announces channel changes with the previous channel, once per change', () => {
+    const events = record();
+
+    AppStore.setCurrentChannel(alpha);
+    AppStore.setCurrentChannel(alpha);
+    AppStore.setCurrentChannel(beta);
+    AppStore.setCurrentChannel(null);
+
+    assert.deepStrictEqual(events, [
+        ['channel:changed', { channel: alpha, previous: null }],
+        ['channel:changed', { channel: beta, previous: alpha }],
+        ['channel:changed', { channel: null, previous: beta }]
+    ]);
+    assert.strictEqual(AppStore.getState().currentChannelId, null);
+});
+
+test('records player errors until the channel is tried again', () => {
+    const events = record();
+    const failure = { type: 'network', sourceUrl: 'https://example.com/a.m3u8' };
+
+    AppStore.setPlayerError('alpha', failure);
+    assert.strictEqual(AppStore.getPlayerError('alpha'), failure);
+    assert.strictEqual(AppStore.getPlayerError('beta'), null);
+
+    AppStore.setPlayerError('alpha', null);
+    AppStore.setPlayerError('beta', null);
+    assert.strictEqual(AppStore.getPlayerError('alpha'), null);
+
+    assert.deepStrictEqual(events, [
+        ['player:error', { channelId: 'alpha', failure }],
+        ['player:error', { channelId: 'alpha', failure: null }]
+    ]);
+});
+
+test('announces loaded channels', () => {
+    const events = record();
+    AppStore.setChannels([beta]);
+
+    assert.deepStrictEqual(events, [['channels:loaded', { channels: [beta] }]]);
+    assert.deepStrictEqual(AppStore.getState().channels, [beta]);
+});
+
+test('announces layout changes once per change', () => {
+    const events = record();
+
+    AppStore.setLayout(1);
+    AppStore.setLayout(3);
+    AppStore.setLayout(3);
+    AppStore.setLayout(1);
+
+    assert.deepStrictEqual(events, [['layout:changed', { layout: 3 }], ['layout:changed', { layout: 1 }]]);
+});
+
+test('a failing handler is logged and does not stop the others', () => {
+    const original = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args);
+    try {
+        const calls = [];
+        AppStore.on('favorites:changed', () => { throw new Error('boom'); });
+        AppStore.on('favorites:changed', () => calls.push('after'));
+
+        AppStore.setFavorites(['beta']);
+
+        assert.deepStrictEqual(calls, ['after']);
+        assert.strictEqual(errors.length, 1);
+    } finally {
+        console.error = original;
+    }
+});
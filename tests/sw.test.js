@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Service worker tests: precaching the app, CDN files and channel logos with
+ * CORS, serving them cache-first and dropping old caches, with the worker run in a sandbox.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { MemoryCacheStorage } = require('./helpers/caches.js');
+
+const ORIGIN = 'https://streampk.test';
+const source = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+
+/**
+ * Response a no-cors request to another site gets: usable by the page, but with status 0.
+ * @returns {Object} Opaque response
+ */
+function opaqueResponse() {
+    return { ok: false, status: 0, type: 'opaque', clone() { return this; } };
+}
+
+/**
+ * Response to a CORS request.
+ * @param {number} [status=200] - HTTP status
+ * @returns {Object} CORS response
+ */
+function corsResponse(status = 200) {
+    return { ok: status >= 200 && status < 300, status, type: 'cors', clone() { return this; } };
+}
+
+/**
+ * Answers like a host that does not send CORS headers: CORS requests fail, no-cors ones are opaque.
+ * @param {string} url - Requested URL
+ * @param {string} mode - Request mode
+ * @returns {Promise<Object>} Opaque response
+ */
+async function withoutCors(url, mode) {
+    if (mode === 'cors') throw new TypeError('Failed to fetch');
+    return opaqueResponse();
+}
+
+/**
+ * Runs sw.js in a sandbox.
+ * @param {function(string, string): Promise<Object>} respond - Answers a fetched URL and request mode
+ * @returns {{dispatch: function(string, Object): Promise<void>, caches: MemoryCacheStorage,
+ *          warnings: string[], get: function(string): *}} Sandboxed worker; dispatch resolves
+ *          with what the handler passed to respondWith() or waitUntil()
+ */
+function loadWorker(respond) {
+    const handlers = {};
+    const warnings = [];
+    const fetch = async request => (typeof request === 'string'
+        ? respond(new URL(request, `${ORIGIN}/`).href, 'cors')
+        : respond(new URL(request.url, `${ORIGIN}/`).href, request.mode));
+    const caches = new MemoryCacheStorage(fetch);
+    const self = {
+        location: new URL(`${ORIGIN}/sw.js`),
+        addEventListener: (type, handler) => { handlers[type] = handler; },
+        skipWaiting: async () => {},
+        clients: { claim: async () => {} }
+    };
+
+    const context = vm.createContext({
+        self,
+        caches,
+        fetch,
+        Request: class {
+            constructor(url, init = {}) {
+                this.url = new URL(url, self.location).href;
+                this.mode = init.mode || 'cors';
+            }
+        },
+        URL,
+        console: { log() {}, error() {}, warn: (...args) => warnings.push(args.map(String).join(' ')) }
+    });
+    vm.runInContext(source, context);
+
+    return {
+        caches,
+        warnings,
+        get: name => vm.runInContext(name, context),
+        dispatch: async (type, event) => {
+            const pending = [];
+            handlers[type]({ ...event, waitUntil: promise => pending.push(promise), respondWith: promise => pending.push(promise) });
+            return (await Promise.all(pending))[0];
+        }
+    };
+}
+
+test('caches channel logos from hosts that allow CORS, logging the others', async () => {
+    const logos = ['https://logos.example.com/a.png', 'https://logos.example.com/b.png', 'https://opaque.example.com/c.png'];
+    const worker = loadWorker(async (url, mode) => (url.startsWith('https://opaque.example.com/')
+        ? withoutCors(url, mode)
+        : corsResponse()));
+
+    await worker.dispatch('message', { data: { type: 'cache-logos', urls: logos } });
+
+    const cache = await worker.caches.open(worker.get('LOGO_CACHE'));
+    assert.deepStrictEqual([...cache.entries.keys()], logos.slice(0, 2));
+    assert.strictEqual(worker.warnings.length, 1);
+    assert.match(worker.warnings[0], /opaque\.example\.com\/c\.png/);
+});
+
+test('precaches the app shell and the CDN files on install', async () => {
+    const worker = loadWorker(async (url, mode) => {
+        assert.strictEqual(mode, 'cors', url);
+        return url.startsWith(ORIGIN) ? { ok: true, status: 200, type: 'basic', clone() { return this; } } : corsResponse();
+    });
+
+    await worker.dispatch('install', {});
+
+    const shell = await worker.caches.open(worker.get('SHELL_CACHE'));
+    const cdn = await worker.caches.open(worker.get('CDN_CACHE'));
+    assert.strictEqual(shell.entries.size, worker.get('SHELL_FILES').length);
+    assert.deepStrictEqual([...cdn.entries.keys()].sort(), [...worker.get('CDN_FILES')].sort());
+    assert.deepStrictEqual(worker.warnings, []);
+});
+
+test('does not precache CDN files that come back opaque or with an error', async () => {
+    const worker = loadWorker(async (url, mode) => {
+        if (url.startsWith(ORIGIN)) return { ok: true, status: 200, type: 'basic', clone() { return this; } };
+        return url.includes('hls.js') ? corsResponse(503) : withoutCors(url, mode);
+    });
+
+    await worker.dispatch('install', {});
+
+    const cdn = await worker.caches.open(worker.get('CDN_CACHE'));
+    assert.strictEqual(cdn.entries.size, 0);
+    assert.strictEqual(worker.warnings.length, worker.get('CDN_FILES').length);
+});
+
+test('serves CDN files cache-first and passes errors and hosts without CORS through uncached', async () => {
+    const hls = 'https://cdn.jsdelivr.net/npm/hls.js@1.5.20/dist/hls.min.js';
+    const font = 'https://fonts.gstatic.com/s/inter/v13/font.woff2';
+    const logo = 'https://opaque.example.com/logo.png';
+    let status = 503;
+    const requests = [];
+    const worker = loadWorker(async (url, mode) => {
+        requests.push(`${mode} ${url}`);
+        return url === logo ? withoutCors(url, mode) : corsResponse(status);
+    });
+    const get = (url, destination) => worker.dispatch('fetch', { request: { method: 'GET', url, destination, mode: 'no-cors' } });
+
+    assert.strictEqual((await get(hls, 'script')).status, 503);
+    status = 200;
+    assert.strictEqual((await get(hls, 'script')).status, 200);
+    assert.strictEqual((await get(hls, 'script')).status, 200);
+    assert.strictEqual((await get(font, 'font')).type, 'cors');
+    assert.strictEqual((await get(logo, 'image')).type, 'opaque');
+
+    assert.deepStrictEqual(requests, [`cors ${hls}`, `cors ${hls}`, `cors ${font}`, `cors ${logo}`, `no-cors ${logo}`],
+        'the 503 is not cached and the second 200 comes from the cache');
+    assert.deepStrictEqual([...(await worker.caches.open(worker.get('CDN_CACHE'))).entries.keys()].sort(), [hls, font]);
+    assert.strictEqual((await worker.caches.open(worker.get('LOGO_CACHE'))).entries.size, 0);
+});
+
+test('drops caches from older versions on activate', async () => {
+    const worker = loadWorker(corsResponse);
+    const old = ['streampk-shell-v9', 'streampk-cdn', 'streampk-cdn-v9', 'streampk-logos'];
+    const current = [worker.get('SHELL_CACHE'), worker.get('CDN_CACHE'), worker.get('LOGO_CACHE')];
+    await Promise.all([...old, ...current, 'another-app'].map(name => worker.caches.open(name)));
+
+    await worker.dispatch('activate', {});
+
+    assert.deepStrictEqual((await worker.caches.keys()).sort(), [...current, 'another-app'].sort());
+});
+
+test('does not cache HTTP errors', async () => {
+    const worker = loadWorker(async () => ({ ok: false, status: 404, type: 'cors', clone() { return this; } }));
+
+    await worker.dispatch('message', { data: { type: 'cache-logos', urls: ['https://logos.example.com/gone.png'] } });
+
+    const cache = await worker.caches.open(worker.get('LOGO_CACHE'));
+    assert.strictEqual(cache.entries.size, 0);
+    assert.match(worker.warnings[0], /status 404/);
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Reference sync server tests: ETag checks (including two PUTs racing), CORS, tokens
+ * and argument parsing, against a real HTTP server on a temporary data directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, createHandler, etagOf } = require('../scripts/sync-server.js');
+
+/**
+ * Starts a server with the given options on a free port and a fresh data directory.
+ * @param {import('node:test').TestContext} t - Test context, used to stop the server afterwards
+ * @param {Object} [options] - Server options besides host and data
+ * @returns {Promise<{port: number, data: string}>} Port and data directory
+ */
+async function startServer(t, options = {}) {
+    const data = fs.mkdtempSync(path.join(os.tmpdir(), 'streampk-sync-'));
+    const server = http.createServer(createHandler({ host: '127.0.0.1', origin: null, token: null, data, ...options }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const consoleLog = console.log;
+    console.log = () => {};
+    t.after(() => {
+        console.log = consoleLog;
+        server.close();
+        fs.rmSync(data, { recursive: true, force: true });
+    });
+    return { port: server.address().port, data };
+}
+
+/**
+ * Starts a request, sending its headers right away.
+ * @param {number} port - Server port
+ * @param {string} method - HTTP method
+ * @param {Object} [headers] - Request headers
+ * @param {string} [key] - Document key
+ * @returns {{request: http.ClientRequest, response: Promise<{status: number, headers: Object, body: string}>}} Request
+ */
+function open(port, method, headers = {}, key = 'k7Qm2xVb9LpR4tZs') {
+    let request;
+    const response = new Promise((resolve, reject) => {
+        request = http.request({ port, method, path: `/sync/${key}`, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        request.on('error', reject);
+    });
+    request.flushHeaders();
+    return { request, response };
+}
+
+/**
+ * Sends a whole request.
+ * @param {number} port - Server port
+ * @param {string} method - HTTP method
+ * @param {Object} [headers] - Request headers
+ * @param {string} [body] - Request body
+ * @returns {Promise<{status: number, headers: Object, body: string}>} Response
+ */
+function send(port, method, headers, body) {
+    const { request, response } = open(port, method, headers);
+    request.end(body);
+    return response;
+}
+
+test('serves documents with ETags and refuses stale or blind writes', async (t) => {
+    const { port } = await startServer(t);
+
+    assert.strictEqual((await send(port, 'GET')).status, 404);
+
+    const first = await send(port, 'PUT', {}, '{"version":1}');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.etag, etagOf('{"version":1}'));
+
+    const pulled = await send(port, 'GET');
+    assert.strictEqual(pulled.body, '{"version":1}');
+    assert.strictEqual(pulled.headers.etag, first.headers.etag);
+
+    assert.strictEqual((await send(port, 'PUT', {}, '{"version":2}')).status, 412, 'no If-Match once a document exists');
+    assert.strictEqual((await send(port, 'PUT', { 'If-Match': '"stale"' }, '{"version":2}')).status, 412);
+    assert.strictEqual((await send(port, 'PUT', { 'If-Match': first.headers.etag }, 'not json')).status, 400);
+    assert.strictEqual((await send(port, 'PUT', { 'If-Match': first.headers.etag }, '{"version":2}')).status, 200);
+    assert.strictEqual((await send(port, 'GET')).body, '{"version":2}');
+});
+
+test('lets only one of two PUTs with the same ETag through', async (t) => {
+    const { port, data } = await startServer(t);
+    const { headers } = await send(port, 'PUT', {}, '{"version":1}');
+
+    // Both requests are past their headers before either body arrives
+    const a = open(port, 'PUT', { 'If-Match': headers.etag });
+    const b = open(port, 'PUT', { 'If-Match': headers.etag });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    a.request.end('{"device":"a"}');
+    b.request.end('{"device":"b"}');
+
+    const responses = await Promise.all([a.response, b.response]);
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 412]);
+    const winner = responses[0].status === 200 ? '{"device":"a"}' : '{"device":"b"}';
+    assert.strictEqual(fs.readFileSync(path.join(data, 'k7Qm2xVb9LpR4tZs.json'), 'utf8'), winner);
+});
+
+test('allows only the configured origin, checks the token and the Host header', async (t) => {
+    const closed = await startServer(t);
+    const noOrigin = await send(closed.port, 'GET', { Origin: 'https://evil.example' });
+    assert.strictEqual(noOrigin.headers['access-control-allow-origin'], undefined, 'no CORS without --origin');
+
+    const { port } = await startServer(t, { origin: 'https://streampk.example', token: 'a-long-random-token' });
+    const preflight = await send(port, 'OPTIONS', { Origin: 'https://streampk.example' });
+    assert.strictEqual(preflight.status, 204);
+    assert.strictEqual(preflight.headers['access-control-allow-origin'], 'https://streampk.example');
+
+    assert.strictEqual((await send(port, 'GET')).status, 401);
+    assert.strictEqual((await send(port, 'GET', { Authorization: 'Bearer wrong' })).status, 401);
+    assert.strictEqual((await send(port, 'GET', { Authorization: 'Bearer a-long-random-token' })).status, 404);
+    assert.strictEqual((await send(port, 'GET', { Host: 'rebound.evil.example', Authorization: 'Bearer a-long-random-token' })).status, 421,
+        'DNS rebinding to the loopback address is refused');
+});
+
+test('parseArgs defaults to no origin and requires a token off loopback', () => {
+    const options = parseArgs([]);
+    assert.strictEqual(options.host, '127.0.0.1');
+    assert.strictEqual(options.origin, null);
+    assert.strictEqual(options.token, null);
+
+    assert.strictEqual(parseArgs(['--origin', 'http://localhost:8080']).origin, 'http://localhost:8080');
+    assert.strictEqual(parseArgs(['--host', '0.0.0.0', '--token', 'secret']).token, 'secret');
+    assert.strictEqual(parseArgs(['--help']).help, true);
+
+    assert.throws(() => parseArgs(['--origin', '*']), /exact origin/);
+    assert.throws(() => parseArgs(['--origin', 'https://streampk.example/app']), /exact origin/);
+    assert.throws(() => parseArgs(['--host', '0.0.0.0']), /--token is required/);
+    assert.throws(() => parseArgs(['--token']), /need a value/);
+    assert.throws(() => parseArgs(['--port', 'x']), /--port/);
+    assert.throws(() => parseArgs(['--verbose']), /Unknown argument: --verbose/);
+});
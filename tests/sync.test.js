@@ -0,0 +1,148 @@
+/**
+ * @fileoverview SyncManager tests against an in-memory localStorage and a scripted backend,
+ * with the real favorites, history and quality modules.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('./helpers/storage.js');
+
+// SyncManager reads these as globals, as it does in the browser
+global.localStorage = new MemoryStorage();
+global.AppStore = require('../js/store.js');
+global.ChannelManager = require('../js/channels.js');
+global.FavoritesManager = require('../js/favorites.js');
+global.HistoryManager = require('../js/history.js');
+global.QualityManager = require('../js/quality.js');
+const SyncManager = require('../js/sync.js');
+
+/**
+ * Creates a backend that serves the given pull results in turn and records pushes.
+ * @param {Array<Object|null>} pulls - Results of successive pull() calls
+ * @param {Array<Error|null>} [failures] - Errors thrown by successive push() calls
+ * @returns {{pull: Function, push: Function, pushed: Object[]}} Backend
+ */
+function scriptedBackend(pulls, failures = []) {
+    const backend = {
+        pushed: [],
+        async pull() {
+            return pulls.shift() || null;
+        },
+        async push(document) {
+            const failure = failures.shift();
+            if (failure) throw failure;
+            backend.pushed.push(document);
+        }
+    };
+    return backend;
+}
+
+/**
+ * Wraps items in a remote pull result.
+ * @param {Object<string, Object>} items - Document items
+ * @param {string} etag - ETag of the document
+ * @returns {{document: Object, etag: string}} Pull result
+ */
+function remote(items, etag) {
+    return { document: SyncManager.createDocument(items, 'device-other'), etag };
+}
+
+test.beforeEach(() => {
+    localStorage.clear();
+    FavoritesManager.addFavorite('alpha');
+});
+
+test('merges remote items, pushes them and applies them locally', async () => {
+    const beta = { name: 'Beta', folder: null, addedAt: 1, order: 0 };
+    const backend = scriptedBackend([remote({ 'favorite:beta': { value: beta, updatedAt: Date.now() - 1000 } }, '"1"')]);
+
+    const result = await SyncManager.sync(backend);
+
+    assert.strictEqual(result.changed, true);
+    assert.deepStrictEqual(Object.keys(backend.pushed[0].items).sort(), ['favorite:alpha', 'favorite:beta']);
+    assert.deepStrictEqual(FavoritesManager.getFavorites().sort(), ['alpha', 'beta']);
+    assert.ok(SyncManager.getState().items['favorite:beta'], 'synced items are remembered');
+});
+
+test('syncs watch history sessions and quality pins both ways', async () => {
+    HistoryManager.recordPlay('alpha');
+    QualityManager.setChannelQuality('alpha', { height: 720, bitrate: 2500000 });
+    const session = { channelId: 'beta', startedAt: 1000, lastWatched: 2000, duration: 60000 };
+    const backend = scriptedBackend([remote({
+        'history:beta@1000': { value: session, updatedAt: Date.now() - 1000 },
+        'quality:beta': { value: { height: 480, bitrate: 900000 }, updatedAt: Date.now() - 1000 }
+    }, '"1"')]);
+
+    await SyncManager.sync(backend);
+
+    const pushed = Object.keys(backend.pushed[0].items);
+    assert.ok(pushed.some(key => key.startsWith('history:alpha@')), 'the local session is pushed');
+    assert.ok(pushed.includes('quality:alpha'));
+    assert.deepStrictEqual(HistoryManager.getHistory().map(entry => entry.channelId), ['alpha', 'beta'],
+        'sessions stay most recent first');
+    assert.deepStrictEqual(HistoryManager.getHistory()[1], session);
+    assert.deepStrictEqual(QualityManager.getChannelQuality('beta'), { height: 480, bitrate: 900000 });
+    assert.deepStrictEqual(QualityManager.getChannelQuality('alpha'), { height: 720, bitrate: 2500000 });
+});
+
+test('leaves local data and sync state alone when the push fails', async () => {
+    const beta = { name: 'Beta', folder: null, addedAt: 1, order: 0 };
+    const backend = scriptedBackend(
+        [remote({ 'favorite:beta': { value: beta, updatedAt: Date.now() - 1000 } }, '"1"')],
+        [new Error('Sync server responded 500')]);
+
+    await assert.rejects(SyncManager.sync(backend), /500/);
+
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha']);
+    assert.strictEqual(localStorage.getItem(SyncManager.STATE_KEY), null);
+    assert.strictEqual(SyncManager.getConfig().lastError, 'Sync server responded 500');
+});
+
+test('keeps newer remote changes when retrying after a conflict', async () => {
+    const beta = { name: 'Beta', folder: null, addedAt: 1, order: 0 };
+    const deletedAt = Date.now() - 1000;
+    // Another device deletes beta between our pull and our push
+    const backend = scriptedBackend([
+        remote({ 'favorite:beta': { value: beta, updatedAt: deletedAt - 1000 } }, '"1"'),
+        remote({ 'favorite:beta': { value: null, updatedAt: deletedAt } }, '"2"')
+    ], [new SyncManager.SyncConflictError()]);
+
+    await SyncManager.sync(backend);
+
+    assert.strictEqual(backend.pushed.length, 1);
+    assert.deepStrictEqual(backend.pushed[0].items['favorite:beta'], { value: null, updatedAt: deletedAt });
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha']);
+});
+
+test('refuses to start a second sync while one is running', async () => {
+    let release;
+    const backend = scriptedBackend([]);
+    const pull = backend.pull;
+    backend.pull = async () => {
+        await new Promise(resolve => { release = resolve; });
+        return pull();
+    };
+
+    const first = SyncManager.sync(backend);
+    await assert.rejects(SyncManager.sync(scriptedBackend([])), SyncManager.SyncInProgressError);
+    assert.strictEqual(SyncManager.getConfig().lastError, null, 'the skipped sync is not recorded as a failure');
+
+    release();
+    assert.deepStrictEqual(await first, { changed: false });
+    assert.strictEqual(backend.pushed.length, 1);
+    assert.strictEqual(SyncManager.syncing, false);
+});
+
+test('rejects documents whose items are not an object', async () => {
+    [null, [], 'items'].forEach(items => {
+        assert.throws(() => SyncManager.validateDocument({ format: SyncManager.FORMAT, version: 1, items }),
+            /Not a StreamPK sync document/, JSON.stringify(items));
+    });
+    assert.throws(() => SyncManager.validateDocument(null), /Not a StreamPK sync document/);
+
+    const backend = scriptedBackend([{ document: { format: SyncManager.FORMAT, version: 1, items: null }, etag: '"1"' }]);
+    await assert.rejects(SyncManager.sync(backend), /Not a StreamPK sync document/);
+    assert.deepStrictEqual(backend.pushed, []);
+    assert.deepStrictEqual(FavoritesManager.getFavorites(), ['alpha']);
+});